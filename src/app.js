@@ -1,66 +1,98 @@
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const routes = require('./routes');
-const { testConnection } = require('./config/database');
-const { syncModels } = require('./models');
-
-// Crear aplicación Express
-const app = express();
-
-// Middleware para seguridad y parseo de datos
-app.use(helmet());
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Configurar rutas
-app.use('/api', routes);
-
-// Middleware para manejo de errores global
-app.use((err, req, res, next) => {
-    console.error('Error no capturado:', err.stack);
-    const format = req.query.format || 'json';
-    
-    // Usar el middleware de formato si está disponible
-    if (res.formatResponse) {
-        return res.formatResponse(500, null, 'Error interno del servidor');
-    } else {
-        // Fallback en caso de que el error ocurra antes de cargar el middleware
-        return res.status(500).json({ 
-            success: false,
-            code: 500,
-            message: 'Error interno del servidor',
-            data: null,
-            timestamp: new Date().toISOString()
-        });
-    }
-});
-
-// Función para inicializar la aplicación
-const initializeApp = async () => {
-    try {
-        // Probar conexión a la base de datos
-        const dbConnected = await testConnection();
-        if (!dbConnected) {
-            console.error('No se pudo conectar a la base de datos. Saliendo...');
-            process.exit(1);
-        }
-
-        // Sincronizar modelos con la base de datos
-        // Pasar true como argumento para forzar recreación de tablas (solo en desarrollo)
-        const forceSync = process.env.NODE_ENV === 'development' && process.env.FORCE_SYNC === 'true';
-        await syncModels(forceSync);
-
-        // Iniciar servidor
-        const PORT = process.env.PORT || 3000;
-        app.listen(PORT, () => {
-            console.log(`Servidor API corriendo en puerto ${PORT}`);
-        });
-    } catch (error) {
-        console.error('Error al inicializar la aplicación:', error);
-        process.exit(1);
-    }
-};
-
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const routes = require('./routes');
+const { connectWithRetry } = require('./config/database');
+const { migrate } = require('./database/migrator');
+const { negotiateFormat, formatResponse } = require('./utils/response');
+const { subscribe } = require('./utils/events');
+const { enqueueWebhookDeliveries, startWebhookWorker } = require('./utils/webhooks');
+const { createEventNotifications, startNotificationScheduler } = require('./utils/notifications');
+const { broadcastRealtimeEvent } = require('./utils/realtime');
+const { startTrashPurger } = require('./utils/trash');
+const { trustProxySetting } = require('./utils/rateLimit');
+
+// Crear aplicación Express
+const app = express();
+
+// Proxies inversos de confianza (TRUST_PROXY): determinan req.ip para los límites de peticiones por IP
+app.set('trust proxy', trustProxySetting());
+
+// Middleware para seguridad y parseo de datos
+app.use(helmet());
+// Los clientes de otros orígenes necesitan leer el ETag para enviarlo después en If-Match
+// y las cabeceras de los límites de peticiones
+app.use(cors({ exposedHeaders: ['ETag', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'] }));
+// JSON y sus variantes (application/merge-patch+json, application/json-patch+json...)
+app.use(express.json({ type: ['application/json', 'application/*+json'] }));
+app.use(express.urlencoded({ extended: true }));
+
+// Configurar rutas
+app.use('/api', routes);
+
+// Cada evento de dominio genera las entregas de los webhooks suscritos y las notificaciones de los
+// usuarios, y se envía a los clientes conectados al canal en tiempo real de su proyecto
+subscribe(enqueueWebhookDeliveries);
+subscribe(createEventNotifications);
+subscribe(broadcastRealtimeEvent);
+
+// Middleware para manejo de errores global
+app.use((err, req, res, next) => {
+    // Los errores de parseo ocurren antes de negociar el formato en las rutas
+    const format = req.responseFormat || negotiateFormat(req) || 'json';
+
+    // Cuerpo de la petición mal formado (JSON inválido)
+    if (err.type === 'entity.parse.failed') {
+        return formatResponse(res, 400, null, 'El cuerpo de la petición no es un JSON válido', format);
+    }
+
+    console.error('Error no capturado:', err.stack);
+    
+    // Usar el middleware de formato si está disponible
+    if (res.formatResponse) {
+        return res.formatResponse(500, null, 'Error interno del servidor');
+    } else {
+        // Fallback en caso de que el error ocurra antes de cargar el middleware
+        return res.status(500).json({ 
+            success: false,
+            code: 500,
+            message: 'Error interno del servidor',
+            data: null,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Función para inicializar la aplicación
+const initializeApp = async () => {
+    try {
+        // Conectar a la base de datos (reintenta con espera exponencial si aún no está disponible)
+        await connectWithRetry();
+
+        // Aplicar las migraciones pendientes (única vía de cambio del esquema)
+        const applied = await migrate();
+        console.log(applied.length
+            ? `Migraciones aplicadas: ${applied.join(', ')}`
+            : 'Esquema de base de datos actualizado.');
+
+        // Procesar la cola de entregas de webhooks (incluidos los reintentos pendientes)
+        startWebhookWorker();
+
+        // Revisar periódicamente las tareas que vencen pronto o ya han vencido
+        startNotificationScheduler();
+
+        // Borrar definitivamente los elementos de la papelera cuyo plazo de conservación ha terminado
+        startTrashPurger();
+
+        // Iniciar servidor
+        const PORT = process.env.PORT || 3000;
+        app.listen(PORT, () => {
+            console.log(`Servidor API corriendo en puerto ${PORT}`);
+        });
+    } catch (error) {
+        console.error('Error al inicializar la aplicación:', error);
+        process.exit(1);
+    }
+};
+
 module.exports = { app, initializeApp };
\ No newline at end of file
@@ -1,26 +1,161 @@
-const { Sequelize } = require('sequelize');
-require('dotenv').config();
-
-// Configuración de la conexión a la base de datos usando SQLite para desarrollo
-const sequelize = new Sequelize({
-    dialect: 'sqlite',
-    storage: './database.sqlite', // Archivo de base de datos local
-    logging: process.env.NODE_ENV === 'development' ? console.log : false
-});
-
-// Función para probar la conexión a la base de datos
-const testConnection = async () => {
-    try {
-        await sequelize.authenticate();
-        console.log('Conexión a la base de datos SQLite establecida correctamente.');
-        return true;
-    } catch (error) {
-        console.error('Error al conectar con la base de datos:', error);
-        return false;
-    }
-};
-
-module.exports = {
-    sequelize,
-    testConnection
+const { Sequelize } = require('sequelize');
+require('dotenv').config();
+
+// Espera máxima entre reintentos de conexión (ms)
+const MAX_RETRY_DELAY = 30000;
+
+// Dialectos soportados y su puerto por defecto
+const SUPPORTED_DIALECTS = {
+    sqlite: null,
+    mysql: 3306,
+    postgres: 5432
+};
+
+/**
+ * Error producido por una configuración de base de datos inválida o incompleta
+ */
+class DatabaseConfigError extends Error {
+    constructor(problems) {
+        super(`Configuración de base de datos inválida:\n - ${problems.join('\n - ')}`);
+        this.name = 'DatabaseConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Lee un entero de una variable de entorno
+ * @param {Object} env - Variables de entorno
+ * @param {String} name - Nombre de la variable
+ * @param {Number} defaultValue - Valor por defecto
+ * @param {Array} problems - Acumulador de errores de configuración
+ * @returns {Number} - Valor leído
+ */
+const readInteger = (env, name, defaultValue, problems) => {
+    if (env[name] === undefined || env[name] === '') return defaultValue;
+
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value < 0) {
+        problems.push(`${name} debe ser un entero no negativo (valor actual: "${env[name]}")`);
+        return defaultValue;
+    }
+    return value;
+};
+
+/**
+ * Construye la configuración de Sequelize a partir de las variables de entorno.
+ *  - DB_DIALECT: sqlite (por defecto), mysql o postgres
+ *  - DB_STORAGE: fichero SQLite (':memory:' para una base de datos en memoria; por defecto en tests)
+ *  - DB_HOST, DB_PORT, DB_NAME, DB_USER, DB_PASSWORD: conexión a MySQL/PostgreSQL
+ *  - DB_POOL_MAX, DB_POOL_MIN, DB_POOL_ACQUIRE, DB_POOL_IDLE: pool de conexiones
+ *  - DB_LOGGING: 'true' para mostrar las consultas SQL
+ * @param {Object} env - Variables de entorno (process.env por defecto)
+ * @returns {Object} - Opciones para el constructor de Sequelize
+ */
+const buildConfig = (env = process.env) => {
+    const problems = [];
+    const dialect = (env.DB_DIALECT || 'sqlite').toLowerCase();
+
+    if (!Object.prototype.hasOwnProperty.call(SUPPORTED_DIALECTS, dialect)) {
+        throw new DatabaseConfigError([
+            `DB_DIALECT "${env.DB_DIALECT}" no soportado. Valores permitidos: ${Object.keys(SUPPORTED_DIALECTS).join(', ')}`
+        ]);
+    }
+
+    const logging = env.DB_LOGGING === 'true' || (env.DB_LOGGING === undefined && env.NODE_ENV === 'development')
+        ? console.log
+        : false;
+
+    const pool = {
+        max: readInteger(env, 'DB_POOL_MAX', 10, problems),
+        min: readInteger(env, 'DB_POOL_MIN', 0, problems),
+        acquire: readInteger(env, 'DB_POOL_ACQUIRE', 30000, problems),
+        idle: readInteger(env, 'DB_POOL_IDLE', 10000, problems)
+    };
+    if (pool.min > pool.max) {
+        problems.push('DB_POOL_MIN no puede ser mayor que DB_POOL_MAX');
+    }
+
+    let config;
+    if (dialect === 'sqlite') {
+        // En tests se usa por defecto una base de datos en memoria
+        const storage = env.DB_STORAGE || (env.NODE_ENV === 'test' ? ':memory:' : './database.sqlite');
+        config = { dialect, storage, logging };
+    } else {
+        // MySQL y PostgreSQL requieren los datos de conexión
+        for (const name of ['DB_HOST', 'DB_NAME', 'DB_USER']) {
+            if (!env[name]) {
+                problems.push(`${name} es obligatoria para el dialecto ${dialect}`);
+            }
+        }
+
+        config = {
+            dialect,
+            host: env.DB_HOST,
+            port: readInteger(env, 'DB_PORT', SUPPORTED_DIALECTS[dialect], problems),
+            database: env.DB_NAME,
+            username: env.DB_USER,
+            password: env.DB_PASSWORD || null,
+            pool,
+            logging
+        };
+    }
+
+    if (problems.length > 0) {
+        throw new DatabaseConfigError(problems);
+    }
+
+    return config;
+};
+
+// Configuración de la conexión a la base de datos según el entorno
+const config = buildConfig();
+const sequelize = new Sequelize(config);
+
+// Función para probar la conexión a la base de datos
+const testConnection = async () => {
+    try {
+        await sequelize.authenticate();
+        console.log(`Conexión a la base de datos (${config.dialect}) establecida correctamente.`);
+        return true;
+    } catch (error) {
+        console.error('Error al conectar con la base de datos:', error.message);
+        return false;
+    }
+};
+
+/**
+ * Intenta conectar a la base de datos reintentando con espera exponencial
+ * (útil cuando la base de datos arranca a la vez que la API, ej. docker-compose)
+ *  - DB_CONNECT_RETRIES: número máximo de reintentos (por defecto 5)
+ *  - DB_CONNECT_RETRY_DELAY: espera inicial en milisegundos (por defecto 1000)
+ * @returns {Boolean} - true si se conectó; lanza un error si se agotan los reintentos
+ */
+const connectWithRetry = async () => {
+    const problems = [];
+    const retries = readInteger(process.env, 'DB_CONNECT_RETRIES', 5, problems);
+    const initialDelay = readInteger(process.env, 'DB_CONNECT_RETRY_DELAY', 1000, problems);
+    if (problems.length > 0) {
+        throw new DatabaseConfigError(problems);
+    }
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        if (await testConnection()) {
+            return true;
+        }
+        if (attempt < retries) {
+            const delay = Math.min(initialDelay * 2 ** attempt, MAX_RETRY_DELAY);
+            console.log(`Reintentando conexión en ${delay} ms (intento ${attempt + 1} de ${retries})...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    throw new Error(`No se pudo conectar a la base de datos tras ${retries + 1} intentos`);
+};
+
+module.exports = {
+    sequelize,
+    buildConfig,
+    DatabaseConfigError,
+    testConnection,
+    connectWithRetry
 };
\ No newline at end of file
@@ -0,0 +1,120 @@
+const { Op } = require('sequelize');
+const { AuditLog, User } = require('../models');
+const { findAccessibleTask } = require('../utils/permissions');
+const { parsePaginationParams, paginate } = require('../utils/pagination');
+
+// Campos por los que se permite ordenar el historial
+const AUDIT_SORT_FIELDS = ['createdAt', 'entityType', 'action'];
+
+// Autor de cada cambio incluido en las respuestas
+const actorInclude = {
+    model: User,
+    as: 'actor',
+    attributes: ['id', 'name', 'email']
+};
+
+/**
+ * Consulta el historial paginado con las condiciones indicadas
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} where - Condiciones de búsqueda
+ * @returns {Object} - { rows, meta }
+ */
+const findHistory = (req, where) => {
+    const pagination = parsePaginationParams(req.query, {
+        sortable: AUDIT_SORT_FIELDS,
+        defaultSort: '-createdAt'
+    });
+
+    return paginate(AuditLog, { where, include: [actorInclude] }, pagination, req);
+};
+
+/**
+ * Obtiene el historial de cambios de un proyecto y de sus tareas
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getProjectHistory = async (req, res) => {
+    try {
+        const { rows, meta } = await findHistory(req, { projectId: req.project.id });
+
+        return res.formatResponse(200, rows, 'Historial del proyecto obtenido correctamente', { pagination: meta });
+    } catch (error) {
+        console.error('Error al obtener historial del proyecto:', error);
+
+        // Parámetros de paginación u ordenación inválidos
+        if (error.name === 'PaginationError') {
+            return res.formatResponse(400, null, error.message);
+        }
+
+        return res.formatResponse(500, null, 'Error al obtener historial del proyecto');
+    }
+};
+
+/**
+ * Obtiene el historial de cambios de una tarea
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getTaskHistory = async (req, res) => {
+    try {
+        const access = await findAccessibleTask(req.params.id, req.user);
+        if (access.status) {
+            return res.formatResponse(access.status, null, access.message);
+        }
+
+        const { rows, meta } = await findHistory(req, { entityType: 'Task', entityId: access.task.id });
+
+        return res.formatResponse(200, rows, 'Historial de la tarea obtenido correctamente', { pagination: meta });
+    } catch (error) {
+        console.error('Error al obtener historial de la tarea:', error);
+
+        // Parámetros de paginación u ordenación inválidos
+        if (error.name === 'PaginationError') {
+            return res.formatResponse(400, null, error.message);
+        }
+
+        return res.formatResponse(500, null, 'Error al obtener historial de la tarea');
+    }
+};
+
+/**
+ * Obtiene el registro de auditoría completo con filtros (solo administradores)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getAuditLogs = async (req, res) => {
+    try {
+        const { actorId, entityType, entityId, action, from, to } = req.query;
+
+        // Construir condiciones de búsqueda
+        const whereConditions = {};
+        if (actorId) whereConditions.actorId = actorId;
+        if (entityType) whereConditions.entityType = entityType;
+        if (entityId) whereConditions.entityId = entityId;
+        if (action) whereConditions.action = action;
+        if (from || to) {
+            whereConditions.createdAt = {};
+            if (from) whereConditions.createdAt[Op.gte] = from;
+            if (to) whereConditions.createdAt[Op.lte] = to;
+        }
+
+        const { rows, meta } = await findHistory(req, whereConditions);
+
+        return res.formatResponse(200, rows, 'Registro de auditoría obtenido correctamente', { pagination: meta });
+    } catch (error) {
+        console.error('Error al obtener registro de auditoría:', error);
+
+        // Parámetros de paginación u ordenación inválidos
+        if (error.name === 'PaginationError') {
+            return res.formatResponse(400, null, error.message);
+        }
+
+        return res.formatResponse(500, null, 'Error al obtener registro de auditoría');
+    }
+};
+
+module.exports = {
+    getProjectHistory,
+    getTaskHistory,
+    getAuditLogs
+};
\ No newline at end of file
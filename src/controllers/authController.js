@@ -1,132 +1,311 @@
-const { User } = require('../models');
-const { generateToken } = require('../utils/jwt');
-
-/**
- * Registra un nuevo usuario
- * @param {Object} req - Objeto request de Express
- * @param {Object} res - Objeto response de Express
- */
-const register = async (req, res) => {
-    try {
-        const { name, email, password, role } = req.body;
-
-        // Verificar si el correo ya está registrado
-        const existingUser = await User.findOne({ where: { email } });
-        if (existingUser) {
-            return res.formatResponse(400, null, 'El correo electrónico ya está registrado');
-        }
-
-        // Validar contraseña (aunque Sequelize también lo hace)
-        const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)[a-zA-Z\d]{8,}$/;
-        if (!passwordRegex.test(password)) {
-            return res.formatResponse(400, null, 'La contraseña debe tener al menos 8 caracteres, una mayúscula, una minúscula y un número');
-        }
-
-        // Crear nuevo usuario (el hash de la contraseña se hace automáticamente por los hooks)
-        const user = await User.create({
-            name,
-            email,
-            password,
-            role: role === 'admin' ? 'admin' : 'user' // Solo permitir rol admin si se proporciona explícitamente
-        });
-
-        // Retornar usuario creado (sin la contraseña)
-        const userData = {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            createdAt: user.createdAt
-        };
-
-        return res.formatResponse(201, userData, 'Usuario registrado correctamente');
-    } catch (error) {
-        console.error('Error en registro:', error);
-        
-        // Manejo de errores de validación de Sequelize
-        if (error.name === 'SequelizeValidationError' || error.name === 'SequelizeUniqueConstraintError') {
-            const messages = error.errors.map(e => e.message);
-            return res.formatResponse(400, null, messages.join(', '));
-        }
-        
-        return res.formatResponse(500, null, 'Error al registrar usuario');
-    }
-};
-
-/**
- * Inicia sesión de usuario y genera token JWT
- * @param {Object} req - Objeto request de Express
- * @param {Object} res - Objeto response de Express
- */
-const login = async (req, res) => {
-    try {
-        const { email, password } = req.body;
-
-        // Validar que se proporcionaron email y password
-        if (!email || !password) {
-            return res.formatResponse(400, null, 'Correo y contraseña son requeridos');
-        }
-
-        // Buscar usuario por email
-        const user = await User.findOne({ where: { email } });
-        if (!user) {
-            return res.formatResponse(401, null, 'Credenciales inválidas');
-        }
-
-        // Verificar si el usuario está activo
-        if (!user.active) {
-            return res.formatResponse(401, null, 'Usuario inactivo. Contacte al administrador');
-        }
-
-        // Verificar contraseña
-        const isValidPassword = await user.checkPassword(password);
-        if (!isValidPassword) {
-            return res.formatResponse(401, null, 'Credenciales inválidas');
-        }
-
-        // Generar token JWT
-        const token = generateToken(user);
-
-        // Retornar token y datos básicos del usuario
-        const userData = {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            role: user.role
-        };
-
-        return res.formatResponse(200, { user: userData, token }, 'Inicio de sesión exitoso');
-    } catch (error) {
-        console.error('Error en login:', error);
-        return res.formatResponse(500, null, 'Error al iniciar sesión');
-    }
-};
-
-/**
- * Obtiene el perfil del usuario autenticado
- * @param {Object} req - Objeto request de Express
- * @param {Object} res - Objeto response de Express
- */
-const getProfile = async (req, res) => {
-    try {
-        // Buscar usuario completo por ID (req.user tiene información limitada)
-        const user = await User.findByPk(req.user.id, {
-            attributes: { exclude: ['password'] } // Excluir campo de contraseña
-        });
-
-        if (!user) {
-            return res.formatResponse(404, null, 'Usuario no encontrado');
-        }
-
-        return res.formatResponse(200, user, 'Perfil de usuario obtenido correctamente');
-    } catch (error) {
-        console.error('Error al obtener perfil:', error);
-        return res.formatResponse(500, null, 'Error al obtener perfil de usuario');
-    }
-};
-
-module.exports = {
-    register,
-    login,
-    getProfile
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
+const { User, RefreshToken, RevokedToken } = require('../models');
+const { generateToken, generateRefreshToken, hashToken } = require('../utils/jwt');
+const { isSequelizeValidationError, formatSequelizeErrors } = require('../utils/validation');
+const { accountKey, getLockout, recordFailedLogin, clearFailedLogins, sendTooManyRequests } = require('../utils/rateLimit');
+const { recheckUserStreams } = require('../utils/realtime');
+
+// Hash con el que se compara la contraseña cuando el correo no está registrado, con el mismo coste
+// que las contraseñas de los usuarios: así el tiempo de respuesta no revela qué cuentas existen
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+/**
+ * Emite un token de acceso y un refresh token para el usuario
+ * @param {Object} user - Instancia del usuario
+ * @param {String} family - Familia de rotación (se crea una nueva si no se indica)
+ * @returns {Object} - Token de acceso, refresh token en claro y registro almacenado
+ */
+const issueTokens = async (user, family = crypto.randomUUID()) => {
+    const token = generateToken(user);
+    const refresh = generateRefreshToken();
+
+    // Solo se almacena el hash del refresh token
+    const record = await RefreshToken.create({
+        tokenHash: refresh.tokenHash,
+        family,
+        expiresAt: refresh.expiresAt,
+        userId: user.id
+    });
+
+    return { token, refreshToken: refresh.token, record };
+};
+
+/**
+ * Revoca todos los refresh tokens vigentes de una familia
+ * @param {String} family - Familia de rotación
+ */
+const revokeFamily = (family) => {
+    return RefreshToken.update(
+        { revokedAt: new Date() },
+        { where: { family, revokedAt: null } }
+    );
+};
+
+/**
+ * Registra un nuevo usuario
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const register = async (req, res) => {
+    try {
+        const { name, email, password } = req.body;
+
+        // Verificar si el correo ya está registrado
+        const existingUser = await User.findOne({ where: { email } });
+        if (existingUser) {
+            return res.formatResponse(400, null, 'El correo electrónico ya está registrado');
+        }
+
+        // Crear nuevo usuario (el hash de la contraseña se hace automáticamente por los hooks).
+        // El registro siempre crea usuarios normales: solo un administrador puede cambiar el rol
+        const user = await User.create({
+            name,
+            email,
+            password,
+            role: 'user'
+        });
+
+        // Retornar usuario creado (sin la contraseña)
+        const userData = {
+            id: user.id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            createdAt: user.createdAt
+        };
+
+        return res.formatResponse(201, userData, 'Usuario registrado correctamente');
+    } catch (error) {
+        console.error('Error en registro:', error);
+        
+        // Manejo de errores de validación de Sequelize
+        if (isSequelizeValidationError(error)) {
+            return res.formatResponse(422, null, 'Error de validación', { errors: formatSequelizeErrors(error) });
+        }
+        
+        return res.formatResponse(500, null, 'Error al registrar usuario');
+    }
+};
+
+/**
+ * Inicia sesión de usuario y genera token JWT
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const login = async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        const account = accountKey(email);
+
+        // Cuenta bloqueada temporalmente por intentos fallidos (ni siquiera se comprueba la contraseña).
+        // Se comprueba antes de buscar el usuario: un correo no registrado se bloquea igual que uno registrado
+        const lockout = await getLockout(account);
+        if (lockout) {
+            return sendTooManyRequests(res, lockout, 'Cuenta bloqueada temporalmente por demasiados intentos fallidos: inténtelo de nuevo más tarde');
+        }
+
+        // Buscar usuario por email y verificar la contraseña (los fallos seguidos bloquean la cuenta
+        // a partir del siguiente intento)
+        const user = await User.findOne({ where: { email } });
+        let validPassword = false;
+        if (user) {
+            validPassword = await user.checkPassword(password);
+        } else {
+            await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+        }
+        if (!validPassword) {
+            await recordFailedLogin(account);
+            return res.formatResponse(401, null, 'Credenciales inválidas');
+        }
+        await clearFailedLogins(account);
+
+        // Verificar si el usuario está activo (solo se indica a quien conoce la contraseña)
+        if (!user.active) {
+            return res.formatResponse(401, null, 'Usuario inactivo. Contacte al administrador');
+        }
+
+        // Generar token JWT y refresh token
+        const { token, refreshToken } = await issueTokens(user);
+
+        // Retornar token y datos básicos del usuario
+        const userData = {
+            id: user.id,
+            name: user.name,
+            email: user.email,
+            role: user.role
+        };
+
+        return res.formatResponse(200, { user: userData, token, refreshToken }, 'Inicio de sesión exitoso');
+    } catch (error) {
+        console.error('Error en login:', error);
+        return res.formatResponse(500, null, 'Error al iniciar sesión');
+    }
+};
+
+/**
+ * Obtiene el perfil del usuario autenticado
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getProfile = async (req, res) => {
+    try {
+        // Buscar usuario completo por ID (req.user tiene información limitada)
+        const user = await User.findByPk(req.user.id, {
+            attributes: { exclude: ['password', 'tokenVersion'] } // Excluir campos sensibles
+        });
+
+        if (!user) {
+            return res.formatResponse(404, null, 'Usuario no encontrado');
+        }
+
+        return res.formatResponse(200, user, 'Perfil de usuario obtenido correctamente');
+    } catch (error) {
+        console.error('Error al obtener perfil:', error);
+        return res.formatResponse(500, null, 'Error al obtener perfil de usuario');
+    }
+};
+
+/**
+ * Renueva el token de acceso rotando el refresh token.
+ * Si se presenta un refresh token ya rotado se considera reutilizado y se revoca toda su familia.
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const refreshToken = async (req, res) => {
+    try {
+        const { refreshToken: presentedToken } = req.body;
+
+        const stored = await RefreshToken.findOne({ where: { tokenHash: hashToken(presentedToken) } });
+        if (!stored) {
+            return res.formatResponse(401, null, 'Refresh token inválido');
+        }
+
+        if (stored.revokedAt) {
+            // Detección de reutilización: un token ya rotado no debería volver a usarse
+            if (stored.replacedBy) {
+                await revokeFamily(stored.family);
+                console.warn(`Reutilización de refresh token detectada (usuario ${stored.userId}, familia ${stored.family})`);
+                return res.formatResponse(401, null, 'Refresh token reutilizado. Se han cerrado las sesiones asociadas');
+            }
+            return res.formatResponse(401, null, 'Refresh token revocado');
+        }
+
+        if (stored.expiresAt < new Date()) {
+            return res.formatResponse(401, null, 'Refresh token expirado');
+        }
+
+        const user = await User.findByPk(stored.userId);
+        if (!user || !user.active) {
+            await revokeFamily(stored.family);
+            return res.formatResponse(401, null, 'Usuario no encontrado o inactivo');
+        }
+
+        // Rotar: emitir un nuevo par en la misma familia y revocar el token anterior anotando su sustituto
+        // en una sola actualización condicional. Si llegan dos renovaciones a la vez con el mismo token solo
+        // una lo rota; la otra ve siempre revokedAt y replacedBy juntos y lo trata como una reutilización.
+        const { token, refreshToken: newRefreshToken, record } = await issueTokens(user, stored.family);
+        const [rotated] = await RefreshToken.update(
+            { revokedAt: new Date(), replacedBy: record.id },
+            { where: { id: stored.id, revokedAt: null } }
+        );
+        if (rotated === 0) {
+            // Otra petición lo ha rotado o revocado entre la comprobación y la actualización
+            await record.destroy();
+            await stored.reload();
+            if (!stored.replacedBy) {
+                return res.formatResponse(401, null, 'Refresh token revocado');
+            }
+            await revokeFamily(stored.family);
+            console.warn(`Reutilización de refresh token detectada (usuario ${stored.userId}, familia ${stored.family})`);
+            return res.formatResponse(401, null, 'Refresh token reutilizado. Se han cerrado las sesiones asociadas');
+        }
+
+        return res.formatResponse(200, { token, refreshToken: newRefreshToken }, 'Token renovado correctamente');
+    } catch (error) {
+        console.error('Error al renovar token:', error);
+        return res.formatResponse(500, null, 'Error al renovar token');
+    }
+};
+
+/**
+ * Cierra la sesión actual: revoca el token de acceso y, si se envía, el refresh token
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const logout = async (req, res) => {
+    try {
+        const { refreshToken: presentedToken } = req.body || {};
+
+        // Añadir el token de acceso actual a la lista de revocados hasta su expiración
+        const { jti, exp } = req.tokenPayload;
+        if (jti) {
+            await RevokedToken.findOrCreate({
+                where: { jti },
+                defaults: { expiresAt: exp ? new Date(exp * 1000) : new Date() }
+            });
+        }
+
+        // Revocar la familia del refresh token de esta sesión
+        if (presentedToken) {
+            const stored = await RefreshToken.findOne({
+                where: { tokenHash: hashToken(presentedToken), userId: req.user.id }
+            });
+            if (stored) {
+                await revokeFamily(stored.family);
+            }
+        }
+
+        // Purgar entradas de la lista de revocados que ya expiraron
+        await RevokedToken.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+
+        // Cerrar los canales de eventos abiertos con el token revocado
+        await recheckUserStreams(req.user.id);
+
+        return res.formatResponse(200, null, 'Sesión cerrada correctamente');
+    } catch (error) {
+        console.error('Error al cerrar sesión:', error);
+        return res.formatResponse(500, null, 'Error al cerrar sesión');
+    }
+};
+
+/**
+ * Cierra todas las sesiones del usuario incrementando su versión de tokens
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const logoutAll = async (req, res) => {
+    try {
+        const user = await User.findByPk(req.user.id);
+        if (!user) {
+            return res.formatResponse(404, null, 'Usuario no encontrado');
+        }
+
+        // Los tokens de acceso emitidos con la versión anterior dejan de ser válidos
+        await user.increment('tokenVersion');
+
+        // Revocar todos los refresh tokens vigentes del usuario
+        await RefreshToken.update(
+            { revokedAt: new Date() },
+            { where: { userId: user.id, revokedAt: null } }
+        );
+
+        // Cerrar también sus canales de eventos abiertos
+        await recheckUserStreams(user.id);
+
+        return res.formatResponse(200, null, 'Se han cerrado todas las sesiones');
+    } catch (error) {
+        console.error('Error al cerrar todas las sesiones:', error);
+        return res.formatResponse(500, null, 'Error al cerrar todas las sesiones');
+    }
+};
+
+module.exports = {
+    register,
+    login,
+    getProfile,
+    refreshToken,
+    logout,
+    logoutAll
 };
\ No newline at end of file
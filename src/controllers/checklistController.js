@@ -0,0 +1,178 @@
+const { Op } = require('sequelize');
+const { ChecklistItem } = require('../models');
+const { sequelize } = require('../config/database');
+const { findAccessibleTask } = require('../utils/permissions');
+const { isSequelizeValidationError, formatSequelizeErrors } = require('../utils/validation');
+
+/**
+ * Desplaza una posición los elementos de la checklist comprendidos entre dos posiciones
+ * (las posiciones se mantienen consecutivas desde 0)
+ * @param {Number} taskId - Tarea de la checklist
+ * @param {Number} from - Primera posición afectada
+ * @param {Number} to - Última posición afectada (Infinity hasta el final)
+ * @param {Number} by - Desplazamiento (+1 o -1)
+ * @param {Object} transaction - Transacción en curso
+ */
+const shiftPositions = (taskId, from, to, by, transaction) => {
+    const position = Number.isFinite(to) ? { [Op.between]: [from, to] } : { [Op.gte]: from };
+    return ChecklistItem.increment({ position: by }, { where: { taskId, position }, transaction });
+};
+
+/**
+ * Obtiene la checklist de una tarea
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getChecklist = async (req, res) => {
+    try {
+        const access = await findAccessibleTask(req.params.id, req.user);
+        if (access.status) {
+            return res.formatResponse(access.status, null, access.message);
+        }
+
+        const items = await ChecklistItem.findAll({
+            where: { taskId: access.task.id },
+            order: [['position', 'ASC'], ['id', 'ASC']]
+        });
+
+        return res.formatResponse(200, items, 'Checklist obtenida correctamente');
+    } catch (error) {
+        console.error('Error al obtener la checklist:', error);
+        return res.formatResponse(500, null, 'Error al obtener la checklist');
+    }
+};
+
+/**
+ * Añade un elemento a la checklist de una tarea (por defecto, al final)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const createChecklistItem = async (req, res) => {
+    try {
+        const { content, done, position } = req.body;
+
+        const access = await findAccessibleTask(req.params.id, req.user, 'task:update');
+        if (access.status) {
+            return res.formatResponse(access.status, null, access.message);
+        }
+
+        // El avance de la tarea y de sus ascendientes se recalcula en la misma transacción
+        const item = await sequelize.transaction(async (transaction) => {
+            const count = await ChecklistItem.count({ where: { taskId: access.task.id }, transaction });
+
+            // Sin posición (o más allá del final) se añade al final; si no, se hace hueco
+            const target = position === undefined ? count : Math.min(position, count);
+            if (target < count) {
+                await shiftPositions(access.task.id, target, Infinity, 1, transaction);
+            }
+
+            return ChecklistItem.create({
+                content,
+                done: done || false,
+                position: target,
+                taskId: access.task.id
+            }, { transaction });
+        });
+
+        return res.formatResponse(201, item, 'Elemento de la checklist creado correctamente');
+    } catch (error) {
+        console.error('Error al crear elemento de la checklist:', error);
+
+        // Manejo de errores de validación
+        if (isSequelizeValidationError(error)) {
+            return res.formatResponse(422, null, 'Error de validación', { errors: formatSequelizeErrors(error) });
+        }
+
+        return res.formatResponse(500, null, 'Error al crear elemento de la checklist');
+    }
+};
+
+/**
+ * Actualiza un elemento de la checklist (texto, marcado o posición dentro de la lista)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const updateChecklistItem = async (req, res) => {
+    try {
+        const { content, done, position } = req.body;
+
+        const access = await findAccessibleTask(req.params.id, req.user, 'task:update');
+        if (access.status) {
+            return res.formatResponse(access.status, null, access.message);
+        }
+
+        const item = await ChecklistItem.findOne({
+            where: { id: req.params.itemId, taskId: access.task.id }
+        });
+        if (!item) {
+            return res.formatResponse(404, null, 'Elemento de la checklist no encontrado');
+        }
+
+        await sequelize.transaction(async (transaction) => {
+            // Mover el elemento desplaza a los que quedan entre su posición antigua y la nueva
+            if (position !== undefined && position !== item.position) {
+                const count = await ChecklistItem.count({ where: { taskId: access.task.id }, transaction });
+                const target = Math.min(position, count - 1);
+                if (target < item.position) {
+                    await shiftPositions(access.task.id, target, item.position - 1, 1, transaction);
+                } else if (target > item.position) {
+                    await shiftPositions(access.task.id, item.position + 1, target, -1, transaction);
+                }
+                item.position = target;
+            }
+
+            if (content !== undefined) item.content = content;
+            if (done !== undefined) item.done = done;
+            await item.save({ transaction });
+        });
+
+        return res.formatResponse(200, item, 'Elemento de la checklist actualizado correctamente');
+    } catch (error) {
+        console.error('Error al actualizar elemento de la checklist:', error);
+
+        // Manejo de errores de validación
+        if (isSequelizeValidationError(error)) {
+            return res.formatResponse(422, null, 'Error de validación', { errors: formatSequelizeErrors(error) });
+        }
+
+        return res.formatResponse(500, null, 'Error al actualizar elemento de la checklist');
+    }
+};
+
+/**
+ * Elimina un elemento de la checklist
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const deleteChecklistItem = async (req, res) => {
+    try {
+        const access = await findAccessibleTask(req.params.id, req.user, 'task:update');
+        if (access.status) {
+            return res.formatResponse(access.status, null, access.message);
+        }
+
+        const item = await ChecklistItem.findOne({
+            where: { id: req.params.itemId, taskId: access.task.id }
+        });
+        if (!item) {
+            return res.formatResponse(404, null, 'Elemento de la checklist no encontrado');
+        }
+
+        await sequelize.transaction(async (transaction) => {
+            await item.destroy({ transaction });
+            await shiftPositions(access.task.id, item.position + 1, Infinity, -1, transaction);
+        });
+
+        return res.formatResponse(200, { id: item.id }, 'Elemento de la checklist eliminado correctamente');
+    } catch (error) {
+        console.error('Error al eliminar elemento de la checklist:', error);
+        return res.formatResponse(500, null, 'Error al eliminar elemento de la checklist');
+    }
+};
+
+module.exports = {
+    getChecklist,
+    createChecklistItem,
+    updateChecklistItem,
+    deleteChecklistItem
+};
\ No newline at end of file
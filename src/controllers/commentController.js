@@ -0,0 +1,216 @@
+const { Comment, User } = require('../models');
+const { sequelize } = require('../config/database');
+const { findAccessibleTask } = require('../utils/permissions');
+const { resolveMentions } = require('../utils/mentions');
+const { notifyMentions } = require('../utils/notifications');
+const { isSequelizeValidationError, formatSequelizeErrors } = require('../utils/validation');
+
+// Relaciones que se cargan con cada comentario
+const commentIncludes = [
+    {
+        model: User,
+        as: 'author',
+        attributes: ['id', 'name', 'email']
+    },
+    {
+        model: User,
+        as: 'mentions',
+        attributes: ['id', 'name', 'email'],
+        through: { attributes: [] }
+    }
+];
+
+/**
+ * Organiza una lista plana de comentarios en hilos (respuestas anidadas)
+ * @param {Array} comments - Comentarios de la tarea ordenados por fecha
+ * @returns {Array} - Comentarios raíz con sus respuestas en "replies"
+ */
+const buildThreads = (comments) => {
+    const byId = new Map();
+    const roots = [];
+
+    // Se conservan las instancias (y no objetos planos) para que los serializadores conozcan el modelo
+    for (const comment of comments) {
+        comment.setDataValue('replies', []);
+        byId.set(comment.id, comment);
+    }
+    for (const comment of byId.values()) {
+        const parent = comment.parentId ? byId.get(comment.parentId) : null;
+        if (parent) {
+            parent.getDataValue('replies').push(comment);
+        } else {
+            roots.push(comment);
+        }
+    }
+
+    return roots;
+};
+
+/**
+ * Obtiene los comentarios de una tarea organizados en hilos
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getTaskComments = async (req, res) => {
+    try {
+        const access = await findAccessibleTask(req.params.id, req.user);
+        if (access.status) {
+            return res.formatResponse(access.status, null, access.message);
+        }
+
+        const comments = await Comment.findAll({
+            where: { taskId: access.task.id },
+            include: commentIncludes,
+            order: [['createdAt', 'ASC'], ['id', 'ASC']]
+        });
+
+        return res.formatResponse(200, buildThreads(comments), 'Comentarios obtenidos correctamente');
+    } catch (error) {
+        console.error('Error al obtener comentarios:', error);
+        return res.formatResponse(500, null, 'Error al obtener comentarios');
+    }
+};
+
+/**
+ * Crea un comentario (o una respuesta) en una tarea
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const createComment = async (req, res) => {
+    try {
+        const { content, parentId } = req.body;
+
+        const access = await findAccessibleTask(req.params.id, req.user);
+        if (access.status) {
+            return res.formatResponse(access.status, null, access.message);
+        }
+
+        // Una respuesta debe pertenecer a la misma tarea que el comentario original
+        if (parentId) {
+            const parent = await Comment.findByPk(parentId);
+            if (!parent || parent.taskId !== access.task.id) {
+                return res.formatResponse(404, null, 'Comentario a responder no encontrado en esta tarea');
+            }
+        }
+
+        const mentions = await resolveMentions(content, access.project);
+
+        const comment = await sequelize.transaction(async (transaction) => {
+            const created = await Comment.create({
+                content,
+                taskId: access.task.id,
+                userId: req.user.id,
+                parentId: parentId || null
+            }, { transaction });
+            await created.setMentions(mentions, { transaction });
+            return created;
+        });
+
+        await comment.reload({ include: commentIncludes });
+
+        await notifyMentions(mentions, comment, access.task, req.user);
+
+        return res.formatResponse(201, comment, 'Comentario creado correctamente');
+    } catch (error) {
+        console.error('Error al crear comentario:', error);
+
+        // Manejo de errores de validación
+        if (isSequelizeValidationError(error)) {
+            return res.formatResponse(422, null, 'Error de validación', { errors: formatSequelizeErrors(error) });
+        }
+
+        return res.formatResponse(500, null, 'Error al crear comentario');
+    }
+};
+
+/**
+ * Edita un comentario (solo su autor)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const updateComment = async (req, res) => {
+    try {
+        const { content } = req.body;
+
+        const access = await findAccessibleTask(req.params.id, req.user);
+        if (access.status) {
+            return res.formatResponse(access.status, null, access.message);
+        }
+
+        const comment = await Comment.findOne({
+            where: { id: req.params.commentId, taskId: access.task.id }
+        });
+        if (!comment) {
+            return res.formatResponse(404, null, 'Comentario no encontrado');
+        }
+
+        if (comment.userId !== req.user.id) {
+            return res.formatResponse(403, null, 'Solo el autor puede editar este comentario');
+        }
+
+        // Las menciones se recalculan a partir del nuevo contenido (solo se notifica a los nuevos mencionados)
+        const mentions = await resolveMentions(content, access.project);
+        const previous = new Set((await comment.getMentions({ attributes: ['id'] })).map(user => user.id));
+
+        await sequelize.transaction(async (transaction) => {
+            comment.content = content;
+            await comment.save({ transaction });
+            await comment.setMentions(mentions, { transaction });
+        });
+
+        await comment.reload({ include: commentIncludes });
+
+        await notifyMentions(mentions.filter(user => !previous.has(user.id)), comment, access.task, req.user);
+
+        return res.formatResponse(200, comment, 'Comentario actualizado correctamente');
+    } catch (error) {
+        console.error('Error al actualizar comentario:', error);
+
+        // Manejo de errores de validación
+        if (isSequelizeValidationError(error)) {
+            return res.formatResponse(422, null, 'Error de validación', { errors: formatSequelizeErrors(error) });
+        }
+
+        return res.formatResponse(500, null, 'Error al actualizar comentario');
+    }
+};
+
+/**
+ * Elimina un comentario y sus respuestas (su autor o un administrador)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const deleteComment = async (req, res) => {
+    try {
+        const access = await findAccessibleTask(req.params.id, req.user);
+        if (access.status) {
+            return res.formatResponse(access.status, null, access.message);
+        }
+
+        const comment = await Comment.findOne({
+            where: { id: req.params.commentId, taskId: access.task.id }
+        });
+        if (!comment) {
+            return res.formatResponse(404, null, 'Comentario no encontrado');
+        }
+
+        if (comment.userId !== req.user.id && req.user.role !== 'admin') {
+            return res.formatResponse(403, null, 'Solo el autor puede eliminar este comentario');
+        }
+
+        // Las respuestas se eliminan automáticamente por la configuración CASCADE
+        await comment.destroy();
+
+        return res.formatResponse(200, { id: comment.id }, 'Comentario eliminado correctamente');
+    } catch (error) {
+        console.error('Error al eliminar comentario:', error);
+        return res.formatResponse(500, null, 'Error al eliminar comentario');
+    }
+};
+
+module.exports = {
+    getTaskComments,
+    createComment,
+    updateComment,
+    deleteComment
+};
\ No newline at end of file
@@ -0,0 +1,166 @@
+const { Task, TaskDependency } = require('../models');
+const { sequelize } = require('../config/database');
+const { findAccessibleTask } = require('../utils/permissions');
+const { findDependencies, findDependencyPath, topologicalOrder, findOpenBlockers } = require('../utils/dependencies');
+
+// Atributos de las tareas que se devuelven en las dependencias y en el grafo
+const TASK_SUMMARY_ATTRIBUTES = ['id', 'title', 'status', 'priority', 'dueDate', 'assignedTo'];
+
+/**
+ * Obtiene las tareas de las que depende una tarea y las que dependen de ella
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getTaskDependencies = async (req, res) => {
+    try {
+        const access = await findAccessibleTask(req.params.id, req.user);
+        if (access.status) {
+            return res.formatResponse(access.status, null, access.message);
+        }
+
+        const query = {
+            attributes: TASK_SUMMARY_ATTRIBUTES,
+            joinTableAttributes: [],
+            order: [['id', 'ASC']]
+        };
+        const blockers = await access.task.getBlockers(query);
+        const dependents = await access.task.getDependents(query);
+        const openBlockers = await findOpenBlockers(access.task);
+
+        return res.formatResponse(200, {
+            blocked: openBlockers.length > 0,
+            blockers,
+            dependents
+        }, 'Dependencias obtenidas correctamente');
+    } catch (error) {
+        console.error('Error al obtener dependencias:', error);
+        return res.formatResponse(500, null, 'Error al obtener dependencias');
+    }
+};
+
+/**
+ * Añade una dependencia: la tarea no podrá empezar ni completarse hasta completar dependsOnId
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const addDependency = async (req, res) => {
+    try {
+        const { dependsOnId } = req.body;
+
+        const access = await findAccessibleTask(req.params.id, req.user, 'task:update');
+        if (access.status) {
+            return res.formatResponse(access.status, null, access.message);
+        }
+        const { task } = access;
+
+        if (dependsOnId === task.id) {
+            return res.formatResponse(400, null, 'Una tarea no puede depender de sí misma');
+        }
+
+        const blocker = await Task.findByPk(dependsOnId);
+        if (!blocker) {
+            return res.formatResponse(404, null, 'Tarea bloqueante no encontrada');
+        }
+        if (blocker.projectId !== task.projectId) {
+            return res.formatResponse(400, null, 'Solo se pueden enlazar tareas del mismo proyecto');
+        }
+
+        // La comprobación de ciclos y la inserción se hacen en la misma transacción
+        const result = await sequelize.transaction(async (transaction) => {
+            const existing = await TaskDependency.findOne({ where: { taskId: task.id, dependsOnId }, transaction });
+            if (existing) {
+                return { status: 409, message: 'La dependencia ya existe' };
+            }
+
+            // Hay un ciclo si la tarea bloqueante ya depende (directa o indirectamente) de esta.
+            // Se incluyen las tareas de la papelera para que restaurarlas no pueda crear un ciclo.
+            const projectTasks = await Task.findAll({ where: { projectId: task.projectId }, attributes: ['id'], paranoid: false, transaction });
+            const edges = await findDependencies(projectTasks.map(projectTask => projectTask.id), { transaction });
+            const path = findDependencyPath(edges, dependsOnId, task.id);
+            if (path) {
+                const cycle = [task.id, ...path];
+                return {
+                    status: 409,
+                    message: `La dependencia crearía un ciclo: ${cycle.join(' → ')}`,
+                    data: { cycle }
+                };
+            }
+
+            return { dependency: await TaskDependency.create({ taskId: task.id, dependsOnId }, { transaction }) };
+        });
+
+        if (result.status) {
+            return res.formatResponse(result.status, result.data, result.message);
+        }
+
+        return res.formatResponse(201, result.dependency, 'Dependencia creada correctamente');
+    } catch (error) {
+        console.error('Error al crear dependencia:', error);
+        return res.formatResponse(500, null, 'Error al crear dependencia');
+    }
+};
+
+/**
+ * Elimina una dependencia de una tarea
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const removeDependency = async (req, res) => {
+    try {
+        const access = await findAccessibleTask(req.params.id, req.user, 'task:update');
+        if (access.status) {
+            return res.formatResponse(access.status, null, access.message);
+        }
+
+        const dependency = await TaskDependency.findOne({
+            where: { taskId: access.task.id, dependsOnId: req.params.dependsOnId }
+        });
+        if (!dependency) {
+            return res.formatResponse(404, null, 'Dependencia no encontrada');
+        }
+
+        await dependency.destroy();
+
+        return res.formatResponse(200, {
+            taskId: dependency.taskId,
+            dependsOnId: dependency.dependsOnId
+        }, 'Dependencia eliminada correctamente');
+    } catch (error) {
+        console.error('Error al eliminar dependencia:', error);
+        return res.formatResponse(500, null, 'Error al eliminar dependencia');
+    }
+};
+
+/**
+ * Obtiene el grafo de dependencias de un proyecto y un orden de ejecución de sus tareas
+ * (cada tarea aparece después de todas las tareas de las que depende)
+ * @param {Object} req - Objeto request de Express (req.project lo añade checkProjectPermission)
+ * @param {Object} res - Objeto response de Express
+ */
+const getProjectDependencyGraph = async (req, res) => {
+    try {
+        const tasks = await Task.findAll({
+            where: { projectId: req.project.id },
+            attributes: TASK_SUMMARY_ATTRIBUTES,
+            order: [['id', 'ASC']]
+        });
+        const taskIds = tasks.map(task => task.id);
+        const edges = await findDependencies(taskIds);
+
+        return res.formatResponse(200, {
+            nodes: tasks,
+            edges,
+            order: topologicalOrder(taskIds, edges)
+        }, 'Grafo de dependencias obtenido correctamente');
+    } catch (error) {
+        console.error('Error al obtener el grafo de dependencias:', error);
+        return res.formatResponse(500, null, 'Error al obtener el grafo de dependencias');
+    }
+};
+
+module.exports = {
+    getTaskDependencies,
+    addDependency,
+    removeDependency,
+    getProjectDependencyGraph
+};
\ No newline at end of file
@@ -0,0 +1,181 @@
+const { ProjectMember, User } = require('../models');
+const { canManageRole, hasPermission } = require('../utils/permissions');
+const { fieldError } = require('../utils/validation');
+const { recheckUserStreams } = require('../utils/realtime');
+
+/**
+ * Cuenta los propietarios de un proyecto
+ * @param {Number} projectId - ID del proyecto
+ * @returns {Number} - Número de miembros con rol 'owner'
+ */
+const countOwners = (projectId) => {
+    return ProjectMember.count({ where: { projectId, role: 'owner' } });
+};
+
+/**
+ * Obtiene los miembros de un proyecto
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getMembers = async (req, res) => {
+    try {
+        const members = await ProjectMember.findAll({
+            where: { projectId: req.project.id },
+            include: [
+                {
+                    model: User,
+                    as: 'user',
+                    attributes: ['id', 'name', 'email']
+                }
+            ],
+            order: [['createdAt', 'ASC']]
+        });
+
+        return res.formatResponse(200, members, 'Miembros obtenidos correctamente');
+    } catch (error) {
+        console.error('Error al obtener miembros:', error);
+        return res.formatResponse(500, null, 'Error al obtener miembros del proyecto');
+    }
+};
+
+/**
+ * Invita a un usuario al proyecto con un rol determinado
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const addMember = async (req, res) => {
+    try {
+        const { userId, email, role = 'contributor' } = req.body;
+
+        // Se requiere identificar al usuario por ID o por correo
+        if (!userId && !email) {
+            return res.formatResponse(422, null, 'Error de validación', {
+                errors: [fieldError('userId', 'required', 'Debe indicar el ID o el correo del usuario a invitar')]
+            });
+        }
+
+        // Solo se pueden otorgar roles inferiores al propio (salvo propietarios y administradores)
+        if (!canManageRole(req.projectRole, role)) {
+            return res.formatResponse(403, null, 'No tiene permisos para asignar este rol');
+        }
+
+        // Buscar el usuario a invitar
+        const user = userId
+            ? await User.findByPk(userId)
+            : await User.findOne({ where: { email } });
+        if (!user || !user.active) {
+            return res.formatResponse(404, null, 'Usuario no encontrado o inactivo');
+        }
+
+        // Verificar que no sea ya miembro del proyecto
+        const existing = await ProjectMember.findOne({
+            where: { projectId: req.project.id, userId: user.id }
+        });
+        if (existing) {
+            return res.formatResponse(409, null, 'El usuario ya es miembro del proyecto');
+        }
+
+        const member = await ProjectMember.create({
+            projectId: req.project.id,
+            userId: user.id,
+            role
+        });
+
+        await member.reload({
+            include: [
+                {
+                    model: User,
+                    as: 'user',
+                    attributes: ['id', 'name', 'email']
+                }
+            ]
+        });
+
+        return res.formatResponse(201, member, 'Miembro añadido correctamente');
+    } catch (error) {
+        console.error('Error al añadir miembro:', error);
+        return res.formatResponse(500, null, 'Error al añadir miembro al proyecto');
+    }
+};
+
+/**
+ * Cambia el rol de un miembro del proyecto
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const updateMemberRole = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { role } = req.body;
+
+        const member = await ProjectMember.findOne({
+            where: { projectId: req.project.id, userId }
+        });
+        if (!member) {
+            return res.formatResponse(404, null, 'Miembro no encontrado');
+        }
+
+        // Verificar que el usuario puede gestionar tanto el rol actual como el nuevo
+        if (!canManageRole(req.projectRole, member.role) || !canManageRole(req.projectRole, role)) {
+            return res.formatResponse(403, null, 'No tiene permisos para cambiar el rol de este miembro');
+        }
+
+        // El proyecto no puede quedarse sin propietario
+        if (member.role === 'owner' && role !== 'owner' && await countOwners(req.project.id) <= 1) {
+            return res.formatResponse(400, null, 'El proyecto debe tener al menos un propietario');
+        }
+
+        member.role = role;
+        await member.save();
+
+        return res.formatResponse(200, member, 'Rol del miembro actualizado correctamente');
+    } catch (error) {
+        console.error('Error al actualizar miembro:', error);
+        return res.formatResponse(500, null, 'Error al actualizar el rol del miembro');
+    }
+};
+
+/**
+ * Elimina a un miembro del proyecto (cualquier miembro puede abandonar el proyecto)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const removeMember = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const member = await ProjectMember.findOne({
+            where: { projectId: req.project.id, userId }
+        });
+        if (!member) {
+            return res.formatResponse(404, null, 'Miembro no encontrado');
+        }
+
+        // Se permite abandonar el proyecto; eliminar a otros requiere gestionar su rol
+        const isSelf = member.userId === req.user.id;
+        if (!isSelf && !(hasPermission(req.projectRole, 'members:manage') && canManageRole(req.projectRole, member.role))) {
+            return res.formatResponse(403, null, 'No tiene permisos para eliminar a este miembro');
+        }
+
+        // El proyecto no puede quedarse sin propietario
+        if (member.role === 'owner' && await countOwners(req.project.id) <= 1) {
+            return res.formatResponse(400, null, 'El proyecto debe tener al menos un propietario');
+        }
+
+        await member.destroy();
+        // Cierra el canal de eventos del proyecto si lo tenía abierto
+        await recheckUserStreams(member.userId);
+
+        return res.formatResponse(200, { projectId: req.project.id, userId: member.userId }, 'Miembro eliminado correctamente');
+    } catch (error) {
+        console.error('Error al eliminar miembro:', error);
+        return res.formatResponse(500, null, 'Error al eliminar miembro del proyecto');
+    }
+};
+
+module.exports = {
+    getMembers,
+    addMember,
+    updateMemberRole,
+    removeMember
+};
\ No newline at end of file
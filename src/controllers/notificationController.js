@@ -0,0 +1,137 @@
+const { Op } = require('sequelize');
+const { Notification, User } = require('../models');
+const { parsePaginationParams, paginate } = require('../utils/pagination');
+const { getNotificationPreferences, setNotificationPreferences } = require('../utils/notifications');
+
+// Campos por los que se permite ordenar las notificaciones
+const NOTIFICATION_SORT_FIELDS = ['createdAt', 'type', 'readAt'];
+
+// Usuario que provocó cada notificación incluido en las respuestas
+const actorInclude = {
+    model: User,
+    as: 'actor',
+    attributes: ['id', 'name', 'email']
+};
+
+/**
+ * Obtiene las notificaciones del usuario autenticado (las más recientes primero)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getNotifications = async (req, res) => {
+    try {
+        const { read, type } = req.query;
+
+        const where = { userId: req.user.id };
+        if (read !== undefined) where.readAt = read ? { [Op.ne]: null } : null;
+        if (type) where.type = { [Op.in]: type };
+
+        const pagination = parsePaginationParams(req.query, {
+            sortable: NOTIFICATION_SORT_FIELDS,
+            defaultSort: '-createdAt'
+        });
+        const { rows, meta } = await paginate(Notification, { where, include: [actorInclude] }, pagination, req);
+
+        return res.formatResponse(200, rows, 'Notificaciones obtenidas correctamente', { pagination: meta });
+    } catch (error) {
+        console.error('Error al obtener notificaciones:', error);
+
+        // Parámetros de paginación u ordenación inválidos
+        if (error.name === 'PaginationError') {
+            return res.formatResponse(400, null, error.message);
+        }
+
+        return res.formatResponse(500, null, 'Error al obtener notificaciones');
+    }
+};
+
+/**
+ * Marca una notificación como leída o no leída
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const updateNotification = async (req, res) => {
+    try {
+        const { read } = req.body;
+
+        // Solo se puede acceder a las notificaciones propias
+        const notification = await Notification.findOne({
+            where: { id: req.params.id, userId: req.user.id }
+        });
+        if (!notification) {
+            return res.formatResponse(404, null, 'Notificación no encontrada');
+        }
+
+        // Al volver a marcarla como leída se conserva la fecha de la primera lectura
+        if (!read) {
+            notification.readAt = null;
+        } else if (!notification.readAt) {
+            notification.readAt = new Date();
+        }
+        await notification.save();
+
+        return res.formatResponse(200, notification, 'Notificación actualizada correctamente');
+    } catch (error) {
+        console.error('Error al actualizar notificación:', error);
+        return res.formatResponse(500, null, 'Error al actualizar notificación');
+    }
+};
+
+/**
+ * Marca como leídas todas las notificaciones pendientes del usuario
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const markAllNotificationsRead = async (req, res) => {
+    try {
+        const [updated] = await Notification.update(
+            { readAt: new Date() },
+            { where: { userId: req.user.id, readAt: null } }
+        );
+
+        return res.formatResponse(200, { updated }, 'Notificaciones marcadas como leídas');
+    } catch (error) {
+        console.error('Error al marcar notificaciones como leídas:', error);
+        return res.formatResponse(500, null, 'Error al marcar notificaciones como leídas');
+    }
+};
+
+/**
+ * Obtiene las preferencias de notificación del usuario autenticado
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getPreferences = async (req, res) => {
+    try {
+        const preferences = await getNotificationPreferences(req.user.id);
+
+        return res.formatResponse(200, preferences, 'Preferencias obtenidas correctamente');
+    } catch (error) {
+        console.error('Error al obtener preferencias de notificación:', error);
+        return res.formatResponse(500, null, 'Error al obtener preferencias de notificación');
+    }
+};
+
+/**
+ * Activa o desactiva tipos de notificación para el usuario autenticado
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const updatePreferences = async (req, res) => {
+    try {
+        const preferences = await setNotificationPreferences(req.user.id, req.body);
+
+        return res.formatResponse(200, preferences, 'Preferencias actualizadas correctamente');
+    } catch (error) {
+        console.error('Error al actualizar preferencias de notificación:', error);
+        return res.formatResponse(500, null, 'Error al actualizar preferencias de notificación');
+    }
+};
+
+module.exports = {
+    getNotifications,
+    updateNotification,
+    markAllNotificationsRead,
+    getPreferences,
+    updatePreferences
+};
\ No newline at end of file
@@ -1,227 +1,310 @@
-const { Project, User, Task } = require('../models');
-const { Op } = require('sequelize');
-
-/**
- * Obtiene todos los proyectos del usuario autenticado
- * @param {Object} req - Objeto request de Express
- * @param {Object} res - Objeto response de Express
- */
-const getProjects = async (req, res) => {
-    try {
-        // Parámetros de filtrado opcionales
-        const { status, search } = req.query;
-        
-        // Construir condiciones de búsqueda
-        const whereConditions = {
-            // Solo mostrar proyectos creados por el usuario actual (a menos que sea admin)
-            createdBy: req.user.role === 'admin' ? undefined : req.user.id
-        };
-        
-        // Filtrar por estado si se proporciona
-        if (status && ['active', 'completed', 'canceled'].includes(status)) {
-            whereConditions.status = status;
-        }
-        
-        // Filtrar por término de búsqueda
-        if (search) {
-            whereConditions.name = {
-                [Op.like]: `%${search}%`
-            };
-        }
-
-        // Buscar proyectos que coincidan con los criterios
-        const projects = await Project.findAll({
-            where: whereConditions,
-            include: [
-                {
-                    model: User,
-                    as: 'creator',
-                    attributes: ['id', 'name', 'email']
-                },
-                {
-                    model: Task,
-                    as: 'tasks',
-                    attributes: ['id', 'title', 'status'],
-                    limit: 5 // Mostrar solo las primeras 5 tareas para no sobrecargar
-                }
-            ],
-            order: [['createdAt', 'DESC']]
-        });
-
-        return res.formatResponse(200, projects, 'Proyectos obtenidos correctamente');
-    } catch (error) {
-        console.error('Error al obtener proyectos:', error);
-        return res.formatResponse(500, null, 'Error al obtener proyectos');
-    }
-};
-
-/**
- * Obtiene un proyecto específico por su ID
- * @param {Object} req - Objeto request de Express
- * @param {Object} res - Objeto response de Express
- */
-const getProjectById = async (req, res) => {
-    try {
-        const { id } = req.params;
-
-        // Buscar proyecto por ID
-        const project = await Project.findByPk(id, {
-            include: [
-                {
-                    model: User,
-                    as: 'creator',
-                    attributes: ['id', 'name', 'email']
-                },
-                {
-                    model: Task,
-                    as: 'tasks',
-                    include: [
-                        {
-                            model: User,
-                            as: 'assignee',
-                            attributes: ['id', 'name', 'email']
-                        }
-                    ]
-                }
-            ]
-        });
-
-        if (!project) {
-            return res.formatResponse(404, null, 'Proyecto no encontrado');
-        }
-
-        // Verificar si el usuario tiene permisos para ver este proyecto
-        // (solo el creador o administradores pueden verlo)
-        if (project.createdBy !== req.user.id && req.user.role !== 'admin') {
-            return res.formatResponse(403, null, 'No tiene permisos para ver este proyecto');
-        }
-
-        return res.formatResponse(200, project, 'Proyecto obtenido correctamente');
-    } catch (error) {
-        console.error('Error al obtener proyecto:', error);
-        return res.formatResponse(500, null, 'Error al obtener proyecto');
-    }
-};
-
-/**
- * Crea un nuevo proyecto
- * @param {Object} req - Objeto request de Express
- * @param {Object} res - Objeto response de Express
- */
-const createProject = async (req, res) => {
-    try {
-        const { name, description, status, startDate, endDate } = req.body;
-        
-        // Validar campos requeridos
-        if (!name) {
-            return res.formatResponse(400, null, 'El nombre del proyecto es requerido');
-        }
-
-        // Crear nuevo proyecto
-        const project = await Project.create({
-            name,
-            description,
-            status: status || 'active',
-            startDate: startDate || new Date(),
-            endDate,
-            createdBy: req.user.id // El creador es el usuario autenticado
-        });
-
-        return res.formatResponse(201, project, 'Proyecto creado correctamente');
-    } catch (error) {
-        console.error('Error al crear proyecto:', error);
-        
-        // Manejo de errores de validación
-        if (error.name === 'SequelizeValidationError') {
-            const messages = error.errors.map(e => e.message);
-            return res.formatResponse(400, null, messages.join(', '));
-        }
-        
-        return res.formatResponse(500, null, 'Error al crear proyecto');
-    }
-};
-
-/**
- * Actualiza un proyecto existente
- * @param {Object} req - Objeto request de Express
- * @param {Object} res - Objeto response de Express
- */
-const updateProject = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { name, description, status, startDate, endDate } = req.body;
-
-        // Buscar proyecto por ID
-        const project = await Project.findByPk(id);
-        
-        if (!project) {
-            return res.formatResponse(404, null, 'Proyecto no encontrado');
-        }
-
-        // Verificar si el usuario tiene permisos para modificar este proyecto
-        if (project.createdBy !== req.user.id && req.user.role !== 'admin') {
-            return res.formatResponse(403, null, 'No tiene permisos para modificar este proyecto');
-        }
-
-        // Actualizar propiedades del proyecto
-        if (name) project.name = name;
-        if (description !== undefined) project.description = description;
-        if (status && ['active', 'completed', 'canceled'].includes(status)) project.status = status;
-        if (startDate) project.startDate = startDate;
-        if (endDate !== undefined) project.endDate = endDate;
-
-        // Guardar cambios
-        await project.save();
-
-        return res.formatResponse(200, project, 'Proyecto actualizado correctamente');
-    } catch (error) {
-        console.error('Error al actualizar proyecto:', error);
-        
-        // Manejo de errores de validación
-        if (error.name === 'SequelizeValidationError') {
-            const messages = error.errors.map(e => e.message);
-            return res.formatResponse(400, null, messages.join(', '));
-        }
-        
-        return res.formatResponse(500, null, 'Error al actualizar proyecto');
-    }
-};
-
-/**
- * Elimina un proyecto
- * @param {Object} req - Objeto request de Express
- * @param {Object} res - Objeto response de Express
- */
-const deleteProject = async (req, res) => {
-    try {
-        const { id } = req.params;
-
-        // Buscar proyecto por ID
-        const project = await Project.findByPk(id);
-        
-        if (!project) {
-            return res.formatResponse(404, null, 'Proyecto no encontrado');
-        }
-
-        // Verificar si el usuario tiene permisos para eliminar este proyecto
-        if (project.createdBy !== req.user.id && req.user.role !== 'admin') {
-            return res.formatResponse(403, null, 'No tiene permisos para eliminar este proyecto');
-        }
-
-        // Eliminar proyecto (las tareas se eliminarán automáticamente por la configuración CASCADE en las relaciones)
-        await project.destroy();
-
-        return res.formatResponse(200, { id }, 'Proyecto eliminado correctamente');
-    } catch (error) {
-        console.error('Error al eliminar proyecto:', error);
-        return res.formatResponse(500, null, 'Error al eliminar proyecto');
-    }
-};
-
-module.exports = {
-    getProjects,
-    getProjectById,
-    createProject,
-    updateProject,
-    deleteProject
+const { Project, User, Task, ProjectMember } = require('../models');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { getProjectRole, hasPermission, getMemberProjectIds } = require('../utils/permissions');
+const { parsePaginationParams, paginate } = require('../utils/pagination');
+const { isSequelizeValidationError, formatSequelizeErrors } = require('../utils/validation');
+const { pendingChanges, publishEvent } = require('../utils/events');
+const { setEntityTag, checkIfMatch, isConcurrentModificationError } = require('../utils/concurrency');
+const { patchResource } = require('../utils/patch');
+const { replaceProject } = require('../validators/projectSchemas');
+
+// Campos por los que se permite ordenar el listado de proyectos
+const PROJECT_SORT_FIELDS = ['name', 'status', 'startDate', 'endDate', 'createdAt', 'updatedAt'];
+
+/**
+ * Obtiene todos los proyectos del usuario autenticado
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getProjects = async (req, res) => {
+    try {
+        // Parámetros de filtrado opcionales
+        const { status, search } = req.query;
+        
+        // Construir condiciones de búsqueda
+        const whereConditions = {};
+
+        // Solo mostrar proyectos de los que el usuario es miembro (a menos que sea admin)
+        if (req.user.role !== 'admin') {
+            const memberProjectIds = await getMemberProjectIds(req.user.id);
+            whereConditions.id = { [Op.in]: memberProjectIds };
+        }
+        
+        // Filtrar por estado si se proporciona
+        if (status) {
+            whereConditions.status = status;
+        }
+        
+        // Filtrar por término de búsqueda
+        if (search) {
+            whereConditions.name = {
+                [Op.like]: `%${search}%`
+            };
+        }
+
+        // Parámetros de paginación y ordenación (page/limit o cursor, sort=campo,-campo)
+        const pagination = parsePaginationParams(req.query, {
+            sortable: PROJECT_SORT_FIELDS,
+            defaultSort: '-createdAt'
+        });
+
+        // Buscar proyectos que coincidan con los criterios
+        const { rows: projects, meta } = await paginate(Project, {
+            where: whereConditions,
+            include: [
+                {
+                    model: User,
+                    as: 'creator',
+                    attributes: ['id', 'name', 'email']
+                },
+                {
+                    model: Task,
+                    as: 'tasks',
+                    attributes: ['id', 'title', 'status'],
+                    separate: true,
+                    limit: 5 // Mostrar solo las primeras 5 tareas para no sobrecargar
+                }
+            ]
+        }, pagination, req);
+
+        return res.formatResponse(200, projects, 'Proyectos obtenidos correctamente', { pagination: meta });
+    } catch (error) {
+        console.error('Error al obtener proyectos:', error);
+
+        // Parámetros de paginación u ordenación inválidos
+        if (error.name === 'PaginationError') {
+            return res.formatResponse(400, null, error.message);
+        }
+        return res.formatResponse(500, null, 'Error al obtener proyectos');
+    }
+};
+
+/**
+ * Obtiene un proyecto específico por su ID
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getProjectById = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Buscar proyecto por ID
+        const project = await Project.findByPk(id, {
+            include: [
+                {
+                    model: User,
+                    as: 'creator',
+                    attributes: ['id', 'name', 'email']
+                },
+                {
+                    model: Task,
+                    as: 'tasks',
+                    include: [
+                        {
+                            model: User,
+                            as: 'assignee',
+                            attributes: ['id', 'name', 'email']
+                        }
+                    ]
+                },
+                {
+                    model: ProjectMember,
+                    as: 'members',
+                    attributes: ['userId', 'role'],
+                    include: [
+                        {
+                            model: User,
+                            as: 'user',
+                            attributes: ['id', 'name', 'email']
+                        }
+                    ]
+                }
+            ]
+        });
+
+        if (!project) {
+            return res.formatResponse(404, null, 'Proyecto no encontrado');
+        }
+
+        // Verificar si el usuario tiene permisos para ver este proyecto
+        // (miembros del proyecto o administradores)
+        const role = await getProjectRole(project, req.user);
+        if (!hasPermission(role, 'project:view')) {
+            return res.formatResponse(403, null, 'No tiene permisos para ver este proyecto');
+        }
+
+        setEntityTag(req, res, project);
+        return res.formatResponse(200, project, 'Proyecto obtenido correctamente');
+    } catch (error) {
+        console.error('Error al obtener proyecto:', error);
+        return res.formatResponse(500, null, 'Error al obtener proyecto');
+    }
+};
+
+/**
+ * Crea un nuevo proyecto
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const createProject = async (req, res) => {
+    try {
+        const { name, description, status, startDate, endDate } = req.body;
+
+        // Crear el proyecto y registrar al creador como propietario en la misma transacción:
+        // un proyecto sin propietario no sería accesible para nadie
+        const project = await sequelize.transaction(async (transaction) => {
+            const created = await Project.create({
+                name,
+                description,
+                status: status || 'active',
+                startDate: startDate || new Date(),
+                endDate,
+                createdBy: req.user.id // El creador es el usuario autenticado
+            }, { transaction });
+
+            await ProjectMember.create({
+                projectId: created.id,
+                userId: req.user.id,
+                role: 'owner'
+            }, { transaction });
+
+            return created;
+        });
+
+        await publishEvent('project.created', { projectId: project.id, data: project });
+
+        return res.formatResponse(201, project, 'Proyecto creado correctamente');
+    } catch (error) {
+        console.error('Error al crear proyecto:', error);
+        
+        // Manejo de errores de validación
+        if (isSequelizeValidationError(error)) {
+            return res.formatResponse(422, null, 'Error de validación', { errors: formatSequelizeErrors(error) });
+        }
+        
+        return res.formatResponse(500, null, 'Error al crear proyecto');
+    }
+};
+
+/**
+ * Actualiza un proyecto existente:
+ *  - PUT: el cuerpo es el proyecto completo (los campos opcionales omitidos quedan a null)
+ *  - PATCH: el cuerpo es un JSON Merge Patch o un JSON Patch que se aplica al proyecto actual
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const updateProject = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Buscar proyecto por ID
+        const project = await Project.findByPk(id);
+        
+        if (!project) {
+            return res.formatResponse(404, null, 'Proyecto no encontrado');
+        }
+
+        // Verificar si el usuario tiene permisos para modificar este proyecto
+        const role = await getProjectRole(project, req.user);
+        if (!hasPermission(role, 'project:update')) {
+            return res.formatResponse(403, null, 'No tiene permisos para modificar este proyecto');
+        }
+
+        // Precondición If-Match: el cliente debe tener la versión actual del proyecto
+        const precondition = checkIfMatch(req, project);
+        if (precondition) {
+            return res.formatResponse(precondition.status, null, precondition.message);
+        }
+
+        // Proyecto completo resultante (el cuerpo de PUT ya llega validado)
+        const values = req.method === 'PATCH' ? patchResource(req, project, replaceProject.body) : req.body;
+        for (const field of Object.keys(replaceProject.body)) {
+            project[field] = values[field] === undefined ? null : values[field];
+        }
+
+        // Guardar cambios
+        const changes = pendingChanges(project);
+        await project.save();
+
+        if (Object.keys(changes).length > 0) {
+            await publishEvent('project.updated', { projectId: project.id, data: project, changes });
+        }
+
+        setEntityTag(req, res, project);
+        return res.formatResponse(200, project, 'Proyecto actualizado correctamente');
+    } catch (error) {
+        console.error('Error al actualizar proyecto:', error);
+
+        // Documento de cambios que no se puede aplicar o cuyo resultado no es válido
+        if (error.name === 'PatchError') {
+            return res.formatResponse(error.status, null, error.message, error.errors ? { errors: error.errors } : undefined);
+        }
+
+        // Otra petición modificó el proyecto mientras se procesaba esta
+        if (isConcurrentModificationError(error)) {
+            return res.formatResponse(412, null, 'El proyecto ha sido modificado por otra petición: vuelva a obtenerlo y repita el cambio');
+        }
+
+        // Manejo de errores de validación
+        if (isSequelizeValidationError(error)) {
+            return res.formatResponse(422, null, 'Error de validación', { errors: formatSequelizeErrors(error) });
+        }
+        
+        return res.formatResponse(500, null, 'Error al actualizar proyecto');
+    }
+};
+
+/**
+ * Elimina un proyecto
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const deleteProject = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Buscar proyecto por ID
+        const project = await Project.findByPk(id);
+        
+        if (!project) {
+            return res.formatResponse(404, null, 'Proyecto no encontrado');
+        }
+
+        // Verificar si el usuario tiene permisos para eliminar este proyecto
+        const role = await getProjectRole(project, req.user);
+        if (!hasPermission(role, 'project:delete')) {
+            return res.formatResponse(403, null, 'No tiene permisos para eliminar este proyecto');
+        }
+
+        // Precondición If-Match: el cliente debe tener la versión actual del proyecto
+        const precondition = checkIfMatch(req, project);
+        if (precondition) {
+            return res.formatResponse(precondition.status, null, precondition.message);
+        }
+
+        // Enviar el proyecto a la papelera junto con sus tareas (se borran definitivamente al terminar el plazo de conservación)
+        await sequelize.transaction((transaction) => project.destroy({ transaction }));
+
+        await publishEvent('project.deleted', { projectId: project.id, data: project });
+
+        return res.formatResponse(200, { id }, 'Proyecto enviado a la papelera correctamente');
+    } catch (error) {
+        console.error('Error al eliminar proyecto:', error);
+
+        // Otra petición modificó el proyecto mientras se procesaba esta
+        if (isConcurrentModificationError(error)) {
+            return res.formatResponse(412, null, 'El proyecto ha sido modificado por otra petición: vuelva a obtenerlo y repita el cambio');
+        }
+
+        return res.formatResponse(500, null, 'Error al eliminar proyecto');
+    }
+};
+
+module.exports = {
+    getProjects,
+    getProjectById,
+    createProject,
+    updateProject,
+    deleteProject
 };
\ No newline at end of file
@@ -0,0 +1,33 @@
+const { openProjectStream } = require('../utils/realtime');
+
+/**
+ * Abre el canal de eventos en tiempo real de un proyecto (Server-Sent Events).
+ * Para continuar tras una reconexión se usa la cabecera Last-Event-ID (la envía EventSource
+ * automáticamente) o, si no está, el parámetro lastEventId. El canal se cierra al expirar el token.
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const streamProjectEvents = (req, res) => {
+    try {
+        const header = req.get('Last-Event-ID');
+        if (header !== undefined && !/^\d+$/.test(header.trim())) {
+            return res.formatResponse(400, null, 'La cabecera Last-Event-ID debe ser un identificador de evento');
+        }
+        const resumeFrom = header !== undefined ? Number(header.trim()) : req.query.lastEventId;
+
+        const { tv, jti, exp } = req.tokenPayload;
+        openProjectStream(res, req.project.id, resumeFrom, {
+            userId: req.user.id,
+            tokenVersion: tv || 0,
+            jti,
+            expiresAt: exp ? exp * 1000 : null
+        });
+    } catch (error) {
+        console.error('Error al abrir el canal de eventos:', error);
+        return res.formatResponse(500, null, 'Error al abrir el canal de eventos');
+    }
+};
+
+module.exports = {
+    streamProjectEvents
+};
\ No newline at end of file
@@ -0,0 +1,34 @@
+const { getVisibleProjectIds } = require('../utils/permissions');
+const { searchDocuments } = require('../utils/search');
+const { DEFAULT_LIMIT, buildPageMeta } = require('../utils/pagination');
+
+/**
+ * Búsqueda de texto completo en proyectos, tareas y comentarios de los proyectos visibles
+ * para el usuario, ordenada por relevancia
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const search = async (req, res) => {
+    try {
+        const { q, type, status, projectId, page = 1, limit = DEFAULT_LIMIT } = req.query;
+
+        // Solo proyectos de los que el usuario es miembro (a menos que sea admin)
+        let projectIds = await getVisibleProjectIds(req.user);
+        if (projectId) {
+            projectIds = !projectIds || projectIds.includes(projectId) ? [projectId] : [];
+        }
+
+        const { total, results } = await searchDocuments({ q, types: type, statuses: status, projectIds, page, limit });
+
+        return res.formatResponse(200, results, 'Búsqueda realizada correctamente', {
+            pagination: buildPageMeta(req, { page, limit, total, sort: '-score' })
+        });
+    } catch (error) {
+        console.error('Error al realizar la búsqueda:', error);
+        return res.formatResponse(500, null, 'Error al realizar la búsqueda');
+    }
+};
+
+module.exports = {
+    search
+};
\ No newline at end of file
@@ -0,0 +1,59 @@
+const { Op } = require('sequelize');
+const { Project } = require('../models');
+const { getVisibleProjectIds } = require('../utils/permissions');
+const { buildTaskStatistics, buildProjectBreakdown } = require('../utils/statistics');
+
+/**
+ * Obtiene las estadísticas de las tareas de un proyecto
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getProjectStatistics = async (req, res) => {
+    try {
+        const { interval, periods } = req.query;
+
+        const statistics = await buildTaskStatistics({ projectId: req.project.id }, { interval, periods });
+
+        return res.formatResponse(200, {
+            project: { id: req.project.id, name: req.project.name },
+            ...statistics
+        }, 'Estadísticas del proyecto obtenidas correctamente');
+    } catch (error) {
+        console.error('Error al obtener estadísticas del proyecto:', error);
+        return res.formatResponse(500, null, 'Error al obtener estadísticas del proyecto');
+    }
+};
+
+/**
+ * Obtiene el panel general: estadísticas de todos los proyectos (administradores)
+ * o de los proyectos de los que el usuario es miembro
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getStatistics = async (req, res) => {
+    try {
+        const { interval, periods } = req.query;
+
+        // Los administradores ven todos los proyectos
+        const visibleProjectIds = await getVisibleProjectIds(req.user);
+        const projectIds = visibleProjectIds || (await Project.findAll({ attributes: ['id'] })).map(project => project.id);
+
+        const statistics = await buildTaskStatistics({ projectId: { [Op.in]: projectIds } }, { interval, periods });
+        const byProject = await buildProjectBreakdown(projectIds);
+
+        return res.formatResponse(200, {
+            scope: req.user.role === 'admin' ? 'all' : 'user',
+            projects: projectIds.length,
+            ...statistics,
+            byProject
+        }, 'Estadísticas obtenidas correctamente');
+    } catch (error) {
+        console.error('Error al obtener estadísticas:', error);
+        return res.formatResponse(500, null, 'Error al obtener estadísticas');
+    }
+};
+
+module.exports = {
+    getProjectStatistics,
+    getStatistics
+};
\ No newline at end of file
@@ -1,290 +1,705 @@
-const { Task, Project, User } = require('../models');
-const { Op } = require('sequelize');
-
-/**
- * Obtiene todas las tareas de un proyecto
- * @param {Object} req - Objeto request de Express
- * @param {Object} res - Objeto response de Express
- */
-const getProjectTasks = async (req, res) => {
-    try {
-        const { projectId } = req.params;
-        const { status, priority, assignedTo } = req.query;
-
-        // Verificar que el proyecto existe
-        const project = await Project.findByPk(projectId);
-        if (!project) {
-            return res.formatResponse(404, null, 'Proyecto no encontrado');
-        }
-
-        // Verificar si el usuario tiene acceso al proyecto
-        if (project.createdBy !== req.user.id && req.user.role !== 'admin') {
-            return res.formatResponse(403, null, 'No tiene permisos para ver las tareas de este proyecto');
-        }
-
-        // Construir condiciones de búsqueda
-        const whereConditions = {
-            projectId
-        };
-
-        // Aplicar filtros opcionales
-        if (status && ['pending', 'in_progress', 'completed', 'canceled'].includes(status)) {
-            whereConditions.status = status;
-        }
-
-        if (priority && ['low', 'medium', 'high'].includes(priority)) {
-            whereConditions.priority = priority;
-        }
-
-        if (assignedTo) {
-            whereConditions.assignedTo = assignedTo;
-        }
-
-        // Buscar tareas que coincidan con los criterios
-        const tasks = await Task.findAll({
-            where: whereConditions,
-            include: [
-                {
-                    model: User,
-                    as: 'assignee',
-                    attributes: ['id', 'name', 'email']
-                }
-            ],
-            order: [
-                ['priority', 'DESC'],
-                ['createdAt', 'DESC']
-            ]
-        });
-
-        return res.formatResponse(200, tasks, 'Tareas obtenidas correctamente');
-    } catch (error) {
-        console.error('Error al obtener tareas:', error);
-        return res.formatResponse(500, null, 'Error al obtener tareas');
-    }
-};
-
-/**
- * Obtiene una tarea específica por su ID
- * @param {Object} req - Objeto request de Express
- * @param {Object} res - Objeto response de Express
- */
-const getTaskById = async (req, res) => {
-    try {
-        const { id } = req.params;
-
-        // Buscar tarea por ID
-        const task = await Task.findByPk(id, {
-            include: [
-                {
-                    model: Project,
-                    as: 'project'
-                },
-                {
-                    model: User,
-                    as: 'assignee',
-                    attributes: ['id', 'name', 'email']
-                }
-            ]
-        });
-
-        if (!task) {
-            return res.formatResponse(404, null, 'Tarea no encontrada');
-        }
-
-        // Verificar si el usuario tiene permisos para ver esta tarea
-        const project = await Project.findByPk(task.projectId);
-        if (project.createdBy !== req.user.id && req.user.role !== 'admin') {
-            return res.formatResponse(403, null, 'No tiene permisos para ver esta tarea');
-        }
-
-        return res.formatResponse(200, task, 'Tarea obtenida correctamente');
-    } catch (error) {
-        console.error('Error al obtener tarea:', error);
-        return res.formatResponse(500, null, 'Error al obtener tarea');
-    }
-};
-
-/**
- * Crea una nueva tarea en un proyecto
- * @param {Object} req - Objeto request de Express
- * @param {Object} res - Objeto response de Express
- */
-const createTask = async (req, res) => {
-    try {
-        const { projectId } = req.params;
-        const { title, description, status, priority, dueDate, assignedTo } = req.body;
-        
-        // Validar campos requeridos
-        if (!title) {
-            return res.formatResponse(400, null, 'El título de la tarea es requerido');
-        }
-
-        // Verificar que el proyecto existe
-        const project = await Project.findByPk(projectId);
-        if (!project) {
-            return res.formatResponse(404, null, 'Proyecto no encontrado');
-        }
-
-        // Verificar si el usuario tiene permisos para añadir tareas al proyecto
-        if (project.createdBy !== req.user.id && req.user.role !== 'admin') {
-            return res.formatResponse(403, null, 'No tiene permisos para añadir tareas a este proyecto');
-        }
-
-        // Si se asigna a un usuario, verificar que existe
-        if (assignedTo) {
-            const assignee = await User.findByPk(assignedTo);
-            if (!assignee) {
-                return res.formatResponse(404, null, 'Usuario asignado no encontrado');
-            }
-        }
-
-        // Crear nueva tarea
-        const task = await Task.create({
-            title,
-            description,
-            status: status || 'pending',
-            priority: priority || 'medium',
-            dueDate,
-            projectId,
-            assignedTo
-        });
-
-        // Cargar el usuario asignado para la respuesta
-        if (assignedTo) {
-            await task.reload({
-                include: [
-                    {
-                        model: User,
-                        as: 'assignee',
-                        attributes: ['id', 'name', 'email']
-                    }
-                ]
-            });
-        }
-
-        return res.formatResponse(201, task, 'Tarea creada correctamente');
-    } catch (error) {
-        console.error('Error al crear tarea:', error);
-        
-        // Manejo de errores de validación
-        if (error.name === 'SequelizeValidationError') {
-            const messages = error.errors.map(e => e.message);
-            return res.formatResponse(400, null, messages.join(', '));
-        }
-        
-        return res.formatResponse(500, null, 'Error al crear tarea');
-    }
-};
-
-/**
- * Actualiza una tarea existente
- * @param {Object} req - Objeto request de Express
- * @param {Object} res - Objeto response de Express
- */
-const updateTask = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { title, description, status, priority, dueDate, assignedTo } = req.body;
-
-        // Buscar tarea por ID
-        const task = await Task.findByPk(id);
-        
-        if (!task) {
-            return res.formatResponse(404, null, 'Tarea no encontrada');
-        }
-
-        // Verificar si el usuario tiene permisos para modificar esta tarea
-        const project = await Project.findByPk(task.projectId);
-        if (project.createdBy !== req.user.id && req.user.role !== 'admin') {
-            return res.formatResponse(403, null, 'No tiene permisos para modificar esta tarea');
-        }
-
-        // Si se asigna a un usuario, verificar que existe
-        if (assignedTo && assignedTo !== task.assignedTo) {
-            const assignee = await User.findByPk(assignedTo);
-            if (!assignee) {
-                return res.formatResponse(404, null, 'Usuario asignado no encontrado');
-            }
-        }
-
-        // Actualizar propiedades de la tarea
-        if (title) task.title = title;
-        if (description !== undefined) task.description = description;
-        if (status && ['pending', 'in_progress', 'completed', 'canceled'].includes(status)) {
-            task.status = status;
-        }
-        if (priority && ['low', 'medium', 'high'].includes(priority)) {
-            task.priority = priority;
-        }
-        if (dueDate !== undefined) task.dueDate = dueDate;
-        if (assignedTo !== undefined) task.assignedTo = assignedTo;
-
-        // Guardar cambios
-        await task.save();
-
-        // Cargar el usuario asignado para la respuesta
-        if (task.assignedTo) {
-            await task.reload({
-                include: [
-                    {
-                        model: User,
-                        as: 'assignee',
-                        attributes: ['id', 'name', 'email']
-                    }
-                ]
-            });
-        }
-
-        return res.formatResponse(200, task, 'Tarea actualizada correctamente');
-    } catch (error) {
-        console.error('Error al actualizar tarea:', error);
-        
-        // Manejo de errores de validación
-        if (error.name === 'SequelizeValidationError') {
-            const messages = error.errors.map(e => e.message);
-            return res.formatResponse(400, null, messages.join(', '));
-        }
-        
-        return res.formatResponse(500, null, 'Error al actualizar tarea');
-    }
-};
-
-/**
- * Elimina una tarea
- * @param {Object} req - Objeto request de Express
- * @param {Object} res - Objeto response de Express
- */
-const deleteTask = async (req, res) => {
-    try {
-        const { id } = req.params;
-
-        // Buscar tarea por ID
-        const task = await Task.findByPk(id);
-        
-        if (!task) {
-            return res.formatResponse(404, null, 'Tarea no encontrada');
-        }
-
-        // Verificar si el usuario tiene permisos para eliminar esta tarea
-        const project = await Project.findByPk(task.projectId);
-        if (project.createdBy !== req.user.id && req.user.role !== 'admin') {
-            return res.formatResponse(403, null, 'No tiene permisos para eliminar esta tarea');
-        }
-
-        // Eliminar tarea
-        await task.destroy();
-
-        return res.formatResponse(200, { id }, 'Tarea eliminada correctamente');
-    } catch (error) {
-        console.error('Error al eliminar tarea:', error);
-        return res.formatResponse(500, null, 'Error al eliminar tarea');
-    }
-};
-
-module.exports = {
-    getProjectTasks,
-    getTaskById,
-    createTask,
-    updateTask,
-    deleteTask
+const { Task, Project, User, ChecklistItem } = require('../models');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { getProjectRole, hasPermission, getVisibleProjectIds } = require('../utils/permissions');
+const { parsePaginationParams, paginate } = require('../utils/pagination');
+const { validateSchema, isSequelizeValidationError, formatSequelizeErrors } = require('../utils/validation');
+const { findOpenBlockers, requiresUnblocked } = require('../utils/dependencies');
+const { checkParent, findOpenSubtasks, attachSubtaskTree } = require('../utils/subtasks');
+const { buildTaskFilters } = require('../utils/taskFilters');
+const { pendingChanges, publishEvent, publishTaskUpdate } = require('../utils/events');
+const { setEntityTag, checkIfMatch, isConcurrentModificationError } = require('../utils/concurrency');
+const { patchResource } = require('../utils/patch');
+const { replaceTask, bulkOperations } = require('../validators/taskSchemas');
+
+// Campos por los que se permite ordenar el listado de tareas
+const TASK_SORT_FIELDS = ['title', 'status', 'priority', 'dueDate', 'createdAt', 'updatedAt'];
+
+// Permiso de proyecto que requiere cada acción de las operaciones masivas
+const BULK_PERMISSIONS = {
+    create: 'task:create',
+    update: 'task:update',
+    assign: 'task:update',
+    delete: 'task:delete'
+};
+
+/**
+ * Error de una operación masiva concreta (se informa en su resultado y deshace solo esa operación)
+ */
+class BulkOperationError extends Error {
+    constructor(status, message, errors) {
+        super(message);
+        this.name = 'BulkOperationError';
+        this.status = status;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Obtiene todas las tareas de un proyecto
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getProjectTasks = async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { tree } = req.query;
+
+        // Verificar que el proyecto existe
+        const project = await Project.findByPk(projectId);
+        if (!project) {
+            return res.formatResponse(404, null, 'Proyecto no encontrado');
+        }
+
+        // Verificar si el usuario tiene acceso al proyecto
+        const role = await getProjectRole(project, req.user);
+        if (!hasPermission(role, 'task:view')) {
+            return res.formatResponse(403, null, 'No tiene permisos para ver las tareas de este proyecto');
+        }
+
+        // Construir condiciones de búsqueda con los filtros opcionales (los valores ya llegan validados)
+        const whereConditions = {
+            projectId,
+            [Op.and]: buildTaskFilters(req.query, req.user)
+        };
+
+        // En modo árbol se paginan las tareas raíz y cada una incluye todas sus subtareas
+        if (tree) {
+            whereConditions.parentId = null;
+        }
+
+        // Parámetros de paginación y ordenación (page/limit o cursor, sort=campo,-campo)
+        const pagination = parsePaginationParams(req.query, {
+            sortable: TASK_SORT_FIELDS,
+            defaultSort: '-priority,-createdAt'
+        });
+
+        const include = [
+            {
+                model: User,
+                as: 'assignee',
+                attributes: ['id', 'name', 'email']
+            }
+        ];
+
+        // Buscar tareas que coincidan con los criterios
+        const { rows: tasks, meta } = await paginate(Task, {
+            where: whereConditions,
+            include
+        }, pagination, req);
+
+        if (tree) {
+            await attachSubtaskTree(tasks, project.id, include);
+        }
+
+        return res.formatResponse(200, tasks, 'Tareas obtenidas correctamente', { pagination: meta });
+    } catch (error) {
+        console.error('Error al obtener tareas:', error);
+
+        // Parámetros de paginación u ordenación inválidos
+        if (error.name === 'PaginationError') {
+            return res.formatResponse(400, null, error.message);
+        }
+        return res.formatResponse(500, null, 'Error al obtener tareas');
+    }
+};
+
+/**
+ * Obtiene las tareas de todos los proyectos visibles para el usuario (ej. assignedTo=me
+ * para ver las tareas asignadas al usuario en cualquier proyecto)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getTasks = async (req, res) => {
+    try {
+        const { projectId } = req.query;
+
+        // Solo tareas de proyectos de los que el usuario es miembro (a menos que sea admin)
+        const visibleProjectIds = await getVisibleProjectIds(req.user);
+        const conditions = buildTaskFilters(req.query, req.user);
+        if (visibleProjectIds) {
+            conditions.push({ projectId: { [Op.in]: visibleProjectIds } });
+        }
+        if (projectId) {
+            conditions.push({ projectId: { [Op.in]: projectId } });
+        }
+
+        // Parámetros de paginación y ordenación (page/limit o cursor, sort=campo,-campo)
+        const pagination = parsePaginationParams(req.query, {
+            sortable: TASK_SORT_FIELDS,
+            defaultSort: '-priority,-createdAt'
+        });
+
+        const { rows: tasks, meta } = await paginate(Task, {
+            where: { [Op.and]: conditions },
+            include: [
+                {
+                    model: User,
+                    as: 'assignee',
+                    attributes: ['id', 'name', 'email']
+                },
+                {
+                    model: Project,
+                    as: 'project',
+                    attributes: ['id', 'name', 'status']
+                }
+            ]
+        }, pagination, req);
+
+        return res.formatResponse(200, tasks, 'Tareas obtenidas correctamente', { pagination: meta });
+    } catch (error) {
+        console.error('Error al obtener tareas:', error);
+
+        // Parámetros de paginación u ordenación inválidos
+        if (error.name === 'PaginationError') {
+            return res.formatResponse(400, null, error.message);
+        }
+        return res.formatResponse(500, null, 'Error al obtener tareas');
+    }
+};
+
+/**
+ * Obtiene una tarea específica por su ID
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getTaskById = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Buscar tarea por ID
+        const task = await Task.findByPk(id, {
+            include: [
+                {
+                    model: Project,
+                    as: 'project'
+                },
+                {
+                    model: User,
+                    as: 'assignee',
+                    attributes: ['id', 'name', 'email']
+                },
+                {
+                    model: Task,
+                    as: 'subtasks',
+                    attributes: ['id', 'title', 'status', 'priority', 'progress', 'assignedTo']
+                },
+                {
+                    model: ChecklistItem,
+                    as: 'checklist'
+                }
+            ],
+            order: [
+                [{ model: Task, as: 'subtasks' }, 'id', 'ASC'],
+                [{ model: ChecklistItem, as: 'checklist' }, 'position', 'ASC'],
+                [{ model: ChecklistItem, as: 'checklist' }, 'id', 'ASC']
+            ]
+        });
+
+        if (!task) {
+            return res.formatResponse(404, null, 'Tarea no encontrada');
+        }
+
+        // Verificar si el usuario tiene permisos para ver esta tarea
+        const role = await getProjectRole(task.project, req.user);
+        if (!hasPermission(role, 'task:view')) {
+            return res.formatResponse(403, null, 'No tiene permisos para ver esta tarea');
+        }
+
+        setEntityTag(req, res, task);
+        return res.formatResponse(200, task, 'Tarea obtenida correctamente');
+    } catch (error) {
+        console.error('Error al obtener tarea:', error);
+        return res.formatResponse(500, null, 'Error al obtener tarea');
+    }
+};
+
+/**
+ * Crea una nueva tarea en un proyecto
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const createTask = async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { title, description, status, priority, dueDate, assignedTo, parentId } = req.body;
+
+        // Verificar que el proyecto existe
+        const project = await Project.findByPk(projectId);
+        if (!project) {
+            return res.formatResponse(404, null, 'Proyecto no encontrado');
+        }
+
+        // Verificar si el usuario tiene permisos para añadir tareas al proyecto
+        const role = await getProjectRole(project, req.user);
+        if (!hasPermission(role, 'task:create')) {
+            return res.formatResponse(403, null, 'No tiene permisos para añadir tareas a este proyecto');
+        }
+
+        // Si se asigna a un usuario, verificar que existe
+        if (assignedTo) {
+            const assignee = await User.findByPk(assignedTo);
+            if (!assignee) {
+                return res.formatResponse(404, null, 'Usuario asignado no encontrado');
+            }
+
+            // El usuario asignado debe tener acceso al proyecto
+            const assigneeRole = await getProjectRole(project, assignee);
+            if (!hasPermission(assigneeRole, 'task:view')) {
+                return res.formatResponse(400, null, 'El usuario asignado no es miembro del proyecto');
+            }
+        }
+
+        // Una subtarea debe colgar de una tarea del mismo proyecto
+        if (parentId) {
+            const parentError = await checkParent(null, parentId, project.id);
+            if (parentError) {
+                return res.formatResponse(parentError.status, null, parentError.message);
+            }
+        }
+
+        // Crear nueva tarea (el avance de la tarea padre se recalcula en la misma transacción)
+        const task = await sequelize.transaction((transaction) => Task.create({
+            title,
+            description,
+            status: status || 'pending',
+            priority: priority || 'medium',
+            dueDate,
+            projectId: project.id,
+            assignedTo,
+            parentId
+        }, { transaction }));
+
+        // Cargar el usuario asignado para la respuesta
+        if (assignedTo) {
+            await task.reload({
+                include: [
+                    {
+                        model: User,
+                        as: 'assignee',
+                        attributes: ['id', 'name', 'email']
+                    }
+                ]
+            });
+        }
+
+        await publishEvent('task.created', { projectId: task.projectId, data: task });
+
+        return res.formatResponse(201, task, 'Tarea creada correctamente');
+    } catch (error) {
+        console.error('Error al crear tarea:', error);
+        
+        // Manejo de errores de validación
+        if (isSequelizeValidationError(error)) {
+            return res.formatResponse(422, null, 'Error de validación', { errors: formatSequelizeErrors(error) });
+        }
+        
+        return res.formatResponse(500, null, 'Error al crear tarea');
+    }
+};
+
+/**
+ * Actualiza una tarea existente:
+ *  - PUT: el cuerpo es la tarea completa (los campos opcionales omitidos quedan a null)
+ *  - PATCH: el cuerpo es un JSON Merge Patch o un JSON Patch que se aplica a la tarea actual
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const updateTask = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Buscar tarea por ID
+        const task = await Task.findByPk(id);
+        
+        if (!task) {
+            return res.formatResponse(404, null, 'Tarea no encontrada');
+        }
+
+        // Verificar si el usuario tiene permisos para modificar esta tarea
+        const project = await Project.findByPk(task.projectId);
+        const role = await getProjectRole(project, req.user);
+        if (!hasPermission(role, 'task:update')) {
+            return res.formatResponse(403, null, 'No tiene permisos para modificar esta tarea');
+        }
+
+        // Precondición If-Match: el cliente debe tener la versión actual de la tarea
+        const precondition = checkIfMatch(req, task);
+        if (precondition) {
+            return res.formatResponse(precondition.status, null, precondition.message);
+        }
+
+        // Tarea completa resultante (el cuerpo de PUT ya llega validado)
+        const values = req.method === 'PATCH' ? patchResource(req, task, replaceTask.body) : req.body;
+        const { status, assignedTo, parentId } = values;
+
+        // Si se asigna a un usuario, verificar que existe
+        if (assignedTo && assignedTo !== task.assignedTo) {
+            const assignee = await User.findByPk(assignedTo);
+            if (!assignee) {
+                return res.formatResponse(404, null, 'Usuario asignado no encontrado');
+            }
+
+            // El usuario asignado debe tener acceso al proyecto
+            const assigneeRole = await getProjectRole(project, assignee);
+            if (!hasPermission(assigneeRole, 'task:view')) {
+                return res.formatResponse(400, null, 'El usuario asignado no es miembro del proyecto');
+            }
+        }
+
+        // No se puede empezar ni completar una tarea mientras dependa de tareas abiertas
+        if (requiresUnblocked(task, status)) {
+            const blockers = await findOpenBlockers(task);
+            if (blockers.length > 0) {
+                return res.formatResponse(409, { blockers }, 'La tarea está bloqueada por tareas sin completar');
+            }
+        }
+
+        // Una tarea no se puede completar mientras tenga subtareas abiertas
+        if (status === 'completed' && task.status !== 'completed') {
+            const subtasks = await findOpenSubtasks(task);
+            if (subtasks.length > 0) {
+                return res.formatResponse(409, { subtasks }, 'La tarea tiene subtareas sin completar');
+            }
+        }
+
+        // Mover la tarea a otra tarea padre (o a la raíz del proyecto con null)
+        if (parentId && parentId !== task.parentId) {
+            const parentError = await checkParent(task, parentId, task.projectId);
+            if (parentError) {
+                return res.formatResponse(parentError.status, null, parentError.message);
+            }
+        }
+
+        // Actualizar propiedades de la tarea (los valores ya llegan validados)
+        for (const field of Object.keys(replaceTask.body)) {
+            task[field] = values[field] === undefined ? null : values[field];
+        }
+        const changes = pendingChanges(task);
+
+        // Guardar cambios (cancelar una tarea cancela sus subtareas abiertas en la misma transacción)
+        await sequelize.transaction((transaction) => task.save({ transaction }));
+
+        // Recargar la tarea (los hooks pueden haber cambiado su avance y su versión) con el usuario asignado
+        await task.reload({
+            include: [
+                {
+                    model: User,
+                    as: 'assignee',
+                    attributes: ['id', 'name', 'email']
+                }
+            ]
+        });
+
+        await publishTaskUpdate(task, changes);
+
+        setEntityTag(req, res, task);
+        return res.formatResponse(200, task, 'Tarea actualizada correctamente');
+    } catch (error) {
+        console.error('Error al actualizar tarea:', error);
+
+        // Documento de cambios que no se puede aplicar o cuyo resultado no es válido
+        if (error.name === 'PatchError') {
+            return res.formatResponse(error.status, null, error.message, error.errors ? { errors: error.errors } : undefined);
+        }
+
+        // Otra petición modificó la tarea mientras se procesaba esta
+        if (isConcurrentModificationError(error)) {
+            return res.formatResponse(412, null, 'La tarea ha sido modificada por otra petición: vuelva a obtenerla y repita el cambio');
+        }
+
+        // Manejo de errores de validación
+        if (isSequelizeValidationError(error)) {
+            return res.formatResponse(422, null, 'Error de validación', { errors: formatSequelizeErrors(error) });
+        }
+        
+        return res.formatResponse(500, null, 'Error al actualizar tarea');
+    }
+};
+
+/**
+ * Elimina una tarea
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const deleteTask = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Buscar tarea por ID
+        const task = await Task.findByPk(id);
+        
+        if (!task) {
+            return res.formatResponse(404, null, 'Tarea no encontrada');
+        }
+
+        // Verificar si el usuario tiene permisos para eliminar esta tarea
+        const project = await Project.findByPk(task.projectId);
+        const role = await getProjectRole(project, req.user);
+        if (!hasPermission(role, 'task:delete')) {
+            return res.formatResponse(403, null, 'No tiene permisos para eliminar esta tarea');
+        }
+
+        // Precondición If-Match: el cliente debe tener la versión actual de la tarea
+        const precondition = checkIfMatch(req, task);
+        if (precondition) {
+            return res.formatResponse(precondition.status, null, precondition.message);
+        }
+
+        // Enviar la tarea a la papelera junto con sus subtareas
+        await sequelize.transaction((transaction) => task.destroy({ transaction }));
+
+        await publishEvent('task.deleted', { projectId: task.projectId, data: task });
+
+        return res.formatResponse(200, { id }, 'Tarea enviada a la papelera correctamente');
+    } catch (error) {
+        console.error('Error al eliminar tarea:', error);
+
+        // Otra petición modificó la tarea mientras se procesaba esta
+        if (isConcurrentModificationError(error)) {
+            return res.formatResponse(412, null, 'La tarea ha sido modificada por otra petición: vuelva a obtenerla y repita el cambio');
+        }
+
+        return res.formatResponse(500, null, 'Error al eliminar tarea');
+    }
+};
+
+/**
+ * Comprueba que un usuario puede ser asignado a tareas del proyecto.
+ * Los resultados se guardan en caché para no repetir consultas en una operación masiva.
+ * @param {Object} project - Proyecto de las tareas
+ * @returns {Function} - async (userId) => lanza BulkOperationError si no es válido
+ */
+const createAssigneeChecker = (project) => {
+    const checked = new Map();
+
+    return async (userId) => {
+        if (!checked.has(userId)) {
+            checked.set(userId, (async () => {
+                const assignee = await User.findByPk(userId);
+                if (!assignee) {
+                    return new BulkOperationError(404, 'Usuario asignado no encontrado');
+                }
+                const assigneeRole = await getProjectRole(project, assignee);
+                if (!hasPermission(assigneeRole, 'task:view')) {
+                    return new BulkOperationError(400, 'El usuario asignado no es miembro del proyecto');
+                }
+                return null;
+            })());
+        }
+
+        const error = await checked.get(userId);
+        if (error) throw error;
+    };
+};
+
+/**
+ * Comprueba la tarea padre de una operación masiva
+ * @param {Object|null} task - Tarea que se mueve (null si se está creando)
+ * @param {Number} parentId - ID de la tarea padre
+ * @param {Object} project - Proyecto de las tareas
+ * @param {Object} transaction - Transacción de la operación
+ */
+const checkBulkParent = async (task, parentId, project, transaction) => {
+    const parentError = await checkParent(task, parentId, project.id, { transaction });
+    if (parentError) {
+        throw new BulkOperationError(parentError.status, parentError.message);
+    }
+};
+
+/**
+ * Ejecuta una operación masiva ya validada dentro de la transacción indicada
+ * @param {Object} operation - Operación validada ({ action, id, data, assignedTo })
+ * @param {Object} context - { project, role, tasks, checkAssignee, events, transaction }
+ *   - events: lista donde se añaden los eventos a publicar si se confirma la transacción
+ * @returns {Object} - Resultado { code, task } o { code, id }
+ */
+const applyBulkOperation = async (operation, { project, role, tasks, checkAssignee, events, transaction }) => {
+    if (!hasPermission(role, BULK_PERMISSIONS[operation.action])) {
+        throw new BulkOperationError(403, 'No tiene permisos para realizar esta operación en el proyecto');
+    }
+
+    if (operation.action === 'create') {
+        const { data } = operation;
+        if (data.assignedTo) await checkAssignee(data.assignedTo);
+        if (data.parentId) await checkBulkParent(null, data.parentId, project, transaction);
+
+        const task = await Task.create({
+            ...data,
+            status: data.status || 'pending',
+            priority: data.priority || 'medium',
+            projectId: project.id
+        }, { transaction });
+        events.push(() => publishEvent('task.created', { projectId: task.projectId, data: task }));
+        return { code: 201, task };
+    }
+
+    // Se lee de nuevo porque una operación anterior puede haberla modificado o eliminado
+    // en cascada (subtareas de una tarea cancelada o eliminada)
+    const task = tasks.has(operation.id) ? await Task.findByPk(operation.id, { transaction }) : null;
+    if (!task) {
+        throw new BulkOperationError(404, 'Tarea no encontrada en este proyecto');
+    }
+
+    if (operation.action === 'delete') {
+        await task.destroy({ transaction });
+        tasks.delete(task.id);
+        events.push(() => publishEvent('task.deleted', { projectId: task.projectId, data: task }));
+        return { code: 200, id: task.id };
+    }
+
+    const changes = operation.action === 'assign' ? { assignedTo: operation.assignedTo } : operation.data;
+    if (changes.assignedTo && changes.assignedTo !== task.assignedTo) {
+        await checkAssignee(changes.assignedTo);
+    }
+    if (changes.status && requiresUnblocked(task, changes.status)) {
+        const blockers = await findOpenBlockers(task, { transaction });
+        if (blockers.length > 0) {
+            throw new BulkOperationError(409, 'La tarea está bloqueada por tareas sin completar');
+        }
+    }
+    if (changes.status === 'completed' && task.status !== 'completed') {
+        const subtasks = await findOpenSubtasks(task, { transaction });
+        if (subtasks.length > 0) {
+            throw new BulkOperationError(409, 'La tarea tiene subtareas sin completar');
+        }
+    }
+    if (changes.parentId && changes.parentId !== task.parentId) {
+        await checkBulkParent(task, changes.parentId, project, transaction);
+    }
+
+    task.set(changes);
+    const applied = pendingChanges(task);
+    await task.save({ transaction });
+    events.push(() => publishTaskUpdate(task, applied));
+    return { code: 200, task };
+};
+
+/**
+ * Crea, actualiza, reasigna y elimina varias tareas de un proyecto en una sola transacción.
+ *  - mode 'atomic' (por defecto): si alguna operación falla no se aplica ninguna
+ *  - mode 'partial': se aplican las operaciones válidas y se informa de las fallidas
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const bulkTasks = async (req, res) => {
+    try {
+        const { mode = 'atomic', operations } = req.body;
+
+        // Validar cada operación según su acción
+        const prepared = operations.map((operation, index) => {
+            const schema = bulkOperations[operation.action];
+            if (!schema) {
+                return {
+                    index,
+                    error: new BulkOperationError(422, 'Error de validación', [
+                        { field: 'action', code: 'invalid_enum', message: `Valor no permitido. Valores permitidos: ${Object.keys(bulkOperations).join(', ')}` }
+                    ])
+                };
+            }
+
+            const { value, errors } = validateSchema(operation, schema);
+            if (errors.length > 0) {
+                return { index, action: operation.action, error: new BulkOperationError(422, 'Error de validación', errors) };
+            }
+            return { index, action: operation.action, operation: value };
+        });
+
+        // Comprobar de una vez qué tareas afectadas pertenecen al proyecto
+        const ids = [...new Set(prepared.filter(item => item.operation && item.operation.id).map(item => item.operation.id))];
+        const found = ids.length > 0
+            ? await Task.findAll({ where: { id: { [Op.in]: ids }, projectId: req.project.id } })
+            : [];
+        const tasks = new Map(found.map(task => [task.id, task]));
+        const checkAssignee = createAssigneeChecker(req.project);
+        const events = [];
+
+        // Transacción de la que no se confirma nada en modo atómico si hubo errores
+        const rollback = new Error('Operación masiva cancelada');
+        const results = [];
+        try {
+            await sequelize.transaction(async (transaction) => {
+                for (const item of prepared) {
+                    const result = { index: item.index, action: item.action || null };
+
+                    try {
+                        if (item.error) throw item.error;
+
+                        // Cada operación se ejecuta en un savepoint para poder deshacerla por separado
+                        const operationEvents = [];
+                        const applied = await sequelize.transaction({ transaction }, (savepoint) => {
+                            return applyBulkOperation(item.operation, {
+                                project: req.project,
+                                role: req.projectRole,
+                                tasks,
+                                checkAssignee,
+                                events: operationEvents,
+                                transaction: savepoint
+                            });
+                        });
+                        events.push(...operationEvents);
+                        Object.assign(result, { status: 'success' }, applied);
+                    } catch (error) {
+                        if (error.name === 'BulkOperationError') {
+                            Object.assign(result, { status: 'error', code: error.status, message: error.message });
+                            if (error.errors) result.errors = error.errors;
+                        } else if (isSequelizeValidationError(error)) {
+                            Object.assign(result, { status: 'error', code: 422, message: 'Error de validación', errors: formatSequelizeErrors(error) });
+                        } else {
+                            throw error;
+                        }
+                    }
+
+                    results.push(result);
+                }
+
+                if (mode === 'atomic' && results.some(result => result.status === 'error')) {
+                    throw rollback;
+                }
+            });
+        } catch (error) {
+            if (error !== rollback) throw error;
+
+            // Las operaciones correctas se deshicieron junto con la transacción
+            for (const result of results) {
+                if (result.status === 'success') {
+                    result.status = 'rolled_back';
+                    delete result.task;
+                }
+            }
+            events.length = 0;
+        }
+
+        // Eventos de las operaciones confirmadas, en el orden en que se aplicaron
+        for (const publish of events) {
+            await publish();
+        }
+
+        const failed = results.filter(result => result.status === 'error').length;
+        const succeeded = results.filter(result => result.status === 'success').length;
+        const summary = { mode, total: results.length, succeeded, failed, results };
+
+        if (failed === 0) {
+            return res.formatResponse(200, summary, 'Operaciones aplicadas correctamente');
+        }
+        if (succeeded === 0) {
+            return res.formatResponse(422, summary, mode === 'atomic'
+                ? 'No se aplicó ninguna operación: hay operaciones con errores'
+                : 'No se pudo aplicar ninguna operación');
+        }
+        return res.formatResponse(207, summary, 'Operaciones aplicadas parcialmente');
+    } catch (error) {
+        console.error('Error en operación masiva de tareas:', error);
+        return res.formatResponse(500, null, 'Error al procesar las operaciones masivas');
+    }
+};
+
+module.exports = {
+    getProjectTasks,
+    getTasks,
+    getTaskById,
+    createTask,
+    updateTask,
+    deleteTask,
+    bulkTasks
 };
\ No newline at end of file
@@ -0,0 +1,171 @@
+const { Project, Task } = require('../models');
+const { sequelize } = require('../config/database');
+const { getProjectRole, hasPermission } = require('../utils/permissions');
+const { DEFAULT_LIMIT, buildPageMeta } = require('../utils/pagination');
+const { listTrash, restoreProjectWithTasks, restoreTaskWithSubtasks, purgeProjects, purgeTasks, purgeTrash } = require('../utils/trash');
+const { publishEvent } = require('../utils/events');
+
+/**
+ * Obtiene los elementos de la papelera que el usuario puede restaurar (los eliminados más recientemente primero)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getTrash = async (req, res) => {
+    try {
+        const { type, projectId, page = 1, limit = DEFAULT_LIMIT } = req.query;
+
+        const items = await listTrash(req.user, { type, projectId });
+        const rows = items.slice((page - 1) * limit, page * limit);
+
+        return res.formatResponse(200, rows, 'Papelera obtenida correctamente', {
+            pagination: buildPageMeta(req, { page, limit, total: items.length, sort: '-deletedAt' })
+        });
+    } catch (error) {
+        console.error('Error al obtener la papelera:', error);
+        return res.formatResponse(500, null, 'Error al obtener la papelera');
+    }
+};
+
+/**
+ * Restaura un proyecto de la papelera junto con las tareas que se eliminaron con él
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const restoreProject = async (req, res) => {
+    try {
+        const project = await Project.findByPk(req.params.id, { paranoid: false });
+
+        if (!project) {
+            return res.formatResponse(404, null, 'Proyecto no encontrado');
+        }
+
+        // Quien puede eliminar el proyecto puede restaurarlo
+        const role = await getProjectRole(project, req.user);
+        if (!hasPermission(role, 'project:delete')) {
+            return res.formatResponse(403, null, 'No tiene permisos para restaurar este proyecto');
+        }
+
+        if (!project.deletedAt) {
+            return res.formatResponse(409, null, 'El proyecto no está en la papelera');
+        }
+
+        await sequelize.transaction((transaction) => restoreProjectWithTasks(project, transaction));
+
+        await publishEvent('project.restored', { projectId: project.id, data: project });
+
+        return res.formatResponse(200, project, 'Proyecto restaurado correctamente');
+    } catch (error) {
+        console.error('Error al restaurar proyecto:', error);
+        return res.formatResponse(500, null, 'Error al restaurar proyecto');
+    }
+};
+
+/**
+ * Restaura una tarea de la papelera junto con las subtareas que se eliminaron con ella
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const restoreTask = async (req, res) => {
+    try {
+        const task = await Task.findByPk(req.params.id, { paranoid: false });
+
+        if (!task) {
+            return res.formatResponse(404, null, 'Tarea no encontrada');
+        }
+
+        // Quien puede eliminar la tarea puede restaurarla
+        const project = await Project.findByPk(task.projectId, { paranoid: false });
+        const role = await getProjectRole(project, req.user);
+        if (!hasPermission(role, 'task:delete')) {
+            return res.formatResponse(403, null, 'No tiene permisos para restaurar esta tarea');
+        }
+
+        if (!task.deletedAt) {
+            return res.formatResponse(409, null, 'La tarea no está en la papelera');
+        }
+
+        // Una tarea no puede volver a un proyecto o a una tarea padre que siguen en la papelera
+        if (project.deletedAt) {
+            return res.formatResponse(409, null, 'El proyecto de la tarea está en la papelera: restaure primero el proyecto');
+        }
+        if (task.parentId && !(await Task.findByPk(task.parentId))) {
+            return res.formatResponse(409, null, 'La tarea padre está en la papelera: restaure primero la tarea padre');
+        }
+
+        await sequelize.transaction((transaction) => restoreTaskWithSubtasks(task, transaction));
+
+        await publishEvent('task.restored', { projectId: task.projectId, data: task });
+
+        return res.formatResponse(200, task, 'Tarea restaurada correctamente');
+    } catch (error) {
+        console.error('Error al restaurar tarea:', error);
+        return res.formatResponse(500, null, 'Error al restaurar tarea');
+    }
+};
+
+/**
+ * Borra definitivamente un proyecto de la papelera (solo administradores)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const purgeProject = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const purged = await purgeProjects([id]);
+        if (purged === 0) {
+            return res.formatResponse(404, null, 'Proyecto no encontrado en la papelera');
+        }
+
+        return res.formatResponse(200, { id }, 'Proyecto borrado definitivamente');
+    } catch (error) {
+        console.error('Error al borrar definitivamente el proyecto:', error);
+        return res.formatResponse(500, null, 'Error al borrar definitivamente el proyecto');
+    }
+};
+
+/**
+ * Borra definitivamente una tarea de la papelera y sus subtareas (solo administradores)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const purgeTask = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const purged = await purgeTasks([id]);
+        if (purged === 0) {
+            return res.formatResponse(404, null, 'Tarea no encontrada en la papelera');
+        }
+
+        return res.formatResponse(200, { id }, 'Tarea borrada definitivamente');
+    } catch (error) {
+        console.error('Error al borrar definitivamente la tarea:', error);
+        return res.formatResponse(500, null, 'Error al borrar definitivamente la tarea');
+    }
+};
+
+/**
+ * Vacía la papelera: borra definitivamente todos los proyectos y tareas eliminados (solo administradores)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const emptyTrash = async (req, res) => {
+    try {
+        const purged = await purgeTrash();
+
+        return res.formatResponse(200, purged, 'Papelera vaciada correctamente');
+    } catch (error) {
+        console.error('Error al vaciar la papelera:', error);
+        return res.formatResponse(500, null, 'Error al vaciar la papelera');
+    }
+};
+
+module.exports = {
+    getTrash,
+    restoreProject,
+    restoreTask,
+    purgeProject,
+    purgeTask,
+    emptyTrash
+};
\ No newline at end of file
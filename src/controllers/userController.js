@@ -0,0 +1,235 @@
+const { Op } = require('sequelize');
+const { User, RefreshToken } = require('../models');
+const { sequelize } = require('../config/database');
+const { parsePaginationParams, paginate } = require('../utils/pagination');
+const { isSequelizeValidationError, formatSequelizeErrors } = require('../utils/validation');
+const { unlockAccount } = require('../utils/rateLimit');
+const { recheckUserStreams } = require('../utils/realtime');
+
+// Campos por los que se permite ordenar el listado de usuarios
+const USER_SORT_FIELDS = ['name', 'email', 'role', 'createdAt', 'updatedAt'];
+
+// Campos de los usuarios que se devuelven (nunca la contraseña ni la versión de los tokens)
+const USER_ATTRIBUTES = ['id', 'name', 'email', 'role', 'active', 'createdAt', 'updatedAt'];
+
+/**
+ * Cierra todas las sesiones de un usuario: invalida sus tokens de acceso y revoca sus refresh tokens
+ * (sus canales de eventos se cierran con recheckUserStreams() tras confirmar la transacción)
+ * @param {Object} user - Instancia del usuario
+ * @param {Object} transaction - Transacción de Sequelize
+ */
+const revokeSessions = async (user, transaction) => {
+    await user.increment('tokenVersion', { transaction });
+    await RefreshToken.update(
+        { revokedAt: new Date() },
+        { where: { userId: user.id, revokedAt: null }, transaction }
+    );
+};
+
+/**
+ * Obtiene los usuarios, con búsqueda por nombre o correo y filtros por rol y estado (solo administradores)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getUsers = async (req, res) => {
+    try {
+        const { search, role, active } = req.query;
+
+        const whereConditions = {};
+        if (search) {
+            whereConditions[Op.or] = [
+                { name: { [Op.like]: `%${search}%` } },
+                { email: { [Op.like]: `%${search}%` } }
+            ];
+        }
+        if (role) {
+            whereConditions.role = role;
+        }
+        if (active !== undefined) {
+            whereConditions.active = active;
+        }
+
+        // Parámetros de paginación y ordenación (page/limit o cursor, sort=campo,-campo)
+        const pagination = parsePaginationParams(req.query, {
+            sortable: USER_SORT_FIELDS,
+            defaultSort: 'name'
+        });
+
+        const { rows: users, meta } = await paginate(User, {
+            where: whereConditions,
+            attributes: USER_ATTRIBUTES
+        }, pagination, req);
+
+        return res.formatResponse(200, users, 'Usuarios obtenidos correctamente', { pagination: meta });
+    } catch (error) {
+        console.error('Error al obtener usuarios:', error);
+
+        // Parámetros de paginación u ordenación inválidos
+        if (error.name === 'PaginationError') {
+            return res.formatResponse(400, null, error.message);
+        }
+        return res.formatResponse(500, null, 'Error al obtener usuarios');
+    }
+};
+
+/**
+ * Obtiene un usuario por su ID (solo administradores)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getUserById = async (req, res) => {
+    try {
+        const user = await User.findByPk(req.params.id, { attributes: USER_ATTRIBUTES });
+
+        if (!user) {
+            return res.formatResponse(404, null, 'Usuario no encontrado');
+        }
+
+        return res.formatResponse(200, user, 'Usuario obtenido correctamente');
+    } catch (error) {
+        console.error('Error al obtener usuario:', error);
+        return res.formatResponse(500, null, 'Error al obtener usuario');
+    }
+};
+
+/**
+ * Cambia el rol de un usuario (solo administradores). Un administrador no puede cambiar su propio
+ * rol, de modo que siempre queda al menos un administrador.
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const updateUserRole = async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        const user = await User.findByPk(req.params.id);
+
+        if (!user) {
+            return res.formatResponse(404, null, 'Usuario no encontrado');
+        }
+
+        if (user.id === req.user.id) {
+            return res.formatResponse(409, null, 'No puede cambiar su propio rol');
+        }
+
+        // El rol se lee de la base de datos en cada petición: el cambio se aplica sin cerrar sus sesiones
+        user.role = role;
+        await user.save();
+        // Si deja de ser administrador pierde los canales de eventos de los proyectos de los que no es miembro
+        await recheckUserStreams(user.id);
+
+        const updated = await User.findByPk(user.id, { attributes: USER_ATTRIBUTES });
+        return res.formatResponse(200, updated, 'Rol del usuario actualizado correctamente');
+    } catch (error) {
+        console.error('Error al cambiar el rol del usuario:', error);
+        return res.formatResponse(500, null, 'Error al cambiar el rol del usuario');
+    }
+};
+
+/**
+ * Activa o desactiva un usuario (solo administradores). Al desactivarlo se cierran todas sus sesiones;
+ * un administrador no puede desactivarse a sí mismo.
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const updateUserStatus = async (req, res) => {
+    try {
+        const { active } = req.body;
+
+        const user = await User.findByPk(req.params.id);
+
+        if (!user) {
+            return res.formatResponse(404, null, 'Usuario no encontrado');
+        }
+
+        if (user.id === req.user.id && !active) {
+            return res.formatResponse(409, null, 'No puede desactivar su propia cuenta');
+        }
+
+        await sequelize.transaction(async (transaction) => {
+            user.active = active;
+            await user.save({ transaction });
+
+            if (!active) {
+                await revokeSessions(user, transaction);
+            }
+        });
+        await recheckUserStreams(user.id);
+
+        const updated = await User.findByPk(user.id, { attributes: USER_ATTRIBUTES });
+        return res.formatResponse(200, updated, active ? 'Usuario activado correctamente' : 'Usuario desactivado correctamente');
+    } catch (error) {
+        console.error('Error al cambiar el estado del usuario:', error);
+        return res.formatResponse(500, null, 'Error al cambiar el estado del usuario');
+    }
+};
+
+/**
+ * Establece una nueva contraseña para un usuario (solo administradores): cierra todas sus sesiones
+ * y desbloquea la cuenta si estaba bloqueada por intentos de inicio de sesión fallidos
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const resetUserPassword = async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        const user = await User.findByPk(req.params.id);
+
+        if (!user) {
+            return res.formatResponse(404, null, 'Usuario no encontrado');
+        }
+
+        // El hash de la contraseña se hace automáticamente por los hooks. Se indica el campo para que
+        // Sequelize no vuelva a validar la contraseña ya cifrada que deja el hook
+        await sequelize.transaction(async (transaction) => {
+            user.password = password;
+            await user.save({ fields: ['password'], transaction });
+            await revokeSessions(user, transaction);
+        });
+        await recheckUserStreams(user.id);
+        await unlockAccount(user);
+
+        return res.formatResponse(200, { id: user.id }, 'Contraseña restablecida correctamente');
+    } catch (error) {
+        console.error('Error al restablecer la contraseña:', error);
+
+        // Manejo de errores de validación
+        if (isSequelizeValidationError(error)) {
+            return res.formatResponse(422, null, 'Error de validación', { errors: formatSequelizeErrors(error) });
+        }
+
+        return res.formatResponse(500, null, 'Error al restablecer la contraseña');
+    }
+};
+
+/**
+ * Desbloquea la cuenta de un usuario bloqueada por intentos de inicio de sesión fallidos (solo administradores)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const unlockUser = async (req, res) => {
+    try {
+        const user = await User.findByPk(req.params.id);
+
+        if (!user) {
+            return res.formatResponse(404, null, 'Usuario no encontrado');
+        }
+
+        const wasLocked = await unlockAccount(user);
+
+        return res.formatResponse(200, { id: user.id, wasLocked }, 'Cuenta desbloqueada correctamente');
+    } catch (error) {
+        console.error('Error al desbloquear la cuenta:', error);
+        return res.formatResponse(500, null, 'Error al desbloquear la cuenta');
+    }
+};
+
+module.exports = {
+    getUsers,
+    getUserById,
+    updateUserRole,
+    updateUserStatus,
+    resetUserPassword,
+    unlockUser
+};
\ No newline at end of file
@@ -0,0 +1,282 @@
+const { Webhook, WebhookDelivery, Project } = require('../models');
+const { getProjectRole, hasPermission } = require('../utils/permissions');
+const { parsePaginationParams, paginate } = require('../utils/pagination');
+const { isSequelizeValidationError, formatSequelizeErrors } = require('../utils/validation');
+const { generateSecret, redeliver } = require('../utils/webhooks');
+
+// Campos por los que se permite ordenar el registro de entregas
+const DELIVERY_SORT_FIELDS = ['createdAt', 'status', 'attempts', 'event'];
+
+// La clave de firma no se incluye en las respuestas (solo al crear el webhook)
+const WEBHOOK_ATTRIBUTES = { exclude: ['secret'] };
+
+/**
+ * Busca un webhook y comprueba que el usuario puede gestionarlo: los globales solo los
+ * administradores y los de proyecto quien tenga el permiso 'webhooks:manage' en él
+ * @param {Number} webhookId - ID del webhook
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @returns {Object} - { webhook } o { status, message } si no hay acceso
+ */
+const findManageableWebhook = async (webhookId, user) => {
+    const webhook = await Webhook.findByPk(webhookId, { attributes: WEBHOOK_ATTRIBUTES });
+    if (!webhook) {
+        return { status: 404, message: 'Webhook no encontrado' };
+    }
+
+    if (user.role !== 'admin') {
+        // Los webhooks de proyectos en la papelera solo los consultan los administradores
+        const project = webhook.projectId ? await Project.findByPk(webhook.projectId) : null;
+        const role = project ? await getProjectRole(project, user) : null;
+        if (!hasPermission(role, 'webhooks:manage')) {
+            return { status: 403, message: 'No tiene permisos para gestionar este webhook' };
+        }
+    }
+
+    return { webhook };
+};
+
+/**
+ * Crea un webhook del proyecto indicado (o global si es null)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ * @param {Number|null} projectId - Proyecto del webhook
+ */
+const createWebhook = async (req, res, projectId) => {
+    try {
+        const { url, events, description, active } = req.body;
+        const secret = req.body.secret || generateSecret();
+
+        const webhook = await Webhook.create({
+            url,
+            secret,
+            events: [...new Set(events)],
+            description,
+            active: active !== undefined ? active : true,
+            projectId,
+            createdBy: req.user.id
+        });
+
+        // La clave solo se devuelve al crear el webhook
+        return res.formatResponse(201, webhook, 'Webhook creado correctamente');
+    } catch (error) {
+        console.error('Error al crear webhook:', error);
+
+        // Manejo de errores de validación
+        if (isSequelizeValidationError(error)) {
+            return res.formatResponse(422, null, 'Error de validación', { errors: formatSequelizeErrors(error) });
+        }
+
+        return res.formatResponse(500, null, 'Error al crear webhook');
+    }
+};
+
+/**
+ * Obtiene los webhooks de un proyecto
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getProjectWebhooks = async (req, res) => {
+    try {
+        const webhooks = await Webhook.findAll({
+            where: { projectId: req.project.id },
+            attributes: WEBHOOK_ATTRIBUTES,
+            order: [['id', 'ASC']]
+        });
+
+        return res.formatResponse(200, webhooks, 'Webhooks obtenidos correctamente');
+    } catch (error) {
+        console.error('Error al obtener webhooks del proyecto:', error);
+        return res.formatResponse(500, null, 'Error al obtener webhooks');
+    }
+};
+
+/**
+ * Crea un webhook que recibe los eventos de un proyecto
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const createProjectWebhook = (req, res) => createWebhook(req, res, req.project.id);
+
+/**
+ * Obtiene los webhooks globales (solo administradores)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getGlobalWebhooks = async (req, res) => {
+    try {
+        const webhooks = await Webhook.findAll({
+            where: { projectId: null },
+            attributes: WEBHOOK_ATTRIBUTES,
+            order: [['id', 'ASC']]
+        });
+
+        return res.formatResponse(200, webhooks, 'Webhooks obtenidos correctamente');
+    } catch (error) {
+        console.error('Error al obtener webhooks globales:', error);
+        return res.formatResponse(500, null, 'Error al obtener webhooks');
+    }
+};
+
+/**
+ * Crea un webhook global que recibe los eventos de todos los proyectos (solo administradores)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const createGlobalWebhook = (req, res) => createWebhook(req, res, null);
+
+/**
+ * Obtiene un webhook por su ID
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getWebhookById = async (req, res) => {
+    try {
+        const access = await findManageableWebhook(req.params.id, req.user);
+        if (access.status) {
+            return res.formatResponse(access.status, null, access.message);
+        }
+
+        return res.formatResponse(200, access.webhook, 'Webhook obtenido correctamente');
+    } catch (error) {
+        console.error('Error al obtener webhook:', error);
+        return res.formatResponse(500, null, 'Error al obtener webhook');
+    }
+};
+
+/**
+ * Actualiza un webhook (URL, eventos, descripción, clave o activación)
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const updateWebhook = async (req, res) => {
+    try {
+        const { url, events, description, secret, active } = req.body;
+
+        const access = await findManageableWebhook(req.params.id, req.user);
+        if (access.status) {
+            return res.formatResponse(access.status, null, access.message);
+        }
+        const { webhook } = access;
+
+        // Actualizar propiedades del webhook (los valores ya llegan validados)
+        if (url !== undefined) webhook.url = url;
+        if (events !== undefined) webhook.events = [...new Set(events)];
+        if (description !== undefined) webhook.description = description;
+        if (secret !== undefined) webhook.secret = secret;
+        if (active !== undefined) webhook.active = active;
+
+        await webhook.save();
+
+        // Se vuelve a leer para no devolver la clave si se ha cambiado
+        const updated = await Webhook.findByPk(webhook.id, { attributes: WEBHOOK_ATTRIBUTES });
+
+        return res.formatResponse(200, updated, 'Webhook actualizado correctamente');
+    } catch (error) {
+        console.error('Error al actualizar webhook:', error);
+
+        // Manejo de errores de validación
+        if (isSequelizeValidationError(error)) {
+            return res.formatResponse(422, null, 'Error de validación', { errors: formatSequelizeErrors(error) });
+        }
+
+        return res.formatResponse(500, null, 'Error al actualizar webhook');
+    }
+};
+
+/**
+ * Elimina un webhook junto con su registro de entregas
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const deleteWebhook = async (req, res) => {
+    try {
+        const access = await findManageableWebhook(req.params.id, req.user);
+        if (access.status) {
+            return res.formatResponse(access.status, null, access.message);
+        }
+
+        await access.webhook.destroy();
+
+        return res.formatResponse(200, { id: access.webhook.id }, 'Webhook eliminado correctamente');
+    } catch (error) {
+        console.error('Error al eliminar webhook:', error);
+        return res.formatResponse(500, null, 'Error al eliminar webhook');
+    }
+};
+
+/**
+ * Obtiene el registro de entregas de un webhook
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const getWebhookDeliveries = async (req, res) => {
+    try {
+        const { status, event } = req.query;
+
+        const access = await findManageableWebhook(req.params.id, req.user);
+        if (access.status) {
+            return res.formatResponse(access.status, null, access.message);
+        }
+
+        const where = { webhookId: access.webhook.id };
+        if (status) where.status = status;
+        if (event) where.event = event;
+
+        const pagination = parsePaginationParams(req.query, {
+            sortable: DELIVERY_SORT_FIELDS,
+            defaultSort: '-createdAt'
+        });
+        const { rows, meta } = await paginate(WebhookDelivery, { where }, pagination, req);
+
+        return res.formatResponse(200, rows, 'Entregas obtenidas correctamente', { pagination: meta });
+    } catch (error) {
+        console.error('Error al obtener entregas del webhook:', error);
+
+        // Parámetros de paginación u ordenación inválidos
+        if (error.name === 'PaginationError') {
+            return res.formatResponse(400, null, error.message);
+        }
+
+        return res.formatResponse(500, null, 'Error al obtener entregas del webhook');
+    }
+};
+
+/**
+ * Vuelve a enviar el evento de una entrega como una entrega nueva
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ */
+const redeliverWebhookDelivery = async (req, res) => {
+    try {
+        const access = await findManageableWebhook(req.params.id, req.user);
+        if (access.status) {
+            return res.formatResponse(access.status, null, access.message);
+        }
+
+        const delivery = await WebhookDelivery.findOne({
+            where: { id: req.params.deliveryId, webhookId: access.webhook.id }
+        });
+        if (!delivery) {
+            return res.formatResponse(404, null, 'Entrega no encontrada');
+        }
+
+        const copy = await redeliver(delivery);
+
+        return res.formatResponse(202, copy, 'Entrega programada para su reenvío');
+    } catch (error) {
+        console.error('Error al reenviar entrega del webhook:', error);
+        return res.formatResponse(500, null, 'Error al reenviar la entrega');
+    }
+};
+
+module.exports = {
+    getProjectWebhooks,
+    createProjectWebhook,
+    getGlobalWebhooks,
+    createGlobalWebhook,
+    getWebhookById,
+    updateWebhook,
+    deleteWebhook,
+    getWebhookDeliveries,
+    redeliverWebhookDelivery
+};
\ No newline at end of file
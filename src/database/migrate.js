@@ -0,0 +1,41 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { migrate, rollback, status } = require('./migrator');
+
+/**
+ * Punto de entrada de los comandos npm run migrate / migrate:undo / migrate:status
+ * Uso: node src/database/migrate.js <up|down|status> [pasos]
+ */
+const run = async () => {
+    const [command = 'up', steps] = process.argv.slice(2);
+
+    switch (command) {
+        case 'up': {
+            const applied = await migrate();
+            console.log(applied.length ? `Migraciones aplicadas: ${applied.length}` : 'No hay migraciones pendientes');
+            break;
+        }
+        case 'down': {
+            const reverted = await rollback(parseInt(steps, 10) || 1);
+            console.log(reverted.length ? `Migraciones revertidas: ${reverted.join(', ')}` : 'No hay migraciones que revertir');
+            break;
+        }
+        case 'status': {
+            const migrations = await status();
+            migrations.forEach(migration => {
+                console.log(`${migration.executed ? '[aplicada] ' : '[pendiente]'} ${migration.name}`);
+            });
+            break;
+        }
+        default:
+            throw new Error(`Comando desconocido: ${command}. Use up, down o status`);
+    }
+};
+
+run()
+    .then(() => sequelize.close())
+    .catch(async (error) => {
+        console.error('Error al ejecutar migraciones:', error);
+        await sequelize.close();
+        process.exit(1);
+    });
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Esquema inicial: usuarios, proyectos y tareas
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('users', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            name: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            email: {
+                type: Sequelize.STRING,
+                allowNull: false,
+                unique: true
+            },
+            password: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            role: {
+                type: Sequelize.ENUM('admin', 'user'),
+                defaultValue: 'user'
+            },
+            active: {
+                type: Sequelize.BOOLEAN,
+                defaultValue: true
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.createTable('projects', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            name: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            description: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            status: {
+                type: Sequelize.ENUM('active', 'completed', 'canceled'),
+                defaultValue: 'active'
+            },
+            startDate: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            endDate: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            createdBy: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.createTable('tasks', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            title: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            description: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            status: {
+                type: Sequelize.ENUM('pending', 'in_progress', 'completed', 'canceled'),
+                defaultValue: 'pending'
+            },
+            priority: {
+                type: Sequelize.ENUM('low', 'medium', 'high'),
+                defaultValue: 'medium'
+            },
+            dueDate: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            projectId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'projects',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE'
+            },
+            assignedTo: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'SET NULL',
+                onUpdate: 'CASCADE'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('tasks');
+        await queryInterface.dropTable('projects');
+        await queryInterface.dropTable('users');
+    }
+};
\ No newline at end of file
@@ -0,0 +1,60 @@
+/**
+ * Membresías de proyecto con roles (owner, manager, contributor, viewer)
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('project_members', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            role: {
+                type: Sequelize.ENUM('owner', 'manager', 'contributor', 'viewer'),
+                allowNull: false,
+                defaultValue: 'contributor'
+            },
+            projectId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'projects',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE'
+            },
+            userId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('project_members', ['projectId', 'userId'], { unique: true });
+
+        // Los creadores de proyectos existentes pasan a ser sus propietarios
+        const q = (identifier) => queryInterface.quoteIdentifier(identifier);
+        await queryInterface.sequelize.query(
+            `INSERT INTO ${q('project_members')} (${q('role')}, ${q('projectId')}, ${q('userId')}, ${q('createdAt')}, ${q('updatedAt')})
+             SELECT 'owner', ${q('id')}, ${q('createdBy')}, ${q('createdAt')}, ${q('updatedAt')} FROM ${q('projects')}`
+        );
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('project_members');
+    }
+};
\ No newline at end of file
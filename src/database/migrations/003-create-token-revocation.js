@@ -0,0 +1,83 @@
+/**
+ * Refresh tokens, lista de tokens revocados y versión de tokens por usuario
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('users', 'tokenVersion', {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        });
+
+        await queryInterface.createTable('refresh_tokens', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            tokenHash: {
+                type: Sequelize.STRING(64),
+                allowNull: false,
+                unique: true
+            },
+            family: {
+                type: Sequelize.STRING(36),
+                allowNull: false
+            },
+            expiresAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            revokedAt: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            replacedBy: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            userId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('refresh_tokens', ['family']);
+        await queryInterface.addIndex('refresh_tokens', ['userId']);
+
+        await queryInterface.createTable('revoked_tokens', {
+            jti: {
+                type: Sequelize.STRING(36),
+                primaryKey: true
+            },
+            expiresAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('revoked_tokens');
+        await queryInterface.dropTable('refresh_tokens');
+        await queryInterface.removeColumn('users', 'tokenVersion');
+    }
+};
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * Comentarios de tareas con respuestas en hilo y menciones
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('comments', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            content: {
+                type: Sequelize.TEXT,
+                allowNull: false
+            },
+            taskId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'tasks',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE'
+            },
+            userId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE'
+            },
+            parentId: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'comments',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.createTable('comment_mentions', {
+            commentId: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                references: {
+                    model: 'comments',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE'
+            },
+            userId: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('comment_mentions');
+        await queryInterface.dropTable('comments');
+    }
+};
\ No newline at end of file
@@ -0,0 +1,51 @@
+/**
+ * Registro de auditoría de solo inserción
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('audit_logs', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            entityType: {
+                type: Sequelize.STRING(50),
+                allowNull: false
+            },
+            entityId: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            projectId: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            action: {
+                type: Sequelize.ENUM('create', 'update', 'delete'),
+                allowNull: false
+            },
+            actorId: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            changes: {
+                type: Sequelize.JSON,
+                allowNull: false
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('audit_logs', ['entityType', 'entityId']);
+        await queryInterface.addIndex('audit_logs', ['projectId']);
+        await queryInterface.addIndex('audit_logs', ['actorId']);
+        await queryInterface.addIndex('audit_logs', ['createdAt']);
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('audit_logs');
+    }
+};
\ No newline at end of file
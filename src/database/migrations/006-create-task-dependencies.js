@@ -0,0 +1,39 @@
+/**
+ * Dependencias entre tareas de un mismo proyecto (la tarea taskId no puede empezar hasta completar dependsOnId)
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('task_dependencies', {
+            taskId: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                references: {
+                    model: 'tasks',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE'
+            },
+            dependsOnId: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                references: {
+                    model: 'tasks',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('task_dependencies', ['dependsOnId']);
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('task_dependencies');
+    }
+};
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * Subtareas (jerarquía padre/hijo en tasks) y elementos de checklist de cada tarea
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('tasks', 'parentId', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'tasks',
+                key: 'id'
+            },
+            onDelete: 'CASCADE',
+            onUpdate: 'CASCADE'
+        });
+
+        // Porcentaje de avance calculado a partir de las subtareas y la checklist
+        await queryInterface.addColumn('tasks', 'progress', {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        });
+
+        await queryInterface.addIndex('tasks', ['parentId']);
+
+        await queryInterface.createTable('checklist_items', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            content: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            done: {
+                type: Sequelize.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            position: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            taskId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'tasks',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('checklist_items', ['taskId', 'position']);
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('checklist_items');
+        await queryInterface.removeIndex('tasks', ['parentId']);
+        await queryInterface.removeColumn('tasks', 'progress');
+        await queryInterface.removeColumn('tasks', 'parentId');
+    }
+};
\ No newline at end of file
@@ -0,0 +1,25 @@
+/**
+ * Fecha de finalización de las tareas (para las estadísticas de tareas completadas por periodo)
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('tasks', 'completedAt', {
+            type: Sequelize.DATE,
+            allowNull: true
+        });
+
+        // Las tareas ya completadas toman como fecha de finalización su última modificación
+        await queryInterface.bulkUpdate('tasks', {
+            completedAt: Sequelize.col('updatedAt')
+        }, { status: 'completed' });
+
+        await queryInterface.addIndex('tasks', ['completedAt']);
+        await queryInterface.addIndex('tasks', ['projectId', 'status']);
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.removeIndex('tasks', ['projectId', 'status']);
+        await queryInterface.removeIndex('tasks', ['completedAt']);
+        await queryInterface.removeColumn('tasks', 'completedAt');
+    }
+};
\ No newline at end of file
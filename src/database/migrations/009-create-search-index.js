@@ -0,0 +1,54 @@
+/**
+ * Índice de búsqueda de texto completo de proyectos, tareas y comentarios.
+ * En SQLite es una tabla virtual FTS5; en MySQL y PostgreSQL, una tabla normal con un índice FULLTEXT o GIN.
+ * Cada fila se identifica por rowid = id * 3 + tipo (0 proyecto, 1 tarea, 2 comentario), igual que en src/utils/search.js.
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        const dialect = queryInterface.sequelize.getDialect();
+        const q = (name) => queryInterface.quoteIdentifier(name);
+
+        if (dialect === 'sqlite') {
+            // Sin distinguir acentos ni mayúsculas; las columnas UNINDEXED solo sirven para filtrar
+            await queryInterface.sequelize.query(`CREATE VIRTUAL TABLE search_index USING fts5(
+                title, content,
+                type UNINDEXED, entityId UNINDEXED, projectId UNINDEXED, taskId UNINDEXED, status UNINDEXED,
+                tokenize = 'unicode61 remove_diacritics 2'
+            )`);
+        } else {
+            await queryInterface.createTable('search_index', {
+                rowid: { type: Sequelize.BIGINT, primaryKey: true },
+                title: { type: Sequelize.TEXT, allowNull: true },
+                content: { type: Sequelize.TEXT, allowNull: true },
+                type: { type: Sequelize.STRING(20), allowNull: false },
+                entityId: { type: Sequelize.INTEGER, allowNull: false },
+                projectId: { type: Sequelize.INTEGER, allowNull: false },
+                taskId: { type: Sequelize.INTEGER, allowNull: true },
+                status: { type: Sequelize.STRING(20), allowNull: true }
+            });
+            await queryInterface.addIndex('search_index', ['projectId']);
+            await queryInterface.addIndex('search_index', ['taskId']);
+
+            if (dialect === 'mysql') {
+                await queryInterface.addIndex('search_index', ['title', 'content'], { type: 'FULLTEXT', name: 'search_index_fulltext' });
+            } else {
+                await queryInterface.sequelize.query(`CREATE INDEX search_index_fulltext ON search_index
+                    USING GIN (to_tsvector('simple', coalesce(title, '') || ' ' || coalesce(content, '')))`);
+            }
+        }
+
+        // Indexar los datos existentes
+        const columns = ['rowid', 'title', 'content', 'type', 'entityId', 'projectId', 'taskId', 'status'].map(q).join(', ');
+        await queryInterface.sequelize.query(`INSERT INTO search_index (${columns})
+            SELECT id * 3, name, description, 'project', id, id, NULL, status FROM projects`);
+        await queryInterface.sequelize.query(`INSERT INTO search_index (${columns})
+            SELECT id * 3 + 1, title, description, 'task', id, ${q('projectId')}, id, status FROM tasks`);
+        await queryInterface.sequelize.query(`INSERT INTO search_index (${columns})
+            SELECT c.id * 3 + 2, NULL, c.content, 'comment', c.id, t.${q('projectId')}, c.${q('taskId')}, NULL
+            FROM comments c INNER JOIN tasks t ON t.id = c.${q('taskId')}`);
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('search_index');
+    }
+};
\ No newline at end of file
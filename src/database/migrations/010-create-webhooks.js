@@ -0,0 +1,141 @@
+/**
+ * Webhooks (suscripciones a eventos por proyecto o globales) y cola persistente de entregas.
+ * projectId no tiene clave foránea: los webhooks de un proyecto eliminado se conservan
+ * para poder entregar el evento project.deleted y consultar su registro de entregas.
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('webhooks', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            url: {
+                type: Sequelize.STRING(2048),
+                allowNull: false
+            },
+            secret: {
+                type: Sequelize.STRING(255),
+                allowNull: false
+            },
+            events: {
+                type: Sequelize.JSON,
+                allowNull: false
+            },
+            description: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            projectId: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            active: {
+                type: Sequelize.BOOLEAN,
+                allowNull: false,
+                defaultValue: true
+            },
+            createdBy: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'SET NULL',
+                onUpdate: 'CASCADE'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('webhooks', ['projectId']);
+
+        await queryInterface.createTable('webhook_deliveries', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            webhookId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'webhooks',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE'
+            },
+            event: {
+                type: Sequelize.STRING(50),
+                allowNull: false
+            },
+            payload: {
+                type: Sequelize.JSON,
+                allowNull: false
+            },
+            status: {
+                type: Sequelize.ENUM('pending', 'success', 'failed'),
+                allowNull: false,
+                defaultValue: 'pending'
+            },
+            attempts: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            nextAttemptAt: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            lastAttemptAt: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            responseStatus: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            responseBody: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            error: {
+                type: Sequelize.STRING(500),
+                allowNull: true
+            },
+            deliveredAt: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            redeliveryOf: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('webhook_deliveries', ['status', 'nextAttemptAt']);
+        await queryInterface.addIndex('webhook_deliveries', ['webhookId', 'createdAt']);
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('webhook_deliveries');
+        await queryInterface.dropTable('webhooks');
+    }
+};
\ No newline at end of file
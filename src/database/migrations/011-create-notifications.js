@@ -0,0 +1,105 @@
+/**
+ * Notificaciones de los usuarios y sus preferencias por tipo de notificación
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('notifications', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            userId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE'
+            },
+            type: {
+                type: Sequelize.STRING(50),
+                allowNull: false
+            },
+            message: {
+                type: Sequelize.STRING(500),
+                allowNull: false
+            },
+            projectId: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            taskId: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            commentId: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            actorId: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            dedupeKey: {
+                type: Sequelize.STRING(100),
+                allowNull: true
+            },
+            readAt: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('notifications', ['userId', 'readAt']);
+        await queryInterface.addIndex('notifications', ['userId', 'createdAt']);
+        await queryInterface.addIndex('notifications', ['userId', 'dedupeKey']);
+
+        await queryInterface.createTable('notification_preferences', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            userId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE'
+            },
+            type: {
+                type: Sequelize.STRING(50),
+                allowNull: false
+            },
+            enabled: {
+                type: Sequelize.BOOLEAN,
+                allowNull: false
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('notification_preferences', ['userId', 'type'], { unique: true });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('notification_preferences');
+        await queryInterface.dropTable('notifications');
+    }
+};
\ No newline at end of file
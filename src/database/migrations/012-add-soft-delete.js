@@ -0,0 +1,106 @@
+/**
+ * Papelera: los proyectos y las tareas se marcan como eliminados (deletedAt, deletedBy) y se
+ * eliminan definitivamente al vaciar la papelera o al cumplirse el periodo de retención.
+ * El historial registra las restauraciones con la acción 'restore'.
+ */
+
+/**
+ * Obtiene los IDs de las filas de una tabla que cumplen una condición
+ * @param {Object} queryInterface - QueryInterface de Sequelize
+ * @param {String} table - Nombre de la tabla
+ * @param {Object} where - Condición
+ * @returns {Array<Number>} - IDs obtenidos
+ */
+const selectIds = async (queryInterface, table, where) => {
+    const rows = await queryInterface.select(null, table, { where, attributes: ['id'] });
+    return rows.map(row => row.id);
+};
+
+/**
+ * Borra definitivamente los proyectos y tareas de la papelera: sin las columnas deletedAt volverían a
+ * aparecer como activos. Las filas que dependen de ellos se borran explícitamente porque el migrador
+ * desactiva las claves foráneas en SQLite y los borrados en cascada no se producen.
+ * @param {Object} queryInterface - QueryInterface de Sequelize
+ * @param {Object} Sequelize - Clase Sequelize
+ */
+const purgeDeletedRows = async (queryInterface, Sequelize) => {
+    const { Op } = Sequelize;
+    const projectIds = await selectIds(queryInterface, 'projects', { deletedAt: { [Op.ne]: null } });
+    const taskIds = await selectIds(queryInterface, 'tasks', {
+        [Op.or]: [{ deletedAt: { [Op.ne]: null } }, { projectId: { [Op.in]: projectIds } }]
+    });
+
+    // Subtareas de las tareas borradas, a cualquier profundidad
+    let parents = taskIds;
+    while (parents.length > 0) {
+        parents = await selectIds(queryInterface, 'tasks', {
+            parentId: { [Op.in]: parents },
+            id: { [Op.notIn]: taskIds }
+        });
+        taskIds.push(...parents);
+    }
+
+    const commentIds = await selectIds(queryInterface, 'comments', { taskId: { [Op.in]: taskIds } });
+    const webhookIds = await selectIds(queryInterface, 'webhooks', { projectId: { [Op.in]: projectIds } });
+
+    await queryInterface.bulkDelete('comment_mentions', { commentId: { [Op.in]: commentIds } });
+    await queryInterface.bulkDelete('comments', { id: { [Op.in]: commentIds } });
+    await queryInterface.bulkDelete('task_dependencies', {
+        [Op.or]: [{ taskId: { [Op.in]: taskIds } }, { dependsOnId: { [Op.in]: taskIds } }]
+    });
+    await queryInterface.bulkDelete('checklist_items', { taskId: { [Op.in]: taskIds } });
+    await queryInterface.bulkDelete('search_index', {
+        [Op.or]: [{ projectId: { [Op.in]: projectIds } }, { taskId: { [Op.in]: taskIds } }]
+    });
+    await queryInterface.bulkDelete('tasks', { id: { [Op.in]: taskIds } });
+    await queryInterface.bulkDelete('webhook_deliveries', { webhookId: { [Op.in]: webhookIds } });
+    await queryInterface.bulkDelete('webhooks', { id: { [Op.in]: webhookIds } });
+    await queryInterface.bulkDelete('project_members', { projectId: { [Op.in]: projectIds } });
+    await queryInterface.bulkDelete('projects', { id: { [Op.in]: projectIds } });
+};
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        for (const table of ['projects', 'tasks']) {
+            await queryInterface.addColumn(table, 'deletedAt', {
+                type: Sequelize.DATE,
+                allowNull: true
+            });
+            await queryInterface.addColumn(table, 'deletedBy', {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            });
+            await queryInterface.addIndex(table, ['deletedAt']);
+        }
+
+        // En SQLite los ENUM son columnas de texto sin restricción: solo cambian MySQL y PostgreSQL
+        const dialect = queryInterface.sequelize.getDialect();
+        if (dialect === 'mysql') {
+            await queryInterface.changeColumn('audit_logs', 'action', {
+                type: Sequelize.ENUM('create', 'update', 'delete', 'restore'),
+                allowNull: false
+            });
+        } else if (dialect === 'postgres') {
+            await queryInterface.sequelize.query(`ALTER TYPE "enum_audit_logs_action" ADD VALUE IF NOT EXISTS 'restore'`);
+        }
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await purgeDeletedRows(queryInterface, Sequelize);
+
+        // PostgreSQL no permite quitar valores de un ENUM: 'restore' se conserva en el tipo
+        if (queryInterface.sequelize.getDialect() === 'mysql') {
+            await queryInterface.bulkDelete('audit_logs', { action: 'restore' });
+            await queryInterface.changeColumn('audit_logs', 'action', {
+                type: Sequelize.ENUM('create', 'update', 'delete'),
+                allowNull: false
+            });
+        }
+
+        for (const table of ['tasks', 'projects']) {
+            await queryInterface.removeIndex(table, ['deletedAt']);
+            await queryInterface.removeColumn(table, 'deletedBy');
+            await queryInterface.removeColumn(table, 'deletedAt');
+        }
+    }
+};
\ No newline at end of file
@@ -0,0 +1,23 @@
+/**
+ * Control de concurrencia optimista: cada proyecto y tarea guarda un número de versión que se
+ * incrementa en cada modificación (se expone en la cabecera ETag y se comprueba con If-Match)
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        for (const table of ['projects', 'tasks']) {
+            await queryInterface.addColumn(table, 'version', {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            });
+        }
+    },
+
+    // En SQLite quitar la columna reconstruye la tabla: el migrador desactiva las claves foráneas
+    // durante el paso para que no se borren en cascada los miembros, tareas y comentarios
+    down: async (queryInterface) => {
+        for (const table of ['projects', 'tasks']) {
+            await queryInterface.removeColumn(table, 'version');
+        }
+    }
+};
\ No newline at end of file
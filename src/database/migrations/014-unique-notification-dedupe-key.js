@@ -0,0 +1,28 @@
+/**
+ * La clave de deduplicación de las notificaciones pasa a ser única por usuario: dos avisos simultáneos
+ * con la misma clave no pueden crearse a la vez (las filas sin clave no se ven afectadas)
+ */
+module.exports = {
+    up: async (queryInterface) => {
+        const q = (name) => queryInterface.quoteIdentifier(name);
+
+        // Se conserva la primera notificación de cada clave repetida. La subconsulta se envuelve en una
+        // tabla derivada porque MySQL no permite leer en una subconsulta la tabla de la que se borra
+        await queryInterface.sequelize.query(`DELETE FROM notifications
+            WHERE ${q('dedupeKey')} IS NOT NULL AND id NOT IN (
+                SELECT id FROM (
+                    SELECT MIN(id) AS id FROM notifications
+                    WHERE ${q('dedupeKey')} IS NOT NULL
+                    GROUP BY ${q('userId')}, ${q('dedupeKey')}
+                ) AS ${q('kept')}
+            )`);
+
+        await queryInterface.removeIndex('notifications', ['userId', 'dedupeKey']);
+        await queryInterface.addIndex('notifications', ['userId', 'dedupeKey'], { unique: true });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.removeIndex('notifications', ['userId', 'dedupeKey']);
+        await queryInterface.addIndex('notifications', ['userId', 'dedupeKey']);
+    }
+};
\ No newline at end of file
@@ -0,0 +1,29 @@
+/**
+ * La fecha de eliminación de proyectos y tareas se guarda con fracciones de segundo: la papelera
+ * reconoce los elementos de una misma eliminación porque comparten exactamente su deletedAt, y con
+ * segundos enteros se confundirían eliminaciones distintas hechas en el mismo segundo.
+ * Solo cambia MySQL (DATETIME sin fracción): SQLite conserva los milisegundos y PostgreSQL los microsegundos.
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        if (queryInterface.sequelize.getDialect() !== 'mysql') return;
+
+        for (const table of ['projects', 'tasks']) {
+            await queryInterface.changeColumn(table, 'deletedAt', {
+                type: Sequelize.DATE(6),
+                allowNull: true
+            });
+        }
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        if (queryInterface.sequelize.getDialect() !== 'mysql') return;
+
+        for (const table of ['projects', 'tasks']) {
+            await queryInterface.changeColumn(table, 'deletedAt', {
+                type: Sequelize.DATE,
+                allowNull: true
+            });
+        }
+    }
+};
\ No newline at end of file
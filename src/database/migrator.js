@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const { Sequelize, QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Directorio con los ficheros de migración (se aplican en orden alfabético)
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Tabla donde se registran las migraciones aplicadas
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+/**
+ * Crea la tabla de control de migraciones si no existe
+ */
+const ensureMigrationsTable = async () => {
+    await sequelize.getQueryInterface().createTable(MIGRATIONS_TABLE, {
+        name: {
+            type: Sequelize.STRING,
+            primaryKey: true
+        },
+        executedAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+        }
+    });
+};
+
+/**
+ * Obtiene la lista de migraciones disponibles en disco
+ * @returns {Array<Object>} - { name, up, down } ordenadas por nombre
+ */
+const loadMigrations = () => {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => file.endsWith('.js'))
+        .sort()
+        .map(file => {
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            return { name: path.basename(file, '.js'), ...migration };
+        });
+};
+
+/**
+ * Obtiene los nombres de las migraciones ya aplicadas
+ * @returns {Array<String>} - Nombres ordenados
+ */
+const getExecutedNames = async () => {
+    await ensureMigrationsTable();
+    const rows = await sequelize.query(
+        `SELECT name FROM ${MIGRATIONS_TABLE} ORDER BY name`,
+        { type: QueryTypes.SELECT }
+    );
+    return rows.map(row => row.name);
+};
+
+/**
+ * Devuelve un queryInterface cuyas consultas se ejecutan dentro de la transacción indicada
+ * (las migraciones no reciben la transacción: se añade a cada consulta que lanzan)
+ * @param {Object} transaction - Transacción de Sequelize
+ * @returns {Object} - queryInterface ligado a la transacción
+ */
+const transactionalQueryInterface = (transaction) => {
+    const scopedSequelize = Object.create(sequelize, {
+        query: {
+            value: (sql, options = {}) => sequelize.query(sql, { ...options, transaction: options.transaction || transaction })
+        }
+    });
+    return Object.create(sequelize.getQueryInterface(), { sequelize: { value: scopedSequelize } });
+};
+
+/**
+ * Ejecuta un paso de migración (up o down y su registro en la tabla de control) en una transacción.
+ * En SQLite, quitar o modificar una columna reconstruye la tabla (copia, DROP TABLE y vuelta a crear):
+ * con las claves foráneas activas el DROP TABLE borraría en cascada las filas que la referencian,
+ * así que se desactivan durante el paso y se comprueba al final que no queda ninguna referencia rota.
+ * PRAGMA foreign_keys no tiene efecto dentro de una transacción, por lo que en SQLite la transacción
+ * se abre sobre la conexión compartida en lugar de con sequelize.transaction(), que usa una propia.
+ * En MySQL las sentencias DDL confirman la transacción implícitamente.
+ * @param {Function} step - Recibe el queryInterface con el que debe ejecutar sus consultas
+ */
+const runStep = async (step) => {
+    if (sequelize.getDialect() !== 'sqlite') {
+        await sequelize.transaction(transaction => step(transactionalQueryInterface(transaction)));
+        return;
+    }
+
+    await sequelize.query('PRAGMA foreign_keys = OFF');
+    try {
+        await sequelize.query('BEGIN');
+        try {
+            await step(sequelize.getQueryInterface());
+
+            const violations = await sequelize.query('PRAGMA foreign_key_check', { type: QueryTypes.SELECT });
+            if (violations.length > 0) {
+                const tables = [...new Set(violations.map(violation => violation.table))];
+                throw new Error(`La migración deja referencias rotas en: ${tables.join(', ')}`);
+            }
+
+            await sequelize.query('COMMIT');
+        } catch (error) {
+            await sequelize.query('ROLLBACK');
+            throw error;
+        }
+    } finally {
+        await sequelize.query('PRAGMA foreign_keys = ON');
+    }
+};
+
+/**
+ * Aplica todas las migraciones pendientes
+ * @returns {Array<String>} - Nombres de las migraciones aplicadas
+ */
+const migrate = async () => {
+    const executed = await getExecutedNames();
+    const pending = loadMigrations().filter(migration => !executed.includes(migration.name));
+
+    for (const migration of pending) {
+        console.log(`Aplicando migración ${migration.name}...`);
+        await runStep(async (queryInterface) => {
+            await migration.up(queryInterface, Sequelize);
+            await queryInterface.bulkInsert(MIGRATIONS_TABLE, [{ name: migration.name, executedAt: new Date() }]);
+        });
+    }
+
+    return pending.map(migration => migration.name);
+};
+
+/**
+ * Revierte las últimas migraciones aplicadas
+ * @param {Number} steps - Número de migraciones a revertir
+ * @returns {Array<String>} - Nombres de las migraciones revertidas
+ */
+const rollback = async (steps = 1) => {
+    const executed = await getExecutedNames();
+    const available = loadMigrations();
+    const toRevert = executed.slice(-steps).reverse();
+
+    for (const name of toRevert) {
+        const migration = available.find(item => item.name === name);
+        if (!migration) {
+            throw new Error(`No se encuentra el fichero de la migración ${name}`);
+        }
+        console.log(`Revirtiendo migración ${name}...`);
+        await runStep(async (queryInterface) => {
+            await migration.down(queryInterface, Sequelize);
+            await queryInterface.bulkDelete(MIGRATIONS_TABLE, { name });
+        });
+    }
+
+    return toRevert;
+};
+
+/**
+ * Obtiene el estado de todas las migraciones
+ * @returns {Array<Object>} - { name, executed }
+ */
+const status = async () => {
+    const executed = await getExecutedNames();
+    return loadMigrations().map(migration => ({
+        name: migration.name,
+        executed: executed.includes(migration.name)
+    }));
+};
+
+module.exports = {
+    migrate,
+    rollback,
+    status
+};
\ No newline at end of file
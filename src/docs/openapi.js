@@ -0,0 +1,1468 @@
+/**
+ * Documento OpenAPI 3 de la API.
+ *
+ * Los parámetros de query y los cuerpos de las peticiones se generan a partir de los
+ * esquemas de src/validators, de modo que la documentación describe exactamente lo que
+ * valida el middleware validate(). Cada ruta de src/routes debe tener su entrada en PATHS
+ * (lo comprueba tests/docs.test.js).
+ */
+const { version } = require('../../package.json');
+const authSchemas = require('../validators/authSchemas');
+const projectSchemas = require('../validators/projectSchemas');
+const taskSchemas = require('../validators/taskSchemas');
+const memberSchemas = require('../validators/memberSchemas');
+const commentSchemas = require('../validators/commentSchemas');
+const auditSchemas = require('../validators/auditSchemas');
+const dependencySchemas = require('../validators/dependencySchemas');
+const checklistSchemas = require('../validators/checklistSchemas');
+const statisticsSchemas = require('../validators/statisticsSchemas');
+const searchSchemas = require('../validators/searchSchemas');
+const webhookSchemas = require('../validators/webhookSchemas');
+const realtimeSchemas = require('../validators/realtimeSchemas');
+const notificationSchemas = require('../validators/notificationSchemas');
+const trashSchemas = require('../validators/trashSchemas');
+const userSchemas = require('../validators/userSchemas');
+const { formatQuery } = require('../validators/common');
+const { PROJECT_ROLES } = require('../utils/permissions');
+const { STATISTICS_INTERVALS } = require('../utils/statistics');
+const { SEARCH_TYPES } = require('../utils/search');
+const { EVENT_TYPES } = require('../utils/events');
+const { NOTIFICATION_TYPES } = require('../utils/notifications');
+const { TRASH_TYPES } = require('../utils/trash');
+const { JSON_PATCH_OPERATIONS } = require('../utils/patch');
+
+// Respuestas de error reutilizables por código HTTP
+const ERROR_RESPONSES = {
+    400: 'BadRequest',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'NotFound',
+    406: 'NotAcceptable',
+    409: 'Conflict',
+    412: 'PreconditionFailed',
+    415: 'UnsupportedMediaType',
+    422: 'ValidationError',
+    428: 'PreconditionRequired',
+    429: 'TooManyRequests',
+    500: 'InternalError'
+};
+
+/**
+ * Convierte una regla de validación en un esquema OpenAPI
+ * @param {Object} rule - Regla del esquema declarativo (ver utils/validation.js)
+ * @returns {Object} - Esquema OpenAPI
+ */
+const ruleToSchema = (rule) => {
+    let schema;
+    switch (rule.type) {
+        case 'string':
+            schema = { type: 'string', minLength: rule.minLength, maxLength: rule.maxLength };
+            if (rule.pattern) schema.pattern = rule.pattern.source;
+            break;
+        case 'email':
+            schema = { type: 'string', format: 'email' };
+            break;
+        case 'integer':
+        case 'number':
+            schema = { type: rule.type, minimum: rule.min, maximum: rule.max };
+            break;
+        case 'boolean':
+            schema = { type: 'boolean' };
+            break;
+        case 'date':
+            schema = { type: 'string', format: 'date-time' };
+            break;
+        case 'enum':
+            schema = { type: 'string', enum: rule.values };
+            break;
+        case 'object':
+            schema = rule.schema ? bodyToSchema(rule.schema) : { type: 'object' };
+            break;
+        case 'array':
+            schema = { type: 'array', items: rule.items ? ruleToSchema(rule.items) : {}, minItems: rule.minItems, maxItems: rule.maxItems };
+            break;
+        default:
+            schema = {};
+    }
+
+    const descriptions = [];
+    if (rule.patternMessage) descriptions.push(rule.patternMessage);
+    if (rule.gte) descriptions.push(`Debe ser igual o posterior a ${rule.gte}`);
+    if (rule.gt) descriptions.push(`Debe ser posterior a ${rule.gt}`);
+    if (rule.endOfDay) descriptions.push('Una fecha sin hora (AAAA-MM-DD) incluye el día completo');
+    if (descriptions.length) schema.description = descriptions.join('. ');
+    if (rule.nullable) schema.nullable = true;
+
+    // Eliminar las propiedades sin valor
+    return JSON.parse(JSON.stringify(schema));
+};
+
+/**
+ * Genera el esquema del cuerpo de una petición
+ * @param {Object} body - Esquema declarativo del cuerpo
+ * @returns {Object} - Esquema OpenAPI de tipo objeto
+ */
+const bodyToSchema = (body) => {
+    const required = Object.keys(body).filter(field => body[field].required);
+    const schema = {
+        type: 'object',
+        additionalProperties: false,
+        properties: Object.fromEntries(Object.entries(body).map(([field, rule]) => [field, ruleToSchema(rule)]))
+    };
+    if (required.length) schema.required = required;
+    return schema;
+};
+
+/**
+ * Genera los parámetros de query a partir de un esquema declarativo
+ * @param {Object} query - Esquema declarativo de la query
+ * @returns {Array} - Parámetros OpenAPI
+ */
+const queryToParameters = (query) => {
+    return Object.entries(query).map(([name, rule]) => {
+        if (name === 'format') return { $ref: '#/components/parameters/format' };
+
+        const parameter = { name, in: 'query', required: Boolean(rule.required), schema: ruleToSchema(rule) };
+        if (rule.list) {
+            // Listas separadas por comas (ej. status=pending,completed)
+            parameter.schema = { type: 'array', items: parameter.schema };
+            parameter.style = 'form';
+            parameter.explode = false;
+        }
+        return parameter;
+    });
+};
+
+/**
+ * Referencia a un esquema de components/schemas
+ * @param {String} name - Nombre del esquema
+ * @returns {Object} - Referencia OpenAPI
+ */
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Contenido de una respuesta en cada uno de los formatos negociables
+ * @param {Object} schema - Esquema del sobre de la respuesta
+ * @returns {Object} - Objeto content de OpenAPI
+ */
+const negotiatedContent = (schema) => ({
+    'application/json': { schema },
+    'application/xml': {
+        schema: {
+            ...schema,
+            description: 'Cada entidad se emite con el nombre de su tipo; ver /api/docs/schema.xsd',
+            xml: { name: 'response' }
+        }
+    },
+    'application/yaml': { schema },
+    'text/csv': {
+        schema: {
+            type: 'string',
+            description: 'Solo los datos: una fila por elemento con los objetos anidados en columnas (ej. assignee.name)'
+        }
+    }
+});
+
+/**
+ * Construye el contenido de una respuesta con el sobre de formatResponse
+ * @param {Object} data - Esquema del campo data (null si no devuelve datos)
+ * @param {Boolean} paginated - Si la respuesta incluye metadatos de paginación
+ * @returns {Object} - Objeto content de OpenAPI
+ */
+const envelopeContent = (data, paginated) => {
+    const properties = { data: data || { nullable: true, example: null } };
+    if (paginated) properties.pagination = ref('Pagination');
+
+    return negotiatedContent({ allOf: [ref('Envelope'), { type: 'object', properties }] });
+};
+
+/**
+ * Describe una operación de la API
+ * @param {Object} options - Opciones de la operación
+ *   - tag, summary, description: textos de la documentación
+ *   - auth: requiere token Bearer (por defecto true)
+ *   - params: nombres de los parámetros de ruta (identificadores enteros)
+ *   - validator: esquema { body, query } usado por validate() en la ruta
+ *   - status: código de la respuesta correcta (por defecto 200)
+ *   - data: esquema del campo data de la respuesta correcta
+ *   - paginated: la respuesta incluye el bloque pagination
+ *   - errors: códigos de error adicionales que puede devolver
+ *   - invalidStatus: código de los errores de validación (por defecto 422, ver validate())
+ * @returns {Object} - Objeto Operation de OpenAPI
+ */
+const operation = ({ tag, summary, description, auth = true, params = [], validator = { query: formatQuery }, status = 200, data = null, paginated = false, errors = [], invalidStatus = 422 }) => {
+    const parameters = [
+        ...params.map(name => ({ name, in: 'path', required: true, schema: { type: 'integer', minimum: 1 } })),
+        ...queryToParameters(validator.query || {})
+    ];
+
+    const codes = new Set([...errors, 406, invalidStatus, 500]);
+    if (auth) codes.add(401);
+    if (paginated) codes.add(400);
+
+    const responses = {
+        [status]: { description: summary, content: envelopeContent(data, paginated) }
+    };
+    for (const code of [...codes].sort()) {
+        responses[code] = { $ref: `#/components/responses/${ERROR_RESPONSES[code]}` };
+    }
+
+    const result = { tags: [tag], summary, parameters, responses };
+    if (description) result.description = description;
+    if (validator.body) {
+        result.requestBody = {
+            required: true,
+            content: { 'application/json': { schema: bodyToSchema(validator.body) } }
+        };
+    }
+    result.security = auth ? [{ bearerAuth: [] }] : [];
+
+    return result;
+};
+
+/**
+ * Describe la operación del canal de eventos en tiempo real: la respuesta correcta es un flujo
+ * text/event-stream y los errores anteriores a abrirlo se responden en JSON (no negocia el formato)
+ * @param {Object} options - Opciones de operation()
+ * @returns {Object} - Objeto Operation de OpenAPI
+ */
+const eventStreamOperation = (options) => {
+    const result = operation(options);
+    delete result.responses[406];
+    result.responses[200] = {
+        description: options.summary,
+        content: {
+            'text/event-stream': {
+                schema: {
+                    type: 'string',
+                    description: 'Un mensaje por evento con los campos `id`, `event` (tipo del evento) y `data` '
+                        + '(`WebhookEvent` en JSON). `event: reset` indica que se han perdido eventos y hay que volver a '
+                        + 'cargar los datos del proyecto; `event: expired` y `event: revoked` (sin `id`) preceden al cierre de la '
+                        + 'conexión. Cada cierto tiempo se envía un comentario (`: ping`) para mantener la conexión.'
+                }
+            }
+        }
+    };
+    result.parameters.push({
+        name: 'Last-Event-ID',
+        in: 'header',
+        required: false,
+        description: 'Último evento recibido; tiene prioridad sobre `lastEventId` (EventSource la envía al reconectar)',
+        schema: { type: 'string', pattern: '^\\d+$' }
+    });
+    return result;
+};
+
+/**
+ * Describe una operación sobre un recurso versionado (proyecto o tarea): las lecturas devuelven
+ * la cabecera ETag y admiten If-None-Match (304); las modificaciones y eliminaciones admiten If-Match
+ * @param {String} method - Método HTTP ('get', 'put', 'patch' o 'delete')
+ * @param {Object} options - Opciones de operation()
+ * @returns {Object} - Objeto Operation de OpenAPI
+ */
+const versionedOperation = (method, options) => {
+    const result = operation(options);
+    const etag = {
+        description: 'Versión del recurso seguida de un resumen de la representación (`"<versión>-<resumen>"`)',
+        schema: { type: 'string' }
+    };
+
+    if (method === 'get') {
+        result.parameters.push({
+            name: 'If-None-Match',
+            in: 'header',
+            required: false,
+            description: 'ETag de una respuesta anterior: si la representación no ha cambiado se responde 304 sin cuerpo',
+            schema: { type: 'string' }
+        });
+        result.responses[200].headers = { ETag: etag };
+        result.responses[304] = { description: 'La representación no ha cambiado', headers: { ETag: etag } };
+        return result;
+    }
+
+    result.parameters.push({
+        name: 'If-Match',
+        in: 'header',
+        required: false,
+        description: 'ETag (o versión entre comillas, o `*`) con el que se leyó el recurso: si ha cambiado desde entonces se '
+            + 'responde 412. Obligatoria (428 si falta) con REQUIRE_IF_MATCH=true.',
+        schema: { type: 'string' }
+    });
+    if (method !== 'delete') result.responses[200].headers = { ETag: etag };
+    result.responses[412] = { $ref: `#/components/responses/${ERROR_RESPONSES[412]}` };
+    result.responses[428] = { $ref: `#/components/responses/${ERROR_RESPONSES[428]}` };
+    return result;
+};
+
+/**
+ * Describe la modificación parcial (PATCH) de un recurso versionado: el cuerpo es un JSON Merge Patch
+ * o un JSON Patch y el resultado se valida con el esquema del reemplazo completo (PUT)
+ * @param {Object} options - Opciones de operation(); validator.body es el esquema del reemplazo completo
+ * @returns {Object} - Objeto Operation de OpenAPI
+ */
+const patchOperation = (options) => {
+    const result = versionedOperation('patch', { ...options, errors: [...options.errors, 400, 409, 415] });
+    const resource = bodyToSchema(options.validator.body);
+
+    // En un merge patch todos los campos son opcionales y null elimina el valor (vuelve a null o, si es obligatorio, es un error)
+    const mergePatch = {
+        ...resource,
+        properties: Object.fromEntries(Object.entries(resource.properties).map(([field, schema]) => [field, { ...schema, nullable: true }]))
+    };
+    delete mergePatch.required;
+
+    result.requestBody = {
+        required: false,
+        content: {
+            'application/merge-patch+json': { schema: mergePatch },
+            'application/json-patch+json': { schema: { type: 'array', items: ref('JsonPatchOperation') } },
+            'application/json': { schema: mergePatch }
+        }
+    };
+    return result;
+};
+
+// Descripción común de los filtros de los listados de tareas
+const TASK_FILTERS_DESCRIPTION = 'Los filtros se combinan entre sí (deben cumplirse todos). `status`, `priority`, `assignedTo` '
+    + 'y `projectId` admiten varios valores separados por comas; `assignedTo=me` es el usuario autenticado y, junto con '
+    + '`unassigned=true`, incluye también las tareas sin asignar. Los rangos de fechas (`<campo>From`, `<campo>To`) incluyen '
+    + 'ambos extremos (un `<campo>To` sin hora incluye todo el día); `overdue=true` devuelve las tareas con fecha límite pasada sin completar ni cancelar y `title` busca '
+    + 'el texto en el título. Un filtro con un valor inválido responde 400.';
+
+// Descripción común del envío de los webhooks
+const WEBHOOKS_DESCRIPTION = 'Cada evento suscrito se envía con POST (cuerpo `WebhookEvent`) y las cabeceras `X-Webhook-Event`, '
+    + '`X-Webhook-Delivery`, `X-Webhook-Timestamp` y `X-Webhook-Signature` (`sha256=` seguido del HMAC-SHA256 en hexadecimal '
+    + 'de `<timestamp>.<cuerpo>` con la clave del webhook). Las respuestas que no son 2xx y los errores de conexión se reintentan '
+    + 'con espera exponencial hasta agotar los intentos.';
+
+// Esquemas de las entidades devueltas por la API
+const SCHEMAS = {
+    Envelope: {
+        type: 'object',
+        description: 'Sobre común de todas las respuestas (formatResponse)',
+        required: ['success', 'code', 'message', 'data', 'timestamp'],
+        properties: {
+            success: { type: 'boolean', description: 'true para códigos 2xx' },
+            code: { type: 'integer', description: 'Código HTTP de la respuesta' },
+            message: { type: 'string' },
+            data: { nullable: true, description: 'Datos de la respuesta (null en los errores)' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    RateLimit: {
+        type: 'object',
+        description: 'Límite superado: una ventana de peticiones o el bloqueo temporal de la cuenta por contraseñas incorrectas',
+        properties: {
+            policy: { type: 'string', enum: ['login', 'account', 'register', 'lockout'], description: 'Límite por IP (`login`, `register`), por cuenta (`account`) o bloqueo de la cuenta (`lockout`)' },
+            limit: { type: 'integer', description: 'Peticiones permitidas en la ventana (en `lockout`, fallos que bloquean la cuenta)' },
+            remaining: { type: 'integer' },
+            reset: { type: 'integer', description: 'Segundos hasta que se puede volver a intentar (igual que Retry-After)' }
+        }
+    },
+    FieldError: {
+        type: 'object',
+        required: ['field', 'code', 'message'],
+        properties: {
+            field: { type: 'string', description: 'Campo afectado' },
+            code: {
+                type: 'string',
+                description: 'Código legible por máquina',
+                example: 'required'
+            },
+            message: { type: 'string' },
+            location: { type: 'string', enum: ['body', 'query'] }
+        }
+    },
+    Pagination: {
+        type: 'object',
+        properties: {
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            page: { type: 'integer', nullable: true, description: 'null al paginar por cursor' },
+            totalPages: { type: 'integer' },
+            hasMore: { type: 'boolean' },
+            nextCursor: { type: 'string', nullable: true },
+            sort: { type: 'string', example: '-createdAt,-id' },
+            links: {
+                type: 'object',
+                properties: {
+                    self: { type: 'string' },
+                    next: { type: 'string', nullable: true },
+                    prev: { type: 'string', nullable: true },
+                    first: { type: 'string' },
+                    last: { type: 'string' }
+                }
+            }
+        }
+    },
+    UserSummary: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            email: { type: 'string', format: 'email' }
+        }
+    },
+    User: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            role: { type: 'string', enum: ['admin', 'user'] },
+            active: { type: 'boolean' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    AuthTokens: {
+        type: 'object',
+        properties: {
+            token: { type: 'string', description: 'Token de acceso JWT' },
+            refreshToken: { type: 'string', description: 'Refresh token opaco (un solo uso)' }
+        }
+    },
+    Login: {
+        allOf: [
+            ref('AuthTokens'),
+            { type: 'object', properties: { user: ref('User') } }
+        ]
+    },
+    Project: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            description: { type: 'string', nullable: true },
+            status: { type: 'string', enum: projectSchemas.PROJECT_STATUSES },
+            startDate: { type: 'string', format: 'date-time' },
+            endDate: { type: 'string', format: 'date-time', nullable: true },
+            createdBy: { type: 'integer' },
+            creator: ref('UserSummary'),
+            tasks: { type: 'array', items: ref('Task') },
+            members: { type: 'array', items: ref('ProjectMember') },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+            deletedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Momento en que se envió a la papelera (nulo si no está eliminado)' },
+            deletedBy: { type: 'integer', nullable: true, description: 'Usuario que lo envió a la papelera' },
+            version: { type: 'integer', description: 'Versión: se incrementa en cada modificación (ver ETag)' }
+        }
+    },
+    Task: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            title: { type: 'string' },
+            description: { type: 'string', nullable: true },
+            status: { type: 'string', enum: taskSchemas.TASK_STATUSES },
+            priority: { type: 'string', enum: taskSchemas.TASK_PRIORITIES },
+            dueDate: { type: 'string', format: 'date-time', nullable: true },
+            projectId: { type: 'integer' },
+            assignedTo: { type: 'integer', nullable: true },
+            assignee: { ...ref('UserSummary'), nullable: true },
+            project: {
+                type: 'object',
+                description: 'Solo en el listado de las tareas de todos los proyectos',
+                properties: { id: { type: 'integer' }, name: { type: 'string' }, status: { type: 'string', enum: projectSchemas.PROJECT_STATUSES } }
+            },
+            parentId: { type: 'integer', nullable: true, description: 'Tarea padre (nulo si no es una subtarea)' },
+            progress: {
+                type: 'integer',
+                minimum: 0,
+                maximum: 100,
+                description: 'Porcentaje de avance: 100 si está completada; si no, la media de sus subtareas no canceladas y de los elementos de su checklist'
+            },
+            subtasks: { type: 'array', items: ref('Task'), description: 'Solo al obtener una tarea o con tree=true' },
+            checklist: { type: 'array', items: ref('ChecklistItem'), description: 'Solo al obtener una tarea' },
+            completedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Momento en que se completó (nulo si no está completada)' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+            deletedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Momento en que se envió a la papelera (nulo si no está eliminada)' },
+            deletedBy: { type: 'integer', nullable: true, description: 'Usuario que la envió a la papelera' },
+            version: { type: 'integer', description: 'Versión: se incrementa en cada modificación (ver ETag)' }
+        }
+    },
+    ChecklistItem: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            content: { type: 'string' },
+            done: { type: 'boolean' },
+            position: { type: 'integer' },
+            taskId: { type: 'integer' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    ProjectMember: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            projectId: { type: 'integer' },
+            userId: { type: 'integer' },
+            role: { type: 'string', enum: PROJECT_ROLES },
+            user: ref('UserSummary'),
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    Comment: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            content: { type: 'string' },
+            taskId: { type: 'integer' },
+            userId: { type: 'integer' },
+            parentId: { type: 'integer', nullable: true },
+            author: ref('UserSummary'),
+            mentions: { type: 'array', items: ref('UserSummary') },
+            replies: { type: 'array', items: ref('Comment'), description: 'Solo en el listado en hilos' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    TaskSummary: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            title: { type: 'string' },
+            status: { type: 'string', enum: taskSchemas.TASK_STATUSES },
+            priority: { type: 'string', enum: taskSchemas.TASK_PRIORITIES },
+            dueDate: { type: 'string', format: 'date-time', nullable: true },
+            assignedTo: { type: 'integer', nullable: true }
+        }
+    },
+    TaskDependency: {
+        type: 'object',
+        properties: {
+            taskId: { type: 'integer', description: 'Tarea bloqueada' },
+            dependsOnId: { type: 'integer', description: 'Tarea que debe completarse antes' },
+            createdAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    TaskDependencies: {
+        type: 'object',
+        properties: {
+            blocked: { type: 'boolean', description: 'Si alguna tarea bloqueante no está completada ni cancelada' },
+            blockers: { type: 'array', items: ref('TaskSummary') },
+            dependents: { type: 'array', items: ref('TaskSummary') }
+        }
+    },
+    DependencyGraph: {
+        type: 'object',
+        properties: {
+            nodes: { type: 'array', items: ref('TaskSummary') },
+            edges: { type: 'array', items: ref('TaskDependency') },
+            order: {
+                type: 'array',
+                items: { type: 'integer' },
+                description: 'IDs de las tareas en orden topológico (cada tarea después de sus bloqueantes; a igualdad, por ID)'
+            }
+        }
+    },
+    BulkResult: {
+        type: 'object',
+        properties: {
+            mode: { type: 'string', enum: ['atomic', 'partial'] },
+            total: { type: 'integer' },
+            succeeded: { type: 'integer' },
+            failed: { type: 'integer' },
+            results: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        index: { type: 'integer', description: 'Posición de la operación en la petición' },
+                        action: { type: 'string', enum: Object.keys(taskSchemas.bulkOperations), nullable: true },
+                        status: { type: 'string', enum: ['success', 'error', 'rolled_back'] },
+                        code: { type: 'integer', description: 'Código HTTP equivalente de la operación' },
+                        task: ref('Task'),
+                        id: { type: 'integer', description: 'Tarea eliminada' },
+                        message: { type: 'string' },
+                        errors: { type: 'array', items: ref('FieldError') }
+                    }
+                }
+            }
+        }
+    },
+    JsonPatchOperation: {
+        type: 'object',
+        description: 'Operación de JSON Patch (RFC 6902). Las rutas son JSON Pointer sobre los campos editables del recurso (ej. `/title`).',
+        required: ['op', 'path'],
+        properties: {
+            op: { type: 'string', enum: JSON_PATCH_OPERATIONS },
+            path: { type: 'string', example: '/assignedTo' },
+            from: { type: 'string', description: 'Ruta de origen (`move` y `copy`)' },
+            value: { nullable: true, description: 'Valor JSON (`add`, `replace` y `test`)' }
+        }
+    },
+    StatusCounts: {
+        type: 'object',
+        properties: Object.fromEntries(taskSchemas.TASK_STATUSES.map(status => [status, { type: 'integer' }]))
+    },
+    TaskStatistics: {
+        type: 'object',
+        properties: {
+            total: { type: 'integer' },
+            completionRate: { type: 'number', description: 'Porcentaje de tareas completadas sobre las no canceladas (un decimal)' },
+            byStatus: ref('StatusCounts'),
+            byPriority: {
+                type: 'object',
+                properties: Object.fromEntries(taskSchemas.TASK_PRIORITIES.map(priority => [priority, { type: 'integer' }]))
+            },
+            overdue: {
+                type: 'object',
+                description: 'Tareas con fecha límite pasada sin completar ni cancelar',
+                properties: {
+                    count: { type: 'integer' },
+                    tasks: {
+                        type: 'array',
+                        items: { allOf: [ref('TaskSummary'), { type: 'object', properties: { projectId: { type: 'integer' } } }] },
+                        description: 'Las más atrasadas primero (como máximo 10)'
+                    }
+                }
+            },
+            workload: {
+                type: 'array',
+                description: 'Carga por usuario asignado (assignee nulo: tareas sin asignar), de más a menos tareas abiertas',
+                items: {
+                    type: 'object',
+                    properties: {
+                        assignee: { ...ref('UserSummary'), nullable: true },
+                        total: { type: 'integer' },
+                        open: { type: 'integer' },
+                        overdue: { type: 'integer' },
+                        byStatus: ref('StatusCounts')
+                    }
+                }
+            },
+            throughput: {
+                type: 'object',
+                description: 'Tareas creadas y completadas en cada uno de los últimos periodos (UTC; las semanas empiezan en lunes)',
+                properties: {
+                    interval: { type: 'string', enum: STATISTICS_INTERVALS },
+                    periods: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                period: { type: 'string', format: 'date', description: 'Inicio del periodo' },
+                                created: { type: 'integer' },
+                                completed: { type: 'integer' }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    ProjectStatistics: {
+        allOf: [
+            { type: 'object', properties: { project: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } } } },
+            ref('TaskStatistics')
+        ]
+    },
+    Dashboard: {
+        allOf: [
+            {
+                type: 'object',
+                properties: {
+                    scope: { type: 'string', enum: ['all', 'user'], description: 'all: todos los proyectos (administradores); user: los proyectos del usuario' },
+                    projects: { type: 'integer', description: 'Número de proyectos incluidos' }
+                }
+            },
+            ref('TaskStatistics'),
+            {
+                type: 'object',
+                properties: {
+                    byProject: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                project: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' }, status: { type: 'string' }, endDate: { type: 'string', format: 'date-time', nullable: true } } },
+                                total: { type: 'integer' },
+                                open: { type: 'integer' },
+                                overdue: { type: 'integer' },
+                                completionRate: { type: 'number' },
+                                byStatus: ref('StatusCounts')
+                            }
+                        }
+                    }
+                }
+            }
+        ]
+    },
+    SearchResult: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: SEARCH_TYPES },
+            id: { type: 'integer', description: 'ID del proyecto, la tarea o el comentario' },
+            projectId: { type: 'integer' },
+            taskId: { type: 'integer', nullable: true, description: 'Tarea (o tarea comentada); nulo en los proyectos' },
+            status: { type: 'string', enum: searchSchemas.SEARCH_STATUSES, nullable: true, description: 'Nulo en los comentarios' },
+            title: { type: 'string', nullable: true, description: 'Nombre del proyecto o título de la tarea' },
+            snippet: { type: 'string', nullable: true, description: 'Fragmento HTML del texto, escapado, con las coincidencias entre <mark> y </mark>' },
+            score: { type: 'number', description: 'Relevancia (mayor es mejor)' }
+        }
+    },
+    TrashItem: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: TRASH_TYPES },
+            id: { type: 'integer', description: 'ID del proyecto o la tarea' },
+            title: { type: 'string', description: 'Nombre del proyecto o título de la tarea' },
+            projectId: { type: 'integer' },
+            projectName: { type: 'string' },
+            parentId: { type: 'integer', nullable: true, description: 'Tarea padre (nulo en los proyectos y en las tareas principales)' },
+            deletedAt: { type: 'string', format: 'date-time' },
+            deletedBy: { type: 'integer', nullable: true, description: 'Usuario que lo envió a la papelera' },
+            purgeAt: { type: 'string', format: 'date-time', description: 'Momento a partir del cual se borra definitivamente' }
+        }
+    },
+    Webhook: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            url: { type: 'string', format: 'uri' },
+            events: { type: 'array', items: { type: 'string', enum: EVENT_TYPES } },
+            description: { type: 'string', nullable: true },
+            projectId: { type: 'integer', nullable: true, description: 'Nulo en los webhooks globales' },
+            active: { type: 'boolean' },
+            secret: { type: 'string', description: 'Clave de firma; solo se devuelve al crear el webhook' },
+            createdBy: { type: 'integer', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    WebhookEvent: {
+        type: 'object',
+        description: 'Cuerpo de cada entrega',
+        properties: {
+            id: { type: 'string', format: 'uuid', description: 'Identificador del evento (se repite en los reenvíos)' },
+            type: { type: 'string', enum: EVENT_TYPES },
+            occurredAt: { type: 'string', format: 'date-time' },
+            projectId: { type: 'integer', nullable: true },
+            actorId: { type: 'integer', nullable: true, description: 'Usuario que realizó el cambio' },
+            data: { type: 'object', description: 'Proyecto o tarea afectados (en las eliminaciones, su último estado)' },
+            changes: {
+                type: 'object',
+                nullable: true,
+                description: 'Diff por campo en las actualizaciones: { campo: { from, to } }',
+                additionalProperties: {
+                    type: 'object',
+                    properties: { from: {}, to: {} }
+                }
+            }
+        }
+    },
+    WebhookDelivery: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            webhookId: { type: 'integer' },
+            event: { type: 'string', enum: EVENT_TYPES },
+            payload: ref('WebhookEvent'),
+            status: { type: 'string', enum: webhookSchemas.DELIVERY_STATUSES },
+            attempts: { type: 'integer' },
+            nextAttemptAt: { type: 'string', format: 'date-time', nullable: true, description: 'Próximo intento de las entregas pendientes' },
+            lastAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+            responseStatus: { type: 'integer', nullable: true },
+            responseBody: { type: 'string', nullable: true, description: 'Cuerpo de la última respuesta (truncado)' },
+            error: { type: 'string', nullable: true, description: 'Error de conexión o tiempo de espera agotado' },
+            deliveredAt: { type: 'string', format: 'date-time', nullable: true },
+            redeliveryOf: { type: 'integer', nullable: true, description: 'Entrega original de un reenvío' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    Notification: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            userId: { type: 'integer', description: 'Destinatario' },
+            type: { type: 'string', enum: NOTIFICATION_TYPES },
+            message: { type: 'string' },
+            projectId: { type: 'integer', nullable: true },
+            taskId: { type: 'integer', nullable: true },
+            commentId: { type: 'integer', nullable: true, description: 'Comentario de las menciones' },
+            actorId: { type: 'integer', nullable: true, description: 'Usuario que la provocó; nulo en los avisos de vencimiento' },
+            actor: { ...ref('UserSummary'), nullable: true },
+            dedupeKey: { type: 'string', nullable: true, description: 'Evita repetir los avisos de vencimiento de una misma fecha límite' },
+            readAt: { type: 'string', format: 'date-time', nullable: true, description: 'Nulo mientras no se ha leído' },
+            createdAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    NotificationPreferences: {
+        type: 'object',
+        description: 'Si se recibe cada tipo de notificación (todos activados por defecto)',
+        properties: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, { type: 'boolean' }]))
+    },
+    AuditLog: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            entityType: { type: 'string', enum: auditSchemas.ENTITY_TYPES },
+            entityId: { type: 'integer' },
+            projectId: { type: 'integer', nullable: true },
+            action: { type: 'string', enum: ['create', 'update', 'delete', 'restore'] },
+            actorId: { type: 'integer', nullable: true },
+            actor: { ...ref('UserSummary'), nullable: true },
+            changes: {
+                type: 'object',
+                description: 'Diff por campo: { campo: { from, to } }',
+                additionalProperties: {
+                    type: 'object',
+                    properties: { from: {}, to: {} }
+                }
+            },
+            createdAt: { type: 'string', format: 'date-time' }
+        }
+    }
+};
+
+/**
+ * Construye una respuesta de error reutilizable
+ * @param {String} description - Descripción de la respuesta
+ * @param {Boolean} withErrors - Si incluye la lista de errores de campo
+ * @param {Object} extraProperties - Otros campos del sobre (ej. rateLimit)
+ * @returns {Object} - Objeto Response de OpenAPI
+ */
+const errorResponse = (description, withErrors = false, extraProperties = {}) => {
+    const properties = {
+        success: { type: 'boolean', example: false },
+        data: { nullable: true, example: null },
+        ...extraProperties
+    };
+    if (withErrors) properties.errors = { type: 'array', items: ref('FieldError') };
+
+    return {
+        description,
+        content: negotiatedContent({ allOf: [ref('Envelope'), { type: 'object', properties }] })
+    };
+};
+
+const RESPONSES = {
+    BadRequest: errorResponse('Solicitud incorrecta (ej. parámetros de paginación u ordenación inválidos o un documento JSON Patch mal formado)', true),
+    Unauthorized: errorResponse('Token ausente, inválido, expirado o revocado'),
+    Forbidden: errorResponse('El usuario no tiene permisos para esta acción'),
+    NotFound: errorResponse('Recurso no encontrado'),
+    NotAcceptable: errorResponse('Ninguno de los tipos de la cabecera Accept está soportado (se responde en JSON)'),
+    Conflict: errorResponse('Conflicto con el estado actual del recurso (ej. una operación test de JSON Patch que no se cumple)', true),
+    PreconditionFailed: errorResponse('El recurso ha cambiado desde que se leyó (If-Match no coincide con su versión actual)'),
+    UnsupportedMediaType: errorResponse('Tipo de contenido del cuerpo no soportado'),
+    PreconditionRequired: errorResponse('Falta la cabecera If-Match (solo si se exige con REQUIRE_IF_MATCH=true)'),
+    TooManyRequests: {
+        ...errorResponse('Demasiadas peticiones o cuenta bloqueada temporalmente por intentos de inicio de sesión fallidos', false, { rateLimit: ref('RateLimit') }),
+        headers: { 'Retry-After': { description: 'Segundos que hay que esperar', schema: { type: 'integer' } } }
+    },
+    ValidationError: errorResponse('Error de validación con el detalle por campo', true),
+    InternalError: errorResponse('Error interno del servidor')
+};
+
+/**
+ * Describe una operación con límite de peticiones: todas las respuestas llevan las cabeceras
+ * RateLimit-* y, al superar el límite, se responde 429 con Retry-After
+ * @param {Object} options - Opciones de operation()
+ * @returns {Object} - Objeto Operation de OpenAPI
+ */
+const rateLimitedOperation = (options) => {
+    const result = operation({ ...options, errors: [...(options.errors || []), 429] });
+    result.responses[options.status || 200].headers = {
+        'RateLimit-Limit': { description: 'Peticiones permitidas en la ventana', schema: { type: 'integer' } },
+        'RateLimit-Remaining': { description: 'Peticiones que quedan en la ventana', schema: { type: 'integer' } },
+        'RateLimit-Reset': { description: 'Segundos hasta que se reinicia la ventana', schema: { type: 'integer' } },
+        'RateLimit-Policy': { description: 'Límite y duración de la ventana en segundos (ej. `20;w=900`)', schema: { type: 'string' } }
+    };
+    return result;
+};
+
+// Operación masiva de tareas: cada elemento de operations se valida según su acción
+const bulkTasksOperation = operation({
+    tag: 'Tareas',
+    summary: 'Crear, actualizar, reasignar y eliminar varias tareas en una transacción',
+    description: 'En modo `atomic` (por defecto) no se aplica ninguna operación si alguna falla (422). '
+        + 'En modo `partial` se aplican las válidas y se responde 207 si alguna falló. '
+        + 'Cada resultado indica su estado (`success`, `error` o `rolled_back`), código y errores.',
+    params: ['projectId'],
+    validator: taskSchemas.bulkTasks,
+    data: ref('BulkResult'),
+    errors: [403, 404]
+});
+bulkTasksOperation.requestBody.content['application/json'].schema.properties.operations.items = {
+    oneOf: Object.values(taskSchemas.bulkOperations).map(bodyToSchema)
+};
+bulkTasksOperation.responses[207] = { description: 'Algunas operaciones fallaron (modo partial)', content: envelopeContent(ref('BulkResult')) };
+
+// Operaciones agrupadas por ruta (con la sintaxis de OpenAPI para los parámetros)
+const PATHS = {
+    '/': {
+        get: operation({ tag: 'General', summary: 'Comprobar que la API está funcionando', auth: false, data: { type: 'object', properties: { message: { type: 'string' } } } })
+    },
+    '/registro': {
+        post: rateLimitedOperation({ tag: 'Autenticación', summary: 'Registrar un usuario', description: 'Siempre crea usuarios con el rol `user`. Limitado por IP (REGISTER_RATE_LIMIT).', auth: false, validator: authSchemas.register, status: 201, data: ref('User'), errors: [400] })
+    },
+    '/login': {
+        post: rateLimitedOperation({
+            tag: 'Autenticación',
+            summary: 'Iniciar sesión',
+            description: 'Limitado por IP (LOGIN_RATE_LIMIT) y por cuenta (ACCOUNT_RATE_LIMIT). Tras LOCKOUT_THRESHOLD intentos '
+                + 'fallidos seguidos la cuenta se bloquea (429) durante un tiempo que se duplica con cada bloqueo, hasta que '
+                + 'un administrador la desbloquea en `/usuarios/{id}/bloqueo`. Los correos no registrados se bloquean igual, '
+                + 'de modo que las respuestas no revelan qué cuentas existen.',
+            auth: false,
+            validator: authSchemas.login,
+            data: ref('Login'),
+            errors: [401]
+        })
+    },
+    '/token/refresh': {
+        post: operation({
+            tag: 'Autenticación',
+            summary: 'Renovar el token de acceso',
+            description: 'Rota el refresh token: el anterior queda invalidado y reutilizarlo revoca toda la sesión.',
+            auth: false,
+            validator: authSchemas.refreshToken,
+            data: ref('AuthTokens'),
+            errors: [401]
+        })
+    },
+    '/logout': {
+        post: operation({ tag: 'Autenticación', summary: 'Cerrar la sesión actual', validator: authSchemas.logout })
+    },
+    '/logout/todas': {
+        post: operation({ tag: 'Autenticación', summary: 'Cerrar todas las sesiones del usuario' })
+    },
+    '/perfil': {
+        get: operation({ tag: 'Autenticación', summary: 'Obtener el perfil del usuario autenticado', data: ref('User'), errors: [404] })
+    },
+    '/proyectos': {
+        get: operation({
+            tag: 'Proyectos',
+            summary: 'Listar los proyectos del usuario',
+            description: 'Los administradores ven todos los proyectos. Se puede paginar por página o por cursor.',
+            validator: projectSchemas.listProjects,
+            data: { type: 'array', items: ref('Project') },
+            paginated: true
+        }),
+        post: operation({ tag: 'Proyectos', summary: 'Crear un proyecto', validator: projectSchemas.createProject, status: 201, data: ref('Project') })
+    },
+    '/proyectos/{id}': {
+        get: versionedOperation('get', { tag: 'Proyectos', summary: 'Obtener un proyecto con sus tareas y miembros', params: ['id'], data: ref('Project'), errors: [403, 404] }),
+        put: versionedOperation('put', {
+            tag: 'Proyectos',
+            summary: 'Reemplazar un proyecto',
+            description: 'El cuerpo es el proyecto completo: los campos opcionales que se omiten quedan a null.',
+            params: ['id'],
+            validator: projectSchemas.replaceProject,
+            data: ref('Project'),
+            errors: [403, 404]
+        }),
+        patch: patchOperation({
+            tag: 'Proyectos',
+            summary: 'Modificar campos de un proyecto',
+            description: 'Admite `application/merge-patch+json` (o `application/json`), donde null borra el campo, '
+                + 'y `application/json-patch+json`. El proyecto resultante se valida como en PUT (422). '
+                + 'Un JSON Patch mal formado responde 400 y una ruta inexistente o una operación `test` que no se cumple, 409.',
+            params: ['id'],
+            validator: projectSchemas.replaceProject,
+            data: ref('Project'),
+            errors: [403, 404]
+        }),
+        delete: versionedOperation('delete', { tag: 'Proyectos', summary: 'Enviar un proyecto y sus tareas a la papelera', params: ['id'], data: { type: 'object', properties: { id: { type: 'integer' } } }, errors: [403, 404] })
+    },
+    '/proyectos/{id}/restaurar': {
+        post: operation({
+            tag: 'Papelera',
+            summary: 'Restaurar un proyecto de la papelera',
+            description: 'Restaura también las tareas que se eliminaron con el proyecto (no las que ya estaban en la papelera). '
+                + 'Requiere el permiso de eliminar el proyecto. Responde 409 si el proyecto no está en la papelera.',
+            params: ['id'],
+            data: ref('Project'),
+            errors: [403, 404, 409]
+        })
+    },
+    '/proyectos/{id}/miembros': {
+        get: operation({ tag: 'Miembros', summary: 'Listar los miembros del proyecto', params: ['id'], data: { type: 'array', items: ref('ProjectMember') }, errors: [403, 404] }),
+        post: operation({
+            tag: 'Miembros',
+            summary: 'Invitar a un usuario al proyecto',
+            description: 'Se identifica al usuario por userId o por email.',
+            params: ['id'],
+            validator: memberSchemas.addMember,
+            status: 201,
+            data: ref('ProjectMember'),
+            errors: [403, 404, 409]
+        })
+    },
+    '/proyectos/{id}/miembros/{userId}': {
+        put: operation({ tag: 'Miembros', summary: 'Cambiar el rol de un miembro', params: ['id', 'userId'], validator: memberSchemas.updateMemberRole, data: ref('ProjectMember'), errors: [400, 403, 404] }),
+        delete: operation({
+            tag: 'Miembros',
+            summary: 'Eliminar a un miembro o abandonar el proyecto',
+            params: ['id', 'userId'],
+            data: { type: 'object', properties: { projectId: { type: 'integer' }, userId: { type: 'integer' } } },
+            errors: [400, 403, 404]
+        })
+    },
+    '/proyectos/{id}/historial': {
+        get: operation({ tag: 'Historial', summary: 'Historial de cambios del proyecto y de sus tareas', params: ['id'], validator: auditSchemas.historyQuery, data: { type: 'array', items: ref('AuditLog') }, paginated: true, errors: [403, 404] })
+    },
+    '/proyectos/{id}/dependencias': {
+        get: operation({ tag: 'Dependencias', summary: 'Grafo de dependencias del proyecto y orden de ejecución de sus tareas', params: ['id'], data: ref('DependencyGraph'), errors: [403, 404] })
+    },
+    '/proyectos/{id}/estadisticas': {
+        get: operation({
+            tag: 'Estadísticas',
+            summary: 'Estadísticas de las tareas del proyecto',
+            description: 'Conteos por estado y prioridad, tareas vencidas, tasa de finalización, carga por usuario asignado '
+                + 'y evolución de tareas creadas y completadas (interval, por defecto week; periods, por defecto 12).',
+            params: ['id'],
+            validator: statisticsSchemas.statisticsQuery,
+            data: ref('ProjectStatistics'),
+            errors: [403, 404]
+        })
+    },
+    '/proyectos/{id}/eventos': {
+        get: eventStreamOperation({
+            tag: 'Tiempo real',
+            summary: 'Recibir en tiempo real los eventos del proyecto (Server-Sent Events)',
+            description: 'Mantiene la conexión abierta y envía la creación, actualización y eliminación de las tareas y del '
+                + 'proyecto según se producen. El token se envía en la cabecera `Authorization` o, en los clientes que no '
+                + 'pueden enviar cabeceras (EventSource), en el parámetro `token`. Al reconectar se reciben los eventos '
+                + 'posteriores al último recibido que sigan en el historial reciente del servidor. Al eliminar el proyecto se '
+                + 'envía `project.deleted` y se cierra la conexión. Cuando expira el token se envía `expired`, y cuando el '
+                + 'usuario deja de tener acceso (lo eliminan del proyecto, se desactiva o se cierran sus sesiones) se envía '
+                + '`revoked`; en ambos casos se cierra la conexión y hay que reconectar con un token vigente.',
+            params: ['id'],
+            validator: realtimeSchemas.streamEvents,
+            errors: [400, 403, 404]
+        })
+    },
+    '/proyectos/{id}/webhooks': {
+        get: operation({ tag: 'Webhooks', summary: 'Listar los webhooks del proyecto', params: ['id'], data: { type: 'array', items: ref('Webhook') }, errors: [403, 404] }),
+        post: operation({
+            tag: 'Webhooks',
+            summary: 'Crear un webhook que recibe los eventos del proyecto',
+            description: `Requiere ser propietario o gestor del proyecto. Si no se indica \`secret\` se genera una clave aleatoria, `
+                + `que solo se devuelve en esta respuesta.\n\n${WEBHOOKS_DESCRIPTION}`,
+            params: ['id'],
+            validator: webhookSchemas.createWebhook,
+            status: 201,
+            data: ref('Webhook'),
+            errors: [403, 404]
+        })
+    },
+    '/proyectos/{projectId}/tareas': {
+        get: operation({
+            tag: 'Tareas',
+            summary: 'Listar las tareas de un proyecto',
+            description: `${TASK_FILTERS_DESCRIPTION}\n\nCon \`tree=true\` se paginan las tareas raíz y cada una incluye sus subtareas anidadas en \`subtasks\`.`,
+            params: ['projectId'],
+            validator: taskSchemas.listTasks,
+            data: { type: 'array', items: ref('Task') },
+            paginated: true,
+            errors: [403, 404],
+            invalidStatus: 400
+        }),
+        post: operation({
+            tag: 'Tareas',
+            summary: 'Crear una tarea en un proyecto',
+            description: 'Con `parentId` se crea como subtarea de otra tarea del mismo proyecto.',
+            params: ['projectId'],
+            validator: taskSchemas.createTask,
+            status: 201,
+            data: ref('Task'),
+            errors: [400, 403, 404]
+        })
+    },
+    '/proyectos/{projectId}/tareas/bulk': {
+        post: bulkTasksOperation
+    },
+    '/tareas': {
+        get: operation({
+            tag: 'Tareas',
+            summary: 'Listar las tareas de todos los proyectos visibles para el usuario',
+            description: `Los administradores ven las tareas de todos los proyectos. Cada tarea incluye su proyecto en \`project\`; `
+                + `con \`assignedTo=me\` se obtienen las tareas asignadas al usuario.\n\n${TASK_FILTERS_DESCRIPTION}`,
+            validator: taskSchemas.listAllTasks,
+            data: { type: 'array', items: ref('Task') },
+            paginated: true,
+            invalidStatus: 400
+        })
+    },
+    '/tareas/{id}': {
+        get: versionedOperation('get', { tag: 'Tareas', summary: 'Obtener una tarea', params: ['id'], data: ref('Task'), errors: [403, 404] }),
+        put: versionedOperation('put', {
+            tag: 'Tareas',
+            summary: 'Reemplazar una tarea',
+            description: 'El cuerpo es la tarea completa: los campos opcionales que se omiten quedan a null. '
+                + 'No se puede pasar a `in_progress` ni a `completed` mientras la tarea dependa de tareas abiertas, '
+                + 'ni completar una tarea con subtareas abiertas (409). Cancelar una tarea cancela sus subtareas abiertas.',
+            params: ['id'],
+            validator: taskSchemas.replaceTask,
+            data: ref('Task'),
+            errors: [400, 403, 404, 409]
+        }),
+        patch: patchOperation({
+            tag: 'Tareas',
+            summary: 'Modificar campos de una tarea',
+            description: 'Admite `application/merge-patch+json` (o `application/json`), donde null borra el campo '
+                + '(ej. `{"assignedTo": null}` desasigna la tarea), y `application/json-patch+json`. La tarea resultante se '
+                + 'valida y se aplica como en PUT. Un JSON Patch mal formado responde 400 y una ruta inexistente o una '
+                + 'operación `test` que no se cumple, 409.',
+            params: ['id'],
+            validator: taskSchemas.replaceTask,
+            data: ref('Task'),
+            errors: [400, 403, 404, 409]
+        }),
+        delete: versionedOperation('delete', { tag: 'Tareas', summary: 'Enviar una tarea y sus subtareas a la papelera', params: ['id'], data: { type: 'object', properties: { id: { type: 'integer' } } }, errors: [403, 404] })
+    },
+    '/tareas/{id}/restaurar': {
+        post: operation({
+            tag: 'Papelera',
+            summary: 'Restaurar una tarea de la papelera',
+            description: 'Restaura también las subtareas que se eliminaron con ella. Requiere el permiso de eliminar tareas del proyecto. '
+                + 'Responde 409 si la tarea no está en la papelera o si lo están su proyecto o su tarea padre (deben restaurarse antes).',
+            params: ['id'],
+            data: ref('Task'),
+            errors: [403, 404, 409]
+        })
+    },
+    '/tareas/{id}/checklist': {
+        get: operation({ tag: 'Tareas', summary: 'Obtener la checklist de una tarea', params: ['id'], data: { type: 'array', items: ref('ChecklistItem') }, errors: [403, 404] }),
+        post: operation({
+            tag: 'Tareas',
+            summary: 'Añadir un elemento a la checklist',
+            description: 'Sin `position`, el elemento se añade al final.',
+            params: ['id'],
+            validator: checklistSchemas.createChecklistItem,
+            status: 201,
+            data: ref('ChecklistItem'),
+            errors: [403, 404]
+        })
+    },
+    '/tareas/{id}/checklist/{itemId}': {
+        put: operation({ tag: 'Tareas', summary: 'Actualizar un elemento de la checklist', params: ['id', 'itemId'], validator: checklistSchemas.updateChecklistItem, data: ref('ChecklistItem'), errors: [403, 404] }),
+        delete: operation({ tag: 'Tareas', summary: 'Eliminar un elemento de la checklist', params: ['id', 'itemId'], data: { type: 'object', properties: { id: { type: 'integer' } } }, errors: [403, 404] })
+    },
+    '/tareas/{id}/historial': {
+        get: operation({ tag: 'Historial', summary: 'Historial de cambios de una tarea', params: ['id'], validator: auditSchemas.historyQuery, data: { type: 'array', items: ref('AuditLog') }, paginated: true, errors: [403, 404] })
+    },
+    '/tareas/{id}/dependencias': {
+        get: operation({ tag: 'Dependencias', summary: 'Listar las tareas bloqueantes y dependientes de una tarea', params: ['id'], data: ref('TaskDependencies'), errors: [403, 404] }),
+        post: operation({
+            tag: 'Dependencias',
+            summary: 'Hacer que una tarea dependa de otra del mismo proyecto',
+            description: 'Responde 409 si la dependencia ya existe o si crearía un ciclo (el mensaje incluye el ciclo).',
+            params: ['id'],
+            validator: dependencySchemas.addDependency,
+            status: 201,
+            data: ref('TaskDependency'),
+            errors: [400, 403, 404, 409]
+        })
+    },
+    '/tareas/{id}/dependencias/{dependsOnId}': {
+        delete: operation({
+            tag: 'Dependencias',
+            summary: 'Eliminar una dependencia',
+            params: ['id', 'dependsOnId'],
+            data: { type: 'object', properties: { taskId: { type: 'integer' }, dependsOnId: { type: 'integer' } } },
+            errors: [403, 404]
+        })
+    },
+    '/tareas/{id}/comentarios': {
+        get: operation({ tag: 'Comentarios', summary: 'Listar los comentarios de una tarea en hilos', params: ['id'], data: { type: 'array', items: ref('Comment') }, errors: [403, 404] }),
+        post: operation({
+            tag: 'Comentarios',
+            summary: 'Comentar una tarea o responder a un comentario',
+            description: 'Las menciones con la sintaxis @correo se resuelven a miembros del proyecto.',
+            params: ['id'],
+            validator: commentSchemas.createComment,
+            status: 201,
+            data: ref('Comment'),
+            errors: [403, 404]
+        })
+    },
+    '/tareas/{id}/comentarios/{commentId}': {
+        put: operation({ tag: 'Comentarios', summary: 'Editar un comentario (solo su autor)', params: ['id', 'commentId'], validator: commentSchemas.updateComment, data: ref('Comment'), errors: [403, 404] }),
+        delete: operation({ tag: 'Comentarios', summary: 'Eliminar un comentario y sus respuestas', params: ['id', 'commentId'], data: { type: 'object', properties: { id: { type: 'integer' } } }, errors: [403, 404] })
+    },
+    '/historial': {
+        get: operation({ tag: 'Historial', summary: 'Registro de auditoría completo (solo administradores)', validator: auditSchemas.listAuditLogs, data: { type: 'array', items: ref('AuditLog') }, paginated: true, errors: [403] })
+    },
+    '/estadisticas': {
+        get: operation({
+            tag: 'Estadísticas',
+            summary: 'Panel general con las estadísticas de varios proyectos',
+            description: 'Los administradores ven todos los proyectos; el resto de usuarios, los proyectos de los que son miembros.',
+            validator: statisticsSchemas.statisticsQuery,
+            data: ref('Dashboard')
+        })
+    },
+    '/buscar': {
+        get: operation({
+            tag: 'Búsqueda',
+            summary: 'Búsqueda de texto completo en proyectos, tareas y comentarios',
+            description: 'Busca en el nombre y la descripción de los proyectos, el título y la descripción de las tareas y el contenido '
+                + 'de los comentarios de los proyectos visibles para el usuario. Cada palabra coincide como prefijo, sin distinguir '
+                + 'mayúsculas ni acentos, y deben aparecer todas. Los resultados se ordenan por relevancia (el título pesa más). '
+                + 'El filtro status solo devuelve proyectos y tareas.',
+            validator: searchSchemas.search,
+            data: { type: 'array', items: ref('SearchResult') },
+            paginated: true
+        })
+    },
+    '/webhooks': {
+        get: operation({ tag: 'Webhooks', summary: 'Listar los webhooks globales (solo administradores)', data: { type: 'array', items: ref('Webhook') }, errors: [403] }),
+        post: operation({
+            tag: 'Webhooks',
+            summary: 'Crear un webhook global que recibe los eventos de todos los proyectos (solo administradores)',
+            description: WEBHOOKS_DESCRIPTION,
+            validator: webhookSchemas.createWebhook,
+            status: 201,
+            data: ref('Webhook'),
+            errors: [403]
+        })
+    },
+    '/webhooks/{id}': {
+        get: operation({ tag: 'Webhooks', summary: 'Obtener un webhook', params: ['id'], data: ref('Webhook'), errors: [403, 404] }),
+        put: operation({
+            tag: 'Webhooks',
+            summary: 'Actualizar un webhook',
+            description: 'Un webhook desactivado (`active=false`) deja de recibir eventos nuevos.',
+            params: ['id'],
+            validator: webhookSchemas.updateWebhook,
+            data: ref('Webhook'),
+            errors: [403, 404]
+        }),
+        delete: operation({ tag: 'Webhooks', summary: 'Eliminar un webhook y su registro de entregas', params: ['id'], data: { type: 'object', properties: { id: { type: 'integer' } } }, errors: [403, 404] })
+    },
+    '/webhooks/{id}/entregas': {
+        get: operation({ tag: 'Webhooks', summary: 'Registro de entregas del webhook', params: ['id'], validator: webhookSchemas.listDeliveries, data: { type: 'array', items: ref('WebhookDelivery') }, paginated: true, errors: [403, 404] })
+    },
+    '/webhooks/{id}/entregas/{deliveryId}/reenviar': {
+        post: operation({
+            tag: 'Webhooks',
+            summary: 'Reenviar el evento de una entrega',
+            description: 'Crea una entrega nueva con el mismo evento que se envía en segundo plano.',
+            params: ['id', 'deliveryId'],
+            status: 202,
+            data: ref('WebhookDelivery'),
+            errors: [403, 404]
+        })
+    },
+    '/notificaciones': {
+        get: operation({
+            tag: 'Notificaciones',
+            summary: 'Listar las notificaciones del usuario autenticado',
+            description: 'Las más recientes primero. `read=false` devuelve solo las no leídas; su número es `pagination.total`.',
+            validator: notificationSchemas.listNotifications,
+            data: { type: 'array', items: ref('Notification') },
+            paginated: true
+        })
+    },
+    '/notificaciones/leer-todas': {
+        post: operation({
+            tag: 'Notificaciones',
+            summary: 'Marcar como leídas todas las notificaciones',
+            data: { type: 'object', properties: { updated: { type: 'integer', description: 'Notificaciones marcadas' } } }
+        })
+    },
+    '/notificaciones/preferencias': {
+        get: operation({ tag: 'Notificaciones', summary: 'Obtener las preferencias de notificación', data: ref('NotificationPreferences') }),
+        put: operation({
+            tag: 'Notificaciones',
+            summary: 'Activar o desactivar tipos de notificación',
+            description: 'Solo cambian los tipos indicados en el cuerpo.',
+            validator: notificationSchemas.updatePreferences,
+            data: ref('NotificationPreferences')
+        })
+    },
+    '/notificaciones/{id}': {
+        put: operation({
+            tag: 'Notificaciones',
+            summary: 'Marcar una notificación como leída o no leída',
+            params: ['id'],
+            validator: notificationSchemas.updateNotification,
+            data: ref('Notification'),
+            errors: [404]
+        })
+    },
+    '/papelera': {
+        get: operation({
+            tag: 'Papelera',
+            summary: 'Listar los elementos de la papelera',
+            description: 'Proyectos y tareas eliminados que el usuario puede restaurar, los más recientes primero. Las tareas eliminadas '
+                + 'junto con su proyecto o su tarea padre no aparecen: se restauran con ellos. Los elementos se borran definitivamente '
+                + 'al terminar el plazo de conservación (`purgeAt`).',
+            validator: trashSchemas.listTrash,
+            data: { type: 'array', items: ref('TrashItem') },
+            paginated: true
+        }),
+        delete: operation({
+            tag: 'Papelera',
+            summary: 'Vaciar la papelera (solo administradores)',
+            data: { type: 'object', properties: { projects: { type: 'integer' }, tasks: { type: 'integer' } } },
+            errors: [403]
+        })
+    },
+    '/papelera/proyectos/{id}': {
+        delete: operation({
+            tag: 'Papelera',
+            summary: 'Borrar definitivamente un proyecto de la papelera (solo administradores)',
+            params: ['id'],
+            data: { type: 'object', properties: { id: { type: 'integer' } } },
+            errors: [403, 404]
+        })
+    },
+    '/usuarios': {
+        get: operation({
+            tag: 'Usuarios',
+            summary: 'Listar los usuarios (solo administradores)',
+            description: '`search` busca en el nombre y el correo; `role` y `active` filtran los resultados.',
+            validator: userSchemas.listUsers,
+            data: { type: 'array', items: ref('User') },
+            paginated: true,
+            errors: [403],
+            invalidStatus: 400
+        })
+    },
+    '/usuarios/{id}': {
+        get: operation({ tag: 'Usuarios', summary: 'Obtener un usuario (solo administradores)', params: ['id'], data: ref('User'), errors: [403, 404] })
+    },
+    '/usuarios/{id}/rol': {
+        put: operation({
+            tag: 'Usuarios',
+            summary: 'Cambiar el rol de un usuario (solo administradores)',
+            description: 'Un administrador no puede cambiar su propio rol (409).',
+            params: ['id'],
+            validator: userSchemas.updateUserRole,
+            data: ref('User'),
+            errors: [403, 404, 409]
+        })
+    },
+    '/usuarios/{id}/estado': {
+        put: operation({
+            tag: 'Usuarios',
+            summary: 'Activar o desactivar un usuario (solo administradores)',
+            description: 'Al desactivarlo se cierran todas sus sesiones y no puede volver a iniciar sesión. '
+                + 'Un administrador no puede desactivarse a sí mismo (409).',
+            params: ['id'],
+            validator: userSchemas.updateUserStatus,
+            data: ref('User'),
+            errors: [403, 404, 409]
+        })
+    },
+    '/usuarios/{id}/contrasena': {
+        put: operation({
+            tag: 'Usuarios',
+            summary: 'Restablecer la contraseña de un usuario (solo administradores)',
+            description: 'Cierra todas las sesiones del usuario y desbloquea la cuenta.',
+            params: ['id'],
+            validator: userSchemas.resetUserPassword,
+            data: { type: 'object', properties: { id: { type: 'integer' } } },
+            errors: [403, 404]
+        })
+    },
+    '/usuarios/{id}/bloqueo': {
+        delete: operation({
+            tag: 'Usuarios',
+            summary: 'Desbloquear una cuenta bloqueada por intentos de inicio de sesión fallidos (solo administradores)',
+            description: 'Elimina el bloqueo, los fallos acumulados y el límite de inicios de sesión de la cuenta. '
+                + '`wasLocked` indica si la cuenta estaba bloqueada.',
+            params: ['id'],
+            data: { type: 'object', properties: { id: { type: 'integer' }, wasLocked: { type: 'boolean' } } },
+            errors: [403, 404]
+        })
+    },
+    '/papelera/tareas/{id}': {
+        delete: operation({
+            tag: 'Papelera',
+            summary: 'Borrar definitivamente una tarea de la papelera (solo administradores)',
+            params: ['id'],
+            data: { type: 'object', properties: { id: { type: 'integer' } } },
+            errors: [403, 404]
+        })
+    },
+    '/docs/openapi.json': {
+        get: {
+            tags: ['General'],
+            summary: 'Este documento OpenAPI',
+            security: [],
+            responses: { 200: { description: 'Documento OpenAPI 3', content: { 'application/json': { schema: { type: 'object' } } } } }
+        }
+    },
+    '/docs/schema.xsd': {
+        get: {
+            tags: ['General'],
+            summary: 'Esquema XSD de las respuestas XML',
+            security: [],
+            responses: { 200: { description: 'Documento XSD', content: { 'application/xml': { schema: { type: 'string' } } } } }
+        }
+    },
+    '/docs': {
+        get: {
+            tags: ['General'],
+            summary: 'Documentación interactiva de la API',
+            security: [],
+            responses: { 200: { description: 'Página HTML', content: { 'text/html': { schema: { type: 'string' } } } } }
+        }
+    }
+};
+
+const openapiDocument = {
+    openapi: '3.0.3',
+    info: {
+        title: 'API de Gestión de Proyectos',
+        version,
+        description: 'API RESTful para la gestión de proyectos colaborativos, tareas, miembros y comentarios.\n\n'
+            + 'Todas las respuestas usan el mismo sobre (`success`, `code`, `message`, `data`, `timestamp`). '
+            + 'El formato se negocia con la cabecera `Accept` (JSON, XML, YAML o CSV; 406 si no se acepta ninguno) '
+            + 'o se fuerza con el parámetro `format`, que tiene prioridad. Las respuestas XML siguen el esquema '
+            + 'publicado en `/api/docs/schema.xsd`; en CSV solo se exportan los datos y la paginación va en las '
+            + 'cabeceras `X-Total-Count` y `Link`.'
+    },
+    servers: [{ url: '/api' }],
+    tags: [
+        { name: 'General' },
+        { name: 'Autenticación' },
+        { name: 'Proyectos' },
+        { name: 'Miembros' },
+        { name: 'Tareas' },
+        { name: 'Dependencias' },
+        { name: 'Comentarios' },
+        { name: 'Historial' },
+        { name: 'Estadísticas' },
+        { name: 'Búsqueda' },
+        { name: 'Webhooks' },
+        { name: 'Notificaciones' },
+        { name: 'Papelera' },
+        { name: 'Usuarios' },
+        { name: 'Tiempo real' }
+    ],
+    paths: PATHS,
+    components: {
+        securitySchemes: {
+            bearerAuth: {
+                type: 'http',
+                scheme: 'bearer',
+                bearerFormat: 'JWT',
+                description: 'Token de acceso obtenido en /login o /token/refresh'
+            }
+        },
+        parameters: {
+            format: {
+                name: 'format',
+                in: 'query',
+                required: false,
+                description: 'Formato de la respuesta (tiene prioridad sobre la cabecera Accept)',
+                schema: { type: 'string', enum: formatQuery.format.values, default: 'json' }
+            }
+        },
+        schemas: SCHEMAS,
+        responses: RESPONSES
+    }
+};
+
+module.exports = openapiDocument;
\ No newline at end of file
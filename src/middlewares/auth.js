@@ -1,143 +1,198 @@
-const { verifyToken } = require('../utils/jwt');
-const { User } = require('../models');
-const { formatResponse } = require('../utils/response');
-
-/**
- * Middleware que verifica si el usuario está autenticado
- * @param {Object} req - Objeto request de Express
- * @param {Object} res - Objeto response de Express
- * @param {Function} next - Función next de Express
- */
-const authenticate = async (req, res, next) => {
-    try {
-        // Obtener formato de respuesta
-        const format = req.query.format || 'json';
-
-        // Verificar si existe el header Authorization
-        const authHeader = req.headers.authorization;
-        if (!authHeader) {
-            return formatResponse(res, 401, null, 'No se proporcionó token de autenticación', format);
-        }
-
-        // Verificar el formato del token (Bearer scheme)
-        const [scheme, token] = authHeader.split(' ');
-        if (scheme !== 'Bearer' || !token) {
-            return formatResponse(res, 401, null, 'Formato de token inválido', format);
-        }
-
-        // Verificar y decodificar el token
-        const decoded = verifyToken(token);
-        if (!decoded) {
-            return formatResponse(res, 401, null, 'Token inválido o expirado', format);
-        }
-
-        // Verificar que el usuario existe en la base de datos
-        const user = await User.findByPk(decoded.id);
-        if (!user || !user.active) {
-            return formatResponse(res, 401, null, 'Usuario no encontrado o inactivo', format);
-        }
-
-        // Guardar información del usuario en el objeto request
-        req.user = {
-            id: user.id,
-            email: user.email,
-            role: user.role
-        };
-
-        // Continuar con la siguiente función middleware
-        next();
-    } catch (error) {
-        console.error('Error en autenticación:', error);
-        const format = req.query.format || 'json';
-        return formatResponse(res, 500, null, 'Error en autenticación', format);
-    }
-};
-
-/**
- * Middleware que verifica si el usuario tiene el rol requerido
- * @param {String|Array} roles - Rol o roles permitidos
- * @returns {Function} - Middleware de Express
- */
-const authorize = (roles) => {
-    return (req, res, next) => {
-        const format = req.query.format || 'json';
-        
-        // Verificar que el middleware de autenticación se ejecutó primero
-        if (!req.user) {
-            return formatResponse(res, 500, null, 'Error de configuración: middleware de autenticación no ejecutado', format);
-        }
-
-        // Convertir a array si solo se recibe un rol
-        const allowedRoles = Array.isArray(roles) ? roles : [roles];
-        
-        // Verificar si el usuario tiene alguno de los roles permitidos
-        if (!allowedRoles.includes(req.user.role)) {
-            return formatResponse(res, 403, null, 'No tiene permisos para acceder a este recurso', format);
-        }
-
-        // El usuario tiene el rol requerido, continuar
-        next();
-    };
-};
-
-/**
- * Middleware que verifica si el usuario es el creador del proyecto
- * o si tiene rol de administrador
- * @param {Object} req - Objeto request de Express
- * @param {Object} res - Objeto response de Express
- * @param {Function} next - Función next de Express
- */
-const isProjectOwnerOrAdmin = async (req, res, next) => {
-    try {
-        const format = req.query.format || 'json';
-        const { Project } = require('../models');
-        
-        // Obtener el ID del proyecto
-        const projectId = req.params.projectId || req.params.id || req.body.projectId;
-        
-        if (!projectId) {
-            return formatResponse(res, 400, null, 'ID de proyecto no proporcionado', format);
-        }
-
-        // Buscar el proyecto
-        const project = await Project.findByPk(projectId);
-        if (!project) {
-            return formatResponse(res, 404, null, 'Proyecto no encontrado', format);
-        }
-
-        // Verificar si el usuario es el creador o es administrador
-        if (project.createdBy === req.user.id || req.user.role === 'admin') {
-            // Guardar el proyecto en el request para no tener que volver a buscarlo
-            req.project = project;
-            next();
-        } else {
-            return formatResponse(res, 403, null, 'No tiene permiso para modificar este proyecto', format);
-        }
-    } catch (error) {
-        console.error('Error en verificación de propietario:', error);
-        const format = req.query.format || 'json';
-        return formatResponse(res, 500, null, 'Error al verificar permisos', format);
-    }
-};
-
-/**
- * Middleware para validar y formatear la respuesta
- * @param {Object} req - Objeto request de Express
- * @param {Object} res - Objeto response de Express
- * @param {Function} next - Función next de Express
- */
-const formatMiddleware = (req, res, next) => {
-    // Añadir método para formatear respuestas
-    res.formatResponse = (statusCode, data, message) => {
-        const format = req.query.format || 'json';
-        return formatResponse(res, statusCode, data, message, format);
-    };
-    next();
-};
-
-module.exports = {
-    authenticate,
-    authorize,
-    isProjectOwnerOrAdmin,
-    formatMiddleware
+const { verifyToken } = require('../utils/jwt');
+const { User, RevokedToken } = require('../models');
+const { FORMATS, negotiateFormat, formatResponse } = require('../utils/response');
+const { runWithContext } = require('../utils/requestContext');
+
+/**
+ * Middleware que verifica si el usuario está autenticado
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ * @param {Function} next - Función next de Express
+ */
+const authenticate = async (req, res, next) => {
+    try {
+        // Obtener formato de respuesta
+        const format = req.responseFormat || 'json';
+
+        // Verificar si existe el header Authorization
+        const authHeader = req.headers.authorization;
+        if (!authHeader) {
+            return formatResponse(res, 401, null, 'No se proporcionó token de autenticación', format);
+        }
+
+        // Verificar el formato del token (Bearer scheme)
+        const [scheme, token] = authHeader.split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            return formatResponse(res, 401, null, 'Formato de token inválido', format);
+        }
+
+        // Verificar y decodificar el token
+        const decoded = verifyToken(token);
+        if (!decoded) {
+            return formatResponse(res, 401, null, 'Token inválido o expirado', format);
+        }
+
+        // Verificar que el usuario existe en la base de datos
+        const user = await User.findByPk(decoded.id);
+        if (!user || !user.active) {
+            return formatResponse(res, 401, null, 'Usuario no encontrado o inactivo', format);
+        }
+
+        // Verificar que el token no ha sido revocado (cierre de todas las sesiones o logout)
+        if ((decoded.tv || 0) !== user.tokenVersion) {
+            return formatResponse(res, 401, null, 'Token revocado', format);
+        }
+        if (decoded.jti && await RevokedToken.findByPk(decoded.jti)) {
+            return formatResponse(res, 401, null, 'Token revocado', format);
+        }
+
+        // Guardar información del usuario en el objeto request
+        req.user = {
+            id: user.id,
+            email: user.email,
+            role: user.role
+        };
+        // Guardar el payload del token (jti, exp) para poder revocarlo al cerrar sesión
+        req.tokenPayload = decoded;
+
+        // Continuar con la siguiente función middleware dentro del contexto del usuario
+        // (permite a los hooks de auditoría saber quién realiza cada cambio)
+        runWithContext({ user: req.user }, next);
+    } catch (error) {
+        console.error('Error en autenticación:', error);
+        const format = req.responseFormat || 'json';
+        return formatResponse(res, 500, null, 'Error en autenticación', format);
+    }
+};
+
+/**
+ * Middleware de autenticación para los clientes que no pueden enviar cabeceras (ej. EventSource):
+ * si no hay cabecera Authorization acepta el token en el parámetro ?token y lo verifica igual que authenticate
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ * @param {Function} next - Función next de Express
+ */
+const authenticateWithQueryToken = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    return authenticate(req, res, next);
+};
+
+/**
+ * Middleware que verifica si el usuario tiene el rol requerido
+ * @param {String|Array} roles - Rol o roles permitidos
+ * @returns {Function} - Middleware de Express
+ */
+const authorize = (roles) => {
+    return (req, res, next) => {
+        const format = req.responseFormat || 'json';
+        
+        // Verificar que el middleware de autenticación se ejecutó primero
+        if (!req.user) {
+            return formatResponse(res, 500, null, 'Error de configuración: middleware de autenticación no ejecutado', format);
+        }
+
+        // Convertir a array si solo se recibe un rol
+        const allowedRoles = Array.isArray(roles) ? roles : [roles];
+        
+        // Verificar si el usuario tiene alguno de los roles permitidos
+        if (!allowedRoles.includes(req.user.role)) {
+            return formatResponse(res, 403, null, 'No tiene permisos para acceder a este recurso', format);
+        }
+
+        // El usuario tiene el rol requerido, continuar
+        next();
+    };
+};
+
+/**
+ * Middleware que verifica si el usuario tiene un permiso sobre el proyecto
+ * según su rol como miembro (o si tiene rol de administrador)
+ * @param {String} permission - Permiso requerido (ej. 'project:update')
+ * @returns {Function} - Middleware de Express
+ */
+const checkProjectPermission = (permission) => {
+    return async (req, res, next) => {
+        try {
+            const format = req.responseFormat || 'json';
+            const { Project } = require('../models');
+            const { getProjectRole, hasPermission } = require('../utils/permissions');
+
+            // Obtener el ID del proyecto
+            const projectId = req.params.projectId || req.params.id || req.body.projectId;
+
+            if (!projectId) {
+                return formatResponse(res, 400, null, 'ID de proyecto no proporcionado', format);
+            }
+
+            // Buscar el proyecto
+            const project = await Project.findByPk(projectId);
+            if (!project) {
+                return formatResponse(res, 404, null, 'Proyecto no encontrado', format);
+            }
+
+            // Verificar si el rol del usuario en el proyecto concede el permiso
+            const role = await getProjectRole(project, req.user);
+            if (!hasPermission(role, permission)) {
+                return formatResponse(res, 403, null, 'No tiene permisos para realizar esta acción en el proyecto', format);
+            }
+
+            // Guardar el proyecto y el rol en el request para no tener que volver a buscarlos
+            req.project = project;
+            req.projectRole = role;
+            next();
+        } catch (error) {
+            console.error('Error en verificación de permisos del proyecto:', error);
+            const format = req.responseFormat || 'json';
+            return formatResponse(res, 500, null, 'Error al verificar permisos', format);
+        }
+    };
+};
+
+/**
+ * Middleware que negocia el formato de la respuesta (?format o cabecera Accept)
+ * y añade res.formatResponse. Responde 406 si no se acepta ningún formato soportado.
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ * @param {Function} next - Función next de Express
+ */
+const formatMiddleware = (req, res, next) => {
+    const negotiated = negotiateFormat(req);
+
+    // Añadir método para formatear respuestas
+    req.responseFormat = negotiated || 'json';
+    res.formatResponse = (statusCode, data, message, extra) => {
+        return formatResponse(res, statusCode, data, message, req.responseFormat, extra);
+    };
+
+    if (!negotiated) {
+        const supported = Object.values(FORMATS).flatMap(format => format.types);
+        return res.formatResponse(406, null, `Formato de respuesta no soportado. Tipos disponibles: ${supported.join(', ')}`);
+    }
+    next();
+};
+
+/**
+ * Middleware para las rutas que no negocian el formato (ej. el canal de eventos, que se pide con
+ * Accept: text/event-stream): añade res.formatResponse y los errores se responden en JSON
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ * @param {Function} next - Función next de Express
+ */
+const jsonFormatMiddleware = (req, res, next) => {
+    req.responseFormat = 'json';
+    res.formatResponse = (statusCode, data, message, extra) => {
+        return formatResponse(res, statusCode, data, message, 'json', extra);
+    };
+    next();
+};
+
+module.exports = {
+    authenticate,
+    authenticateWithQueryToken,
+    authorize,
+    checkProjectPermission,
+    formatMiddleware,
+    jsonFormatMiddleware
 };
\ No newline at end of file
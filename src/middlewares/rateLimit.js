@@ -0,0 +1,47 @@
+const { accountKey, hitRateLimit, setRateLimitHeaders, sendTooManyRequests } = require('../utils/rateLimit');
+
+// Clave que limita cada política (null si la petición no la tiene)
+const POLICY_KEYS = {
+    login: (req) => req.ip,
+    account: (req) => accountKey(req.body && req.body.email),
+    register: (req) => req.ip
+};
+
+/**
+ * Middleware que limita la frecuencia de una ruta según una o varias políticas (ver utils/rateLimit.js).
+ * Cuenta todas las peticiones, también las inválidas, y responde con las cabeceras RateLimit-* de la
+ * política más restrictiva; si alguna se supera responde 429 con Retry-After. Si el almacén de los
+ * contadores no responde la petición continúa sin limitar.
+ * @param {...String} policies - Políticas que se aplican (ej. 'login', 'account')
+ * @returns {Function} - Middleware de Express
+ */
+const rateLimit = (...policies) => {
+    return async (req, res, next) => {
+        let results;
+        try {
+            results = [];
+            for (const policy of policies) {
+                const key = POLICY_KEYS[policy](req);
+                if (key) results.push(await hitRateLimit(policy, key));
+            }
+        } catch (error) {
+            console.error('Error al comprobar el límite de peticiones:', error);
+            return next();
+        }
+        if (results.length === 0) return next();
+
+        // La política superada que más tarda en reiniciarse o, si no hay ninguna, la que menos peticiones deja
+        const exceeded = results.filter(result => result.exceeded).sort((a, b) => b.reset - a.reset);
+        const strictest = exceeded[0] || [...results].sort((a, b) => a.remaining - b.remaining || b.reset - a.reset)[0];
+        setRateLimitHeaders(res, strictest);
+
+        if (exceeded.length > 0) {
+            return sendTooManyRequests(res, strictest, 'Demasiadas solicitudes: inténtelo de nuevo más tarde');
+        }
+        next();
+    };
+};
+
+module.exports = {
+    rateLimit
+};
\ No newline at end of file
@@ -0,0 +1,36 @@
+const { validateSchema } = require('../utils/validation');
+
+/**
+ * Middleware que valida el cuerpo y la query de la petición contra esquemas declarativos.
+ * Si hay errores responde 422 (o el código indicado) con la lista de campos inválidos; si no,
+ * sustituye req.body y req.query por los valores ya convertidos a su tipo.
+ * @param {Object} schemas - { body, query } con el esquema de cada parte
+ * @param {Object} options - { status } código de la respuesta de error (ej. 400 en los filtros de los listados)
+ * @returns {Function} - Middleware de Express
+ */
+const validate = (schemas, { status = 422 } = {}) => {
+    return (req, res, next) => {
+        const errors = [];
+        const validated = {};
+
+        for (const location of ['body', 'query']) {
+            if (!schemas[location]) continue;
+
+            const { value, errors: locationErrors } = validateSchema(req[location], schemas[location]);
+            validated[location] = value;
+            errors.push(...locationErrors.map(error => ({ ...error, location })));
+        }
+
+        if (errors.length > 0) {
+            return res.formatResponse(status, null, 'Error de validación', { errors });
+        }
+
+        if (validated.body) req.body = validated.body;
+        if (validated.query) req.query = validated.query;
+        next();
+    };
+};
+
+module.exports = {
+    validate
+};
\ No newline at end of file
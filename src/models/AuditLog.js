@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Impide modificar o eliminar entradas del registro de auditoría
+ */
+const preventChanges = () => {
+    throw new Error('El registro de auditoría es de solo inserción');
+};
+
+const AuditLog = sequelize.define('AuditLog', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    // Tipo de entidad afectada (Project, Task, User)
+    entityType: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    entityId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // Proyecto al que pertenece la entidad (permite consultar el historial de un proyecto y sus tareas)
+    projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    action: {
+        type: DataTypes.ENUM('create', 'update', 'delete', 'restore'),
+        allowNull: false
+    },
+    // Usuario que realizó el cambio (nulo si no hay usuario autenticado, ej. registro)
+    actorId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // Diferencias por campo: { campo: { from, to } }
+    changes: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {}
+    }
+}, {
+    timestamps: true,
+    updatedAt: false,
+    tableName: 'audit_logs',
+    indexes: [
+        { fields: ['entityType', 'entityId'] },
+        { fields: ['projectId'] },
+        { fields: ['actorId'] },
+        { fields: ['createdAt'] }
+    ],
+    hooks: {
+        beforeUpdate: preventChanges,
+        beforeDestroy: preventChanges,
+        beforeBulkUpdate: preventChanges,
+        beforeBulkDestroy: preventChanges
+    }
+});
+
+module.exports = AuditLog;
\ No newline at end of file
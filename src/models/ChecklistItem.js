@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Elemento de la checklist de una tarea
+const ChecklistItem = sequelize.define('ChecklistItem', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    content: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+            len: [1, 255]
+        }
+    },
+    done: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    // Orden del elemento dentro de la checklist
+    position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Referencia a la tarea a la que pertenece
+    taskId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'tasks',
+            key: 'id'
+        }
+    }
+}, {
+    timestamps: true,
+    tableName: 'checklist_items'
+});
+
+module.exports = ChecklistItem;
\ No newline at end of file
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Comment = sequelize.define('Comment', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    content: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        validate: {
+            len: [1, 5000]
+        }
+    },
+    // Referencia a la tarea comentada
+    taskId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'tasks',
+            key: 'id'
+        }
+    },
+    // Referencia al autor del comentario
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    // Referencia al comentario al que responde (nulo si es un comentario raíz)
+    parentId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'comments',
+            key: 'id'
+        }
+    }
+}, {
+    timestamps: true,
+    tableName: 'comments'
+});
+
+module.exports = Comment;
\ No newline at end of file
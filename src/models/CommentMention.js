@@ -0,0 +1,28 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Tabla intermedia entre comentarios y usuarios mencionados (@correo)
+const CommentMention = sequelize.define('CommentMention', {
+    commentId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: {
+            model: 'comments',
+            key: 'id'
+        }
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    }
+}, {
+    timestamps: true,
+    updatedAt: false,
+    tableName: 'comment_mentions'
+});
+
+module.exports = CommentMention;
\ No newline at end of file
@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Notification = sequelize.define('Notification', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    // Destinatario de la notificación
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    // Tipo de notificación (ver NOTIFICATION_TYPES en src/utils/notifications.js)
+    type: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    message: {
+        type: DataTypes.STRING(500),
+        allowNull: false
+    },
+    // Proyecto, tarea y comentario relacionados (sin claves foráneas: la notificación se conserva)
+    projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    taskId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    commentId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // Usuario que provocó la notificación (nulo en las generadas por el sistema, ej. vencimientos)
+    actorId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // Clave que impide repetir una misma notificación (ej. el aviso de vencimiento de una tarea)
+    dedupeKey: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    // Fecha de lectura (nula mientras no se ha leído)
+    readAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    timestamps: true,
+    updatedAt: false,
+    tableName: 'notifications',
+    indexes: [
+        { fields: ['userId', 'readAt'] },
+        { fields: ['userId', 'createdAt'] },
+        { fields: ['userId', 'dedupeKey'], unique: true }
+    ]
+});
+
+module.exports = Notification;
\ No newline at end of file
@@ -0,0 +1,35 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Preferencia de un usuario para un tipo de notificación (sin fila, el tipo está activado)
+const NotificationPreference = sequelize.define('NotificationPreference', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    type: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false
+    }
+}, {
+    timestamps: true,
+    tableName: 'notification_preferences',
+    indexes: [
+        { unique: true, fields: ['userId', 'type'] }
+    ]
+});
+
+module.exports = NotificationPreference;
\ No newline at end of file
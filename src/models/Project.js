@@ -1,48 +1,64 @@
-const { DataTypes } = require('sequelize');
-const { sequelize } = require('../config/database');
-
-const Project = sequelize.define('Project', {
-    id: {
-        type: DataTypes.INTEGER,
-        primaryKey: true,
-        autoIncrement: true
-    },
-    name: {
-        type: DataTypes.STRING,
-        allowNull: false,
-        validate: {
-            len: [2, 100]
-        }
-    },
-    description: {
-        type: DataTypes.TEXT,
-        allowNull: true
-    },
-    status: {
-        type: DataTypes.ENUM('active', 'completed', 'canceled'),
-        defaultValue: 'active'
-    },
-    startDate: {
-        type: DataTypes.DATE,
-        allowNull: false,
-        defaultValue: DataTypes.NOW
-    },
-    endDate: {
-        type: DataTypes.DATE,
-        allowNull: true
-    },
-    // Referencia al creador del proyecto
-    createdBy: {
-        type: DataTypes.INTEGER,
-        allowNull: false,
-        references: {
-            model: 'users',
-            key: 'id'
-        }
-    }
-}, {
-    timestamps: true,
-    tableName: 'projects'
-});
-
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Project = sequelize.define('Project', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+            len: [2, 100]
+        }
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM('active', 'completed', 'canceled'),
+        defaultValue: 'active'
+    },
+    startDate: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    },
+    endDate: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Referencia al creador del proyecto
+    createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    // Fecha de envío a la papelera. Los elementos de una misma eliminación se reconocen porque la
+    // comparten exactamente: se guarda con fracciones de segundo (MySQL las descarta con DATETIME)
+    deletedAt: {
+        type: DataTypes.DATE(6),
+        allowNull: true
+    },
+    // Usuario que envió el proyecto a la papelera (deletedAt indica cuándo)
+    deletedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    }
+}, {
+    timestamps: true,
+    // Eliminación lógica: los proyectos eliminados quedan en la papelera (ver src/utils/trash.js)
+    paranoid: true,
+    // Concurrencia optimista: cada modificación incrementa la columna version y falla si otra petición
+    // la cambió antes (OptimisticLockError)
+    version: true,
+    tableName: 'projects'
+});
+
 module.exports = Project;
\ No newline at end of file
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ProjectMember = sequelize.define('ProjectMember', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    // Rol del usuario dentro del proyecto (determina sus permisos)
+    role: {
+        type: DataTypes.ENUM('owner', 'manager', 'contributor', 'viewer'),
+        allowNull: false,
+        defaultValue: 'contributor'
+    },
+    // Referencia al proyecto
+    projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'projects',
+            key: 'id'
+        }
+    },
+    // Referencia al usuario miembro
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    }
+}, {
+    timestamps: true,
+    tableName: 'project_members',
+    indexes: [
+        // Un usuario solo puede pertenecer una vez a cada proyecto
+        {
+            unique: true,
+            fields: ['projectId', 'userId']
+        }
+    ]
+});
+
+module.exports = ProjectMember;
\ No newline at end of file
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RefreshToken = sequelize.define('RefreshToken', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    // Hash SHA-256 del token (nunca se guarda el token en claro)
+    tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    // Familia de rotación: todos los tokens derivados de un mismo inicio de sesión
+    family: {
+        type: DataTypes.STRING(36),
+        allowNull: false
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    // Fecha en la que el token fue rotado o revocado (nulo si sigue vigente)
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // ID del token que reemplazó a este al rotarlo
+    replacedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // Referencia al usuario propietario del token
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    }
+}, {
+    timestamps: true,
+    tableName: 'refresh_tokens',
+    indexes: [
+        { fields: ['family'] },
+        { fields: ['userId'] }
+    ]
+});
+
+module.exports = RefreshToken;
\ No newline at end of file
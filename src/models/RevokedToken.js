@@ -0,0 +1,21 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Lista de tokens de acceso revocados antes de su expiración (denylist por jti)
+const RevokedToken = sequelize.define('RevokedToken', {
+    jti: {
+        type: DataTypes.STRING(36),
+        primaryKey: true
+    },
+    // Fecha de expiración original del token; a partir de ella el registro puede purgarse
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    }
+}, {
+    timestamps: true,
+    updatedAt: false,
+    tableName: 'revoked_tokens'
+});
+
+module.exports = RevokedToken;
\ No newline at end of file
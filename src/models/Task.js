@@ -1,56 +1,107 @@
-const { DataTypes } = require('sequelize');
-const { sequelize } = require('../config/database');
-
-const Task = sequelize.define('Task', {
-    id: {
-        type: DataTypes.INTEGER,
-        primaryKey: true,
-        autoIncrement: true
-    },
-    title: {
-        type: DataTypes.STRING,
-        allowNull: false,
-        validate: {
-            len: [2, 100]
-        }
-    },
-    description: {
-        type: DataTypes.TEXT,
-        allowNull: true
-    },
-    status: {
-        type: DataTypes.ENUM('pending', 'in_progress', 'completed', 'canceled'),
-        defaultValue: 'pending'
-    },
-    priority: {
-        type: DataTypes.ENUM('low', 'medium', 'high'),
-        defaultValue: 'medium'
-    },
-    dueDate: {
-        type: DataTypes.DATE,
-        allowNull: true
-    },
-    // Referencia al proyecto al que pertenece la tarea
-    projectId: {
-        type: DataTypes.INTEGER,
-        allowNull: false,
-        references: {
-            model: 'projects',
-            key: 'id'
-        }
-    },
-    // Referencia al usuario asignado a la tarea (puede ser nulo)
-    assignedTo: {
-        type: DataTypes.INTEGER,
-        allowNull: true,
-        references: {
-            model: 'users',
-            key: 'id'
-        }
-    }
-}, {
-    timestamps: true,
-    tableName: 'tasks'
-});
-
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Task = sequelize.define('Task', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    title: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+            len: [2, 100]
+        }
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'in_progress', 'completed', 'canceled'),
+        defaultValue: 'pending'
+    },
+    priority: {
+        type: DataTypes.ENUM('low', 'medium', 'high'),
+        defaultValue: 'medium'
+    },
+    dueDate: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Referencia al proyecto al que pertenece la tarea
+    projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'projects',
+            key: 'id'
+        }
+    },
+    // Referencia al usuario asignado a la tarea (puede ser nulo)
+    assignedTo: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    // Referencia a la tarea padre (nulo si no es una subtarea)
+    parentId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'tasks',
+            key: 'id'
+        }
+    },
+    // Porcentaje de avance (0-100) calculado a partir de las subtareas y la checklist
+    progress: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Fecha en que la tarea pasó a completada (nula mientras no lo esté)
+    completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Fecha de envío a la papelera. Los elementos de una misma eliminación se reconocen porque la
+    // comparten exactamente: se guarda con fracciones de segundo (MySQL las descarta con DATETIME)
+    deletedAt: {
+        type: DataTypes.DATE(6),
+        allowNull: true
+    },
+    // Usuario que envió la tarea a la papelera (deletedAt indica cuándo)
+    deletedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    }
+}, {
+    timestamps: true,
+    // Eliminación lógica: las tareas eliminadas quedan en la papelera (ver src/utils/trash.js)
+    paranoid: true,
+    // Concurrencia optimista: cada modificación incrementa la columna version y falla si otra petición
+    // la cambió antes (OptimisticLockError)
+    version: true,
+    tableName: 'tasks',
+    hooks: {
+        // completedAt acompaña al estado: se fija al completar la tarea y se borra al reabrirla
+        beforeSave: (task, options) => {
+            if (task.status !== 'completed') {
+                task.completedAt = null;
+            } else if (!task.completedAt) {
+                task.completedAt = new Date();
+            }
+
+            // task.update() guarda solo los campos indicados: se añade completedAt si ha cambiado
+            if (task.changed('completedAt') && options.fields && !options.fields.includes('completedAt')) {
+                options.fields.push('completedAt');
+            }
+        }
+    }
+});
+
 module.exports = Task;
\ No newline at end of file
@@ -0,0 +1,28 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Dependencia entre tareas: la tarea taskId está bloqueada hasta que se complete dependsOnId
+const TaskDependency = sequelize.define('TaskDependency', {
+    taskId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: {
+            model: 'tasks',
+            key: 'id'
+        }
+    },
+    dependsOnId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: {
+            model: 'tasks',
+            key: 'id'
+        }
+    }
+}, {
+    timestamps: true,
+    updatedAt: false,
+    tableName: 'task_dependencies'
+});
+
+module.exports = TaskDependency;
\ No newline at end of file
@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Webhook = sequelize.define('Webhook', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    // URL a la que se envían los eventos (POST)
+    url: {
+        type: DataTypes.STRING(2048),
+        allowNull: false,
+        validate: {
+            isUrl: {
+                args: { protocols: ['http', 'https'], require_protocol: true, require_tld: false },
+                msg: 'Debe ser una URL http o https'
+            }
+        }
+    },
+    // Clave con la que se firma cada entrega (HMAC-SHA256); solo se muestra al crear el webhook
+    secret: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    // Tipos de evento suscritos
+    events: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: []
+    },
+    description: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    // Proyecto cuyos eventos se reciben (nulo = webhook global de administración, recibe todos)
+    projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // Los webhooks inactivos no reciben eventos nuevos
+    active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    }
+}, {
+    timestamps: true,
+    tableName: 'webhooks',
+    indexes: [
+        { fields: ['projectId'] }
+    ]
+});
+
+module.exports = Webhook;
\ No newline at end of file
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    webhookId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'webhooks',
+            key: 'id'
+        }
+    },
+    // Tipo de evento (ej. task.created)
+    event: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    // Evento tal y como se envía en el cuerpo de la petición
+    payload: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+    // Pendiente (en cola o esperando reintento), entregada o fallida definitivamente
+    status: {
+        type: DataTypes.ENUM('pending', 'success', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Momento a partir del cual se puede (re)intentar la entrega
+    nextAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    lastAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Respuesta del último intento (el cuerpo se trunca)
+    responseStatus: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    responseBody: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    // Error de red o de tiempo de espera del último intento
+    error: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+    },
+    deliveredAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Entrega original cuando se trata de un reenvío manual
+    redeliveryOf: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    }
+}, {
+    timestamps: true,
+    tableName: 'webhook_deliveries',
+    indexes: [
+        { fields: ['status', 'nextAttemptAt'] },
+        { fields: ['webhookId', 'createdAt'] }
+    ]
+});
+
+module.exports = WebhookDelivery;
\ No newline at end of file
@@ -1,56 +1,254 @@
-const User = require('./User');
-const Project = require('./Project');
-const Task = require('./Task');
-const { sequelize } = require('../config/database');
-
-// Definición de relaciones
-
-// Un usuario puede crear muchos proyectos (hasMany)
-User.hasMany(Project, { 
-    foreignKey: 'createdBy',
-    as: 'projects'
-});
-Project.belongsTo(User, { 
-    foreignKey: 'createdBy',
-    as: 'creator'
-});
-
-// Un proyecto puede tener muchas tareas (hasMany)
-Project.hasMany(Task, { 
-    foreignKey: 'projectId',
-    as: 'tasks',
-    onDelete: 'CASCADE' // Si se borra un proyecto, se borran todas sus tareas
-});
-Task.belongsTo(Project, { 
-    foreignKey: 'projectId',
-    as: 'project'
-});
-
-// Una tarea puede estar asignada a un usuario (belongsTo)
-User.hasMany(Task, { 
-    foreignKey: 'assignedTo',
-    as: 'assignedTasks'
-});
-Task.belongsTo(User, { 
-    foreignKey: 'assignedTo',
-    as: 'assignee'
-});
-
-// Función para sincronizar los modelos con la base de datos
-const syncModels = async (force = false) => {
-    try {
-        await sequelize.sync({ force });
-        console.log('Modelos sincronizados correctamente con la base de datos.');
-        return true;
-    } catch (error) {
-        console.error('Error al sincronizar modelos:', error);
-        return false;
-    }
-};
-
-module.exports = {
-    User,
-    Project,
-    Task,
-    syncModels
+const User = require('./User');
+const Project = require('./Project');
+const Task = require('./Task');
+const ProjectMember = require('./ProjectMember');
+const RefreshToken = require('./RefreshToken');
+const RevokedToken = require('./RevokedToken');
+const Comment = require('./Comment');
+const CommentMention = require('./CommentMention');
+const TaskDependency = require('./TaskDependency');
+const ChecklistItem = require('./ChecklistItem');
+const AuditLog = require('./AuditLog');
+const Webhook = require('./Webhook');
+const WebhookDelivery = require('./WebhookDelivery');
+const Notification = require('./Notification');
+const NotificationPreference = require('./NotificationPreference');
+const { registerAuditHooks } = require('../utils/audit');
+const { registerProgressHooks } = require('../utils/progress');
+const { registerSoftDeleteHooks } = require('../utils/softDelete');
+const { registerSearchHooks } = require('../utils/search');
+
+// Definición de relaciones
+
+// Un usuario puede crear muchos proyectos (hasMany)
+User.hasMany(Project, { 
+    foreignKey: 'createdBy',
+    as: 'projects'
+});
+Project.belongsTo(User, { 
+    foreignKey: 'createdBy',
+    as: 'creator'
+});
+
+// Un proyecto puede tener muchas tareas (hasMany)
+Project.hasMany(Task, { 
+    foreignKey: 'projectId',
+    as: 'tasks',
+    onDelete: 'CASCADE' // Al eliminar definitivamente un proyecto se borran sus tareas (la papelera las envía con él)
+});
+Task.belongsTo(Project, { 
+    foreignKey: 'projectId',
+    as: 'project'
+});
+
+// Una tarea puede estar asignada a un usuario (belongsTo)
+User.hasMany(Task, { 
+    foreignKey: 'assignedTo',
+    as: 'assignedTasks'
+});
+Task.belongsTo(User, { 
+    foreignKey: 'assignedTo',
+    as: 'assignee'
+});
+
+// Un proyecto puede tener muchos miembros con distintos roles (hasMany)
+Project.hasMany(ProjectMember, {
+    foreignKey: 'projectId',
+    as: 'members',
+    onDelete: 'CASCADE' // Si se borra un proyecto, se borran sus membresías
+});
+ProjectMember.belongsTo(Project, {
+    foreignKey: 'projectId',
+    as: 'project'
+});
+
+// Un usuario puede ser miembro de muchos proyectos (hasMany)
+User.hasMany(ProjectMember, {
+    foreignKey: 'userId',
+    as: 'memberships',
+    onDelete: 'CASCADE'
+});
+ProjectMember.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+});
+
+// Un usuario puede tener muchos refresh tokens (uno por sesión y rotación)
+User.hasMany(RefreshToken, {
+    foreignKey: 'userId',
+    as: 'refreshTokens',
+    onDelete: 'CASCADE'
+});
+RefreshToken.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+});
+
+// Una tarea puede tener muchos comentarios (hasMany)
+Task.hasMany(Comment, {
+    foreignKey: 'taskId',
+    as: 'comments',
+    onDelete: 'CASCADE' // Si se borra una tarea, se borran sus comentarios
+});
+Comment.belongsTo(Task, {
+    foreignKey: 'taskId',
+    as: 'task'
+});
+
+// Un usuario puede escribir muchos comentarios (hasMany)
+User.hasMany(Comment, {
+    foreignKey: 'userId',
+    as: 'comments',
+    onDelete: 'CASCADE'
+});
+Comment.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'author'
+});
+
+// Un comentario puede tener respuestas (hilos)
+Comment.hasMany(Comment, {
+    foreignKey: 'parentId',
+    as: 'replies',
+    onDelete: 'CASCADE' // Si se borra un comentario, se borran sus respuestas
+});
+Comment.belongsTo(Comment, {
+    foreignKey: 'parentId',
+    as: 'parent'
+});
+
+// Un comentario puede mencionar a varios usuarios (belongsToMany)
+Comment.belongsToMany(User, {
+    through: CommentMention,
+    foreignKey: 'commentId',
+    otherKey: 'userId',
+    as: 'mentions'
+});
+User.belongsToMany(Comment, {
+    through: CommentMention,
+    foreignKey: 'userId',
+    otherKey: 'commentId',
+    as: 'mentionedIn'
+});
+
+// Una tarea puede tener subtareas (jerarquía padre/hijo)
+Task.hasMany(Task, {
+    foreignKey: 'parentId',
+    as: 'subtasks',
+    onDelete: 'CASCADE' // Si se borra una tarea, se borran sus subtareas
+});
+Task.belongsTo(Task, {
+    foreignKey: 'parentId',
+    as: 'parent'
+});
+
+// Una tarea puede tener una checklist (hasMany)
+Task.hasMany(ChecklistItem, {
+    foreignKey: 'taskId',
+    as: 'checklist',
+    onDelete: 'CASCADE'
+});
+ChecklistItem.belongsTo(Task, {
+    foreignKey: 'taskId',
+    as: 'task'
+});
+
+// Una tarea puede depender de otras del mismo proyecto (belongsToMany sobre sí misma)
+Task.belongsToMany(Task, {
+    through: TaskDependency,
+    foreignKey: 'taskId',
+    otherKey: 'dependsOnId',
+    as: 'blockers' // Tareas que deben completarse antes
+});
+Task.belongsToMany(Task, {
+    through: TaskDependency,
+    foreignKey: 'dependsOnId',
+    otherKey: 'taskId',
+    as: 'dependents' // Tareas que esperan a esta
+});
+
+// Cada entrada del historial registra al usuario que realizó el cambio
+AuditLog.belongsTo(User, {
+    foreignKey: 'actorId',
+    as: 'actor',
+    constraints: false // El historial se conserva aunque se elimine el usuario
+});
+
+// Un webhook tiene un registro de entregas (hasMany)
+Webhook.hasMany(WebhookDelivery, {
+    foreignKey: 'webhookId',
+    as: 'deliveries',
+    onDelete: 'CASCADE' // Si se borra un webhook, se borra su registro de entregas
+});
+WebhookDelivery.belongsTo(Webhook, {
+    foreignKey: 'webhookId',
+    as: 'webhook'
+});
+
+// Un usuario recibe muchas notificaciones (hasMany)
+User.hasMany(Notification, {
+    foreignKey: 'userId',
+    as: 'notifications',
+    onDelete: 'CASCADE'
+});
+Notification.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+});
+// Usuario que provocó la notificación
+Notification.belongsTo(User, {
+    foreignKey: 'actorId',
+    as: 'actor',
+    constraints: false // La notificación se conserva aunque se elimine el usuario
+});
+
+// Un usuario puede desactivar tipos de notificación (hasMany)
+User.hasMany(NotificationPreference, {
+    foreignKey: 'userId',
+    as: 'notificationPreferences',
+    onDelete: 'CASCADE'
+});
+NotificationPreference.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+});
+
+// Auditoría de cambios en proyectos, tareas y usuarios
+registerAuditHooks(Project, AuditLog, {
+    projectIdOf: (project) => project.id
+});
+registerAuditHooks(Task, AuditLog, {
+    projectIdOf: (task) => task.projectId,
+    exclude: ['progress', 'completedAt'] // Valores derivados de las subtareas, la checklist y el estado
+});
+registerAuditHooks(User, AuditLog, {
+    exclude: ['tokenVersion'],
+    redact: ['password']
+});
+
+// Papelera de proyectos y tareas (antes que las cascadas de subtareas, que usan su fecha de eliminación)
+registerSoftDeleteHooks(Project, Task);
+
+// Avance de las tareas y cascadas de la jerarquía de subtareas
+registerProgressHooks(Task, ChecklistItem);
+
+// Índice de búsqueda de texto completo
+registerSearchHooks(Project, Task, Comment);
+
+module.exports = {
+    User,
+    Project,
+    Task,
+    ProjectMember,
+    RefreshToken,
+    RevokedToken,
+    Comment,
+    CommentMention,
+    TaskDependency,
+    ChecklistItem,
+    AuditLog,
+    Webhook,
+    WebhookDelivery,
+    Notification,
+    NotificationPreference
 };
\ No newline at end of file
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { authenticate, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const auditSchemas = require('../validators/auditSchemas');
+
+// Todas las rutas requieren autenticación y rol de administrador
+router.use(authenticate);
+router.use(authorize('admin'));
+
+// Registro de auditoría completo con filtros
+router.get('/', validate(auditSchemas.listAuditLogs), auditController.getAuditLogs);
+
+module.exports = router;
\ No newline at end of file
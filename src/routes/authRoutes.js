@@ -1,15 +1,26 @@
-const express = require('express');
-const router = express.Router();
-const authController = require('../controllers/authController');
-const { authenticate } = require('../middlewares/auth');
-
-// Ruta de registro de usuarios
-router.post('/registro', authController.register);
-
-// Ruta de inicio de sesión
-router.post('/login', authController.login);
-
-// Ruta para obtener perfil de usuario (protegida)
-router.get('/perfil', authenticate, authController.getProfile);
-
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { authenticate } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { rateLimit } = require('../middlewares/rateLimit');
+const authSchemas = require('../validators/authSchemas');
+const { formatQuery } = require('../validators/common');
+
+// Ruta de registro de usuarios (limitada por IP)
+router.post('/registro', rateLimit('register'), validate(authSchemas.register), authController.register);
+
+// Ruta de inicio de sesión (limitada por IP y por cuenta)
+router.post('/login', rateLimit('login', 'account'), validate(authSchemas.login), authController.login);
+
+// Ruta para renovar el token de acceso con un refresh token
+router.post('/token/refresh', validate(authSchemas.refreshToken), authController.refreshToken);
+
+// Rutas de cierre de sesión (protegidas)
+router.post('/logout', authenticate, validate(authSchemas.logout), authController.logout);
+router.post('/logout/todas', authenticate, validate({ query: formatQuery }), authController.logoutAll);
+
+// Ruta para obtener perfil de usuario (protegida)
+router.get('/perfil', authenticate, validate({ query: formatQuery }), authController.getProfile);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const path = require('path');
+const express = require('express');
+const router = express.Router();
+const swaggerUi = require('swagger-ui-express');
+const openapiDocument = require('../docs/openapi');
+
+// Documento OpenAPI 3 (JSON sin el sobre de formatResponse, para herramientas externas)
+router.get('/openapi.json', (req, res) => {
+    res.json(openapiDocument);
+});
+
+// Esquema XSD de las respuestas XML (referenciado desde xsi:noNamespaceSchemaLocation)
+router.get('/schema.xsd', (req, res) => {
+    res.type('application/xml');
+    res.sendFile(path.join(__dirname, '../docs/schema.xsd'));
+});
+
+// Documentación interactiva (Swagger UI) generada a partir del documento
+router.use('/', swaggerUi.serve);
+router.get('/', swaggerUi.setup(openapiDocument, {
+    customSiteTitle: 'API de Gestión de Proyectos - Documentación'
+}));
+
+module.exports = router;
\ No newline at end of file
@@ -1,28 +1,50 @@
-const express = require('express');
-const router = express.Router();
-
-// Importar todas las rutas
-const authRoutes = require('./authRoutes');
-const projectRoutes = require('./projectRoutes');
-const taskRoutes = require('./taskRoutes');
-
-// Middleware para formatear respuestas
-const { formatMiddleware } = require('../middlewares/auth');
-router.use(formatMiddleware);
-
-// Configurar rutas
-router.use('/', authRoutes);
-router.use('/proyectos', projectRoutes);
-router.use('/tareas', taskRoutes);
-
-// Ruta base para verificar que la API está funcionando
-router.get('/', (req, res) => {
-    res.formatResponse(200, { message: 'API de Gestión de Proyectos v1.0' }, 'API funcionando correctamente');
-});
-
-// Manejo de rutas no encontradas
-router.use('*', (req, res) => {
-    res.formatResponse(404, null, 'Ruta no encontrada');
-});
-
+const express = require('express');
+const router = express.Router();
+
+// Importar todas las rutas
+const authRoutes = require('./authRoutes');
+const projectRoutes = require('./projectRoutes');
+const taskRoutes = require('./taskRoutes');
+const auditRoutes = require('./auditRoutes');
+const statisticsRoutes = require('./statisticsRoutes');
+const searchRoutes = require('./searchRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const notificationRoutes = require('./notificationRoutes');
+const realtimeRoutes = require('./realtimeRoutes');
+const trashRoutes = require('./trashRoutes');
+const userRoutes = require('./userRoutes');
+const docsRoutes = require('./docsRoutes');
+
+// Documentación de la API (no usa el sobre de respuesta ni la negociación de formato)
+router.use('/docs', docsRoutes);
+
+// Canal de eventos en tiempo real (se pide con Accept: text/event-stream, sin negociación de formato)
+router.use('/proyectos', realtimeRoutes);
+
+// Middleware para formatear respuestas
+const { formatMiddleware } = require('../middlewares/auth');
+router.use(formatMiddleware);
+
+// Configurar rutas
+router.use('/', authRoutes);
+router.use('/proyectos', projectRoutes);
+router.use('/tareas', taskRoutes);
+router.use('/historial', auditRoutes);
+router.use('/estadisticas', statisticsRoutes);
+router.use('/buscar', searchRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/notificaciones', notificationRoutes);
+router.use('/papelera', trashRoutes);
+router.use('/usuarios', userRoutes);
+
+// Ruta base para verificar que la API está funcionando
+router.get('/', (req, res) => {
+    res.formatResponse(200, { message: 'API de Gestión de Proyectos v1.0' }, 'API funcionando correctamente');
+});
+
+// Manejo de rutas no encontradas
+router.use('*', (req, res) => {
+    res.formatResponse(404, null, 'Ruta no encontrada');
+});
+
 module.exports = router;
\ No newline at end of file
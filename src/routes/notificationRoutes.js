@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticate } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const notificationSchemas = require('../validators/notificationSchemas');
+const { formatQuery } = require('../validators/common');
+
+// Todas las rutas requieren autenticación (cada usuario gestiona sus notificaciones)
+router.use(authenticate);
+
+router.get('/', validate(notificationSchemas.listNotifications), notificationController.getNotifications);
+router.post('/leer-todas', validate({ query: formatQuery }), notificationController.markAllNotificationsRead);
+
+// Preferencias: tipos de notificación que recibe el usuario
+router.get('/preferencias', validate({ query: formatQuery }), notificationController.getPreferences);
+router.put('/preferencias', validate(notificationSchemas.updatePreferences), notificationController.updatePreferences);
+
+router.put('/:id', validate(notificationSchemas.updateNotification), notificationController.updateNotification);
+
+module.exports = router;
\ No newline at end of file
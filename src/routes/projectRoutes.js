@@ -1,21 +1,59 @@
-const express = require('express');
-const router = express.Router();
-const projectController = require('../controllers/projectController');
-const taskController = require('../controllers/taskController');
-const { authenticate, authorize, isProjectOwnerOrAdmin } = require('../middlewares/auth');
-
-// Todas las rutas requieren autenticación
-router.use(authenticate);
-
-// Rutas para proyectos
-router.get('/', projectController.getProjects);
-router.post('/', projectController.createProject);
-router.get('/:id', projectController.getProjectById);
-router.put('/:id', isProjectOwnerOrAdmin, projectController.updateProject);
-router.delete('/:id', isProjectOwnerOrAdmin, projectController.deleteProject);
-
-// Rutas para tareas dentro de proyectos
-router.get('/:projectId/tareas', taskController.getProjectTasks);
-router.post('/:projectId/tareas', taskController.createTask);
-
+const express = require('express');
+const router = express.Router();
+const projectController = require('../controllers/projectController');
+const taskController = require('../controllers/taskController');
+const memberController = require('../controllers/memberController');
+const auditController = require('../controllers/auditController');
+const dependencyController = require('../controllers/dependencyController');
+const statisticsController = require('../controllers/statisticsController');
+const webhookController = require('../controllers/webhookController');
+const trashController = require('../controllers/trashController');
+const { authenticate, authorize, checkProjectPermission } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const projectSchemas = require('../validators/projectSchemas');
+const taskSchemas = require('../validators/taskSchemas');
+const memberSchemas = require('../validators/memberSchemas');
+const auditSchemas = require('../validators/auditSchemas');
+const statisticsSchemas = require('../validators/statisticsSchemas');
+const webhookSchemas = require('../validators/webhookSchemas');
+const { formatQuery } = require('../validators/common');
+
+// Todas las rutas requieren autenticación
+router.use(authenticate);
+
+// Rutas para proyectos
+router.get('/', validate(projectSchemas.listProjects), projectController.getProjects);
+router.post('/', validate(projectSchemas.createProject), projectController.createProject);
+router.get('/:id', validate({ query: formatQuery }), projectController.getProjectById);
+router.put('/:id', validate(projectSchemas.replaceProject), checkProjectPermission('project:update'), projectController.updateProject);
+router.patch('/:id', validate({ query: formatQuery }), checkProjectPermission('project:update'), projectController.updateProject);
+router.delete('/:id', validate({ query: formatQuery }), checkProjectPermission('project:delete'), projectController.deleteProject);
+
+// Restaurar un proyecto de la papelera (los permisos se comprueban en el controlador: el proyecto está eliminado)
+router.post('/:id/restaurar', validate({ query: formatQuery }), trashController.restoreProject);
+
+// Rutas para miembros del proyecto
+router.get('/:id/miembros', validate({ query: formatQuery }), checkProjectPermission('members:view'), memberController.getMembers);
+router.post('/:id/miembros', validate(memberSchemas.addMember), checkProjectPermission('members:manage'), memberController.addMember);
+router.put('/:id/miembros/:userId', validate(memberSchemas.updateMemberRole), checkProjectPermission('members:manage'), memberController.updateMemberRole);
+router.delete('/:id/miembros/:userId', validate({ query: formatQuery }), checkProjectPermission('members:view'), memberController.removeMember);
+
+// Historial de cambios del proyecto y sus tareas
+router.get('/:id/historial', validate(auditSchemas.historyQuery), checkProjectPermission('project:view'), auditController.getProjectHistory);
+
+// Grafo de dependencias entre las tareas del proyecto y orden de ejecución
+router.get('/:id/dependencias', validate({ query: formatQuery }), checkProjectPermission('task:view'), dependencyController.getProjectDependencyGraph);
+
+// Estadísticas de las tareas del proyecto
+router.get('/:id/estadisticas', validate(statisticsSchemas.statisticsQuery), checkProjectPermission('project:view'), statisticsController.getProjectStatistics);
+
+// Webhooks que reciben los eventos del proyecto
+router.get('/:id/webhooks', validate({ query: formatQuery }), checkProjectPermission('webhooks:manage'), webhookController.getProjectWebhooks);
+router.post('/:id/webhooks', validate(webhookSchemas.createWebhook), checkProjectPermission('webhooks:manage'), webhookController.createProjectWebhook);
+
+// Rutas para tareas dentro de proyectos (los filtros inválidos del listado responden 400)
+router.get('/:projectId/tareas', validate(taskSchemas.listTasks, { status: 400 }), taskController.getProjectTasks);
+router.post('/:projectId/tareas', validate(taskSchemas.createTask), taskController.createTask);
+router.post('/:projectId/tareas/bulk', validate(taskSchemas.bulkTasks), checkProjectPermission('task:view'), taskController.bulkTasks);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const realtimeController = require('../controllers/realtimeController');
+const { authenticateWithQueryToken, checkProjectPermission, jsonFormatMiddleware } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const realtimeSchemas = require('../validators/realtimeSchemas');
+
+// Canal de eventos en tiempo real de un proyecto (text/event-stream)
+router.get(
+    '/:id/eventos',
+    jsonFormatMiddleware,
+    authenticateWithQueryToken,
+    validate(realtimeSchemas.streamEvents),
+    checkProjectPermission('project:view'),
+    realtimeController.streamProjectEvents
+);
+
+module.exports = router;
\ No newline at end of file
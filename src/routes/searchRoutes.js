@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const { authenticate } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const searchSchemas = require('../validators/searchSchemas');
+
+// Todas las rutas requieren autenticación
+router.use(authenticate);
+
+// Búsqueda de texto completo en los proyectos visibles para el usuario
+router.get('/', validate(searchSchemas.search), searchController.search);
+
+module.exports = router;
\ No newline at end of file
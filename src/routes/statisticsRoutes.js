@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const statisticsController = require('../controllers/statisticsController');
+const { authenticate } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const statisticsSchemas = require('../validators/statisticsSchemas');
+
+// Todas las rutas requieren autenticación
+router.use(authenticate);
+
+// Panel general: todos los proyectos para administradores, los propios para el resto
+router.get('/', validate(statisticsSchemas.statisticsQuery), statisticsController.getStatistics);
+
+module.exports = router;
\ No newline at end of file
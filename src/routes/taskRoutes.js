@@ -1,14 +1,53 @@
-const express = require('express');
-const router = express.Router();
-const taskController = require('../controllers/taskController');
-const { authenticate } = require('../middlewares/auth');
-
-// Todas las rutas requieren autenticación
-router.use(authenticate);
-
-// Rutas para tareas individuales
-router.get('/:id', taskController.getTaskById);
-router.put('/:id', taskController.updateTask);
-router.delete('/:id', taskController.deleteTask);
-
+const express = require('express');
+const router = express.Router();
+const taskController = require('../controllers/taskController');
+const commentController = require('../controllers/commentController');
+const auditController = require('../controllers/auditController');
+const dependencyController = require('../controllers/dependencyController');
+const checklistController = require('../controllers/checklistController');
+const trashController = require('../controllers/trashController');
+const { authenticate } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const taskSchemas = require('../validators/taskSchemas');
+const commentSchemas = require('../validators/commentSchemas');
+const auditSchemas = require('../validators/auditSchemas');
+const dependencySchemas = require('../validators/dependencySchemas');
+const checklistSchemas = require('../validators/checklistSchemas');
+const { formatQuery } = require('../validators/common');
+
+// Todas las rutas requieren autenticación
+router.use(authenticate);
+
+// Tareas de todos los proyectos visibles (los filtros inválidos responden 400)
+router.get('/', validate(taskSchemas.listAllTasks, { status: 400 }), taskController.getTasks);
+
+// Rutas para tareas individuales
+router.get('/:id', validate({ query: formatQuery }), taskController.getTaskById);
+router.put('/:id', validate(taskSchemas.replaceTask), taskController.updateTask);
+router.patch('/:id', validate({ query: formatQuery }), taskController.updateTask);
+router.delete('/:id', validate({ query: formatQuery }), taskController.deleteTask);
+
+// Restaurar una tarea de la papelera con sus subtareas
+router.post('/:id/restaurar', validate({ query: formatQuery }), trashController.restoreTask);
+
+// Historial de cambios de la tarea
+router.get('/:id/historial', validate(auditSchemas.historyQuery), auditController.getTaskHistory);
+
+// Dependencias de la tarea (tareas que la bloquean y tareas que espera)
+router.get('/:id/dependencias', validate({ query: formatQuery }), dependencyController.getTaskDependencies);
+router.post('/:id/dependencias', validate(dependencySchemas.addDependency), dependencyController.addDependency);
+router.delete('/:id/dependencias/:dependsOnId', validate({ query: formatQuery }), dependencyController.removeDependency);
+
+// Checklist de la tarea
+router.get('/:id/checklist', validate({ query: formatQuery }), checklistController.getChecklist);
+router.post('/:id/checklist', validate(checklistSchemas.createChecklistItem), checklistController.createChecklistItem);
+router.put('/:id/checklist/:itemId', validate(checklistSchemas.updateChecklistItem), checklistController.updateChecklistItem);
+router.delete('/:id/checklist/:itemId', validate({ query: formatQuery }), checklistController.deleteChecklistItem);
+
+// Rutas para comentarios de una tarea
+router.get('/:id/comentarios', validate({ query: formatQuery }), commentController.getTaskComments);
+router.post('/:id/comentarios', validate(commentSchemas.createComment), commentController.createComment);
+router.put('/:id/comentarios/:commentId', validate(commentSchemas.updateComment), commentController.updateComment);
+router.delete('/:id/comentarios/:commentId', validate({ query: formatQuery }), commentController.deleteComment);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const trashController = require('../controllers/trashController');
+const { authenticate, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const trashSchemas = require('../validators/trashSchemas');
+const { formatQuery } = require('../validators/common');
+
+// Todas las rutas requieren autenticación
+router.use(authenticate);
+
+// Elementos eliminados que el usuario puede restaurar (se restauran desde /proyectos/:id/restaurar y /tareas/:id/restaurar)
+router.get('/', validate(trashSchemas.listTrash), trashController.getTrash);
+
+// Borrado definitivo: solo administradores
+router.delete('/', authorize('admin'), validate({ query: formatQuery }), trashController.emptyTrash);
+router.delete('/proyectos/:id', authorize('admin'), validate({ query: formatQuery }), trashController.purgeProject);
+router.delete('/tareas/:id', authorize('admin'), validate({ query: formatQuery }), trashController.purgeTask);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { authenticate, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const userSchemas = require('../validators/userSchemas');
+const { formatQuery } = require('../validators/common');
+
+// Gestión de usuarios: solo administradores
+router.use(authenticate, authorize('admin'));
+
+// Listado y búsqueda de usuarios
+router.get('/', validate(userSchemas.listUsers, { status: 400 }), userController.getUsers);
+router.get('/:id', validate({ query: formatQuery }), userController.getUserById);
+
+// Rol, estado (activo o inactivo) y contraseña de un usuario
+router.put('/:id/rol', validate(userSchemas.updateUserRole), userController.updateUserRole);
+router.put('/:id/estado', validate(userSchemas.updateUserStatus), userController.updateUserStatus);
+router.put('/:id/contrasena', validate(userSchemas.resetUserPassword), userController.resetUserPassword);
+
+// Desbloquear una cuenta bloqueada por intentos de inicio de sesión fallidos
+router.delete('/:id/bloqueo', validate({ query: formatQuery }), userController.unlockUser);
+
+module.exports = router;
\ No newline at end of file
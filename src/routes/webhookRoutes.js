@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { authenticate, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const webhookSchemas = require('../validators/webhookSchemas');
+const { formatQuery } = require('../validators/common');
+
+// Todas las rutas requieren autenticación
+router.use(authenticate);
+
+// Webhooks globales (reciben los eventos de todos los proyectos): solo administradores
+router.get('/', authorize('admin'), validate({ query: formatQuery }), webhookController.getGlobalWebhooks);
+router.post('/', authorize('admin'), validate(webhookSchemas.createWebhook), webhookController.createGlobalWebhook);
+
+// Gestión de un webhook (los permisos dependen de su proyecto)
+router.get('/:id', validate({ query: formatQuery }), webhookController.getWebhookById);
+router.put('/:id', validate(webhookSchemas.updateWebhook), webhookController.updateWebhook);
+router.delete('/:id', validate({ query: formatQuery }), webhookController.deleteWebhook);
+
+// Registro de entregas y reenvío manual
+router.get('/:id/entregas', validate(webhookSchemas.listDeliveries), webhookController.getWebhookDeliveries);
+router.post('/:id/entregas/:deliveryId/reenviar', validate({ query: formatQuery }), webhookController.redeliverWebhookDelivery);
+
+module.exports = router;
\ No newline at end of file
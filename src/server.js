@@ -1,5 +1,16 @@
-require('dotenv').config();
-const { initializeApp } = require('./app');
-
-// Iniciar la aplicación
+require('dotenv').config();
+
+let initializeApp;
+try {
+    ({ initializeApp } = require('./app'));
+} catch (error) {
+    // Configuración de base de datos inválida: mostrar los problemas sin la traza completa
+    if (error.name === 'DatabaseConfigError') {
+        console.error(error.message);
+        process.exit(1);
+    }
+    throw error;
+}
+
+// Iniciar la aplicación
 initializeApp();
\ No newline at end of file
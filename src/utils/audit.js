@@ -0,0 +1,90 @@
+const { getCurrentUser } = require('./requestContext');
+
+// Campos que nunca se registran en el historial (la papelera se registra con las acciones delete y
+// restore; la versión cambia en cada modificación)
+const IGNORED_FIELDS = ['createdAt', 'updatedAt', 'deletedAt', 'deletedBy', 'version'];
+
+// Valor mostrado en lugar de los campos sensibles
+const REDACTED = '[oculto]';
+
+/**
+ * Normaliza un valor para almacenarlo en el diff (las fechas como ISO 8601)
+ * @param {*} value - Valor del atributo
+ * @returns {*} - Valor serializable
+ */
+const normalize = (value) => {
+    if (value instanceof Date) return value.toISOString();
+    return value === undefined ? null : value;
+};
+
+/**
+ * Registra hooks de Sequelize que guardan en el AuditLog cada alta, cambio, baja y restauración del modelo
+ * @param {Object} model - Modelo a auditar
+ * @param {Object} AuditLog - Modelo del registro de auditoría
+ * @param {Object} options - { projectIdOf, exclude, redact }
+ *   - projectIdOf: función que obtiene el proyecto de la instancia
+ *   - exclude: campos que no se registran
+ *   - redact: campos cuyo valor se oculta (solo se registra que cambiaron)
+ */
+const registerAuditHooks = (model, AuditLog, options = {}) => {
+    const { projectIdOf = () => null, exclude = [], redact = [] } = options;
+    const ignored = [...IGNORED_FIELDS, ...exclude];
+
+    const valueOf = (field, value) => (redact.includes(field) ? REDACTED : normalize(value));
+
+    const record = (instance, action, changes, hookOptions) => {
+        if (Object.keys(changes).length === 0) return null;
+
+        const actor = getCurrentUser();
+        return AuditLog.create({
+            entityType: model.name,
+            entityId: instance.id,
+            projectId: projectIdOf(instance),
+            action,
+            actorId: actor ? actor.id : null,
+            changes
+        }, { transaction: hookOptions.transaction });
+    };
+
+    const snapshot = (instance, direction) => {
+        const changes = {};
+        for (const [field, value] of Object.entries(instance.get({ plain: true }))) {
+            if (ignored.includes(field) || !model.rawAttributes[field]) continue;
+            changes[field] = direction === 'to'
+                ? { from: null, to: valueOf(field, value) }
+                : { from: valueOf(field, value), to: null };
+        }
+        return changes;
+    };
+
+    model.addHook('afterCreate', 'audit', (instance, hookOptions) => {
+        return record(instance, 'create', snapshot(instance, 'to'), hookOptions);
+    });
+
+    model.addHook('afterUpdate', 'audit', (instance, hookOptions) => {
+        const changes = {};
+        for (const field of instance.changed() || []) {
+            if (ignored.includes(field)) continue;
+
+            const from = normalize(instance.previous(field));
+            const to = normalize(instance.get(field));
+            if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+            changes[field] = { from: valueOf(field, from), to: valueOf(field, to) };
+        }
+        return record(instance, 'update', changes, hookOptions);
+    });
+
+    model.addHook('afterDestroy', 'audit', (instance, hookOptions) => {
+        return record(instance, 'delete', snapshot(instance, 'from'), hookOptions);
+    });
+
+    // Solo en los modelos con eliminación lógica (paranoid)
+    model.addHook('afterRestore', 'audit', (instance, hookOptions) => {
+        return record(instance, 'restore', snapshot(instance, 'to'), hookOptions);
+    });
+};
+
+module.exports = {
+    registerAuditHooks
+};
\ No newline at end of file
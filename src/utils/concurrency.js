@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+/**
+ * Control de concurrencia optimista de proyectos y tareas.
+ *
+ * Cada modificación incrementa la columna version del recurso. El ETag de las respuestas es la
+ * versión seguida de un resumen del contenido ("<versión>-<resumen>"): el resumen cambia también
+ * con los datos incluidos (tareas, miembros, subtareas...) y con el formato, de modo que sirve para
+ * las peticiones condicionales con If-None-Match (304). If-Match solo compara la versión.
+ */
+
+/**
+ * Configuración a partir de las variables de entorno:
+ *  - REQUIRE_IF_MATCH: si es "true", las modificaciones y eliminaciones sin If-Match se rechazan con 428
+ * @returns {Object} - { requireIfMatch }
+ */
+const concurrencySettings = () => ({
+    requireIfMatch: process.env.REQUIRE_IF_MATCH === 'true'
+});
+
+/**
+ * Calcula el ETag de la representación de un recurso versionado
+ * @param {Object} instance - Proyecto o tarea (con sus datos incluidos)
+ * @param {String} format - Formato de la respuesta
+ * @returns {String} - ETag entre comillas
+ */
+const entityTag = (instance, format) => {
+    const digest = crypto.createHash('sha1')
+        .update(`${format}:${JSON.stringify(instance)}`)
+        .digest('hex')
+        .slice(0, 16);
+    return `"${instance.version}-${digest}"`;
+};
+
+/**
+ * Añade la cabecera ETag a la respuesta. Express responde 304 sin cuerpo a las peticiones GET
+ * cuyo If-None-Match coincide con ella.
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ * @param {Object} instance - Proyecto o tarea que se envía
+ */
+const setEntityTag = (req, res, instance) => {
+    res.set('ETag', entityTag(instance, req.responseFormat));
+};
+
+/**
+ * Comprueba la precondición If-Match de una modificación o eliminación. Admite "*", una lista de
+ * ETags y también la versión sola ("3"); las etiquetas débiles (W/) se comparan igual.
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} instance - Proyecto o tarea en su estado actual
+ * @returns {Object|null} - { status, message } si la precondición no se cumple
+ */
+const checkIfMatch = (req, instance) => {
+    const header = req.get('If-Match');
+
+    if (!header) {
+        return concurrencySettings().requireIfMatch
+            ? { status: 428, message: 'Se requiere la cabecera If-Match con el ETag del recurso' }
+            : null;
+    }
+    if (header.trim() === '*') return null;
+
+    const matches = header.split(',').some((tag) => {
+        const match = tag.trim().match(/^(?:W\/)?"(\d+)(?:-[^"]*)?"$/);
+        return match !== null && Number(match[1]) === instance.version;
+    });
+    return matches
+        ? null
+        : { status: 412, message: 'El recurso ha sido modificado por otra petición: vuelva a obtenerlo y repita el cambio' };
+};
+
+/**
+ * Comprueba si un error se debe a que otra petición modificó el recurso entre su lectura y su escritura
+ * @param {Error} error - Error capturado
+ * @returns {Boolean}
+ */
+const isConcurrentModificationError = (error) => error.name === 'SequelizeOptimisticLockError';
+
+module.exports = {
+    setEntityTag,
+    checkIfMatch,
+    isConcurrentModificationError
+};
\ No newline at end of file
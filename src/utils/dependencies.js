@@ -0,0 +1,129 @@
+const { Op } = require('sequelize');
+const { TaskDependency } = require('../models');
+
+// Estados a los que no puede pasar una tarea mientras tenga bloqueantes abiertos
+const BLOCKED_STATUSES = ['in_progress', 'completed'];
+
+// Estados en los que una tarea deja de bloquear a las que dependen de ella
+const CLOSED_STATUSES = ['completed', 'canceled'];
+
+/**
+ * Obtiene las dependencias entre las tareas indicadas (ambos extremos deben estar en la lista)
+ * @param {Array<Number>} taskIds - IDs de las tareas (normalmente todas las de un proyecto)
+ * @param {Object} options - Opciones de la consulta (ej. transaction)
+ * @returns {Array<Object>} - Dependencias { taskId, dependsOnId }
+ */
+const findDependencies = (taskIds, options = {}) => {
+    if (taskIds.length === 0) return [];
+
+    return TaskDependency.findAll({
+        where: { taskId: { [Op.in]: taskIds }, dependsOnId: { [Op.in]: taskIds } },
+        order: [['taskId', 'ASC'], ['dependsOnId', 'ASC']],
+        ...options
+    });
+};
+
+/**
+ * Busca un camino de dependencias entre dos tareas (from depende, directa o
+ * indirectamente, de to). Se usa para detectar ciclos antes de crear una dependencia.
+ * @param {Array<Object>} edges - Dependencias { taskId, dependsOnId }
+ * @param {Number} fromId - Tarea de origen
+ * @param {Number} toId - Tarea de destino
+ * @returns {Array<Number>|null} - IDs del camino [fromId, ..., toId] o null si no existe
+ */
+const findDependencyPath = (edges, fromId, toId) => {
+    const adjacency = new Map();
+    for (const { taskId, dependsOnId } of edges) {
+        if (!adjacency.has(taskId)) adjacency.set(taskId, []);
+        adjacency.get(taskId).push(dependsOnId);
+    }
+
+    // Búsqueda en anchura guardando el predecesor de cada tarea para reconstruir el camino
+    const previous = new Map([[fromId, null]]);
+    const queue = [fromId];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (current === toId) {
+            const path = [];
+            for (let node = toId; node !== null; node = previous.get(node)) {
+                path.unshift(node);
+            }
+            return path;
+        }
+        for (const next of adjacency.get(current) || []) {
+            if (!previous.has(next)) {
+                previous.set(next, current);
+                queue.push(next);
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Ordena las tareas de forma que cada una aparezca después de todas sus bloqueantes
+ * (algoritmo de Kahn). A igualdad, las tareas se ordenan por ID.
+ * @param {Array<Number>} taskIds - IDs de las tareas
+ * @param {Array<Object>} edges - Dependencias { taskId, dependsOnId }
+ * @returns {Array<Number>} - IDs en orden topológico
+ */
+const topologicalOrder = (taskIds, edges) => {
+    const pending = new Map(taskIds.map(id => [id, 0]));
+    const dependents = new Map(taskIds.map(id => [id, []]));
+    for (const { taskId, dependsOnId } of edges) {
+        if (!pending.has(taskId) || !pending.has(dependsOnId)) continue;
+        pending.set(taskId, pending.get(taskId) + 1);
+        dependents.get(dependsOnId).push(taskId);
+    }
+
+    const ready = taskIds.filter(id => pending.get(id) === 0).sort((a, b) => a - b);
+    const order = [];
+    while (ready.length > 0) {
+        const current = ready.shift();
+        order.push(current);
+        for (const dependent of dependents.get(current)) {
+            pending.set(dependent, pending.get(dependent) - 1);
+            if (pending.get(dependent) === 0) {
+                ready.push(dependent);
+                ready.sort((a, b) => a - b);
+            }
+        }
+    }
+
+    return order;
+};
+
+/**
+ * Obtiene las tareas bloqueantes de una tarea que aún no están completadas ni canceladas
+ * @param {Object} task - Instancia de la tarea
+ * @param {Object} options - Opciones de la consulta (ej. transaction)
+ * @returns {Array<Object>} - Tareas bloqueantes abiertas (id, title, status)
+ */
+const findOpenBlockers = (task, options = {}) => {
+    return task.getBlockers({
+        where: { status: { [Op.notIn]: CLOSED_STATUSES } },
+        attributes: ['id', 'title', 'status'],
+        joinTableAttributes: [],
+        order: [['id', 'ASC']],
+        ...options
+    });
+};
+
+/**
+ * Indica si un cambio de estado requiere que la tarea no tenga bloqueantes abiertos
+ * @param {Object} task - Instancia de la tarea (con su estado actual)
+ * @param {String} status - Nuevo estado
+ * @returns {Boolean}
+ */
+const requiresUnblocked = (task, status) => BLOCKED_STATUSES.includes(status) && status !== task.status;
+
+module.exports = {
+    BLOCKED_STATUSES,
+    CLOSED_STATUSES,
+    findDependencies,
+    findDependencyPath,
+    topologicalOrder,
+    findOpenBlockers,
+    requiresUnblocked
+};
\ No newline at end of file
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { getCurrentUser } = require('./requestContext');
+
+// Eventos de dominio que publican los controladores
+const EVENT_TYPES = [
+    'project.created',
+    'project.updated',
+    'project.deleted',
+    'project.restored',
+    'task.created',
+    'task.updated',
+    'task.status_changed',
+    'task.deleted',
+    'task.restored'
+];
+
+// Suscriptores a los eventos (webhooks, notificaciones...)
+const listeners = [];
+
+/**
+ * Normaliza un valor para incluirlo en un evento (las fechas como ISO 8601)
+ * @param {*} value - Valor del atributo
+ * @returns {*} - Valor serializable
+ */
+const normalize = (value) => {
+    if (value instanceof Date) return value.toISOString();
+    return value === undefined ? null : value;
+};
+
+/**
+ * Obtiene los cambios pendientes de guardar de una instancia (llamar antes de save)
+ * @param {Object} instance - Instancia de Sequelize
+ * @returns {Object} - { campo: { from, to } }
+ */
+const pendingChanges = (instance) => {
+    const changed = instance.changed() || [];
+    return Object.fromEntries(changed
+        .filter(field => field !== 'updatedAt')
+        .map(field => [field, { from: normalize(instance.previous(field)), to: normalize(instance.get(field)) }]));
+};
+
+/**
+ * Registra un suscriptor que recibe todos los eventos publicados
+ * @param {Function} listener - async (event) => void
+ * @returns {Function} - Función que cancela la suscripción
+ */
+const subscribe = (listener) => {
+    listeners.push(listener);
+    return () => {
+        const index = listeners.indexOf(listener);
+        if (index !== -1) listeners.splice(index, 1);
+    };
+};
+
+/**
+ * Publica un evento de dominio. Se llama cuando el cambio ya está confirmado en la base de datos;
+ * el error de un suscriptor se registra pero no afecta a la petición ni al resto de suscriptores.
+ * @param {String} type - Tipo de evento (uno de EVENT_TYPES)
+ * @param {Object} params - { projectId, data, changes }
+ * @returns {Object} - Evento publicado { id, type, occurredAt, projectId, actorId, data, changes }
+ */
+const publishEvent = async (type, { projectId, data, changes = null }) => {
+    const actor = getCurrentUser();
+    const event = {
+        id: crypto.randomUUID(),
+        type,
+        occurredAt: new Date().toISOString(),
+        projectId: projectId === undefined ? null : projectId,
+        actorId: actor ? actor.id : null,
+        // Copia serializada: los suscriptores no deben depender de instancias de Sequelize
+        data: JSON.parse(JSON.stringify(data)),
+        changes
+    };
+
+    await Promise.all(listeners.map(async (listener) => {
+        try {
+            await listener(event);
+        } catch (error) {
+            console.error(`Error al procesar el evento ${type}:`, error);
+        }
+    }));
+
+    return event;
+};
+
+/**
+ * Publica los eventos de la actualización de una tarea: task.updated y, si cambió el estado,
+ * también task.status_changed
+ * @param {Object} task - Tarea actualizada
+ * @param {Object} changes - Cambios obtenidos con pendingChanges antes de guardar
+ */
+const publishTaskUpdate = async (task, changes) => {
+    if (Object.keys(changes).length === 0) return;
+
+    await publishEvent('task.updated', { projectId: task.projectId, data: task, changes });
+    if (changes.status) {
+        await publishEvent('task.status_changed', { projectId: task.projectId, data: task, changes: { status: changes.status } });
+    }
+};
+
+module.exports = {
+    EVENT_TYPES,
+    pendingChanges,
+    subscribe,
+    publishEvent,
+    publishTaskUpdate
+};
\ No newline at end of file
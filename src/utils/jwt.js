@@ -1,42 +1,76 @@
-const jwt = require('jsonwebtoken');
-require('dotenv').config();
-
-/**
- * Genera un JWT con la información del usuario
- * @param {Object} user - Objeto con los datos del usuario
- * @returns {String} - Token JWT generado
- */
-const generateToken = (user) => {
-    // Solo incluimos información necesaria en el token
-    const payload = {
-        id: user.id,
-        email: user.email,
-        role: user.role
-    };
-
-    return jwt.sign(
-        payload, 
-        process.env.JWT_SECRET, 
-        { expiresIn: process.env.JWT_EXPIRATION }
-    );
-};
-
-/**
- * Verifica y decodifica un token JWT
- * @param {String} token - Token JWT a verificar
- * @returns {Object|null} - Objeto con los datos decodificados o null si es inválido
- */
-const verifyToken = (token) => {
-    try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        return decoded;
-    } catch (error) {
-        console.error('Error al verificar token JWT:', error.message);
-        return null;
-    }
-};
-
-module.exports = {
-    generateToken,
-    verifyToken
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Duración por defecto de los refresh tokens (en días)
+const DEFAULT_REFRESH_EXPIRATION_DAYS = 7;
+
+/**
+ * Genera un JWT con la información del usuario
+ * @param {Object} user - Objeto con los datos del usuario
+ * @returns {String} - Token JWT generado
+ */
+const generateToken = (user) => {
+    // Solo incluimos información necesaria en el token
+    const payload = {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        tv: user.tokenVersion || 0 // Versión de tokens del usuario (permite revocar todas las sesiones)
+    };
+
+    return jwt.sign(
+        payload,
+        process.env.JWT_SECRET,
+        {
+            expiresIn: process.env.JWT_EXPIRATION,
+            jwtid: crypto.randomUUID() // Identificador único para poder revocar el token
+        }
+    );
+};
+
+/**
+ * Verifica y decodifica un token JWT
+ * @param {String} token - Token JWT a verificar
+ * @returns {Object|null} - Objeto con los datos decodificados o null si es inválido
+ */
+const verifyToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded;
+    } catch (error) {
+        console.error('Error al verificar token JWT:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Genera un refresh token opaco y aleatorio
+ * @returns {Object} - Token en claro, su hash y su fecha de expiración
+ */
+const generateRefreshToken = () => {
+    const token = crypto.randomBytes(48).toString('hex');
+    const days = parseInt(process.env.JWT_REFRESH_EXPIRATION_DAYS, 10) || DEFAULT_REFRESH_EXPIRATION_DAYS;
+
+    return {
+        token,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    };
+};
+
+/**
+ * Calcula el hash SHA-256 de un token para almacenarlo en la base de datos
+ * @param {String} token - Token en claro
+ * @returns {String} - Hash hexadecimal del token
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+    generateToken,
+    verifyToken,
+    generateRefreshToken,
+    hashToken
 };
\ No newline at end of file
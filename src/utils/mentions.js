@@ -0,0 +1,49 @@
+const { Op } = require('sequelize');
+const { User } = require('../models');
+const { getProjectRole, hasPermission } = require('./permissions');
+
+// Una mención es una @ seguida del correo del usuario (ej. "@ana@empresa.com")
+const MENTION_REGEX = /(^|[^\w@])@([^\s@]+@[^\s@]+\.[a-zA-Z]{2,})/g;
+
+/**
+ * Extrae los correos mencionados en un texto
+ * @param {String} text - Texto del comentario
+ * @returns {Array<String>} - Correos mencionados (sin duplicados)
+ */
+const parseMentions = (text) => {
+    const emails = new Set();
+    for (const match of String(text || '').matchAll(MENTION_REGEX)) {
+        emails.add(match[2].replace(/[.,;:!?)]+$/, ''));
+    }
+    return [...emails];
+};
+
+/**
+ * Resuelve las menciones de un texto a usuarios activos con acceso al proyecto
+ * @param {String} text - Texto del comentario
+ * @param {Object} project - Proyecto al que pertenece la tarea comentada
+ * @returns {Array<Object>} - Usuarios mencionados
+ */
+const resolveMentions = async (text, project) => {
+    const emails = parseMentions(text);
+    if (emails.length === 0) return [];
+
+    const users = await User.findAll({
+        where: { email: { [Op.in]: emails }, active: true }
+    });
+
+    // Solo se puede mencionar a quien puede ver la tarea
+    const mentioned = [];
+    for (const user of users) {
+        const role = await getProjectRole(project, user);
+        if (hasPermission(role, 'task:view')) {
+            mentioned.push(user);
+        }
+    }
+    return mentioned;
+};
+
+module.exports = {
+    parseMentions,
+    resolveMentions
+};
\ No newline at end of file
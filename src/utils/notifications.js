@@ -0,0 +1,205 @@
+const { Op } = require('sequelize');
+const { Notification, NotificationPreference, Task } = require('../models');
+
+// Tipos de notificación (cada usuario puede desactivar los que no quiera recibir)
+const NOTIFICATION_TYPES = [
+    'task_assigned', // Se le asigna una tarea
+    'task_status_changed', // Cambia el estado de una tarea asignada a él
+    'task_due_soon', // Una tarea asignada a él vence pronto
+    'task_overdue', // Una tarea asignada a él está vencida
+    'comment_mention' // Se le menciona en un comentario
+];
+
+// Estados de las tareas que ya no generan avisos de vencimiento
+const CLOSED_STATUSES = ['completed', 'canceled'];
+
+/**
+ * Configuración del aviso de vencimientos a partir de las variables de entorno:
+ *  - NOTIFICATION_DUE_SOON_HOURS: antelación del aviso de vencimiento próximo en horas (por defecto 24)
+ *  - NOTIFICATION_CHECK_INTERVAL: cada cuánto se revisan los vencimientos en milisegundos (por defecto 900000, 15 minutos)
+ * @returns {Object} - { dueSoonHours, checkInterval }
+ */
+const notificationSettings = () => ({
+    dueSoonHours: parseInt(process.env.NOTIFICATION_DUE_SOON_HOURS, 10) || 24,
+    checkInterval: parseInt(process.env.NOTIFICATION_CHECK_INTERVAL, 10) || 900000
+});
+
+/**
+ * Obtiene las preferencias de notificación de un usuario
+ * @param {Number} userId - ID del usuario
+ * @returns {Object} - { tipo: Boolean } con todos los tipos (activados por defecto)
+ */
+const getNotificationPreferences = async (userId) => {
+    const rows = await NotificationPreference.findAll({ where: { userId } });
+    const preferences = Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, true]));
+    for (const row of rows) {
+        if (NOTIFICATION_TYPES.includes(row.type)) preferences[row.type] = row.enabled;
+    }
+    return preferences;
+};
+
+/**
+ * Guarda las preferencias de notificación de un usuario (solo los tipos indicados)
+ * @param {Number} userId - ID del usuario
+ * @param {Object} changes - { tipo: Boolean }
+ * @returns {Object} - Preferencias completas tras el cambio
+ */
+const setNotificationPreferences = async (userId, changes) => {
+    for (const [type, enabled] of Object.entries(changes)) {
+        const [preference, created] = await NotificationPreference.findOrCreate({
+            where: { userId, type },
+            defaults: { enabled }
+        });
+        if (!created && preference.enabled !== enabled) {
+            await preference.update({ enabled });
+        }
+    }
+    return getNotificationPreferences(userId);
+};
+
+/**
+ * Crea una notificación salvo que el destinatario sea quien la provoca, tenga el tipo
+ * desactivado o ya exista una con la misma clave de deduplicación
+ * @param {Number} userId - Destinatario
+ * @param {String} type - Tipo de notificación
+ * @param {Object} attributes - { message, projectId, taskId, commentId, actorId, dedupeKey }
+ * @returns {Object|null} - Notificación creada o null si no se genera
+ */
+const notify = async (userId, type, attributes) => {
+    if (!userId || userId === attributes.actorId) return null;
+
+    const preference = await NotificationPreference.findOne({ where: { userId, type } });
+    if (preference && !preference.enabled) return null;
+
+    if (attributes.dedupeKey) {
+        const existing = await Notification.findOne({ where: { userId, dedupeKey: attributes.dedupeKey }, attributes: ['id'] });
+        if (existing) return null;
+    }
+
+    try {
+        return await Notification.create({ userId, type, ...attributes });
+    } catch (error) {
+        // La clave es única por usuario: otra petición ha creado la misma notificación a la vez
+        if (attributes.dedupeKey && error.name === 'SequelizeUniqueConstraintError') return null;
+        throw error;
+    }
+};
+
+/**
+ * Genera las notificaciones de los eventos de tareas (suscriptor del bus de eventos):
+ * asignaciones y cambios de estado de las tareas asignadas
+ * @param {Object} event - Evento publicado
+ */
+const createEventNotifications = async (event) => {
+    const task = event.data;
+    const base = { projectId: event.projectId, taskId: task.id, actorId: event.actorId };
+
+    const assigned = event.type === 'task.created'
+        ? task.assignedTo
+        : event.type === 'task.updated' && event.changes.assignedTo && event.changes.assignedTo.to;
+    if (assigned) {
+        await notify(assigned, 'task_assigned', { ...base, message: `Se le ha asignado la tarea "${task.title}"` });
+    }
+
+    if (event.type === 'task.status_changed' && task.assignedTo) {
+        const { from, to } = event.changes.status;
+        await notify(task.assignedTo, 'task_status_changed', {
+            ...base,
+            message: `La tarea "${task.title}" ha cambiado de estado: ${from} → ${to}`
+        });
+    }
+};
+
+/**
+ * Notifica a los usuarios mencionados en un comentario
+ * @param {Array<Object>} users - Usuarios mencionados
+ * @param {Object} comment - Comentario
+ * @param {Object} task - Tarea comentada
+ * @param {Object} author - Autor del comentario
+ */
+const notifyMentions = async (users, comment, task, author) => {
+    for (const user of users) {
+        await notify(user.id, 'comment_mention', {
+            projectId: task.projectId,
+            taskId: task.id,
+            commentId: comment.id,
+            actorId: author.id,
+            message: `${author.name} le ha mencionado en un comentario de la tarea "${task.title}"`
+        });
+    }
+};
+
+/**
+ * Avisa a los usuarios asignados de las tareas abiertas que vencen pronto o ya han vencido.
+ * Cada aviso se genera una sola vez por tarea y fecha límite (si la fecha cambia, se avisa de nuevo).
+ * @param {Date} now - Fecha de referencia
+ * @returns {Array<Object>} - Notificaciones creadas
+ */
+const checkDueDates = async (now = new Date()) => {
+    const { dueSoonHours } = notificationSettings();
+    const dueSoonLimit = new Date(now.getTime() + dueSoonHours * 60 * 60 * 1000);
+
+    const tasks = await Task.findAll({
+        where: {
+            assignedTo: { [Op.ne]: null },
+            status: { [Op.notIn]: CLOSED_STATUSES },
+            dueDate: { [Op.ne]: null, [Op.lte]: dueSoonLimit }
+        },
+        attributes: ['id', 'title', 'dueDate', 'projectId', 'assignedTo'],
+        order: [['dueDate', 'ASC'], ['id', 'ASC']]
+    });
+
+    const created = [];
+    for (const task of tasks) {
+        const overdue = task.dueDate < now;
+        const type = overdue ? 'task_overdue' : 'task_due_soon';
+        const dueDate = task.dueDate.toISOString();
+
+        const notification = await notify(task.assignedTo, type, {
+            projectId: task.projectId,
+            taskId: task.id,
+            actorId: null,
+            dedupeKey: `${type}:${task.id}:${dueDate}`,
+            message: overdue
+                ? `La tarea "${task.title}" está vencida desde el ${dueDate.slice(0, 10)}`
+                : `La tarea "${task.title}" vence el ${dueDate.slice(0, 10)}`
+        });
+        if (notification) created.push(notification);
+    }
+    return created;
+};
+
+/**
+ * Inicia la revisión periódica de los vencimientos de las tareas
+ * @returns {Function} - Función que detiene el proceso
+ */
+const startNotificationScheduler = () => {
+    let running = false;
+    const run = async () => {
+        // Una revisión larga no se solapa con la siguiente
+        if (running) return;
+        running = true;
+        try {
+            await checkDueDates();
+        } catch (error) {
+            console.error('Error al revisar los vencimientos de las tareas:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(run, notificationSettings().checkInterval);
+    timer.unref();
+    run();
+    return () => clearInterval(timer);
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    getNotificationPreferences,
+    setNotificationPreferences,
+    createEventNotifications,
+    notifyMentions,
+    checkDueDates,
+    startNotificationScheduler
+};
\ No newline at end of file
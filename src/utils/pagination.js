@@ -0,0 +1,308 @@
+const { Op, DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Valores por defecto de paginación
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Error producido por parámetros de paginación u ordenación inválidos
+ */
+class PaginationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PaginationError';
+    }
+}
+
+/**
+ * Codifica un cursor opaco a partir de los valores de ordenación de una fila
+ * @param {Array} values - Valores de los campos de ordenación (incluido el id)
+ * @returns {String} - Cursor en base64url
+ */
+const encodeCursor = (values) => {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+/**
+ * Decodifica un cursor opaco
+ * @param {String} cursor - Cursor en base64url
+ * @returns {Array} - Valores de los campos de ordenación
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!Array.isArray(values)) throw new Error('Cursor mal formado');
+        // Solo valores escalares: un objeto se interpretaría como operadores en la condición where
+        if (!values.every(value => value === null || typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value)))) {
+            throw new Error('Cursor mal formado');
+        }
+        return values;
+    } catch (error) {
+        throw new PaginationError('Cursor de paginación inválido');
+    }
+};
+
+/**
+ * Interpreta el parámetro sort (ej. "priority,-createdAt") contra una lista blanca de campos
+ * @param {String} sort - Valor del parámetro sort
+ * @param {Array<String>} sortable - Campos por los que se permite ordenar
+ * @param {String} defaultSort - Ordenación por defecto
+ * @returns {Array<Array>} - Pares [campo, 'ASC'|'DESC']
+ */
+const parseSort = (sort, sortable, defaultSort) => {
+    const fields = String(sort || defaultSort).split(',').map(field => field.trim()).filter(Boolean);
+    const order = [];
+
+    for (const field of fields) {
+        const direction = field.startsWith('-') ? 'DESC' : 'ASC';
+        const name = field.replace(/^[-+]/, '');
+
+        if (!sortable.includes(name)) {
+            throw new PaginationError(`No se puede ordenar por '${name}'. Campos permitidos: ${sortable.join(', ')}`);
+        }
+        if (!order.some(([existing]) => existing === name)) {
+            order.push([name, direction]);
+        }
+    }
+
+    // El id garantiza un orden total y estable (necesario para los cursores)
+    if (!order.some(([name]) => name === 'id')) {
+        order.push(['id', order.length ? order[order.length - 1][1] : 'ASC']);
+    }
+
+    return order;
+};
+
+/**
+ * Interpreta los parámetros de paginación y ordenación de la query
+ * @param {Object} query - req.query
+ * @param {Object} options - { sortable, defaultSort }
+ * @returns {Object} - { page, limit, cursor, order }
+ */
+const parsePaginationParams = (query, { sortable, defaultSort }) => {
+    const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new PaginationError(`El parámetro limit debe ser un entero entre 1 y ${MAX_LIMIT}`);
+    }
+
+    const page = query.page !== undefined ? Number(query.page) : 1;
+    if (!Number.isInteger(page) || page < 1) {
+        throw new PaginationError('El parámetro page debe ser un entero mayor o igual a 1');
+    }
+
+    const order = parseSort(query.sort, sortable, defaultSort);
+    const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+    if (cursor && cursor.length !== order.length) {
+        throw new PaginationError('El cursor no corresponde con la ordenación solicitada');
+    }
+
+    return { page, limit, cursor, order };
+};
+
+/**
+ * Obtiene los valores permitidos de un campo de tipo ENUM
+ * @param {Object} model - Modelo de Sequelize
+ * @param {String} field - Nombre del campo
+ * @returns {Array<String>|null} - Valores en el orden de la definición, o null si no es un ENUM
+ */
+const enumValues = (model, field) => {
+    const attribute = model.rawAttributes[field];
+    return attribute && attribute.type instanceof DataTypes.ENUM ? attribute.type.values : null;
+};
+
+/**
+ * Expresión con la posición del valor de un campo ENUM en su definición (ej. low < medium < high).
+ * MySQL ordena los ENUM por posición pero los compara con un texto como texto, y SQLite los guarda
+ * como texto: se ordena y se compara con el cursor sobre esta misma expresión en todos los dialectos.
+ * @param {Object} model - Modelo de Sequelize
+ * @param {String} field - Nombre del campo
+ * @returns {Object} - Literal de Sequelize
+ */
+const enumRank = (model, field) => {
+    const queryInterface = sequelize.getQueryInterface();
+    const column = `${queryInterface.quoteIdentifier(model.name)}.${queryInterface.quoteIdentifier(model.rawAttributes[field].field || field)}`;
+    const cases = enumValues(model, field).map((value, index) => `WHEN ${sequelize.escape(value)} THEN ${index}`);
+    return sequelize.literal(`CASE ${column} ${cases.join(' ')} END`);
+};
+
+/**
+ * Construye la condición "posterior al cursor" para paginación por conjunto de claves.
+ * Los valores nulos se consideran menores que cualquier otro (primero en ASC, últimos en DESC).
+ * @param {Object} model - Modelo de Sequelize
+ * @param {Array<Array>} order - Pares [campo, dirección]
+ * @param {Array} values - Valores del cursor
+ * @returns {Object} - Condición where
+ */
+const buildCursorCondition = (model, order, values) => {
+    // Restaurar fechas serializadas en el cursor y comprobar los valores de los ENUM
+    const typed = values.map((value, index) => {
+        const field = order[index][0];
+        const attribute = model.rawAttributes[field];
+        if (value === null || !attribute) return value;
+
+        if (attribute.type instanceof DataTypes.DATE) {
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) throw new PaginationError('Cursor de paginación inválido');
+            return date;
+        }
+        if (enumValues(model, field) && !enumValues(model, field).includes(value)) {
+            throw new PaginationError('Cursor de paginación inválido');
+        }
+        return value;
+    });
+
+    const compare = (field, operator, value) => {
+        const allowed = enumValues(model, field);
+        return allowed
+            ? sequelize.where(enumRank(model, field), { [operator]: allowed.indexOf(value) })
+            : { [field]: { [operator]: value } };
+    };
+
+    const after = (field, direction, value) => {
+        if (direction === 'ASC') {
+            return value === null ? { [field]: { [Op.ne]: null } } : compare(field, Op.gt, value);
+        }
+        return value === null
+            ? null // Tras un nulo en orden descendente solo quedan nulos (se desempata en el siguiente campo)
+            : { [Op.or]: [compare(field, Op.lt, value), { [field]: null }] };
+    };
+
+    const branches = [];
+    order.forEach(([field, direction], index) => {
+        const condition = after(field, direction, typed[index]);
+        if (!condition) return;
+        const equals = order.slice(0, index).map(([previous], j) => ({ [previous]: typed[j] }));
+        branches.push({ [Op.and]: [...equals, condition] });
+    });
+
+    return { [Op.or]: branches };
+};
+
+/**
+ * Construye la URL de una página cambiando los parámetros indicados
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} changes - Parámetros a modificar (null para eliminarlos)
+ * @returns {String} - URL relativa
+ */
+const buildLink = (req, changes) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries({ ...req.query, ...changes })) {
+        if (value === null || value === undefined) continue;
+        // Los valores ya validados pueden ser fechas o listas: se vuelven a serializar
+        if (value instanceof Date) params.set(key, value.toISOString());
+        else if (Array.isArray(value)) params.set(key, value.join(','));
+        else params.set(key, value);
+    }
+    const path = req.path === '/' ? '' : req.path;
+    return `${req.baseUrl}${path}?${params.toString()}`;
+};
+
+/**
+ * Ejecuta una consulta paginada (por página o por cursor) y calcula los metadatos
+ * @param {Object} model - Modelo de Sequelize
+ * @param {Object} queryOptions - Opciones de findAll (where, include, attributes...)
+ * @param {Object} pagination - Resultado de parsePaginationParams
+ * @param {Object} req - Objeto request de Express (para generar los enlaces)
+ * @returns {Object} - { rows, meta }
+ */
+const paginate = async (model, queryOptions, pagination, req) => {
+    const { page, limit, cursor, order } = pagination;
+    const where = queryOptions.where || {};
+
+    // En PostgreSQL los nulos se ordenan al revés que en SQLite/MySQL: se fuerza el mismo criterio.
+    // Los ENUM se ordenan por la posición de su valor (ver enumRank)
+    const isPostgres = sequelize.getDialect() === 'postgres';
+    const findOrder = order.map(([field, direction]) => [
+        enumValues(model, field) ? enumRank(model, field) : field,
+        isPostgres ? `${direction} NULLS ${direction === 'ASC' ? 'FIRST' : 'LAST'}` : direction
+    ]);
+
+    const findOptions = {
+        ...queryOptions,
+        where: cursor ? { [Op.and]: [where, buildCursorCondition(model, order, cursor)] } : where,
+        order: findOrder,
+        limit: limit + 1 // Se pide una fila extra para saber si hay más resultados
+    };
+    if (!cursor) {
+        findOptions.offset = (page - 1) * limit;
+    }
+
+    const [total, found] = await Promise.all([
+        model.count({ where }),
+        model.findAll(findOptions)
+    ]);
+
+    const hasMore = found.length > limit;
+    const rows = hasMore ? found.slice(0, limit) : found;
+    const last = rows[rows.length - 1];
+    const nextCursor = hasMore && last
+        ? encodeCursor(order.map(([field]) => last.get(field)))
+        : null;
+    const totalPages = Math.max(1, Math.ceil(total / limit));
+
+    const links = {
+        self: buildLink(req, {}),
+        next: null,
+        prev: null,
+        first: buildLink(req, { page: 1, cursor: null }),
+        last: buildLink(req, { page: totalPages, cursor: null })
+    };
+    if (cursor) {
+        links.next = nextCursor ? buildLink(req, { cursor: nextCursor, page: null }) : null;
+    } else {
+        links.next = hasMore ? buildLink(req, { page: page + 1 }) : null;
+        links.prev = page > 1 ? buildLink(req, { page: page - 1 }) : null;
+    }
+
+    const meta = {
+        total,
+        limit,
+        page: cursor ? null : page,
+        totalPages,
+        hasMore,
+        nextCursor,
+        sort: order.map(([field, direction]) => (direction === 'DESC' ? `-${field}` : field)).join(','),
+        links
+    };
+
+    return { rows, meta };
+};
+
+/**
+ * Calcula los metadatos de paginación por página de una consulta que no pasa por paginate
+ * (mismo formato que paginate, sin cursores)
+ * @param {Object} req - Objeto request de Express (para generar los enlaces)
+ * @param {Object} params - { page, limit, total, sort }
+ * @returns {Object} - Metadatos de paginación
+ */
+const buildPageMeta = (req, { page, limit, total, sort = null }) => {
+    const totalPages = Math.max(1, Math.ceil(total / limit));
+    const hasMore = page * limit < total;
+
+    return {
+        total,
+        limit,
+        page,
+        totalPages,
+        hasMore,
+        nextCursor: null,
+        sort,
+        links: {
+            self: buildLink(req, {}),
+            next: hasMore ? buildLink(req, { page: page + 1 }) : null,
+            prev: page > 1 ? buildLink(req, { page: page - 1 }) : null,
+            first: buildLink(req, { page: 1 }),
+            last: buildLink(req, { page: totalPages })
+        }
+    };
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    PaginationError,
+    parsePaginationParams,
+    paginate,
+    buildPageMeta
+};
\ No newline at end of file
@@ -0,0 +1,334 @@
+const { fieldError, validateSchema } = require('./validation');
+
+/**
+ * Modificaciones parciales (PATCH) de recursos.
+ *
+ * El documento de cambios se aplica sobre la representación editable del recurso y el resultado
+ * se valida como un reemplazo completo (el mismo esquema que PUT), de modo que un campo eliminado
+ * o puesto a null vuelve a null (o es obligatorio y se rechaza):
+ *  - application/merge-patch+json (RFC 7396): objeto con los campos que cambian; null elimina el campo.
+ *    También se acepta application/json con el mismo significado.
+ *  - application/json-patch+json (RFC 6902): lista de operaciones add, remove, replace, move, copy y test.
+ */
+
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+// Tipos de contenido admitidos por las rutas PATCH
+const PATCH_CONTENT_TYPES = [MERGE_PATCH_TYPE, JSON_PATCH_TYPE, 'application/json'];
+
+// Operaciones de JSON Patch
+const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+// Esquema de cada operación de JSON Patch (value es cualquier valor JSON, incluido null)
+const jsonPatchOperation = {
+    op: { type: 'enum', values: JSON_PATCH_OPERATIONS, required: true },
+    path: { type: 'string', required: true, pattern: /^(\/.*)?$/, patternMessage: 'Debe ser un JSON Pointer (ej. "/title")' },
+    from: { type: 'string', pattern: /^(\/.*)?$/, patternMessage: 'Debe ser un JSON Pointer (ej. "/title")' },
+    value: { nullable: true }
+};
+
+/**
+ * Error producido por un documento de cambios que no se puede aplicar
+ */
+class PatchError extends Error {
+    constructor(status, message, errors) {
+        super(message);
+        this.name = 'PatchError';
+        this.status = status;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Copia profunda de un valor JSON
+ * @param {*} value - Valor JSON
+ * @returns {*} - Copia
+ */
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Compara dos valores JSON
+ * @param {*} a - Valor JSON
+ * @param {*} b - Valor JSON
+ * @returns {Boolean}
+ */
+const jsonEqual = (a, b) => {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && jsonEqual(a[key], b[key]));
+};
+
+/**
+ * Aplica un JSON Merge Patch (RFC 7396)
+ * @param {*} target - Documento original
+ * @param {*} patch - Documento de cambios
+ * @returns {*} - Documento resultante (el original no se modifica)
+ */
+const applyMergePatch = (target, patch) => {
+    if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) return clone(patch);
+
+    const result = target !== null && typeof target === 'object' && !Array.isArray(target) ? clone(target) : {};
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], value);
+        }
+    }
+    return result;
+};
+
+/**
+ * Separa un JSON Pointer (RFC 6901) en sus segmentos
+ * @param {String} pointer - Puntero (ej. "/title")
+ * @returns {Array<String>} - Segmentos sin escapar
+ */
+const parsePointer = (pointer) => (pointer === '' ? [] : pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~')));
+
+/**
+ * Resuelve el contenedor y la clave a los que apunta un JSON Pointer
+ * @param {*} document - Documento
+ * @param {String} pointer - Puntero no vacío
+ * @param {Number} index - Posición de la operación (para los errores)
+ * @returns {Object} - { container, key }
+ */
+const resolveParent = (document, pointer, index) => {
+    const segments = parsePointer(pointer);
+    const key = segments.pop();
+
+    let container = document;
+    for (const segment of segments) {
+        if (container === null || typeof container !== 'object' || !Object.prototype.hasOwnProperty.call(container, segment)) {
+            throw new PatchError(409, `No existe la ruta "${pointer}"`, [fieldError(`[${index}].path`, 'path_not_found', 'La ruta no existe en el recurso')]);
+        }
+        container = container[segment];
+    }
+    if (container === null || typeof container !== 'object') {
+        throw new PatchError(409, `No existe la ruta "${pointer}"`, [fieldError(`[${index}].path`, 'path_not_found', 'La ruta no existe en el recurso')]);
+    }
+    return { container, key };
+};
+
+/**
+ * Obtiene el valor al que apunta un JSON Pointer
+ * @param {*} document - Documento
+ * @param {String} pointer - Puntero
+ * @param {Number} index - Posición de la operación
+ * @param {String} field - Campo de la operación con el puntero ('path' o 'from')
+ * @returns {*} - Valor
+ */
+const getPointer = (document, pointer, index, field = 'path') => {
+    let value = document;
+    for (const segment of parsePointer(pointer)) {
+        if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+            throw new PatchError(409, `No existe la ruta "${pointer}"`, [fieldError(`[${index}].${field}`, 'path_not_found', 'La ruta no existe en el recurso')]);
+        }
+        value = value[segment];
+    }
+    return value;
+};
+
+/**
+ * Elimina el valor al que apunta un JSON Pointer
+ * @param {*} document - Documento
+ * @param {String} pointer - Puntero no vacío
+ * @param {Number} index - Posición de la operación
+ * @param {String} field - Campo de la operación con el puntero
+ * @returns {*} - Valor eliminado
+ */
+const removePointer = (document, pointer, index, field = 'path') => {
+    const removed = getPointer(document, pointer, index, field);
+    const { container, key } = resolveParent(document, pointer, index);
+    if (Array.isArray(container)) {
+        container.splice(Number(key), 1);
+    } else {
+        delete container[key];
+    }
+    return removed;
+};
+
+/**
+ * Añade (o sustituye, en los objetos) el valor de un JSON Pointer
+ * @param {*} document - Documento
+ * @param {String} pointer - Puntero no vacío
+ * @param {*} value - Valor
+ * @param {Number} index - Posición de la operación
+ */
+const addPointer = (document, pointer, value, index) => {
+    const { container, key } = resolveParent(document, pointer, index);
+    if (!Array.isArray(container)) {
+        container[key] = value;
+        return;
+    }
+
+    const position = key === '-' ? container.length : Number(key);
+    if (!/^(0|[1-9]\d*|-)$/.test(key) || position > container.length) {
+        throw new PatchError(409, `No existe la ruta "${pointer}"`, [fieldError(`[${index}].path`, 'path_not_found', 'La ruta no existe en el recurso')]);
+    }
+    container.splice(position, 0, value);
+};
+
+/**
+ * Aplica un JSON Patch (RFC 6902): las operaciones se aplican en orden y, si alguna falla, ninguna
+ * @param {*} document - Documento original
+ * @param {Array<Object>} operations - Operaciones ya validadas
+ * @returns {*} - Documento resultante (el original no se modifica)
+ */
+const applyJsonPatch = (document, operations) => {
+    let result = clone(document);
+
+    // Sustituye el valor de una ruta; la ruta vacía ("") sustituye el documento completo
+    const put = (path, value, index) => {
+        if (path === '') {
+            result = value;
+        } else {
+            addPointer(result, path, value, index);
+        }
+    };
+
+    operations.forEach((operation, index) => {
+        const { op, path, from, value } = operation;
+
+        switch (op) {
+            case 'add':
+                put(path, clone(value), index);
+                break;
+            case 'remove':
+                if (path === '') {
+                    throw new PatchError(409, 'No se puede eliminar el recurso completo', [fieldError(`[${index}].path`, 'invalid_path', 'No se puede eliminar la raíz')]);
+                }
+                removePointer(result, path, index);
+                break;
+            case 'replace': {
+                // El valor sustituido tiene que existir
+                getPointer(result, path, index);
+                if (path === '') {
+                    result = clone(value);
+                    break;
+                }
+                const { container, key } = resolveParent(result, path, index);
+                container[key] = clone(value);
+                break;
+            }
+            case 'move': {
+                if (path.startsWith(`${from}/`)) {
+                    throw new PatchError(400, 'No se puede mover un valor dentro de sí mismo', [fieldError(`[${index}].from`, 'invalid_path', 'La ruta de destino está dentro de la de origen')]);
+                }
+                if (from === '') {
+                    put(path, result, index);
+                    break;
+                }
+                put(path, removePointer(result, from, index, 'from'), index);
+                break;
+            }
+            case 'copy':
+                put(path, clone(getPointer(result, from, index, 'from')), index);
+                break;
+            case 'test':
+                if (!jsonEqual(getPointer(result, path, index), value)) {
+                    throw new PatchError(409, `La prueba de la operación ${index} no se cumple: "${path}" tiene otro valor`, [
+                        fieldError(`[${index}].value`, 'test_failed', 'El valor actual es distinto')
+                    ]);
+                }
+                break;
+            default:
+                break;
+        }
+    });
+
+    return result;
+};
+
+/**
+ * Valida un documento JSON Patch
+ * @param {*} body - Cuerpo de la petición
+ * @returns {Array<Object>} - Operaciones validadas (lanza PatchError 400 si no es válido)
+ */
+const parseJsonPatch = (body) => {
+    if (!Array.isArray(body)) {
+        throw new PatchError(400, 'Documento JSON Patch inválido', [fieldError('', 'invalid_type', 'Debe ser una lista de operaciones')]);
+    }
+
+    const errors = [];
+    const operations = body.map((raw, index) => {
+        const { value, errors: operationErrors } = validateSchema(raw, jsonPatchOperation);
+        errors.push(...operationErrors.map(error => fieldError(`[${index}]${error.field ? `.${error.field}` : ''}`, error.code, error.message)));
+        if (operationErrors.length > 0) return null;
+
+        if (['add', 'replace', 'test'].includes(value.op) && !Object.prototype.hasOwnProperty.call(raw, 'value')) {
+            errors.push(fieldError(`[${index}].value`, 'required', 'El campo es requerido'));
+        }
+        if (['move', 'copy'].includes(value.op) && value.from === undefined) {
+            errors.push(fieldError(`[${index}].from`, 'required', 'El campo es requerido'));
+        }
+        return { ...value, value: raw.value };
+    });
+
+    if (errors.length > 0) {
+        throw new PatchError(400, 'Documento JSON Patch inválido', errors);
+    }
+    return operations;
+};
+
+/**
+ * Obtiene la representación editable de un recurso: los campos de su esquema de reemplazo tal como
+ * se envían en las respuestas JSON (las fechas como cadenas ISO 8601)
+ * @param {Object} instance - Proyecto o tarea
+ * @param {Object} schema - Esquema del reemplazo completo
+ * @returns {Object} - Documento al que se aplican los cambios
+ */
+const resourceDocument = (instance, schema) => {
+    const document = {};
+    for (const field of Object.keys(schema)) {
+        document[field] = instance[field] === undefined ? null : instance[field];
+    }
+    return clone(document);
+};
+
+/**
+ * Aplica el cuerpo de una petición PATCH a la representación editable de un recurso y valida
+ * el resultado como un reemplazo completo
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} instance - Proyecto o tarea en su estado actual
+ * @param {Object} schema - Esquema del reemplazo completo (el del cuerpo de PUT)
+ * @returns {Object} - Valores validados del recurso completo (lanza PatchError si no se puede aplicar)
+ */
+const patchResource = (req, instance, schema) => {
+    // Sin cuerpo (sin tipo de contenido) no hay cambios
+    const type = req.get('Content-Type') ? req.is(PATCH_CONTENT_TYPES) : null;
+    if (type === false) {
+        throw new PatchError(415, `Tipo de contenido no soportado. Tipos admitidos: ${PATCH_CONTENT_TYPES.join(', ')}`);
+    }
+
+    const current = resourceDocument(instance, schema);
+    let result;
+    if (type === JSON_PATCH_TYPE) {
+        result = applyJsonPatch(current, parseJsonPatch(req.body));
+    } else {
+        const patch = type === null ? {} : req.body;
+        if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+            throw new PatchError(422, 'Error de validación', [fieldError('', 'invalid_type', 'El cuerpo de la petición debe ser un objeto')]);
+        }
+        result = applyMergePatch(current, patch);
+    }
+
+    const { value, errors } = validateSchema(result, schema);
+    if (errors.length > 0) {
+        throw new PatchError(422, 'Error de validación', errors);
+    }
+    return value;
+};
+
+module.exports = {
+    PatchError,
+    PATCH_CONTENT_TYPES,
+    JSON_PATCH_OPERATIONS,
+    applyMergePatch,
+    applyJsonPatch,
+    patchResource
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+const { ProjectMember, Project, Task } = require('../models');
+
+// Roles disponibles dentro de un proyecto, de mayor a menor jerarquía
+const PROJECT_ROLES = ['owner', 'manager', 'contributor', 'viewer'];
+
+// Permisos concedidos a cada rol de proyecto
+const ROLE_PERMISSIONS = {
+    owner: [
+        'project:view', 'project:update', 'project:delete',
+        'members:view', 'members:manage',
+        'task:view', 'task:create', 'task:update', 'task:delete',
+        'webhooks:manage'
+    ],
+    manager: [
+        'project:view', 'project:update',
+        'members:view', 'members:manage',
+        'task:view', 'task:create', 'task:update', 'task:delete',
+        'webhooks:manage'
+    ],
+    contributor: [
+        'project:view',
+        'members:view',
+        'task:view', 'task:create', 'task:update'
+    ],
+    viewer: [
+        'project:view',
+        'members:view',
+        'task:view'
+    ]
+};
+
+/**
+ * Obtiene el rol efectivo de un usuario dentro de un proyecto
+ * @param {Object} project - Instancia del proyecto
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @returns {String|null} - Rol del usuario, 'admin' para administradores o null si no es miembro
+ */
+const getProjectRole = async (project, user) => {
+    // Los administradores tienen acceso total a todos los proyectos
+    if (user.role === 'admin') {
+        return 'admin';
+    }
+
+    const membership = await ProjectMember.findOne({
+        where: { projectId: project.id, userId: user.id }
+    });
+    // El creador es propietario por su membresía (ver la migración 002): si se le quita, pierde el acceso
+    return membership ? membership.role : null;
+};
+
+/**
+ * Comprueba si un rol de proyecto concede un permiso
+ * @param {String|null} role - Rol del usuario en el proyecto
+ * @param {String} permission - Permiso requerido (ej. 'task:update')
+ * @returns {Boolean} - true si el rol tiene el permiso
+ */
+const hasPermission = (role, permission) => {
+    if (role === 'admin') return true;
+    if (!role || !ROLE_PERMISSIONS[role]) return false;
+    return ROLE_PERMISSIONS[role].includes(permission);
+};
+
+/**
+ * Comprueba si un rol puede asignar (o gestionar a un miembro con) otro rol.
+ * Solo propietarios y administradores pueden otorgar o gestionar roles iguales o superiores al propio.
+ * @param {String} actorRole - Rol de quien realiza la acción
+ * @param {String} targetRole - Rol que se quiere asignar o gestionar
+ * @returns {Boolean} - true si la operación está permitida
+ */
+const canManageRole = (actorRole, targetRole) => {
+    if (actorRole === 'admin' || actorRole === 'owner') return true;
+    return PROJECT_ROLES.indexOf(targetRole) > PROJECT_ROLES.indexOf(actorRole);
+};
+
+/**
+ * Obtiene los IDs de los proyectos a los que pertenece un usuario
+ * @param {Number} userId - ID del usuario
+ * @returns {Array<Number>} - IDs de proyectos
+ */
+const getMemberProjectIds = async (userId) => {
+    const memberships = await ProjectMember.findAll({
+        where: { userId },
+        attributes: ['projectId']
+    });
+    return memberships.map(membership => membership.projectId);
+};
+
+/**
+ * Obtiene los IDs de los proyectos que un usuario puede ver (de los que es miembro)
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @returns {Array<Number>|null} - IDs de proyectos o null si puede verlos todos (administrador)
+ */
+const getVisibleProjectIds = async (user) => {
+    if (user.role === 'admin') return null;
+
+    return getMemberProjectIds(user.id);
+};
+
+/**
+ * Obtiene los IDs de los proyectos (incluidos los de la papelera) en los que el rol del usuario concede un permiso
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @param {String} permission - Permiso requerido (ej. 'project:delete')
+ * @returns {Array<Number>|null} - IDs de proyectos o null si lo tiene en todos (administrador)
+ */
+const getPermittedProjectIds = async (user, permission) => {
+    if (user.role === 'admin') return null;
+
+    const memberships = await ProjectMember.findAll({ where: { userId: user.id }, attributes: ['projectId', 'role'] });
+    return memberships
+        .filter(membership => hasPermission(membership.role, permission))
+        .map(membership => membership.projectId);
+};
+
+/**
+ * Busca una tarea y comprueba que el usuario tiene un permiso sobre su proyecto
+ * @param {Number} taskId - ID de la tarea
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @param {String} permission - Permiso requerido (por defecto 'task:view', como getTaskById)
+ * @returns {Object} - { task, project, role } o { status, message } si no hay acceso
+ */
+const findAccessibleTask = async (taskId, user, permission = 'task:view') => {
+    const task = await Task.findByPk(taskId, {
+        include: [
+            {
+                model: Project,
+                as: 'project'
+            }
+        ]
+    });
+    if (!task) {
+        return { status: 404, message: 'Tarea no encontrada' };
+    }
+
+    const role = await getProjectRole(task.project, user);
+    if (!hasPermission(role, permission)) {
+        return { status: 403, message: 'No tiene permisos para acceder a esta tarea' };
+    }
+
+    return { task, project: task.project, role };
+};
+
+module.exports = {
+    PROJECT_ROLES,
+    ROLE_PERMISSIONS,
+    getProjectRole,
+    hasPermission,
+    canManageRole,
+    getMemberProjectIds,
+    getVisibleProjectIds,
+    getPermittedProjectIds,
+    findAccessibleTask
+};
\ No newline at end of file
@@ -0,0 +1,133 @@
+const { Op } = require('sequelize');
+
+// Estados en los que una subtarea ya no se puede cancelar en cascada
+const FINAL_STATUSES = ['completed', 'canceled'];
+
+/**
+ * Calcula el porcentaje de avance de una tarea. Cada subtarea no cancelada y cada elemento
+ * de la checklist cuentan como una unidad; una subtarea aporta su propio avance. Una tarea
+ * completada siempre está al 100 % y una tarea sin subtareas ni checklist, al 0 %.
+ * @param {String} status - Estado de la tarea
+ * @param {Array<Object>} subtasks - Subtareas directas ({ status, progress })
+ * @param {Object} checklist - { total, done } elementos de la checklist
+ * @returns {Number} - Avance entre 0 y 100
+ */
+const calculateProgress = (status, subtasks, checklist) => {
+    if (status === 'completed') return 100;
+
+    const active = subtasks.filter(subtask => subtask.status !== 'canceled');
+    const units = active.length + checklist.total;
+    if (units === 0) return 0;
+
+    const completedUnits = active.reduce((sum, subtask) => {
+        return sum + (subtask.status === 'completed' ? 1 : subtask.progress / 100);
+    }, checklist.done);
+    return Math.round((completedUnits / units) * 100);
+};
+
+/**
+ * Registra los hooks que mantienen la jerarquía de subtareas:
+ *  - el avance de una tarea y de todos sus ascendientes se recalcula al cambiar sus subtareas o su checklist
+ *  - cancelar una tarea cancela sus subtareas abiertas (las completadas se conservan)
+ *  - eliminar una tarea elimina sus subtareas (una a una, para que queden en el historial); al enviarla a la
+ *    papelera las subtareas comparten su fecha de eliminación para poder restaurarlas con ella
+ * @param {Object} Task - Modelo de tareas
+ * @param {Object} ChecklistItem - Modelo de elementos de checklist
+ */
+const registerProgressHooks = (Task, ChecklistItem) => {
+    /**
+     * Recalcula el avance de una tarea y sube por la cadena de tareas padre
+     * @param {Number} taskId - Tarea desde la que se recalcula
+     * @param {Object} options - Opciones de Sequelize (transaction)
+     * @returns {Number|null} - Nuevo avance de la tarea inicial (null si no existe)
+     */
+    const refreshProgress = async (taskId, { transaction } = {}) => {
+        let first = null;
+        const visited = new Set();
+
+        for (let currentId = taskId; currentId && !visited.has(currentId);) {
+            visited.add(currentId);
+
+            const task = await Task.findByPk(currentId, { attributes: ['id', 'status', 'progress', 'parentId'], transaction });
+            if (!task) break;
+
+            const subtasks = await Task.findAll({ where: { parentId: task.id }, attributes: ['status', 'progress'], transaction });
+            const total = await ChecklistItem.count({ where: { taskId: task.id }, transaction });
+            const done = await ChecklistItem.count({ where: { taskId: task.id, done: true }, transaction });
+
+            const progress = calculateProgress(task.status, subtasks, { total, done });
+            if (progress !== task.progress) {
+                // Sin hooks: el avance es un valor derivado que no se audita
+                await Task.update({ progress }, { where: { id: task.id }, hooks: false, silent: true, transaction });
+            }
+
+            if (first === null) first = progress;
+            currentId = task.parentId;
+        }
+
+        return first;
+    };
+
+    Task.addHook('afterCreate', 'progress', async (task, options) => {
+        const progress = await refreshProgress(task.id, options);
+        if (progress !== null) task.setDataValue('progress', progress);
+    });
+
+    Task.addHook('afterUpdate', 'progress', async (task, options) => {
+        if (!task.changed('status') && !task.changed('parentId')) return;
+
+        const progress = await refreshProgress(task.id, options);
+        if (progress !== null) task.setDataValue('progress', progress);
+
+        // Al mover una subtarea también cambia el avance de su antiguo padre
+        const previousParentId = task.previous('parentId');
+        if (task.changed('parentId') && previousParentId) {
+            await refreshProgress(previousParentId, options);
+        }
+    });
+
+    Task.addHook('afterUpdate', 'cancelSubtasks', async (task, options) => {
+        if (!task.changed('status') || task.status !== 'canceled') return;
+
+        const subtasks = await Task.findAll({
+            where: { parentId: task.id, status: { [Op.notIn]: FINAL_STATUSES } },
+            transaction: options.transaction
+        });
+        for (const subtask of subtasks) {
+            await subtask.update({ status: 'canceled' }, { transaction: options.transaction });
+        }
+    });
+
+    Task.addHook('beforeDestroy', 'destroySubtasks', async (task, options) => {
+        const subtasks = await Task.findAll({ where: { parentId: task.id }, transaction: options.transaction });
+        for (const subtask of subtasks) {
+            await subtask.destroy({ transaction: options.transaction, force: options.force, deletedAt: task.deletedAt });
+        }
+    });
+
+    Task.addHook('afterDestroy', 'progress', async (task, options) => {
+        if (task.parentId) await refreshProgress(task.parentId, options);
+    });
+
+    // Las subtareas restauradas vuelven a contar en el avance de su tarea padre
+    Task.addHook('afterRestore', 'progress', async (task, options) => {
+        if (task.parentId) await refreshProgress(task.parentId, options);
+    });
+
+    ChecklistItem.addHook('afterCreate', 'progress', async (item, options) => {
+        await refreshProgress(item.taskId, options);
+    });
+
+    ChecklistItem.addHook('afterUpdate', 'progress', async (item, options) => {
+        if (item.changed('done')) await refreshProgress(item.taskId, options);
+    });
+
+    ChecklistItem.addHook('afterDestroy', 'progress', async (item, options) => {
+        await refreshProgress(item.taskId, options);
+    });
+};
+
+module.exports = {
+    calculateProgress,
+    registerProgressHooks
+};
\ No newline at end of file
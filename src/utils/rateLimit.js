@@ -0,0 +1,304 @@
+/**
+ * Limitación de la frecuencia de peticiones y bloqueo progresivo de cuentas.
+ *
+ * Los contadores se guardan en un almacén con la interfaz de un cliente de Redis (get, set con PX,
+ * incr, pexpire, pttl y del, todos asíncronos). Por defecto es un almacén en memoria, válido para
+ * un solo proceso; con varias instancias se usa un cliente de Redis (ej. ioredis) con setRateLimitStore().
+ *
+ * Cada política cuenta las peticiones de una clave (IP o cuenta) en una ventana fija que empieza
+ * con la primera petición. Además, cada intento de inicio de sesión fallido suma un fallo a la
+ * cuenta: al llegar al umbral la cuenta se bloquea durante un tiempo que se duplica con cada
+ * bloqueo consecutivo, hasta que un administrador la desbloquea. Las cuentas se identifican por el
+ * correo normalizado, también si no existen, para no revelar qué correos están registrados.
+ */
+
+/**
+ * Almacén en memoria con la interfaz de Redis (solo los comandos que se usan)
+ */
+class MemoryStore {
+    constructor() {
+        this.entries = new Map();
+        this.nextPrune = Date.now();
+    }
+
+    /**
+     * Obtiene una entrada vigente (las caducadas se eliminan al leerlas)
+     * @param {String} key - Clave
+     * @returns {Object|undefined} - { value, expiresAt }
+     */
+    read(key) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    /**
+     * Guarda una entrada y, como mucho una vez por minuto, elimina las caducadas que no se han vuelto a leer
+     * @param {String} key - Clave
+     * @param {Object} entry - { value, expiresAt }
+     */
+    write(key, entry) {
+        const now = Date.now();
+        if (now >= this.nextPrune) {
+            for (const [storedKey, stored] of this.entries) {
+                if (stored.expiresAt !== null && stored.expiresAt <= now) this.entries.delete(storedKey);
+            }
+            this.nextPrune = now + 60000;
+        }
+        this.entries.set(key, entry);
+    }
+
+    async get(key) {
+        const entry = this.read(key);
+        return entry ? entry.value : null;
+    }
+
+    async set(key, value, mode, milliseconds) {
+        this.write(key, { value: String(value), expiresAt: mode === 'PX' ? Date.now() + Number(milliseconds) : null });
+        return 'OK';
+    }
+
+    async incr(key) {
+        const entry = this.read(key);
+        const value = (entry ? parseInt(entry.value, 10) : 0) + 1;
+        this.write(key, { value: String(value), expiresAt: entry ? entry.expiresAt : null });
+        return value;
+    }
+
+    async pexpire(key, milliseconds) {
+        const entry = this.read(key);
+        if (!entry) return 0;
+        entry.expiresAt = Date.now() + Number(milliseconds);
+        return 1;
+    }
+
+    async pttl(key) {
+        const entry = this.read(key);
+        if (!entry) return -2;
+        return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+    }
+
+    async del(...keys) {
+        return keys.filter(key => this.read(key) !== undefined && this.entries.delete(key)).length;
+    }
+}
+
+// Almacén de los contadores
+let store = new MemoryStore();
+
+/**
+ * Sustituye el almacén de los contadores (ej. un cliente de ioredis compartido por todas las instancias)
+ * @param {Object} client - Objeto con los métodos get, set, incr, pexpire, pttl y del de Redis
+ */
+const setRateLimitStore = (client) => {
+    store = client;
+};
+
+/**
+ * Configuración a partir de las variables de entorno (ventanas en milisegundos):
+ *  - LOGIN_RATE_LIMIT / LOGIN_RATE_WINDOW: inicios de sesión por IP (por defecto 20 cada 15 minutos)
+ *  - ACCOUNT_RATE_LIMIT / ACCOUNT_RATE_WINDOW: inicios de sesión por cuenta (por defecto 10 cada 15 minutos)
+ *  - REGISTER_RATE_LIMIT / REGISTER_RATE_WINDOW: registros por IP (por defecto 5 cada hora)
+ *  - LOCKOUT_THRESHOLD: contraseñas incorrectas seguidas que bloquean la cuenta (por defecto 5)
+ *  - LOCKOUT_DURATION / LOCKOUT_MAX_DURATION: duración del primer bloqueo y máxima (por defecto 1 minuto y 1 hora)
+ *  - LOCKOUT_RESET: tiempo sin fallos tras el que se olvidan los fallos y los bloqueos anteriores (por defecto 24 horas)
+ * Los límites por IP usan req.ip, que detrás de un proxy inverso depende de TRUST_PROXY (ver trustProxySetting()).
+ * @returns {Object} - { login, account, register, lockout }
+ */
+const rateLimitSettings = () => ({
+    login: {
+        limit: parseInt(process.env.LOGIN_RATE_LIMIT, 10) || 20,
+        windowMs: parseInt(process.env.LOGIN_RATE_WINDOW, 10) || 15 * 60 * 1000
+    },
+    account: {
+        limit: parseInt(process.env.ACCOUNT_RATE_LIMIT, 10) || 10,
+        windowMs: parseInt(process.env.ACCOUNT_RATE_WINDOW, 10) || 15 * 60 * 1000
+    },
+    register: {
+        limit: parseInt(process.env.REGISTER_RATE_LIMIT, 10) || 5,
+        windowMs: parseInt(process.env.REGISTER_RATE_WINDOW, 10) || 60 * 60 * 1000
+    },
+    lockout: {
+        threshold: parseInt(process.env.LOCKOUT_THRESHOLD, 10) || 5,
+        durationMs: parseInt(process.env.LOCKOUT_DURATION, 10) || 60 * 1000,
+        maxDurationMs: parseInt(process.env.LOCKOUT_MAX_DURATION, 10) || 60 * 60 * 1000,
+        resetMs: parseInt(process.env.LOCKOUT_RESET, 10) || 24 * 60 * 60 * 1000
+    }
+});
+
+/**
+ * Valor de la opción "trust proxy" de Express a partir de TRUST_PROXY, para que req.ip sea la IP del
+ * cliente y no la del proxy inverso (sin ella todos los clientes comparten los límites por IP):
+ *  - sin definir o "false": no se confía en ningún proxy (por defecto)
+ *  - "true": se confía en todos (solo si la API no es accesible directamente)
+ *  - un número: saltos de proxy de confianza (ej. 1 para un nginx delante de la API)
+ *  - direcciones o subredes separadas por comas, o "loopback", "linklocal", "uniquelocal" (ej. "10.0.0.0/8")
+ * @returns {Boolean|Number|String} - Valor para app.set('trust proxy')
+ */
+const trustProxySetting = () => {
+    const value = (process.env.TRUST_PROXY || '').trim();
+    if (value === '' || value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    return value;
+};
+
+// Claves del almacén
+const windowKey = (policy, key) => `ratelimit:${policy}:${key}`;
+const lockoutKeys = (account) => ({
+    failures: `lockout:${account}:failures`,
+    level: `lockout:${account}:level`,
+    until: `lockout:${account}:until`
+});
+
+/**
+ * Normaliza el correo con el que se identifica una cuenta en los contadores
+ * @param {*} email - Correo recibido
+ * @returns {String|null}
+ */
+const accountKey = (email) => (typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null);
+
+/**
+ * Cuenta una petición en la ventana de una política
+ * @param {String} policy - Política ('login', 'account' o 'register')
+ * @param {String} key - Clave limitada (IP o cuenta)
+ * @returns {Object} - { policy, limit, remaining, reset, windowMs, exceeded } (reset en segundos)
+ */
+const hitRateLimit = async (policy, key) => {
+    const { limit, windowMs } = rateLimitSettings()[policy];
+    const storeKey = windowKey(policy, key);
+
+    // La ventana empieza con la primera petición
+    const count = await store.incr(storeKey);
+    let ttl = await store.pttl(storeKey);
+    if (ttl < 0) {
+        await store.pexpire(storeKey, windowMs);
+        ttl = windowMs;
+    }
+
+    return {
+        policy,
+        limit,
+        remaining: Math.max(limit - count, 0),
+        reset: Math.ceil(ttl / 1000),
+        windowMs,
+        exceeded: count > limit
+    };
+};
+
+/**
+ * Ejecuta una operación sobre el almacén sin interrumpir el inicio de sesión si no responde
+ * (las cuentas no se bloquean mientras tanto, igual que las peticiones no se limitan)
+ * @param {Function} operation - Operación asíncrona
+ * @param {*} fallback - Resultado si el almacén falla
+ * @returns {*} - Resultado de la operación o fallback
+ */
+const withStore = async (operation, fallback) => {
+    try {
+        return await operation();
+    } catch (error) {
+        console.error('Error en el almacén de los límites de peticiones:', error);
+        return fallback;
+    }
+};
+
+/**
+ * Obtiene el bloqueo vigente de una cuenta
+ * @param {String} account - Cuenta (ver accountKey())
+ * @returns {Object|null} - { policy: 'lockout', limit, remaining: 0, reset } o null si no está bloqueada
+ */
+const getLockout = async (account) => {
+    const ttl = await withStore(() => store.pttl(lockoutKeys(account).until), -2);
+    if (ttl <= 0) return null;
+
+    return { policy: 'lockout', limit: rateLimitSettings().lockout.threshold, remaining: 0, reset: Math.ceil(ttl / 1000) };
+};
+
+/**
+ * Registra un intento de inicio de sesión fallido (contraseña incorrecta o cuenta inexistente) y
+ * bloquea la cuenta al llegar al umbral
+ * @param {String} account - Cuenta (ver accountKey())
+ * @returns {Number} - Duración del bloqueo en milisegundos (0 si la cuenta no se ha bloqueado)
+ */
+const recordFailedLogin = (account) => withStore(async () => {
+    const { threshold, durationMs, maxDurationMs, resetMs } = rateLimitSettings().lockout;
+    const keys = lockoutKeys(account);
+
+    const failures = await store.incr(keys.failures);
+    await store.pexpire(keys.failures, resetMs);
+    if (failures < threshold) return 0;
+
+    // Cada bloqueo consecutivo dura el doble que el anterior
+    const level = await store.incr(keys.level);
+    await store.pexpire(keys.level, resetMs);
+    const duration = Math.min(durationMs * 2 ** (level - 1), maxDurationMs);
+
+    await store.set(keys.until, Date.now() + duration, 'PX', duration);
+    await store.del(keys.failures);
+    return duration;
+}, 0);
+
+/**
+ * Olvida los fallos de una cuenta tras un inicio de sesión correcto (los bloqueos anteriores se
+ * siguen teniendo en cuenta para la duración del siguiente hasta que pasa LOCKOUT_RESET)
+ * @param {String} account - Cuenta (ver accountKey())
+ */
+const clearFailedLogins = (account) => withStore(() => store.del(lockoutKeys(account).failures), 0);
+
+/**
+ * Desbloquea una cuenta: elimina el bloqueo, los fallos, los bloqueos anteriores y su ventana de inicios de sesión
+ * @param {Object} user - Usuario
+ * @returns {Boolean} - Si la cuenta estaba bloqueada
+ */
+const unlockAccount = async (user) => {
+    const account = accountKey(user.email);
+    const keys = lockoutKeys(account);
+    const locked = (await store.pttl(keys.until)) > 0;
+
+    await store.del(keys.until, keys.failures, keys.level, windowKey('account', account));
+    return locked;
+};
+
+/**
+ * Añade las cabeceras RateLimit-* del borrador IETF (RateLimit-Limit, RateLimit-Remaining,
+ * RateLimit-Reset en segundos y RateLimit-Policy)
+ * @param {Object} res - Objeto response de Express
+ * @param {Object} result - Resultado de hitRateLimit()
+ */
+const setRateLimitHeaders = (res, result) => {
+    res.set({
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(result.reset),
+        'RateLimit-Policy': `${result.limit};w=${Math.ceil(result.windowMs / 1000)}`
+    });
+};
+
+/**
+ * Responde 429 con la cabecera Retry-After y el detalle del límite superado en el sobre
+ * @param {Object} res - Objeto response de Express
+ * @param {Object} result - Límite superado ({ policy, limit, remaining, reset })
+ * @param {String} message - Mensaje de la respuesta
+ */
+const sendTooManyRequests = (res, result, message) => {
+    res.set('Retry-After', String(result.reset));
+    const { policy, limit, remaining, reset } = result;
+    return res.formatResponse(429, null, message, { rateLimit: { policy, limit, remaining, reset } });
+};
+
+module.exports = {
+    MemoryStore,
+    setRateLimitStore,
+    trustProxySetting,
+    accountKey,
+    hitRateLimit,
+    getLockout,
+    recordFailedLogin,
+    clearFailedLogins,
+    unlockAccount,
+    setRateLimitHeaders,
+    sendTooManyRequests
+};
\ No newline at end of file
@@ -0,0 +1,223 @@
+/**
+ * Canal de eventos en tiempo real (Server-Sent Events) por proyecto.
+ *
+ * Cada evento del bus recibe un identificador numérico creciente y se guarda en un historial
+ * reciente por proyecto, en la memoria del proceso. Un cliente que se reconecta indica el último
+ * identificador recibido (Last-Event-ID) y recibe los eventos posteriores; si el historial ya no
+ * los contiene (se descartaron o el servidor se reinició) recibe un evento "reset" para que
+ * vuelva a cargar los datos del proyecto.
+ *
+ * El acceso se comprueba al abrir el canal y cada conexión guarda la sesión con la que se abrió:
+ * se cierra al expirar el token y, cuando cambia la sesión del usuario o su pertenencia a un
+ * proyecto, recheckUserStreams() cierra las conexiones que ya no están autorizadas.
+ */
+
+const { User, Project, RevokedToken } = require('../models');
+const { getProjectRole, hasPermission } = require('./permissions');
+
+// Primer identificador de este arranque: los de arranques anteriores son siempre menores
+const FIRST_EVENT_ID = Date.now() * 1000;
+
+// Último identificador asignado
+let lastEventId = FIRST_EVENT_ID;
+
+// Historial reciente por proyecto: { events: [{ id, event }], since } donde since es el identificador
+// a partir del cual el historial está completo
+const history = new Map();
+
+// Clientes conectados por proyecto: { res, projectId, session }
+const clients = new Map();
+
+// Espera máxima de un temporizador de Node (unos 24 días)
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+/**
+ * Configuración del canal a partir de las variables de entorno:
+ *  - REALTIME_HISTORY_SIZE: eventos recientes que se guardan por proyecto para las reconexiones (por defecto 500)
+ *  - REALTIME_HEARTBEAT_INTERVAL: cada cuánto se envía un comentario para mantener abierta la conexión en milisegundos (por defecto 25000)
+ *  - REALTIME_RETRY: espera que el cliente debe aplicar antes de reconectarse en milisegundos (por defecto 3000)
+ * @returns {Object} - { historySize, heartbeatInterval, retry }
+ */
+const realtimeSettings = () => ({
+    historySize: parseInt(process.env.REALTIME_HISTORY_SIZE, 10) || 500,
+    heartbeatInterval: parseInt(process.env.REALTIME_HEARTBEAT_INTERVAL, 10) || 25000,
+    retry: parseInt(process.env.REALTIME_RETRY, 10) || 3000
+});
+
+/**
+ * Obtiene (o crea) el historial de un proyecto
+ * @param {Number} projectId - ID del proyecto
+ * @returns {Object} - { events, since }
+ */
+const projectHistory = (projectId) => {
+    if (!history.has(projectId)) {
+        history.set(projectId, { events: [], since: FIRST_EVENT_ID });
+    }
+    return history.get(projectId);
+};
+
+/**
+ * Escribe un evento en el formato de Server-Sent Events
+ * @param {Object} res - Objeto response de Express
+ * @param {Number} id - Identificador del evento
+ * @param {Object} event - Evento del bus
+ */
+const writeEvent = (res, id, event) => {
+    res.write(`id: ${id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+/**
+ * Deja de enviar eventos a un cliente
+ * @param {Object} client - Cliente conectado
+ */
+const removeClient = (client) => {
+    const projectClients = clients.get(client.projectId);
+    if (!projectClients) return;
+    projectClients.delete(client);
+    if (projectClients.size === 0) clients.delete(client.projectId);
+};
+
+/**
+ * Cierra una conexión avisando antes al cliente del motivo con un evento "revoked" o "expired",
+ * tras el que no debe reconectarse con el mismo token
+ * @param {Object} client - Cliente conectado
+ * @param {String} reason - 'revoked' (ya no tiene acceso) o 'expired' (el token ha expirado)
+ */
+const closeClient = (client, reason) => {
+    if (client.res.writableEnded) return;
+    removeClient(client);
+    client.res.write(`event: ${reason}\ndata: ${JSON.stringify({ projectId: client.projectId })}\n\n`);
+    client.res.end();
+};
+
+/**
+ * Envía un evento a los clientes de su proyecto y lo guarda en el historial (suscriptor del
+ * bus de eventos). Al eliminar un proyecto se cierran sus conexiones y se descarta su historial.
+ * @param {Object} event - Evento publicado
+ * @returns {Number|null} - Identificador asignado o null si el evento no es de un proyecto
+ */
+const broadcastRealtimeEvent = async (event) => {
+    if (event.projectId === null) return null;
+
+    const id = ++lastEventId;
+    const projectClients = clients.get(event.projectId) || new Set();
+    for (const client of projectClients) {
+        writeEvent(client.res, id, event);
+    }
+
+    if (event.type === 'project.deleted') {
+        history.delete(event.projectId);
+        clients.delete(event.projectId);
+        for (const client of projectClients) {
+            client.res.end();
+        }
+        return id;
+    }
+
+    const { historySize } = realtimeSettings();
+    const entry = projectHistory(event.projectId);
+    entry.events.push({ id, event });
+    while (entry.events.length > historySize) {
+        entry.since = entry.events.shift().id;
+    }
+    return id;
+};
+
+/**
+ * Abre el canal de eventos de un proyecto: envía los eventos posteriores a lastEventId (o "reset"
+ * si no se pueden recuperar) y mantiene la conexión abierta hasta que el cliente la cierra, el
+ * token expira o el usuario deja de tener acceso
+ * @param {Object} res - Objeto response de Express
+ * @param {Number} projectId - ID del proyecto
+ * @param {Number} resumeFrom - Último identificador recibido por el cliente (opcional)
+ * @param {Object} session - Sesión que abre el canal: { userId, tokenVersion, jti, expiresAt (milisegundos o null) }
+ */
+const openProjectStream = (res, projectId, resumeFrom, session) => {
+    const { heartbeatInterval, retry } = realtimeSettings();
+
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Evita que los proxies (ej. nginx) acumulen los eventos antes de enviarlos
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${retry}\n\n`);
+
+    if (resumeFrom !== undefined) {
+        const entry = projectHistory(projectId);
+        if (resumeFrom < entry.since) {
+            // Se han perdido eventos: el cliente debe volver a cargar el estado del proyecto
+            res.write(`id: ${lastEventId}\nevent: reset\ndata: ${JSON.stringify({ projectId })}\n\n`);
+        } else {
+            for (const { id, event } of entry.events) {
+                if (id > resumeFrom) writeEvent(res, id, event);
+            }
+        }
+    }
+
+    const client = { res, projectId, session };
+    if (!clients.has(projectId)) clients.set(projectId, new Set());
+    clients.get(projectId).add(client);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatInterval);
+    heartbeat.unref();
+
+    // El canal no sobrevive al token con el que se abrió: el cliente se reconecta con uno renovado
+    let expiry = null;
+    if (session.expiresAt) {
+        expiry = setTimeout(() => closeClient(client, 'expired'), Math.min(Math.max(session.expiresAt - Date.now(), 0), MAX_TIMEOUT));
+        expiry.unref();
+    }
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        removeClient(client);
+    });
+};
+
+/**
+ * Vuelve a comprobar las conexiones abiertas por un usuario y cierra las que ya no están autorizadas:
+ * todas si el usuario se ha desactivado o su token se ha revocado (logout, cierre de todas las
+ * sesiones, cambio de contraseña) y las de los proyectos que ya no puede ver (ej. lo han eliminado
+ * como miembro o ha dejado de ser administrador). Los errores se registran sin propagarse.
+ * @param {Number} userId - ID del usuario
+ */
+const recheckUserStreams = async (userId) => {
+    const userClients = [...clients.values()].flatMap(projectClients => [...projectClients])
+        .filter(client => client.session.userId === userId);
+    if (userClients.length === 0) return;
+
+    try {
+        const user = await User.findByPk(userId);
+        for (const client of userClients) {
+            const { tokenVersion, jti } = client.session;
+            let authorized = Boolean(user && user.active) && tokenVersion === user.tokenVersion
+                && !(jti && await RevokedToken.findByPk(jti));
+            if (authorized) {
+                const project = await Project.findByPk(client.projectId);
+                authorized = Boolean(project) && hasPermission(await getProjectRole(project, user), 'project:view');
+            }
+            if (!authorized) closeClient(client, 'revoked');
+        }
+    } catch (error) {
+        console.error('Error al comprobar las conexiones en tiempo real:', error);
+    }
+};
+
+/**
+ * Número de clientes conectados al canal de un proyecto
+ * @param {Number} projectId - ID del proyecto
+ * @returns {Number} - Conexiones abiertas
+ */
+const countProjectClients = (projectId) => (clients.get(projectId) || new Set()).size;
+
+module.exports = {
+    broadcastRealtimeEvent,
+    openProjectStream,
+    recheckUserStreams,
+    countProjectClients
+};
\ No newline at end of file
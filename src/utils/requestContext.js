@@ -0,0 +1,28 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Contexto asociado a cada petición (accesible desde hooks de Sequelize y otros módulos)
+const storage = new AsyncLocalStorage();
+
+/**
+ * Ejecuta una función dentro de un contexto de petición
+ * @param {Object} context - Datos del contexto (ej. { user })
+ * @param {Function} callback - Función a ejecutar
+ * @returns {*} - Resultado de la función
+ */
+const runWithContext = (context, callback) => {
+    return storage.run(context, callback);
+};
+
+/**
+ * Obtiene el usuario autenticado de la petición en curso
+ * @returns {Object|null} - Usuario (req.user) o null fuera de una petición autenticada
+ */
+const getCurrentUser = () => {
+    const context = storage.getStore();
+    return context && context.user ? context.user : null;
+};
+
+module.exports = {
+    runWithContext,
+    getCurrentUser
+};
\ No newline at end of file
@@ -1,100 +1,116 @@
-const xml = require('xml');
-
-/**
- * Formatea la respuesta según el formato solicitado
- * @param {Object} res - Objeto response de Express
- * @param {Number} statusCode - Código HTTP de la respuesta
- * @param {Object|String} data - Datos a enviar en la respuesta
- * @param {String} message - Mensaje descriptivo (opcional)
- * @param {String} format - Formato de respuesta ('json' o 'xml')
- */
-const formatResponse = (res, statusCode, data, message = null, format = 'json') => {
-    // Construir objeto de respuesta
-    const response = {
-        success: statusCode >= 200 && statusCode < 300,
-        code: statusCode,
-        message: message || getDefaultMessage(statusCode),
-        data: data || null,
-        timestamp: new Date().toISOString()
-    };
-
-    // Establecer el código de estado HTTP
-    res.status(statusCode);
-
-    // Enviar respuesta según el formato solicitado
-    if (format === 'xml') {
-        res.set('Content-Type', 'application/xml');
-        // Convertir respuesta a formato XML
-        const xmlResponse = generateXML(response);
-        return res.send(xmlResponse);
-    } else {
-        res.set('Content-Type', 'application/json');
-        // Enviar respuesta en formato JSON
-        return res.json(response);
-    }
-};
-
-/**
- * Obtiene un mensaje predeterminado según el código de estado
- * @param {Number} statusCode - Código HTTP 
- * @returns {String} - Mensaje predeterminado
- */
-const getDefaultMessage = (statusCode) => {
-    switch (statusCode) {
-        case 200: return 'OK';
-        case 201: return 'Recurso creado correctamente';
-        case 400: return 'Solicitud incorrecta';
-        case 401: return 'No autorizado';
-        case 403: return 'Acceso prohibido';
-        case 404: return 'Recurso no encontrado';
-        case 500: return 'Error interno del servidor';
-        default: return 'Operación completada';
-    }
-};
-
-/**
- * Convierte un objeto JavaScript a formato XML
- * @param {Object} data - Objeto a convertir
- * @returns {String} - Cadena XML
- */
-const generateXML = (data) => {
-    // Función auxiliar para convertir objetos anidados a formato compatible con la librería xml
-    const processObject = (obj) => {
-        if (obj === null || obj === undefined) return '';
-        
-        if (Array.isArray(obj)) {
-            return obj.map(item => {
-                if (typeof item === 'object' && item !== null) {
-                    return { item: processObject(item) };
-                }
-                return { item: String(item) };
-            });
-        } else if (typeof obj === 'object') {
-            const result = [];
-            for (const key in obj) {
-                if (Object.prototype.hasOwnProperty.call(obj, key)) {
-                    const value = obj[key];
-                    if (typeof value === 'object' && value !== null) {
-                        result.push({ [key]: processObject(value) });
-                    } else {
-                        result.push({ [key]: String(value) });
-                    }
-                }
-            }
-            return result;
-        } else {
-            return String(obj);
-        }
-    };
-
-    // Formato XML final
-    const xmlObj = {
-        response: processObject(data)
-    };
-
-    return xml(xmlObj, { declaration: true, indent: '  ' });
-};
-
-module.exports = {
-    formatResponse
+const { serializeXML, serializeYAML, serializeCSV } = require('./serializers');
+
+// Formatos de respuesta soportados: tipos MIME aceptados y serializador de cada uno
+// (el primer tipo de cada formato es el que se envía en Content-Type)
+const FORMATS = {
+    json: { types: ['application/json'], serialize: null },
+    xml: { types: ['application/xml', 'text/xml'], serialize: serializeXML },
+    csv: { types: ['text/csv'], serialize: serializeCSV },
+    yaml: { types: ['application/yaml', 'text/yaml', 'application/x-yaml'], serialize: serializeYAML }
+};
+
+/**
+ * Determina el formato de la respuesta: el parámetro ?format tiene prioridad y, si no se indica,
+ * se negocia con la cabecera Accept (sin cabecera o si se acepta cualquier tipo se responde en JSON)
+ * @param {Object} req - Objeto request de Express
+ * @returns {String|null} - Formato elegido o null si ninguno de los aceptados está soportado
+ */
+const negotiateFormat = (req) => {
+    const requested = req.query.format;
+    if (typeof requested === 'string' && Object.prototype.hasOwnProperty.call(FORMATS, requested)) {
+        return requested;
+    }
+
+    // El orden de la lista hace que JSON gane cuando el cliente acepta cualquier tipo
+    const types = Object.values(FORMATS).flatMap(format => format.types);
+    const accepted = req.accepts(types);
+    if (!accepted) {
+        return null;
+    }
+    return Object.keys(FORMATS).find(format => FORMATS[format].types.includes(accepted));
+};
+
+/**
+ * Formatea la respuesta según el formato solicitado
+ * @param {Object} res - Objeto response de Express
+ * @param {Number} statusCode - Código HTTP de la respuesta
+ * @param {Object|String} data - Datos a enviar en la respuesta
+ * @param {String} message - Mensaje descriptivo (opcional)
+ * @param {String} format - Formato de respuesta ('json', 'xml', 'csv' o 'yaml')
+ * @param {Object} extra - Campos adicionales del sobre de respuesta (ej. { pagination }, { errors } o { rateLimit })
+ */
+const formatResponse = (res, statusCode, data, message = null, format = 'json', extra = {}) => {
+    // Construir objeto de respuesta
+    const response = {
+        success: statusCode >= 200 && statusCode < 300,
+        code: statusCode,
+        message: message || getDefaultMessage(statusCode),
+        data: data || null,
+        ...extra,
+        timestamp: new Date().toISOString()
+    };
+
+    // Establecer el código de estado HTTP
+    res.status(statusCode);
+
+    // Enviar respuesta según el formato solicitado
+    const { types, serialize } = FORMATS[format] || FORMATS.json;
+    res.vary('Accept');
+    if (!serialize) {
+        res.set('Content-Type', 'application/json');
+        return res.json(response);
+    }
+
+    // En CSV el sobre no forma parte del documento: la paginación se envía en cabeceras
+    if (format === 'csv' && extra.pagination) {
+        setPaginationHeaders(res, extra.pagination);
+    }
+
+    res.set('Content-Type', `${types[0]}; charset=utf-8`);
+    return res.send(serialize(response));
+};
+
+/**
+ * Expone los metadatos de paginación en las cabeceras X-Total-Count y Link (RFC 8288)
+ * @param {Object} res - Objeto response de Express
+ * @param {Object} pagination - Metadatos de paginación
+ */
+const setPaginationHeaders = (res, pagination) => {
+    res.set('X-Total-Count', String(pagination.total));
+
+    const links = Object.entries(pagination.links || {})
+        .filter(([rel, url]) => url && rel !== 'self')
+        .map(([rel, url]) => `<${url}>; rel="${rel}"`);
+    if (links.length > 0) {
+        res.set('Link', links.join(', '));
+    }
+};
+
+/**
+ * Obtiene un mensaje predeterminado según el código de estado
+ * @param {Number} statusCode - Código HTTP 
+ * @returns {String} - Mensaje predeterminado
+ */
+const getDefaultMessage = (statusCode) => {
+    switch (statusCode) {
+        case 200: return 'OK';
+        case 201: return 'Recurso creado correctamente';
+        case 207: return 'Operación completada parcialmente';
+        case 400: return 'Solicitud incorrecta';
+        case 401: return 'No autorizado';
+        case 403: return 'Acceso prohibido';
+        case 404: return 'Recurso no encontrado';
+        case 406: return 'Formato de respuesta no soportado';
+        case 409: return 'Conflicto con el estado actual del recurso';
+        case 422: return 'Error de validación';
+        case 429: return 'Demasiadas solicitudes';
+        case 500: return 'Error interno del servidor';
+        default: return 'Operación completada';
+    }
+};
+
+module.exports = {
+    FORMATS,
+    negotiateFormat,
+    formatResponse
 };
\ No newline at end of file
@@ -0,0 +1,297 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Tipos de documento indexados (su posición forma parte de la clave de cada fila del índice)
+const SEARCH_TYPES = ['project', 'task', 'comment'];
+
+// Tabla del índice de texto completo (ver la migración 009-create-search-index)
+const SEARCH_TABLE = 'search_index';
+
+// Número máximo de palabras de una búsqueda
+const MAX_SEARCH_TERMS = 10;
+
+// Palabras de contexto de cada fragmento resaltado
+const SNIPPET_WORDS = 12;
+
+// Columnas del índice en el orden en que se insertan
+const INDEX_COLUMNS = ['rowid', 'title', 'content', 'type', 'entityId', 'projectId', 'taskId', 'status'];
+
+/**
+ * Entrecomilla un identificador según el dialecto
+ * @param {String} name - Nombre de tabla o columna
+ * @returns {String} - Identificador entrecomillado
+ */
+const quote = (name) => sequelize.getQueryInterface().quoteIdentifier(name);
+
+/**
+ * Clave de la fila del índice de un documento
+ * @param {String} type - Tipo de documento
+ * @param {Number} id - ID de la entidad
+ * @returns {Number} - rowid
+ */
+const searchKey = (type, id) => id * SEARCH_TYPES.length + SEARCH_TYPES.indexOf(type);
+
+/**
+ * Extrae las palabras de un texto de búsqueda (letras y números, sin repetir)
+ * @param {String} text - Texto de búsqueda
+ * @returns {Array<String>} - Palabras en minúsculas
+ */
+const extractTerms = (text) => {
+    const terms = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return [...new Set(terms)].slice(0, MAX_SEARCH_TERMS);
+};
+
+/**
+ * Añade o sustituye un documento en el índice
+ * @param {Object} document - { type, entityId, projectId, taskId, status, title, content }
+ * @param {Object} options - Opciones de Sequelize (transaction)
+ */
+const indexDocument = async (document, { transaction } = {}) => {
+    const rowid = searchKey(document.type, document.entityId);
+    await sequelize.query(`DELETE FROM ${quote(SEARCH_TABLE)} WHERE ${quote('rowid')} = ?`, { replacements: [rowid], transaction });
+
+    const values = { ...document, rowid };
+    await sequelize.query(
+        `INSERT INTO ${quote(SEARCH_TABLE)} (${INDEX_COLUMNS.map(quote).join(', ')}) VALUES (${INDEX_COLUMNS.map(() => '?').join(', ')})`,
+        { replacements: INDEX_COLUMNS.map(column => (values[column] === undefined ? null : values[column])), transaction }
+    );
+};
+
+/**
+ * Elimina del índice los documentos que cumplen una condición de igualdad
+ * @param {Object} where - { columna: valor }
+ * @param {Object} options - Opciones de Sequelize (transaction)
+ */
+const removeDocuments = async (where, { transaction } = {}) => {
+    const conditions = Object.keys(where).map(column => `${quote(column)} = ?`).join(' AND ');
+    await sequelize.query(`DELETE FROM ${quote(SEARCH_TABLE)} WHERE ${conditions}`, { replacements: Object.values(where), transaction });
+};
+
+/**
+ * Registra los hooks que mantienen el índice de búsqueda sincronizado con proyectos, tareas y comentarios
+ * @param {Object} Project - Modelo de proyectos
+ * @param {Object} Task - Modelo de tareas
+ * @param {Object} Comment - Modelo de comentarios
+ */
+const registerSearchHooks = (Project, Task, Comment) => {
+    const indexProject = (project, options) => indexDocument({
+        type: 'project',
+        entityId: project.id,
+        projectId: project.id,
+        status: project.status,
+        title: project.name,
+        content: project.description
+    }, options);
+
+    const indexTask = (task, options) => indexDocument({
+        type: 'task',
+        entityId: task.id,
+        projectId: task.projectId,
+        taskId: task.id,
+        status: task.status,
+        title: task.title,
+        content: task.description
+    }, options);
+
+    const indexComment = async (comment, options) => {
+        const task = await Task.findByPk(comment.taskId, { attributes: ['projectId'], transaction: options.transaction });
+        if (!task) return;
+        await indexDocument({
+            type: 'comment',
+            entityId: comment.id,
+            projectId: task.projectId,
+            taskId: comment.taskId,
+            content: comment.content
+        }, options);
+    };
+
+    // Solo se reindexa cuando cambia algún campo indexado
+    const changedAny = (instance, fields) => fields.some(field => instance.changed(field));
+
+    Project.addHook('afterCreate', 'search', indexProject);
+    Project.addHook('afterUpdate', 'search', async (project, options) => {
+        if (changedAny(project, ['name', 'description', 'status'])) await indexProject(project, options);
+    });
+    // Al borrar un proyecto también se borran sus tareas y comentarios
+    Project.addHook('afterDestroy', 'search', (project, options) => removeDocuments({ projectId: project.id }, options));
+    // Al restaurarlo desde la papelera, sus tareas se restauran (y reindexan) una a una
+    Project.addHook('afterRestore', 'search', indexProject);
+
+    Task.addHook('afterCreate', 'search', indexTask);
+    Task.addHook('afterUpdate', 'search', async (task, options) => {
+        if (changedAny(task, ['title', 'description', 'status', 'projectId'])) await indexTask(task, options);
+    });
+    // Incluye la propia tarea y sus comentarios (taskId)
+    Task.addHook('afterDestroy', 'search', (task, options) => removeDocuments({ taskId: task.id }, options));
+    Task.addHook('afterRestore', 'search', async (task, options) => {
+        await indexTask(task, options);
+        const comments = await Comment.findAll({ where: { taskId: task.id }, transaction: options.transaction });
+        for (const comment of comments) {
+            await indexComment(comment, options);
+        }
+    });
+
+    Comment.addHook('afterCreate', 'search', indexComment);
+    Comment.addHook('afterUpdate', 'search', async (comment, options) => {
+        if (comment.changed('content')) await indexComment(comment, options);
+    });
+    // Las respuestas se borran en cascada sin hooks: se eliminan los comentarios de la tarea que ya no existen
+    Comment.addHook('afterDestroy', 'search', (comment, options) => sequelize.query(
+        `DELETE FROM ${quote(SEARCH_TABLE)} WHERE ${quote('type')} = 'comment' AND ${quote('taskId')} = ?
+            AND ${quote('entityId')} NOT IN (SELECT id FROM ${quote(Comment.getTableName())} WHERE ${quote('taskId')} = ?)`,
+        { replacements: [comment.taskId, comment.taskId], transaction: options.transaction }
+    ));
+};
+
+// Caracteres reservados de HTML: el fragmento se devuelve como HTML y el texto lo escriben los usuarios
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapa los caracteres reservados de HTML
+ * @param {String} text - Texto sin escapar
+ * @returns {String} - Texto escapado
+ */
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+/**
+ * Normaliza una palabra como el índice: minúsculas y sin acentos
+ * @param {String} word - Palabra
+ * @returns {String} - Palabra normalizada
+ */
+const normalizeWord = (word) => word.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '');
+
+/**
+ * Construye un fragmento del texto alrededor de la primera coincidencia, con el texto escapado
+ * como HTML y las coincidencias resaltadas entre <mark> y </mark>
+ * @param {Array<String|null>} texts - Textos del documento por orden de preferencia (contenido y título)
+ * @param {Array<String>} terms - Palabras buscadas (coinciden como prefijo)
+ * @returns {String|null} - Fragmento resaltado
+ */
+const buildSnippet = (texts, terms) => {
+    const prefixes = terms.map(normalizeWord);
+    const matches = (token) => prefixes.some(prefix => normalizeWord(token).startsWith(prefix));
+    const tokens = (word) => word.match(/[\p{L}\p{N}]+/gu) || [];
+
+    // Se resaltan las palabras del índice (letras y números) dentro de cada palabra del texto
+    const highlight = (word) => {
+        let result = '';
+        let last = 0;
+        for (const { 0: token, index } of word.matchAll(/[\p{L}\p{N}]+/gu)) {
+            if (!matches(token)) continue;
+            result += `${escapeHtml(word.slice(last, index))}<mark>${escapeHtml(token)}</mark>`;
+            last = index + token.length;
+        }
+        return result + escapeHtml(word.slice(last));
+    };
+
+    // El primer texto con alguna coincidencia o, si no hay ninguna, el primero que no está vacío
+    const candidates = texts.filter(Boolean).map(text => text.split(/\s+/).filter(Boolean)).filter(words => words.length > 0);
+    if (candidates.length === 0) return null;
+    const isMatch = (word) => tokens(word).some(matches);
+    const words = candidates.find(candidate => candidate.some(isMatch)) || candidates[0];
+
+    const first = Math.max(0, words.findIndex(isMatch));
+    const start = Math.max(0, Math.min(first - Math.floor(SNIPPET_WORDS / 3), words.length - SNIPPET_WORDS));
+    const fragment = words.slice(start, start + SNIPPET_WORDS).map(highlight);
+
+    return `${start > 0 ? '…' : ''}${fragment.join(' ')}${start + SNIPPET_WORDS < words.length ? '…' : ''}`;
+};
+
+/**
+ * Expresiones SQL de la búsqueda según el dialecto
+ * @param {Array<String>} terms - Palabras buscadas
+ * @returns {Object} - { match, condition, score, order }
+ */
+const searchExpressions = (terms) => {
+    switch (sequelize.getDialect()) {
+        case 'postgres': {
+            const vector = "to_tsvector('simple', coalesce(title, '') || ' ' || coalesce(content, ''))";
+            return {
+                match: terms.map(term => `${term}:*`).join(' & '),
+                condition: `${vector} @@ to_tsquery('simple', :match)`,
+                score: `ts_rank(${vector}, to_tsquery('simple', :match))`,
+                order: 'score DESC'
+            };
+        }
+        case 'mysql':
+            return {
+                match: terms.map(term => `+${term}*`).join(' '),
+                condition: 'MATCH(title, content) AGAINST (:match IN BOOLEAN MODE)',
+                score: 'MATCH(title, content) AGAINST (:match IN BOOLEAN MODE)',
+                order: 'score DESC'
+            };
+        default:
+            // bm25 es menor cuanto más relevante; el título pesa más que el contenido
+            return {
+                match: terms.map(term => `"${term}"*`).join(' '),
+                condition: `${SEARCH_TABLE} MATCH :match`,
+                score: `-bm25(${SEARCH_TABLE}, 10.0, 1.0)`,
+                order: 'score DESC'
+            };
+    }
+};
+
+/**
+ * Busca documentos en el índice ordenados por relevancia
+ * @param {Object} params - { q, types, statuses, projectIds (null = todos), page, limit }
+ * @returns {Object} - { total, results } con { type, id, projectId, taskId, status, title, snippet, score }
+ */
+const searchDocuments = async ({ q, types, statuses, projectIds, page, limit }) => {
+    const terms = extractTerms(q);
+    if (terms.length === 0 || (projectIds && projectIds.length === 0)) {
+        return { total: 0, results: [] };
+    }
+
+    const { match, condition, score, order } = searchExpressions(terms);
+    const replacements = { match, limit, offset: (page - 1) * limit };
+    const conditions = [condition];
+
+    if (projectIds) {
+        conditions.push(`${quote('projectId')} IN (:projectIds)`);
+        replacements.projectIds = projectIds;
+    }
+    if (types) {
+        conditions.push(`${quote('type')} IN (:types)`);
+        replacements.types = types;
+    }
+    if (statuses) {
+        // Los comentarios no tienen estado: el filtro solo deja proyectos y tareas
+        conditions.push(`${quote('status')} IN (:statuses)`);
+        replacements.statuses = statuses;
+    }
+    const where = conditions.join(' AND ');
+
+    const [{ total }] = await sequelize.query(
+        `SELECT COUNT(*) AS total FROM ${quote(SEARCH_TABLE)} WHERE ${where}`,
+        { replacements, type: QueryTypes.SELECT }
+    );
+    const rows = await sequelize.query(
+        `SELECT ${['type', 'entityId', 'projectId', 'taskId', 'status', 'title', 'content'].map(quote).join(', ')},
+            ${score} AS score
+        FROM ${quote(SEARCH_TABLE)}
+        WHERE ${where}
+        ORDER BY ${order}, ${quote('rowid')} ASC
+        LIMIT :limit OFFSET :offset`,
+        { replacements, type: QueryTypes.SELECT }
+    );
+
+    const results = rows.map(row => ({
+        type: row.type,
+        id: Number(row.entityId),
+        projectId: Number(row.projectId),
+        taskId: row.taskId === null ? null : Number(row.taskId),
+        status: row.status,
+        title: row.title,
+        snippet: buildSnippet([row.content, row.title], terms),
+        score: Math.round(Number(row.score) * 1000) / 1000
+    }));
+
+    return { total: Number(total), results };
+};
+
+module.exports = {
+    SEARCH_TYPES,
+    extractTerms,
+    registerSearchHooks,
+    searchDocuments
+};
\ No newline at end of file
@@ -0,0 +1,200 @@
+const xml = require('xml');
+const yaml = require('js-yaml');
+const { Model } = require('sequelize');
+
+// Ruta pública del XSD que describe las respuestas XML
+const XSD_LOCATION = '/api/docs/schema.xsd';
+
+// Nombre de los elementos de las listas que no son asociaciones de un modelo
+const LIST_ITEM_NAMES = {
+    errors: 'error',
+    results: 'result'
+};
+
+/**
+ * Convierte un valor a un objeto serializable como JSON (aplica toJSON de las instancias de Sequelize)
+ * @param {*} value - Valor a convertir
+ * @returns {*} - Copia en JSON plano
+ */
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Nombre del elemento XML de una entidad a partir del nombre del modelo (ej. ProjectMember -> projectMember)
+ * @param {String} modelName - Nombre del modelo
+ * @returns {String} - Nombre del elemento
+ */
+const entityElementName = (modelName) => modelName.charAt(0).toLowerCase() + modelName.slice(1);
+
+/**
+ * Indica si una cadena es un nombre de elemento XML válido
+ * @param {String} name - Nombre a comprobar
+ * @returns {Boolean}
+ */
+const isValidElementName = (name) => /^[A-Za-z_][\w.-]*$/.test(name) && !/^xml/i.test(name);
+
+/**
+ * Convierte un valor en un nodo de la librería xml.
+ * Las instancias de Sequelize generan elementos con el nombre de su modelo y las listas
+ * de asociaciones usan el nombre del modelo relacionado (ej. <tasks><task>...</task></tasks>).
+ * Los valores nulos se marcan con xsi:nil para distinguirlos de las cadenas vacías.
+ * @param {String} name - Nombre del elemento
+ * @param {*} value - Valor a convertir
+ * @param {String} itemName - Nombre de los elementos hijos si el valor es una lista
+ * @returns {Object} - Nodo { nombre: contenido }
+ */
+const toXmlNode = (name, value, itemName) => {
+    // Claves que no son nombres XML válidos (ej. campos dinámicos) se emiten como <entry key="...">
+    const element = isValidElementName(name) ? name : 'entry';
+    const attributes = element === name ? [] : [{ _attr: { key: name } }];
+
+    if (value === null || value === undefined) {
+        return { [element]: { _attr: { ...(attributes[0] || {})._attr, 'xsi:nil': 'true' } } };
+    }
+
+    if (Array.isArray(value)) {
+        const children = value.map(item => {
+            if (item instanceof Model) return toXmlNode(entityElementName(item.constructor.name), item);
+            return toXmlNode(itemName || (item !== null && typeof item === 'object' ? 'entry' : 'value'), item);
+        });
+        return { [element]: [...attributes, ...children] };
+    }
+
+    if (value instanceof Model) {
+        const { associations } = value.constructor;
+        const children = Object.entries(value.get()).map(([field, fieldValue]) => {
+            const association = associations[field];
+            return toXmlNode(field, fieldValue, association ? entityElementName(association.target.name) : undefined);
+        });
+        return { [element]: [...attributes, ...children] };
+    }
+
+    if (value instanceof Date) {
+        return { [element]: [...attributes, value.toISOString()] };
+    }
+
+    if (typeof value === 'object') {
+        if (typeof value.toJSON === 'function') {
+            return toXmlNode(name, value.toJSON(), itemName);
+        }
+        const children = Object.entries(value).map(([field, fieldValue]) => toXmlNode(field, fieldValue, LIST_ITEM_NAMES[field]));
+        return { [element]: [...attributes, ...children] };
+    }
+
+    return { [element]: [...attributes, String(value)] };
+};
+
+/**
+ * Serializa el sobre de respuesta a XML.
+ * El campo data contiene un elemento por entidad (<data><project>...</project></data>);
+ * los tipos de cada elemento se publican en el XSD de XSD_LOCATION.
+ * @param {Object} envelope - Sobre de la respuesta (success, code, message, data...)
+ * @returns {String} - Documento XML
+ */
+const serializeXML = (envelope) => {
+    const children = Object.entries(envelope).map(([field, value]) => {
+        if (field === 'data' && value instanceof Model) {
+            return { data: [toXmlNode(entityElementName(value.constructor.name), value)] };
+        }
+        return toXmlNode(field, value, LIST_ITEM_NAMES[field]);
+    });
+
+    return xml({
+        response: [
+            {
+                _attr: {
+                    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+                    'xsi:noNamespaceSchemaLocation': XSD_LOCATION
+                }
+            },
+            ...children
+        ]
+    }, { declaration: true, indent: '  ' });
+};
+
+/**
+ * Serializa el sobre de respuesta a YAML
+ * @param {Object} envelope - Sobre de la respuesta
+ * @returns {String} - Documento YAML
+ */
+const serializeYAML = (envelope) => yaml.dump(toPlain(envelope), { lineWidth: -1 });
+
+/**
+ * Aplana un objeto en columnas con notación de puntos (ej. { assignee: { name } } -> assignee.name).
+ * Las listas anidadas se guardan como JSON en una sola celda.
+ * @param {Object} object - Objeto a aplanar
+ * @param {String} prefix - Prefijo de las columnas
+ * @param {Object} row - Fila acumulada
+ * @returns {Object} - Fila { columna: valor }
+ */
+const flatten = (object, prefix = '', row = {}) => {
+    for (const [key, value] of Object.entries(object)) {
+        const column = prefix ? `${prefix}.${key}` : key;
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            flatten(value, column, row);
+        } else if (Array.isArray(value)) {
+            row[column] = JSON.stringify(value);
+        } else {
+            row[column] = value;
+        }
+    }
+    return row;
+};
+
+/**
+ * Escapa una celda CSV (RFC 4180). Los textos que empiezan por =, +, - o @ se prefijan con
+ * una comilla simple para que las hojas de cálculo no los interpreten como fórmulas.
+ * @param {*} value - Valor de la celda
+ * @returns {String} - Celda escapada
+ */
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializa los datos de la respuesta a CSV: una fila por elemento de la lista (o una sola fila
+ * si data es un objeto) con los objetos anidados aplanados en columnas (creator.name, assignee.email...).
+ * Sin datos, se exportan los errores de validación o el código y el mensaje de la respuesta.
+ * @param {Object} envelope - Sobre de la respuesta
+ * @returns {String} - Documento CSV
+ */
+const serializeCSV = (envelope) => {
+    const data = toPlain(envelope.data);
+
+    let records;
+    if (Array.isArray(data)) {
+        records = data.map(item => (item !== null && typeof item === 'object' ? item : { value: item }));
+    } else if (data !== null && typeof data === 'object') {
+        records = [data];
+    } else if (envelope.errors) {
+        records = envelope.errors;
+    } else {
+        records = [{ success: envelope.success, code: envelope.code, message: envelope.message }];
+    }
+
+    const rows = records.map(record => flatten(record));
+    const columns = [];
+    for (const row of rows) {
+        for (const column of Object.keys(row)) {
+            if (!columns.includes(column)) columns.push(column);
+        }
+    }
+
+    const lines = [columns.map(escapeCell).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCell(row[column])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+    XSD_LOCATION,
+    serializeXML,
+    serializeYAML,
+    serializeCSV
+};
\ No newline at end of file
@@ -0,0 +1,54 @@
+const { getCurrentUser } = require('./requestContext');
+
+/**
+ * Registra los hooks de la eliminación lógica (papelera) de proyectos y tareas:
+ *  - cada eliminación guarda quién la realizó (deletedBy)
+ *  - los elementos eliminados en una misma operación comparten la fecha de eliminación (deletedAt),
+ *    que permite restaurarlos juntos: un proyecto con sus tareas y una tarea con sus subtareas
+ *  - enviar un proyecto a la papelera envía también sus tareas (una a una, para que queden en el historial)
+ *  - al restaurar se borra el autor de la eliminación
+ * Las eliminaciones definitivas (force) no pasan por la papelera: las cascadas las hace la base de datos.
+ * Deben registrarse antes que los hooks de avance, que eliminan las subtareas con la fecha de su tarea padre.
+ * @param {Object} Project - Modelo de proyectos
+ * @param {Object} Task - Modelo de tareas
+ */
+const registerSoftDeleteHooks = (Project, Task) => {
+    /**
+     * Fija la fecha (la de la operación en curso si se indica en options.deletedAt) y el autor de la
+     * eliminación. Sequelize conserva el deletedAt ya asignado al guardar la eliminación lógica.
+     * @param {Object} instance - Proyecto o tarea que se elimina
+     * @param {Object} options - Opciones de destroy (transaction, force, deletedAt)
+     */
+    const markDeleted = (instance, options) => {
+        if (options.force) return;
+
+        const actor = getCurrentUser();
+        instance.setDataValue('deletedAt', options.deletedAt || new Date());
+        instance.setDataValue('deletedBy', actor ? actor.id : null);
+    };
+
+    Project.addHook('beforeDestroy', 'softDelete', async (project, options) => {
+        markDeleted(project, options);
+        if (options.force) return;
+
+        // Las subtareas se eliminan con su tarea padre (ver registerProgressHooks)
+        const tasks = await Task.findAll({ where: { projectId: project.id, parentId: null }, transaction: options.transaction });
+        for (const task of tasks) {
+            await task.destroy({ transaction: options.transaction, deletedAt: project.deletedAt });
+        }
+    });
+
+    Task.addHook('beforeDestroy', 'softDelete', markDeleted);
+
+    // Al restaurar se olvida quién eliminó el elemento (Sequelize solo limpia deletedAt)
+    const clearDeletedBy = (instance) => {
+        instance.setDataValue('deletedBy', null);
+    };
+
+    Project.addHook('beforeRestore', 'softDelete', clearDeletedBy);
+    Task.addHook('beforeRestore', 'softDelete', clearDeletedBy);
+};
+
+module.exports = {
+    registerSoftDeleteHooks
+};
\ No newline at end of file
@@ -0,0 +1,255 @@
+const { Op, fn, col, literal } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Task, User, Project } = require('../models');
+const { TASK_STATUSES, TASK_PRIORITIES } = require('../validators/taskSchemas');
+
+// Agrupaciones temporales admitidas para la evolución de tareas creadas y completadas
+const STATISTICS_INTERVALS = ['day', 'week', 'month'];
+
+// Estados que ya no cuentan como trabajo pendiente
+const CLOSED_STATUSES = ['completed', 'canceled'];
+
+// Número máximo de tareas vencidas que se listan
+const OVERDUE_LIST_LIMIT = 10;
+
+/**
+ * Expresión SQL que obtiene el inicio del periodo (YYYY-MM-DD) de una columna de fecha.
+ * Las semanas empiezan en lunes. Cada dialecto tiene sus propias funciones de fechas.
+ * @param {String} column - Columna de fecha
+ * @param {String} interval - 'day' | 'week' | 'month'
+ * @returns {Object} - Literal de Sequelize
+ */
+const periodExpression = (column, interval) => {
+    const quoted = sequelize.getQueryInterface().quoteIdentifier(column);
+
+    switch (sequelize.getDialect()) {
+        case 'postgres':
+            return literal(`to_char(date_trunc('${interval}', ${quoted}), 'YYYY-MM-DD')`);
+        case 'mysql':
+            if (interval === 'week') return literal(`DATE_FORMAT(DATE_SUB(${quoted}, INTERVAL WEEKDAY(${quoted}) DAY), '%Y-%m-%d')`);
+            return literal(`DATE_FORMAT(${quoted}, '${interval === 'month' ? '%Y-%m-01' : '%Y-%m-%d'}')`);
+        default:
+            if (interval === 'week') return literal(`date(${quoted}, 'weekday 0', '-6 days')`);
+            return literal(`strftime('${interval === 'month' ? '%Y-%m-01' : '%Y-%m-%d'}', ${quoted})`);
+    }
+};
+
+/**
+ * Calcula los inicios de los últimos periodos (en UTC), del más antiguo al actual
+ * @param {String} interval - 'day' | 'week' | 'month'
+ * @param {Number} periods - Número de periodos
+ * @param {Date} now - Fecha de referencia
+ * @returns {Array<String>} - Fechas YYYY-MM-DD
+ */
+const periodKeys = (interval, periods, now) => {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    if (interval === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    if (interval === 'month') start.setUTCDate(1);
+
+    const keys = [];
+    for (let i = periods - 1; i >= 0; i--) {
+        const period = new Date(start);
+        if (interval === 'day') period.setUTCDate(period.getUTCDate() - i);
+        if (interval === 'week') period.setUTCDate(period.getUTCDate() - i * 7);
+        if (interval === 'month') period.setUTCMonth(period.getUTCMonth() - i);
+        keys.push(period.toISOString().slice(0, 10));
+    }
+    return keys;
+};
+
+/**
+ * Porcentaje de tareas completadas sobre las no canceladas (con un decimal)
+ * @param {Object} byStatus - Conteo por estado
+ * @returns {Number} - Porcentaje entre 0 y 100
+ */
+const completionRate = (byStatus) => {
+    const relevant = TASK_STATUSES.reduce((sum, status) => sum + byStatus[status], 0) - byStatus.canceled;
+    return relevant === 0 ? 0 : Math.round((byStatus.completed / relevant) * 1000) / 10;
+};
+
+/**
+ * Objeto con un contador a 0 para cada valor
+ * @param {Array<String>} values - Claves
+ * @returns {Object} - { valor: 0 }
+ */
+const zeroCounts = (values) => Object.fromEntries(values.map(value => [value, 0]));
+
+/**
+ * Condición de las tareas vencidas: con fecha límite pasada y sin completar ni cancelar
+ * @param {Object} where - Condición base (tareas consideradas)
+ * @param {Date} now - Fecha de referencia
+ * @returns {Object} - Condición de Sequelize
+ */
+const overdueWhere = (where, now) => ({
+    [Op.and]: [where, { dueDate: { [Op.lt]: now }, status: { [Op.notIn]: CLOSED_STATUSES } }]
+});
+
+/**
+ * Calcula las estadísticas de un conjunto de tareas con consultas agregadas (sin cargar las tareas):
+ * totales por estado y prioridad, tasa de finalización, tareas vencidas, carga por usuario
+ * asignado y evolución de tareas creadas y completadas por periodo
+ * @param {Object} where - Condición de las tareas (ej. { projectId })
+ * @param {Object} options - { interval, periods, now }
+ * @returns {Object} - Estadísticas
+ */
+const buildTaskStatistics = async (where, { interval = 'week', periods = 12, now = new Date() } = {}) => {
+    const count = [fn('COUNT', col('id')), 'count'];
+
+    // Conteo por estado y prioridad en una sola consulta
+    const statusRows = await Task.findAll({
+        where,
+        attributes: ['status', 'priority', count],
+        group: ['status', 'priority'],
+        raw: true
+    });
+    const byStatus = zeroCounts(TASK_STATUSES);
+    const byPriority = zeroCounts(TASK_PRIORITIES);
+    let total = 0;
+    for (const row of statusRows) {
+        const value = Number(row.count);
+        byStatus[row.status] += value;
+        byPriority[row.priority] += value;
+        total += value;
+    }
+
+    // Tareas vencidas (las más atrasadas primero)
+    const overdueCount = await Task.count({ where: overdueWhere(where, now) });
+    const overdueTasks = await Task.findAll({
+        where: overdueWhere(where, now),
+        attributes: ['id', 'title', 'status', 'priority', 'dueDate', 'projectId', 'assignedTo'],
+        order: [['dueDate', 'ASC'], ['id', 'ASC']],
+        limit: OVERDUE_LIST_LIMIT
+    });
+
+    // Carga de trabajo por usuario asignado (null = sin asignar)
+    const workloadRows = await Task.findAll({
+        where,
+        attributes: ['assignedTo', 'status', count],
+        group: ['assignedTo', 'status'],
+        raw: true
+    });
+    const overdueRows = await Task.findAll({
+        where: overdueWhere(where, now),
+        attributes: ['assignedTo', count],
+        group: ['assignedTo'],
+        raw: true
+    });
+
+    const workloadByUser = new Map();
+    for (const row of workloadRows) {
+        if (!workloadByUser.has(row.assignedTo)) {
+            workloadByUser.set(row.assignedTo, { total: 0, open: 0, overdue: 0, byStatus: zeroCounts(TASK_STATUSES) });
+        }
+        const entry = workloadByUser.get(row.assignedTo);
+        const value = Number(row.count);
+        entry.byStatus[row.status] += value;
+        entry.total += value;
+        if (!CLOSED_STATUSES.includes(row.status)) entry.open += value;
+    }
+    for (const row of overdueRows) {
+        workloadByUser.get(row.assignedTo).overdue = Number(row.count);
+    }
+
+    const assigneeIds = [...workloadByUser.keys()].filter(id => id !== null);
+    const assignees = assigneeIds.length > 0
+        ? await User.findAll({ where: { id: { [Op.in]: assigneeIds } }, attributes: ['id', 'name', 'email'] })
+        : [];
+    const assigneesById = new Map(assignees.map(user => [user.id, user]));
+
+    const workload = [...workloadByUser.entries()]
+        .map(([assignedTo, entry]) => ({ assignee: assignedTo === null ? null : assigneesById.get(assignedTo) || null, ...entry }))
+        .sort((a, b) => b.open - a.open || b.total - a.total);
+
+    // Evolución: tareas creadas y completadas en cada uno de los últimos periodos
+    const keys = periodKeys(interval, periods, now);
+    const since = new Date(`${keys[0]}T00:00:00.000Z`);
+    const throughputRows = async (column) => {
+        const period = periodExpression(column, interval);
+        const rows = await Task.findAll({
+            where: { [Op.and]: [where, { [column]: { [Op.gte]: since } }] },
+            attributes: [[period, 'period'], count],
+            group: [period],
+            raw: true
+        });
+        return new Map(rows.map(row => [row.period, Number(row.count)]));
+    };
+    const created = await throughputRows('createdAt');
+    const completed = await throughputRows('completedAt');
+
+    return {
+        total,
+        completionRate: completionRate(byStatus),
+        byStatus,
+        byPriority,
+        overdue: {
+            count: overdueCount,
+            tasks: overdueTasks
+        },
+        workload,
+        throughput: {
+            interval,
+            periods: keys.map(key => ({
+                period: key,
+                created: created.get(key) || 0,
+                completed: completed.get(key) || 0
+            }))
+        }
+    };
+};
+
+/**
+ * Resumen por proyecto de un conjunto de proyectos (para el panel general)
+ * @param {Array<Number>} projectIds - IDs de los proyectos
+ * @param {Date} now - Fecha de referencia para las tareas vencidas
+ * @returns {Array<Object>} - { project, total, open, overdue, completionRate } por proyecto
+ */
+const buildProjectBreakdown = async (projectIds, now = new Date()) => {
+    if (projectIds.length === 0) return [];
+
+    const where = { projectId: { [Op.in]: projectIds } };
+    const count = [fn('COUNT', col('id')), 'count'];
+
+    const projects = await Project.findAll({
+        where: { id: { [Op.in]: projectIds } },
+        attributes: ['id', 'name', 'status', 'endDate'],
+        order: [['id', 'ASC']]
+    });
+    const statusRows = await Task.findAll({
+        where,
+        attributes: ['projectId', 'status', count],
+        group: ['projectId', 'status'],
+        raw: true
+    });
+    const overdueRows = await Task.findAll({
+        where: overdueWhere(where, now),
+        attributes: ['projectId', count],
+        group: ['projectId'],
+        raw: true
+    });
+
+    const byProject = new Map(projects.map(project => [project.id, zeroCounts(TASK_STATUSES)]));
+    for (const row of statusRows) {
+        byProject.get(row.projectId)[row.status] += Number(row.count);
+    }
+    const overdueByProject = new Map(overdueRows.map(row => [row.projectId, Number(row.count)]));
+
+    return projects.map(project => {
+        const byStatus = byProject.get(project.id);
+        const total = TASK_STATUSES.reduce((sum, status) => sum + byStatus[status], 0);
+        return {
+            project,
+            total,
+            open: total - byStatus.completed - byStatus.canceled,
+            overdue: overdueByProject.get(project.id) || 0,
+            completionRate: completionRate(byStatus),
+            byStatus
+        };
+    });
+};
+
+module.exports = {
+    STATISTICS_INTERVALS,
+    periodKeys,
+    buildTaskStatistics,
+    buildProjectBreakdown
+};
\ No newline at end of file
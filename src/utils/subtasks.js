@@ -0,0 +1,91 @@
+const { Op } = require('sequelize');
+const { Task } = require('../models');
+
+// Estados en los que una subtarea ya no impide completar a su tarea padre
+const CLOSED_STATUSES = ['completed', 'canceled'];
+
+/**
+ * Comprueba que una tarea puede colgar de la tarea padre indicada: debe existir, ser del
+ * mismo proyecto y no ser la propia tarea ni una de sus subtareas (se crearía un ciclo)
+ * @param {Object|null} task - Tarea que se mueve (null si se está creando)
+ * @param {Number} parentId - ID de la tarea padre
+ * @param {Number} projectId - Proyecto de la tarea
+ * @param {Object} options - Opciones de la consulta (ej. transaction)
+ * @returns {Object|null} - { status, message } si no es válida o null si lo es
+ */
+const checkParent = async (task, parentId, projectId, options = {}) => {
+    if (task && parentId === task.id) {
+        return { status: 400, message: 'Una tarea no puede ser subtarea de sí misma' };
+    }
+
+    const parent = await Task.findByPk(parentId, { attributes: ['id', 'projectId', 'parentId'], ...options });
+    if (!parent) {
+        return { status: 404, message: 'Tarea padre no encontrada' };
+    }
+    if (parent.projectId !== projectId) {
+        return { status: 400, message: 'La tarea padre debe pertenecer al mismo proyecto' };
+    }
+
+    // Subir desde la nueva tarea padre: si se llega a la tarea, sería su propia subtarea
+    if (task) {
+        for (let ancestor = parent; ancestor.parentId;) {
+            if (ancestor.parentId === task.id) {
+                return { status: 400, message: 'Una tarea no puede colgar de una de sus subtareas' };
+            }
+            ancestor = await Task.findByPk(ancestor.parentId, { attributes: ['id', 'parentId'], ...options });
+            if (!ancestor) break;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Obtiene las subtareas directas de una tarea que aún no están completadas ni canceladas
+ * @param {Object} task - Instancia de la tarea
+ * @param {Object} options - Opciones de la consulta (ej. transaction)
+ * @returns {Array<Object>} - Subtareas abiertas (id, title, status)
+ */
+const findOpenSubtasks = (task, options = {}) => {
+    return task.getSubtasks({
+        where: { status: { [Op.notIn]: CLOSED_STATUSES } },
+        attributes: ['id', 'title', 'status'],
+        order: [['id', 'ASC']],
+        ...options
+    });
+};
+
+/**
+ * Carga las subtareas (a cualquier profundidad) de las tareas raíz indicadas y las anida
+ * en el campo "subtasks" de cada tarea
+ * @param {Array<Object>} roots - Tareas raíz (instancias)
+ * @param {Number} projectId - Proyecto de las tareas
+ * @param {Array} include - Relaciones que se cargan con cada subtarea (las mismas que las raíces)
+ * @returns {Array<Object>} - Las mismas tareas raíz con sus subtareas
+ */
+const attachSubtaskTree = async (roots, projectId, include = []) => {
+    const subtasks = await Task.findAll({
+        where: { projectId, parentId: { [Op.ne]: null } },
+        include,
+        order: [['id', 'ASC']]
+    });
+
+    // Se conservan las instancias para que los serializadores conozcan el modelo
+    const byId = new Map();
+    for (const task of [...roots, ...subtasks]) {
+        task.setDataValue('subtasks', []);
+        byId.set(task.id, task);
+    }
+    for (const subtask of subtasks) {
+        const parent = byId.get(subtask.parentId);
+        if (parent) parent.getDataValue('subtasks').push(subtask);
+    }
+
+    return roots;
+};
+
+module.exports = {
+    checkParent,
+    findOpenSubtasks,
+    attachSubtaskTree
+};
\ No newline at end of file
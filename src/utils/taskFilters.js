@@ -0,0 +1,78 @@
+const { Op } = require('sequelize');
+
+// Estados que ya no cuentan como trabajo pendiente (una tarea en ellos nunca está vencida)
+const CLOSED_STATUSES = ['completed', 'canceled'];
+
+// Campos de fecha que admiten rangos con los parámetros <campo>From y <campo>To
+const DATE_FILTER_FIELDS = ['dueDate', 'createdAt', 'updatedAt'];
+
+/**
+ * Construye las condiciones de los filtros del listado de tareas (los valores ya llegan validados)
+ * @param {Object} query - req.query validada
+ * @param {Object} user - Usuario autenticado (para assignedTo=me)
+ * @param {Date} now - Fecha de referencia para las tareas vencidas
+ * @returns {Array<Object>} - Condiciones de Sequelize que deben cumplirse todas
+ */
+const buildTaskFilters = (query, user, now = new Date()) => {
+    const conditions = [];
+
+    // Listas de valores separados por comas: la tarea debe tener alguno de ellos
+    if (query.status) {
+        conditions.push({ status: { [Op.in]: query.status } });
+    }
+    if (query.priority) {
+        conditions.push({ priority: { [Op.in]: query.priority } });
+    }
+
+    // Asignación: usuarios concretos ("me" es el usuario autenticado) y/o tareas sin asignar
+    const assignment = [];
+    if (query.assignedTo && query.assignedTo.length > 0) {
+        const assignees = query.assignedTo.map(value => (value === 'me' ? user.id : Number(value)));
+        assignment.push({ assignedTo: { [Op.in]: assignees } });
+    }
+    if (query.unassigned === true) {
+        assignment.push({ assignedTo: null });
+    }
+    if (assignment.length > 0) {
+        conditions.push({ [Op.or]: assignment });
+    }
+    if (query.unassigned === false) {
+        conditions.push({ assignedTo: { [Op.ne]: null } });
+    }
+
+    // Rangos de fechas (ambos extremos incluidos; un extremo superior sin hora incluye todo el día)
+    for (const field of DATE_FILTER_FIELDS) {
+        if (query[`${field}From`]) {
+            conditions.push({ [field]: { [Op.gte]: query[`${field}From`] } });
+        }
+        if (query[`${field}To`]) {
+            conditions.push({ [field]: { [Op.lte]: query[`${field}To`] } });
+        }
+    }
+
+    // Vencidas: fecha límite pasada sin completar ni cancelar
+    if (query.overdue === true) {
+        conditions.push({ dueDate: { [Op.lt]: now }, status: { [Op.notIn]: CLOSED_STATUSES } });
+    }
+    if (query.overdue === false) {
+        conditions.push({
+            [Op.or]: [
+                { dueDate: null },
+                { dueDate: { [Op.gte]: now } },
+                { status: { [Op.in]: CLOSED_STATUSES } }
+            ]
+        });
+    }
+
+    // Texto contenido en el título
+    if (query.title) {
+        conditions.push({ title: { [Op.like]: `%${query.title}%` } });
+    }
+
+    return conditions;
+};
+
+module.exports = {
+    DATE_FILTER_FIELDS,
+    buildTaskFilters
+};
\ No newline at end of file
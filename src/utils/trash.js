@@ -0,0 +1,274 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Project, Task, Webhook } = require('../models');
+const { getPermittedProjectIds } = require('./permissions');
+
+// Tipos de elementos de la papelera
+const TRASH_TYPES = ['project', 'task'];
+
+/**
+ * Configuración de la papelera a partir de las variables de entorno:
+ *  - TRASH_RETENTION_DAYS: días que se conservan los elementos eliminados antes de borrarlos definitivamente (por defecto 30)
+ *  - TRASH_PURGE_INTERVAL: cada cuánto se borran los elementos caducados en milisegundos (por defecto 3600000)
+ * @returns {Object} - { retentionDays, purgeInterval }
+ */
+const trashSettings = () => ({
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+    purgeInterval: parseInt(process.env.TRASH_PURGE_INTERVAL, 10) || 3600000
+});
+
+/**
+ * Comprueba si dos elementos se eliminaron en la misma operación (comparten la fecha de eliminación)
+ * @param {Date} a - Fecha de eliminación
+ * @param {Date} b - Fecha de eliminación
+ * @returns {Boolean}
+ */
+const sameDeletion = (a, b) => Boolean(a && b) && a.getTime() === b.getTime();
+
+/**
+ * Fecha en la que un elemento eliminado se borrará definitivamente
+ * @param {Date} deletedAt - Fecha de eliminación
+ * @returns {Date}
+ */
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + trashSettings().retentionDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Lista los elementos de la papelera que el usuario puede restaurar: los proyectos eliminados
+ * (permiso project:delete) y las tareas eliminadas por sí mismas (permiso task:delete). Las tareas
+ * eliminadas junto con su proyecto o su tarea padre no aparecen: se restauran con ellos.
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @param {Object} filters - { type, projectId }
+ * @returns {Array<Object>} - Elementos ordenados del más reciente al más antiguo
+ */
+const listTrash = async (user, { type, projectId } = {}) => {
+    const items = [];
+
+    /**
+     * Condición de proyectos permitidos, combinada con el filtro por proyecto
+     * @param {Array<Number>|null} permitted - Proyectos permitidos (null si todos)
+     * @returns {Object} - Condición sobre el ID del proyecto
+     */
+    const projectCondition = (permitted) => {
+        const ids = projectId ? [projectId] : null;
+        if (!permitted) return ids ? { [Op.in]: ids } : { [Op.ne]: null };
+        return { [Op.in]: ids ? permitted.filter(id => ids.includes(id)) : permitted };
+    };
+
+    if (!type || type === 'project') {
+        const permitted = await getPermittedProjectIds(user, 'project:delete');
+        const projects = await Project.findAll({
+            where: { id: projectCondition(permitted), deletedAt: { [Op.ne]: null } },
+            paranoid: false
+        });
+
+        for (const project of projects) {
+            items.push({
+                type: 'project',
+                id: project.id,
+                title: project.name,
+                projectId: project.id,
+                projectName: project.name,
+                parentId: null,
+                deletedAt: project.deletedAt,
+                deletedBy: project.deletedBy,
+                purgeAt: purgeDate(project.deletedAt)
+            });
+        }
+    }
+
+    if (!type || type === 'task') {
+        const permitted = await getPermittedProjectIds(user, 'task:delete');
+        const tasks = await Task.findAll({
+            where: { projectId: projectCondition(permitted), deletedAt: { [Op.ne]: null } },
+            include: [{ model: Project, as: 'project', attributes: ['id', 'name', 'deletedAt'], paranoid: false }],
+            paranoid: false
+        });
+
+        const parentIds = [...new Set(tasks.map(task => task.parentId).filter(Boolean))];
+        const parents = new Map((await Task.findAll({ where: { id: parentIds }, attributes: ['id', 'deletedAt'], paranoid: false }))
+            .map(parent => [parent.id, parent]));
+
+        for (const task of tasks) {
+            const parent = parents.get(task.parentId);
+            if (sameDeletion(task.project.deletedAt, task.deletedAt) || (parent && sameDeletion(parent.deletedAt, task.deletedAt))) {
+                continue;
+            }
+
+            items.push({
+                type: 'task',
+                id: task.id,
+                title: task.title,
+                projectId: task.projectId,
+                projectName: task.project.name,
+                parentId: task.parentId,
+                deletedAt: task.deletedAt,
+                deletedBy: task.deletedBy,
+                purgeAt: purgeDate(task.deletedAt)
+            });
+        }
+    }
+
+    return items.sort((a, b) => b.deletedAt - a.deletedAt || (a.type === b.type ? b.id - a.id : (a.type === 'project' ? -1 : 1)));
+};
+
+/**
+ * Restaura tareas empezando por las tareas padre, para que el avance de cada tarea padre
+ * se recalcule cuando ya está restaurada
+ * @param {Array<Object>} tasks - Tareas eliminadas
+ * @param {Object} transaction - Transacción en curso
+ * @returns {Array<Object>} - Tareas restauradas en el orden en que se restauraron
+ */
+const restoreInOrder = async (tasks, transaction) => {
+    const pending = new Map(tasks.map(task => [task.id, task]));
+    const restored = [];
+
+    while (pending.size > 0) {
+        const ready = [...pending.values()].filter(task => !pending.has(task.parentId));
+        for (const task of ready) {
+            await task.restore({ transaction });
+            pending.delete(task.id);
+            restored.push(task);
+        }
+    }
+    return restored;
+};
+
+/**
+ * Restaura un proyecto y las tareas que se eliminaron con él
+ * @param {Object} project - Proyecto eliminado
+ * @param {Object} transaction - Transacción en curso
+ * @returns {Array<Object>} - Tareas restauradas
+ */
+const restoreProjectWithTasks = async (project, transaction) => {
+    const { deletedAt } = project;
+    await project.restore({ transaction });
+
+    const tasks = await Task.findAll({ where: { projectId: project.id, deletedAt }, paranoid: false, transaction });
+    return restoreInOrder(tasks, transaction);
+};
+
+/**
+ * Restaura una tarea y las subtareas (de cualquier nivel) que se eliminaron con ella
+ * @param {Object} task - Tarea eliminada
+ * @param {Object} transaction - Transacción en curso
+ * @returns {Array<Object>} - Tareas restauradas, empezando por la propia tarea
+ */
+const restoreTaskWithSubtasks = async (task, transaction) => {
+    const tasks = [task];
+    let parentIds = [task.id];
+
+    while (parentIds.length > 0) {
+        const subtasks = await Task.findAll({
+            where: { parentId: parentIds, deletedAt: task.deletedAt },
+            paranoid: false,
+            transaction
+        });
+        tasks.push(...subtasks);
+        parentIds = subtasks.map(subtask => subtask.id);
+    }
+
+    return restoreInOrder(tasks, transaction);
+};
+
+/**
+ * Borra definitivamente los proyectos eliminados que cumplen una condición. La base de datos borra
+ * en cascada sus tareas, miembros, comentarios y dependencias; los webhooks del proyecto no tienen
+ * clave foránea (ver migración 010) y se borran aquí.
+ * @param {Object} where - Condición adicional sobre los proyectos
+ * @param {Object} transaction - Transacción en curso
+ * @returns {Number} - Proyectos borrados
+ */
+const destroyDeletedProjects = async (where, transaction) => {
+    const projects = await Project.findAll({
+        where: { ...where, deletedAt: { [Op.ne]: null, ...where.deletedAt } },
+        attributes: ['id'],
+        paranoid: false,
+        transaction
+    });
+    const ids = projects.map(project => project.id);
+    if (ids.length === 0) return 0;
+
+    await Webhook.destroy({ where: { projectId: ids }, transaction });
+    return Project.destroy({ where: { id: ids }, force: true, transaction });
+};
+
+/**
+ * Borra definitivamente proyectos eliminados junto con sus tareas y webhooks
+ * @param {Array<Number>} ids - IDs de los proyectos
+ * @returns {Number} - Proyectos borrados
+ */
+const purgeProjects = (ids) => sequelize.transaction((transaction) => destroyDeletedProjects({ id: ids }, transaction));
+
+/**
+ * Borra definitivamente tareas eliminadas (y en cascada sus subtareas, comentarios y dependencias)
+ * @param {Array<Number>} ids - IDs de las tareas
+ * @returns {Number} - Tareas borradas
+ */
+const purgeTasks = (ids) => Task.destroy({ where: { id: ids, deletedAt: { [Op.ne]: null } }, force: true });
+
+/**
+ * Vacía la papelera: borra definitivamente los elementos eliminados antes de una fecha (o todos).
+ * Las tareas de los proyectos borrados no se cuentan: se borran en cascada.
+ * @param {Object} options - { before }
+ * @returns {Object} - { projects, tasks } elementos borrados
+ */
+const purgeTrash = ({ before } = {}) => {
+    const where = before ? { deletedAt: { [Op.lte]: before } } : {};
+
+    return sequelize.transaction(async (transaction) => {
+        const projects = await destroyDeletedProjects(where, transaction);
+        const tasks = await Task.destroy({
+            where: { deletedAt: { [Op.ne]: null, ...where.deletedAt } },
+            force: true,
+            transaction
+        });
+        return { projects, tasks };
+    });
+};
+
+/**
+ * Borra definitivamente los elementos cuyo plazo de conservación en la papelera ha terminado
+ * @param {Date} now - Fecha de referencia
+ * @returns {Object} - { projects, tasks } elementos borrados
+ */
+const purgeExpiredTrash = (now = new Date()) => {
+    const before = new Date(now.getTime() - trashSettings().retentionDays * 24 * 60 * 60 * 1000);
+    return purgeTrash({ before });
+};
+
+/**
+ * Inicia el borrado periódico de los elementos caducados de la papelera
+ * @returns {Function} - Función que detiene el proceso
+ */
+const startTrashPurger = () => {
+    let running = false;
+    const run = async () => {
+        // Un borrado largo no se solapa con el siguiente
+        if (running) return;
+        running = true;
+        try {
+            await purgeExpiredTrash();
+        } catch (error) {
+            console.error('Error al vaciar la papelera:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(run, trashSettings().purgeInterval);
+    timer.unref();
+    run();
+    return () => clearInterval(timer);
+};
+
+module.exports = {
+    TRASH_TYPES,
+    listTrash,
+    restoreProjectWithTasks,
+    restoreTaskWithSubtasks,
+    purgeProjects,
+    purgeTasks,
+    purgeTrash,
+    purgeExpiredTrash,
+    startTrashPurger
+};
\ No newline at end of file
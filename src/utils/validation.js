@@ -0,0 +1,272 @@
+/**
+ * Motor de validación declarativa.
+ *
+ * Un esquema es un objeto { campo: regla } donde cada regla admite:
+ *  - type: 'string' | 'integer' | 'number' | 'boolean' | 'date' | 'email' | 'enum' | 'object' | 'array'
+ *  - required: el campo debe estar presente
+ *  - nullable: se admite null explícito
+ *  - values: valores permitidos (type 'enum')
+ *  - minLength / maxLength: longitud de cadenas
+ *  - min / max: límites numéricos
+ *  - pattern / patternMessage: expresión regular que debe cumplir una cadena
+ *  - gte / gt: nombre de otro campo de fecha que debe ser anterior (ej. endDate >= startDate)
+ *  - endOfDay: una fecha sin hora (AAAA-MM-DD) se interpreta como el final del día (extremos superiores de rangos)
+ *  - list: el valor es una lista separada por comas y la regla se aplica a cada elemento
+ *  - schema: esquema anidado de un campo 'object' (los errores se indican como "campo.subcampo")
+ *  - items / minItems / maxItems: regla de cada elemento y tamaño de un campo 'array' ("campo[0]")
+ */
+
+// Expresión regular para correos electrónicos
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Fecha sin hora (ISO 8601), que se interpreta como el inicio del día en UTC
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Milisegundos de un día
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Crea un error de campo
+ * @param {String} field - Campo afectado
+ * @param {String} code - Código legible por máquina
+ * @param {String} message - Mensaje descriptivo
+ * @returns {Object} - Error de campo
+ */
+const fieldError = (field, code, message) => ({ field, code, message });
+
+/**
+ * Convierte y comprueba el tipo de un valor según la regla
+ * @param {*} value - Valor recibido
+ * @param {Object} rule - Regla del campo
+ * @returns {Object} - { value } con el valor convertido o { error: { code, message } }
+ */
+const coerce = (value, rule) => {
+    switch (rule.type) {
+        case 'string':
+        case 'email': {
+            if (typeof value !== 'string') {
+                return { error: { code: 'invalid_type', message: 'Debe ser una cadena de texto' } };
+            }
+            if (rule.type === 'email' && !EMAIL_REGEX.test(value)) {
+                return { error: { code: 'invalid_format', message: 'Debe ser un correo electrónico válido' } };
+            }
+            return { value };
+        }
+        case 'integer':
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || Number.isNaN(number) || (rule.type === 'integer' && !Number.isInteger(number))) {
+                return { error: { code: 'invalid_type', message: rule.type === 'integer' ? 'Debe ser un número entero' : 'Debe ser un número' } };
+            }
+            return { value: number };
+        }
+        case 'boolean': {
+            if (value === true || value === 'true') return { value: true };
+            if (value === false || value === 'false') return { value: false };
+            return { error: { code: 'invalid_type', message: 'Debe ser un valor booleano (true o false)' } };
+        }
+        case 'date': {
+            const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+            if (!date || Number.isNaN(date.getTime())) {
+                return { error: { code: 'invalid_date', message: 'Debe ser una fecha válida (ISO 8601)' } };
+            }
+            // Extremo superior de un rango: el día indicado se incluye completo
+            if (rule.endOfDay && DATE_ONLY_REGEX.test(value)) {
+                return { value: new Date(date.getTime() + DAY_MS - 1) };
+            }
+            return { value: date };
+        }
+        case 'enum': {
+            if (!rule.values.includes(value)) {
+                return { error: { code: 'invalid_enum', message: `Valor no permitido. Valores permitidos: ${rule.values.join(', ')}` } };
+            }
+            return { value };
+        }
+        case 'object': {
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                return { error: { code: 'invalid_type', message: 'Debe ser un objeto' } };
+            }
+            return { value };
+        }
+        case 'array': {
+            if (!Array.isArray(value)) {
+                return { error: { code: 'invalid_type', message: 'Debe ser una lista' } };
+            }
+            return { value };
+        }
+        default:
+            return { value };
+    }
+};
+
+/**
+ * Valida un único valor (ya sabiendo que no es null ni undefined)
+ * @param {String} field - Nombre del campo
+ * @param {*} raw - Valor recibido
+ * @param {Object} rule - Regla del campo
+ * @param {Array} errors - Acumulador de errores
+ * @returns {*} - Valor convertido (undefined si hubo error)
+ */
+const validateValue = (field, raw, rule, errors) => {
+    const { value, error } = coerce(raw, rule);
+    if (error) {
+        errors.push(fieldError(field, error.code, error.message));
+        return undefined;
+    }
+
+    if (typeof value === 'string') {
+        if (rule.minLength !== undefined && value.length < rule.minLength) {
+            errors.push(fieldError(field, 'too_short', `Debe tener al menos ${rule.minLength} caracteres`));
+            return undefined;
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            errors.push(fieldError(field, 'too_long', `Debe tener como máximo ${rule.maxLength} caracteres`));
+            return undefined;
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            errors.push(fieldError(field, 'invalid_format', rule.patternMessage || 'Formato inválido'));
+            return undefined;
+        }
+    }
+
+    if (rule.type === 'object' && rule.schema) {
+        const nested = validateSchema(value, rule.schema, { allowUnknown: rule.allowUnknown });
+        for (const error of nested.errors) {
+            errors.push(fieldError(error.field ? `${field}.${error.field}` : field, error.code, error.message));
+        }
+        return nested.errors.length === 0 ? nested.value : undefined;
+    }
+
+    if (rule.type === 'array') {
+        if (rule.minItems !== undefined && value.length < rule.minItems) {
+            errors.push(fieldError(field, 'too_short', `Debe tener al menos ${rule.minItems} elementos`));
+            return undefined;
+        }
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            errors.push(fieldError(field, 'too_long', `Debe tener como máximo ${rule.maxItems} elementos`));
+            return undefined;
+        }
+        if (!rule.items) return value;
+
+        const converted = value.map((item, index) => {
+            if (item === null || item === undefined) {
+                errors.push(fieldError(`${field}[${index}]`, 'not_nullable', 'El elemento no puede ser nulo'));
+                return undefined;
+            }
+            return validateValue(`${field}[${index}]`, item, rule.items, errors);
+        });
+        return converted.includes(undefined) ? undefined : converted;
+    }
+
+    if (typeof value === 'number') {
+        if (rule.min !== undefined && value < rule.min) {
+            errors.push(fieldError(field, 'too_small', `Debe ser mayor o igual a ${rule.min}`));
+            return undefined;
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            errors.push(fieldError(field, 'too_large', `Debe ser menor o igual a ${rule.max}`));
+            return undefined;
+        }
+    }
+
+    return value;
+};
+
+/**
+ * Valida un objeto contra un esquema declarativo
+ * @param {Object} input - Datos recibidos (req.body o req.query)
+ * @param {Object} schema - Esquema { campo: regla }
+ * @param {Object} options - { allowUnknown } para no rechazar campos desconocidos
+ * @returns {Object} - { value, errors } con los datos convertidos y la lista de errores
+ */
+const validateSchema = (input, schema, options = {}) => {
+    const data = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const errors = [];
+    const value = {};
+
+    if (input !== undefined && input !== null && data !== input) {
+        errors.push(fieldError('', 'invalid_type', 'El cuerpo de la petición debe ser un objeto'));
+        return { value, errors };
+    }
+
+    // Rechazar campos que no estén definidos en el esquema
+    if (!options.allowUnknown) {
+        for (const field of Object.keys(data)) {
+            if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+                errors.push(fieldError(field, 'unknown_field', 'Campo no permitido'));
+            }
+        }
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const raw = data[field];
+
+        if (raw === undefined || (raw === '' && rule.type !== 'string')) {
+            if (rule.required) {
+                errors.push(fieldError(field, 'required', 'El campo es requerido'));
+            }
+            continue;
+        }
+
+        if (raw === null) {
+            if (rule.nullable) {
+                value[field] = null;
+            } else {
+                errors.push(fieldError(field, 'not_nullable', 'El campo no puede ser nulo'));
+            }
+            continue;
+        }
+
+        if (rule.list) {
+            const items = String(raw).split(',').map(item => item.trim()).filter(Boolean);
+            const converted = items.map(item => validateValue(field, item, rule, errors));
+            if (!converted.includes(undefined)) value[field] = converted;
+            continue;
+        }
+
+        const converted = validateValue(field, raw, rule, errors);
+        if (converted !== undefined) value[field] = converted;
+    }
+
+    // Reglas entre campos: orden de fechas
+    for (const [field, rule] of Object.entries(schema)) {
+        const reference = rule.gte || rule.gt;
+        if (!reference || !(value[field] instanceof Date) || !(value[reference] instanceof Date)) continue;
+
+        const valid = rule.gt ? value[field] > value[reference] : value[field] >= value[reference];
+        if (!valid) {
+            errors.push(fieldError(field, 'date_order', `Debe ser ${rule.gt ? 'posterior' : 'igual o posterior'} a ${reference}`));
+        }
+    }
+
+    return { value, errors };
+};
+
+/**
+ * Convierte un error de validación de Sequelize en una lista de errores de campo
+ * @param {Error} error - Error de Sequelize (ValidationError o UniqueConstraintError)
+ * @returns {Array} - Errores de campo
+ */
+const formatSequelizeErrors = (error) => {
+    return (error.errors || []).map(e => fieldError(
+        e.path,
+        error.name === 'SequelizeUniqueConstraintError' ? 'not_unique' : (e.validatorKey || e.type || 'invalid'),
+        e.message
+    ));
+};
+
+/**
+ * Indica si un error es un error de validación de Sequelize
+ * @param {Error} error - Error capturado
+ * @returns {Boolean}
+ */
+const isSequelizeValidationError = (error) => {
+    return error.name === 'SequelizeValidationError' || error.name === 'SequelizeUniqueConstraintError';
+};
+
+module.exports = {
+    fieldError,
+    validateSchema,
+    formatSequelizeErrors,
+    isSequelizeValidationError
+};
\ No newline at end of file
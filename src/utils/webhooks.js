@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Webhook, WebhookDelivery } = require('../models');
+const { EVENT_TYPES } = require('./events');
+
+// Eventos a los que se puede suscribir un webhook
+const WEBHOOK_EVENTS = EVENT_TYPES;
+
+// Entregas que se procesan en cada pasada de la cola
+const BATCH_SIZE = 50;
+
+// Longitud máxima guardada del cuerpo de la respuesta y del mensaje de error
+const MAX_RESPONSE_LENGTH = 1000;
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Configuración de las entregas a partir de las variables de entorno:
+ *  - WEBHOOK_MAX_ATTEMPTS: intentos antes de dar una entrega por fallida (por defecto 5)
+ *  - WEBHOOK_RETRY_DELAY: espera antes del primer reintento en milisegundos; se duplica en cada reintento (por defecto 30000)
+ *  - WEBHOOK_TIMEOUT: tiempo máximo de espera de la respuesta en milisegundos (por defecto 10000)
+ *  - WEBHOOK_POLL_INTERVAL: cada cuánto se revisa la cola en milisegundos (por defecto 10000)
+ * @returns {Object} - { maxAttempts, retryDelay, timeout, pollInterval }
+ */
+const webhookSettings = () => ({
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+    retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY, 10) || 30000,
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 10000,
+    pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL, 10) || 10000
+});
+
+/**
+ * Genera una clave de firma aleatoria
+ * @returns {String} - Clave en hexadecimal
+ */
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Firma el cuerpo de una entrega. El receptor la verifica calculando el HMAC-SHA256 de
+ * "<X-Webhook-Timestamp>.<cuerpo>" con la clave del webhook.
+ * @param {String} secret - Clave del webhook
+ * @param {Number} timestamp - Segundos desde epoch (cabecera X-Webhook-Timestamp)
+ * @param {String} body - Cuerpo JSON enviado
+ * @returns {String} - Firma "sha256=<hex>" (cabecera X-Webhook-Signature)
+ */
+const signPayload = (secret, timestamp, body) => {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+};
+
+/**
+ * Espera antes del siguiente intento (espera exponencial)
+ * @param {Number} attempts - Intentos ya realizados
+ * @param {Number} retryDelay - Espera antes del primer reintento
+ * @returns {Number} - Milisegundos
+ */
+const retryDelayFor = (attempts, retryDelay) => retryDelay * 2 ** (attempts - 1);
+
+/**
+ * Comprueba si un webhook está suscrito a un evento
+ * @param {Object} webhook - Webhook
+ * @param {Object} event - Evento publicado
+ * @returns {Boolean} - true si debe recibirlo
+ */
+const matchesEvent = (webhook, event) => {
+    if (!webhook.active || !webhook.events.includes(event.type)) return false;
+    return webhook.projectId === null || webhook.projectId === event.projectId;
+};
+
+// Cadena de pasadas de la cola: nunca se procesan dos a la vez en el mismo proceso
+let processing = Promise.resolve();
+
+/**
+ * Encola el procesamiento de las entregas pendientes sin esperar a que termine
+ */
+const scheduleProcessing = () => {
+    processDeliveries().catch(error => console.error('Error al procesar la cola de webhooks:', error));
+};
+
+/**
+ * Crea una entrega pendiente para cada webhook suscrito al evento (suscriptor del bus de eventos).
+ * Los webhooks de un proyecto en la papelera se conservan (reciben project.restored si se restaura)
+ * y se eliminan al eliminarlo definitivamente.
+ * @param {Object} event - Evento publicado
+ * @returns {Array<Object>} - Entregas creadas
+ */
+const enqueueWebhookDeliveries = async (event) => {
+    const webhooks = await Webhook.findAll({
+        where: {
+            active: true,
+            [Op.or]: [{ projectId: null }, { projectId: event.projectId }]
+        }
+    });
+
+    const deliveries = [];
+    for (const webhook of webhooks.filter(candidate => matchesEvent(candidate, event))) {
+        deliveries.push(await WebhookDelivery.create({
+            webhookId: webhook.id,
+            event: event.type,
+            payload: event,
+            nextAttemptAt: new Date()
+        }));
+    }
+
+    if (deliveries.length > 0) scheduleProcessing();
+    return deliveries;
+};
+
+/**
+ * Realiza un intento de entrega y guarda su resultado. Las respuestas 2xx dan la entrega por
+ * realizada; cualquier otra respuesta o error de red programa un reintento hasta agotar los intentos.
+ * @param {Object} delivery - Entrega pendiente (con su webhook)
+ * @param {Object} settings - Configuración de webhookSettings
+ * @returns {Object} - Entrega actualizada
+ */
+const attemptDelivery = async (delivery, settings) => {
+    const { webhook } = delivery;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const result = { responseStatus: null, responseBody: null, error: null };
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'proyecto-api-webhooks/1.0',
+                'X-Webhook-Id': String(webhook.id),
+                'X-Webhook-Delivery': String(delivery.id),
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(settings.timeout)
+        });
+        result.responseStatus = response.status;
+        result.responseBody = (await response.text()).slice(0, MAX_RESPONSE_LENGTH);
+    } catch (error) {
+        result.error = (error.name === 'TimeoutError'
+            ? `Sin respuesta en ${settings.timeout} ms`
+            : (error.cause && error.cause.message) || error.message).slice(0, MAX_ERROR_LENGTH);
+    }
+
+    const now = new Date();
+    const attempts = delivery.attempts + 1;
+    const succeeded = result.responseStatus !== null && result.responseStatus >= 200 && result.responseStatus < 300;
+    const exhausted = attempts >= settings.maxAttempts;
+
+    return delivery.update({
+        ...result,
+        attempts,
+        lastAttemptAt: now,
+        status: succeeded ? 'success' : (exhausted ? 'failed' : 'pending'),
+        deliveredAt: succeeded ? now : null,
+        nextAttemptAt: succeeded || exhausted ? null : new Date(now.getTime() + retryDelayFor(attempts, settings.retryDelay))
+    });
+};
+
+/**
+ * Envía las entregas pendientes cuyo momento de (re)intento ya ha llegado
+ * @param {Date} now - Fecha de referencia
+ * @returns {Array<Object>} - Entregas procesadas en esta pasada
+ */
+const processDeliveries = (now = new Date()) => {
+    const run = processing.catch(() => null).then(async () => {
+        const settings = webhookSettings();
+        const deliveries = await WebhookDelivery.findAll({
+            where: { status: 'pending', nextAttemptAt: { [Op.lte]: now } },
+            include: [{ model: Webhook, as: 'webhook' }],
+            order: [['nextAttemptAt', 'ASC'], ['id', 'ASC']],
+            limit: BATCH_SIZE
+        });
+
+        for (const delivery of deliveries) {
+            await attemptDelivery(delivery, settings);
+        }
+        return deliveries;
+    });
+    processing = run;
+    return run;
+};
+
+/**
+ * Vuelve a encolar un evento ya entregado (o fallido) como una entrega nueva
+ * @param {Object} delivery - Entrega original
+ * @returns {Object} - Nueva entrega pendiente
+ */
+const redeliver = async (delivery) => {
+    const copy = await WebhookDelivery.create({
+        webhookId: delivery.webhookId,
+        event: delivery.event,
+        payload: delivery.payload,
+        nextAttemptAt: new Date(),
+        redeliveryOf: delivery.id
+    });
+    scheduleProcessing();
+    return copy;
+};
+
+/**
+ * Inicia la revisión periódica de la cola de entregas (reintentos y entregas pendientes
+ * de un arranque anterior)
+ * @returns {Function} - Función que detiene el proceso
+ */
+const startWebhookWorker = () => {
+    const timer = setInterval(scheduleProcessing, webhookSettings().pollInterval);
+    timer.unref();
+    scheduleProcessing();
+    return () => clearInterval(timer);
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    generateSecret,
+    signPayload,
+    enqueueWebhookDeliveries,
+    processDeliveries,
+    redeliver,
+    startWebhookWorker
+};
\ No newline at end of file
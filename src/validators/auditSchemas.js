@@ -0,0 +1,29 @@
+const { formatQuery, paginationQuery } = require('./common');
+
+const ENTITY_TYPES = ['Project', 'Task', 'User'];
+
+const historyQuery = {
+    query: {
+        ...formatQuery,
+        ...paginationQuery
+    }
+};
+
+const listAuditLogs = {
+    query: {
+        ...formatQuery,
+        ...paginationQuery,
+        actorId: { type: 'integer', min: 1 },
+        entityType: { type: 'enum', values: ENTITY_TYPES },
+        entityId: { type: 'integer', min: 1 },
+        action: { type: 'enum', values: ['create', 'update', 'delete', 'restore'] },
+        from: { type: 'date' },
+        to: { type: 'date', gte: 'from', endOfDay: true }
+    }
+};
+
+module.exports = {
+    ENTITY_TYPES,
+    historyQuery,
+    listAuditLogs
+};
\ No newline at end of file
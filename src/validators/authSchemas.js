@@ -0,0 +1,48 @@
+const { formatQuery } = require('./common');
+
+// Contraseña segura: mínimo 8 caracteres, al menos 1 mayúscula, 1 minúscula y 1 número
+const PASSWORD_REGEX = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)[a-zA-Z\d]{8,}$/;
+
+const register = {
+    body: {
+        name: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+        email: { type: 'email', required: true },
+        password: {
+            type: 'string',
+            required: true,
+            pattern: PASSWORD_REGEX,
+            patternMessage: 'La contraseña debe tener al menos 8 caracteres, una mayúscula, una minúscula y un número'
+        }
+    },
+    query: formatQuery
+};
+
+const login = {
+    body: {
+        email: { type: 'string', required: true },
+        password: { type: 'string', required: true }
+    },
+    query: formatQuery
+};
+
+const refreshToken = {
+    body: {
+        refreshToken: { type: 'string', required: true, minLength: 1 }
+    },
+    query: formatQuery
+};
+
+const logout = {
+    body: {
+        refreshToken: { type: 'string', minLength: 1 }
+    },
+    query: formatQuery
+};
+
+module.exports = {
+    PASSWORD_REGEX,
+    register,
+    login,
+    refreshToken,
+    logout
+};
\ No newline at end of file
@@ -0,0 +1,24 @@
+const { formatQuery } = require('./common');
+
+const createChecklistItem = {
+    body: {
+        content: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+        done: { type: 'boolean' },
+        position: { type: 'integer', min: 0 }
+    },
+    query: formatQuery
+};
+
+const updateChecklistItem = {
+    body: {
+        content: { type: 'string', minLength: 1, maxLength: 255 },
+        done: { type: 'boolean' },
+        position: { type: 'integer', min: 0 }
+    },
+    query: formatQuery
+};
+
+module.exports = {
+    createChecklistItem,
+    updateChecklistItem
+};
\ No newline at end of file
@@ -0,0 +1,21 @@
+const { formatQuery } = require('./common');
+
+const createComment = {
+    body: {
+        content: { type: 'string', required: true, minLength: 1, maxLength: 5000 },
+        parentId: { type: 'integer', min: 1, nullable: true }
+    },
+    query: formatQuery
+};
+
+const updateComment = {
+    body: {
+        content: { type: 'string', required: true, minLength: 1, maxLength: 5000 }
+    },
+    query: formatQuery
+};
+
+module.exports = {
+    createComment,
+    updateComment
+};
\ No newline at end of file
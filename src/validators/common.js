@@ -0,0 +1,19 @@
+const { MAX_LIMIT } = require('../utils/pagination');
+
+// Parámetros de query admitidos en cualquier ruta
+const formatQuery = {
+    format: { type: 'enum', values: ['json', 'xml', 'csv', 'yaml'] }
+};
+
+// Parámetros de paginación y ordenación de los listados
+const paginationQuery = {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: MAX_LIMIT },
+    cursor: { type: 'string', minLength: 1 },
+    sort: { type: 'string', minLength: 1 }
+};
+
+module.exports = {
+    formatQuery,
+    paginationQuery
+};
\ No newline at end of file
@@ -0,0 +1,12 @@
+const { formatQuery } = require('./common');
+
+const addDependency = {
+    body: {
+        dependsOnId: { type: 'integer', required: true, min: 1 }
+    },
+    query: formatQuery
+};
+
+module.exports = {
+    addDependency
+};
\ No newline at end of file
@@ -0,0 +1,23 @@
+const { formatQuery } = require('./common');
+const { PROJECT_ROLES } = require('../utils/permissions');
+
+const addMember = {
+    body: {
+        userId: { type: 'integer', min: 1 },
+        email: { type: 'email' },
+        role: { type: 'enum', values: PROJECT_ROLES }
+    },
+    query: formatQuery
+};
+
+const updateMemberRole = {
+    body: {
+        role: { type: 'enum', values: PROJECT_ROLES, required: true }
+    },
+    query: formatQuery
+};
+
+module.exports = {
+    addMember,
+    updateMemberRole
+};
\ No newline at end of file
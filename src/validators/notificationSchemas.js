@@ -0,0 +1,31 @@
+const { formatQuery, paginationQuery } = require('./common');
+const { NOTIFICATION_TYPES } = require('../utils/notifications');
+
+const listNotifications = {
+    query: {
+        ...formatQuery,
+        ...paginationQuery,
+        // read=false devuelve solo las no leídas
+        read: { type: 'boolean' },
+        type: { type: 'enum', values: NOTIFICATION_TYPES, list: true }
+    }
+};
+
+const updateNotification = {
+    body: {
+        read: { type: 'boolean', required: true }
+    },
+    query: formatQuery
+};
+
+// Un campo booleano por tipo de notificación
+const updatePreferences = {
+    body: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, { type: 'boolean' }])),
+    query: formatQuery
+};
+
+module.exports = {
+    listNotifications,
+    updateNotification,
+    updatePreferences
+};
\ No newline at end of file
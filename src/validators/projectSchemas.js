@@ -0,0 +1,42 @@
+const { formatQuery, paginationQuery } = require('./common');
+
+const PROJECT_STATUSES = ['active', 'completed', 'canceled'];
+
+const listProjects = {
+    query: {
+        ...formatQuery,
+        ...paginationQuery,
+        status: { type: 'enum', values: PROJECT_STATUSES },
+        search: { type: 'string', maxLength: 100 }
+    }
+};
+
+const createProject = {
+    body: {
+        name: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+        description: { type: 'string', nullable: true },
+        status: { type: 'enum', values: PROJECT_STATUSES },
+        startDate: { type: 'date' },
+        endDate: { type: 'date', nullable: true, gte: 'startDate' }
+    },
+    query: formatQuery
+};
+
+// Reemplazo completo del proyecto (PUT y resultado de aplicar un PATCH): los campos opcionales omitidos quedan a null
+const replaceProject = {
+    body: {
+        name: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+        description: { type: 'string', nullable: true },
+        status: { type: 'enum', values: PROJECT_STATUSES, required: true },
+        startDate: { type: 'date', required: true },
+        endDate: { type: 'date', nullable: true, gte: 'startDate' }
+    },
+    query: formatQuery
+};
+
+module.exports = {
+    PROJECT_STATUSES,
+    listProjects,
+    createProject,
+    replaceProject
+};
\ No newline at end of file
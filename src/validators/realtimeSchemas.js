@@ -0,0 +1,12 @@
+const streamEvents = {
+    query: {
+        // Token JWT para los clientes que no pueden enviar la cabecera Authorization (EventSource)
+        token: { type: 'string', minLength: 1 },
+        // Último evento recibido (alternativa a la cabecera Last-Event-ID)
+        lastEventId: { type: 'integer', min: 0 }
+    }
+};
+
+module.exports = {
+    streamEvents
+};
\ No newline at end of file
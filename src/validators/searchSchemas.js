@@ -0,0 +1,31 @@
+const { formatQuery, paginationQuery } = require('./common');
+const { SEARCH_TYPES } = require('../utils/search');
+const { TASK_STATUSES } = require('./taskSchemas');
+const { PROJECT_STATUSES } = require('./projectSchemas');
+
+// Estados de proyectos y tareas por los que se puede filtrar
+const SEARCH_STATUSES = [...new Set([...PROJECT_STATUSES, ...TASK_STATUSES])];
+
+const search = {
+    query: {
+        ...formatQuery,
+        q: {
+            type: 'string',
+            required: true,
+            minLength: 2,
+            maxLength: 200,
+            pattern: /[\p{L}\p{N}]/u,
+            patternMessage: 'Debe contener al menos una letra o un número'
+        },
+        type: { type: 'enum', values: SEARCH_TYPES, list: true },
+        status: { type: 'enum', values: SEARCH_STATUSES, list: true },
+        projectId: { type: 'integer', min: 1 },
+        page: paginationQuery.page,
+        limit: paginationQuery.limit
+    }
+};
+
+module.exports = {
+    SEARCH_STATUSES,
+    search
+};
\ No newline at end of file
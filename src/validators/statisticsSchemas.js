@@ -0,0 +1,18 @@
+const { formatQuery } = require('./common');
+const { STATISTICS_INTERVALS } = require('../utils/statistics');
+
+// Número máximo de periodos de la evolución de tareas creadas y completadas
+const MAX_PERIODS = 52;
+
+const statisticsQuery = {
+    query: {
+        ...formatQuery,
+        interval: { type: 'enum', values: STATISTICS_INTERVALS },
+        periods: { type: 'integer', min: 1, max: MAX_PERIODS }
+    }
+};
+
+module.exports = {
+    MAX_PERIODS,
+    statisticsQuery
+};
\ No newline at end of file
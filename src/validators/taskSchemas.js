@@ -0,0 +1,140 @@
+const { formatQuery, paginationQuery } = require('./common');
+
+const TASK_STATUSES = ['pending', 'in_progress', 'completed', 'canceled'];
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+
+// Filtros combinables de los listados de tareas (status=pending,in_progress&overdue=true...)
+const taskFilters = {
+    status: { type: 'enum', values: TASK_STATUSES, list: true },
+    priority: { type: 'enum', values: TASK_PRIORITIES, list: true },
+    assignedTo: {
+        type: 'string',
+        list: true,
+        pattern: /^(me|[1-9]\d*)$/,
+        patternMessage: 'Debe ser un ID de usuario o "me" (el usuario autenticado)'
+    },
+    unassigned: { type: 'boolean' },
+    overdue: { type: 'boolean' },
+    title: { type: 'string', minLength: 1, maxLength: 100 },
+    dueDateFrom: { type: 'date' },
+    dueDateTo: { type: 'date', gte: 'dueDateFrom', endOfDay: true },
+    createdAtFrom: { type: 'date' },
+    createdAtTo: { type: 'date', gte: 'createdAtFrom', endOfDay: true },
+    updatedAtFrom: { type: 'date' },
+    updatedAtTo: { type: 'date', gte: 'updatedAtFrom', endOfDay: true }
+};
+
+const listTasks = {
+    query: {
+        ...formatQuery,
+        ...paginationQuery,
+        ...taskFilters,
+        tree: { type: 'boolean' }
+    }
+};
+
+// Listado de las tareas de todos los proyectos visibles para el usuario
+const listAllTasks = {
+    query: {
+        ...formatQuery,
+        ...paginationQuery,
+        ...taskFilters,
+        projectId: { type: 'integer', min: 1, list: true }
+    }
+};
+
+const createTask = {
+    body: {
+        title: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+        description: { type: 'string', nullable: true },
+        status: { type: 'enum', values: TASK_STATUSES },
+        priority: { type: 'enum', values: TASK_PRIORITIES },
+        dueDate: { type: 'date', nullable: true },
+        assignedTo: { type: 'integer', min: 1, nullable: true },
+        parentId: { type: 'integer', min: 1, nullable: true }
+    },
+    query: formatQuery
+};
+
+// Reemplazo completo de la tarea (PUT y resultado de aplicar un PATCH): los campos opcionales omitidos quedan a null
+const replaceTask = {
+    body: {
+        title: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+        description: { type: 'string', nullable: true },
+        status: { type: 'enum', values: TASK_STATUSES, required: true },
+        priority: { type: 'enum', values: TASK_PRIORITIES, required: true },
+        dueDate: { type: 'date', nullable: true },
+        assignedTo: { type: 'integer', min: 1, nullable: true },
+        parentId: { type: 'integer', min: 1, nullable: true }
+    },
+    query: formatQuery
+};
+
+// Cambios de una tarea en las operaciones masivas (solo los campos indicados)
+const updateTask = {
+    body: {
+        title: { type: 'string', minLength: 2, maxLength: 100 },
+        description: { type: 'string', nullable: true },
+        status: { type: 'enum', values: TASK_STATUSES },
+        priority: { type: 'enum', values: TASK_PRIORITIES },
+        dueDate: { type: 'date', nullable: true },
+        assignedTo: { type: 'integer', min: 1, nullable: true },
+        parentId: { type: 'integer', min: 1, nullable: true }
+    },
+    query: formatQuery
+};
+
+// Límite de operaciones por petición masiva
+const MAX_BULK_OPERATIONS = 100;
+
+const bulkTasks = {
+    body: {
+        mode: { type: 'enum', values: ['atomic', 'partial'] },
+        operations: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            maxItems: MAX_BULK_OPERATIONS,
+            items: { type: 'object' }
+        }
+    },
+    query: formatQuery
+};
+
+// Esquema de cada operación masiva según su acción (se validan una a una para informar por elemento)
+const bulkAction = (action) => ({ type: 'enum', values: [action], required: true });
+const bulkTaskId = { type: 'integer', required: true, min: 1 };
+
+const bulkOperations = {
+    create: {
+        action: bulkAction('create'),
+        data: { type: 'object', required: true, schema: createTask.body }
+    },
+    update: {
+        action: bulkAction('update'),
+        id: bulkTaskId,
+        data: { type: 'object', required: true, schema: updateTask.body }
+    },
+    assign: {
+        action: bulkAction('assign'),
+        id: bulkTaskId,
+        assignedTo: { type: 'integer', required: true, min: 1, nullable: true }
+    },
+    delete: {
+        action: bulkAction('delete'),
+        id: bulkTaskId
+    }
+};
+
+module.exports = {
+    TASK_STATUSES,
+    TASK_PRIORITIES,
+    listTasks,
+    listAllTasks,
+    createTask,
+    replaceTask,
+    updateTask,
+    MAX_BULK_OPERATIONS,
+    bulkTasks,
+    bulkOperations
+};
\ No newline at end of file
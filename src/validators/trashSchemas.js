@@ -0,0 +1,16 @@
+const { formatQuery, paginationQuery } = require('./common');
+const { TRASH_TYPES } = require('../utils/trash');
+
+const listTrash = {
+    query: {
+        ...formatQuery,
+        type: { type: 'enum', values: TRASH_TYPES },
+        projectId: { type: 'integer', min: 1 },
+        page: paginationQuery.page,
+        limit: paginationQuery.limit
+    }
+};
+
+module.exports = {
+    listTrash
+};
\ No newline at end of file
@@ -0,0 +1,48 @@
+const { formatQuery, paginationQuery } = require('./common');
+const { PASSWORD_REGEX } = require('./authSchemas');
+
+const USER_ROLES = ['admin', 'user'];
+
+const listUsers = {
+    query: {
+        ...formatQuery,
+        ...paginationQuery,
+        search: { type: 'string', maxLength: 100 },
+        role: { type: 'enum', values: USER_ROLES },
+        active: { type: 'boolean' }
+    }
+};
+
+const updateUserRole = {
+    body: {
+        role: { type: 'enum', values: USER_ROLES, required: true }
+    },
+    query: formatQuery
+};
+
+const updateUserStatus = {
+    body: {
+        active: { type: 'boolean', required: true }
+    },
+    query: formatQuery
+};
+
+const resetUserPassword = {
+    body: {
+        password: {
+            type: 'string',
+            required: true,
+            pattern: PASSWORD_REGEX,
+            patternMessage: 'La contraseña debe tener al menos 8 caracteres, una mayúscula, una minúscula y un número'
+        }
+    },
+    query: formatQuery
+};
+
+module.exports = {
+    USER_ROLES,
+    listUsers,
+    updateUserRole,
+    updateUserStatus,
+    resetUserPassword
+};
\ No newline at end of file
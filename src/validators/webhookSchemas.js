@@ -0,0 +1,59 @@
+const { formatQuery, paginationQuery } = require('./common');
+const { EVENT_TYPES } = require('../utils/events');
+
+const DELIVERY_STATUSES = ['pending', 'success', 'failed'];
+
+// URL de destino de las entregas
+const urlRule = {
+    type: 'string',
+    maxLength: 2048,
+    pattern: /^https?:\/\/[^\s/?#]+[^\s]*$/i,
+    patternMessage: 'Debe ser una URL http o https'
+};
+
+// Lista de eventos suscritos
+const eventsRule = {
+    type: 'array',
+    minItems: 1,
+    maxItems: EVENT_TYPES.length,
+    items: { type: 'enum', values: EVENT_TYPES }
+};
+
+const createWebhook = {
+    body: {
+        url: { ...urlRule, required: true },
+        events: { ...eventsRule, required: true },
+        description: { type: 'string', nullable: true, maxLength: 255 },
+        // Si no se indica, se genera una clave aleatoria
+        secret: { type: 'string', minLength: 16, maxLength: 255 },
+        active: { type: 'boolean' }
+    },
+    query: formatQuery
+};
+
+const updateWebhook = {
+    body: {
+        url: urlRule,
+        events: eventsRule,
+        description: { type: 'string', nullable: true, maxLength: 255 },
+        secret: { type: 'string', minLength: 16, maxLength: 255 },
+        active: { type: 'boolean' }
+    },
+    query: formatQuery
+};
+
+const listDeliveries = {
+    query: {
+        ...formatQuery,
+        ...paginationQuery,
+        status: { type: 'enum', values: DELIVERY_STATUSES },
+        event: { type: 'enum', values: EVENT_TYPES }
+    }
+};
+
+module.exports = {
+    DELIVERY_STATUSES,
+    createWebhook,
+    updateWebhook,
+    listDeliveries
+};
\ No newline at end of file
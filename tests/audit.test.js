@@ -0,0 +1,117 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const { AuditLog } = require('../src/models');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createAdmin, createProject, addMember, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('Historial de cambios', () => {
+    let owner;
+    let viewer;
+    let project;
+    let taskId;
+
+    beforeAll(async () => {
+        owner = await createUser();
+        viewer = await createUser();
+        project = await createProject(owner);
+        await addMember(project, viewer, 'viewer');
+
+        const created = await request(app)
+            .post(`/api/proyectos/${project.id}/tareas`)
+            .set('Authorization', authHeader(owner))
+            .send({ title: 'Tarea auditada' });
+        taskId = created.body.data.id;
+
+        await request(app)
+            .patch(`/api/tareas/${taskId}`)
+            .set('Authorization', authHeader(owner))
+            .send({ status: 'completed' });
+    });
+
+    it('registra el autor y el diff de cada cambio de la tarea', async () => {
+        const res = await request(app)
+            .get(`/api/tareas/${taskId}/historial`)
+            .set('Authorization', authHeader(viewer));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map(entry => entry.action)).toEqual(['update', 'create']);
+        expect(res.body.data[0]).toMatchObject({
+            actor: { id: owner.id },
+            changes: { status: { from: 'pending', to: 'completed' } }
+        });
+    });
+
+    it('incluye los cambios de las tareas en el historial del proyecto', async () => {
+        const res = await request(app)
+            .get(`/api/proyectos/${project.id}/historial`)
+            .set('Authorization', authHeader(viewer));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.filter(entry => entry.entityType === 'Task')).toHaveLength(2);
+    });
+
+    it('devuelve 403 a un usuario que no es miembro', async () => {
+        const outsider = await createUser();
+
+        const projectHistory = await request(app)
+            .get(`/api/proyectos/${project.id}/historial`)
+            .set('Authorization', authHeader(outsider));
+        expect(projectHistory.status).toBe(403);
+
+        const taskHistory = await request(app)
+            .get(`/api/tareas/${taskId}/historial`)
+            .set('Authorization', authHeader(outsider));
+        expect(taskHistory.status).toBe(403);
+    });
+
+    it('no registra el valor de la contraseña', async () => {
+        const user = await createUser();
+        const entry = await AuditLog.findOne({ where: { entityType: 'User', entityId: user.id } });
+
+        expect(entry.changes.password.to).toBe('[oculto]');
+    });
+
+    it('el registro de auditoría no se puede modificar', async () => {
+        const entry = await AuditLog.findOne();
+
+        await expect(entry.update({ action: 'delete' })).rejects.toThrow();
+        await expect(entry.destroy()).rejects.toThrow();
+    });
+});
+
+describe('GET /api/historial', () => {
+    it('un administrador puede filtrar el registro completo', async () => {
+        const admin = await createAdmin();
+        const owner = await createUser();
+        await createProject(owner);
+
+        const res = await request(app)
+            .get('/api/historial')
+            .query({ entityType: 'Project', action: 'create' })
+            .set('Authorization', authHeader(admin));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.length).toBeGreaterThan(0);
+        expect(res.body.data.every(entry => entry.entityType === 'Project' && entry.action === 'create')).toBe(true);
+    });
+
+    it('devuelve 403 a un usuario que no es administrador', async () => {
+        const res = await request(app)
+            .get('/api/historial')
+            .set('Authorization', authHeader(await createUser()));
+
+        expect(res.status).toBe(403);
+    });
+
+    it('devuelve 422 si el rango de fechas es inválido', async () => {
+        const res = await request(app)
+            .get('/api/historial')
+            .query({ from: '2024-02-01', to: '2024-01-01' })
+            .set('Authorization', authHeader(await createAdmin()));
+
+        expect(res.status).toBe(422);
+        expect(res.body.errors[0]).toMatchObject({ field: 'to', code: 'date_order' });
+    });
+});
\ No newline at end of file
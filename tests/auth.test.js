@@ -0,0 +1,245 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const { app } = require('../src/app');
+const { User, RefreshToken } = require('../src/models');
+const { hashToken } = require('../src/utils/jwt');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, authHeader, DEFAULT_PASSWORD } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('POST /api/registro', () => {
+    it('registra un usuario y no devuelve la contraseña', async () => {
+        const res = await request(app)
+            .post('/api/registro')
+            .send({ name: 'Ana Pérez', email: 'ana@test.com', password: DEFAULT_PASSWORD });
+
+        expect(res.status).toBe(201);
+        expect(res.body.success).toBe(true);
+        expect(res.body.data).toMatchObject({ name: 'Ana Pérez', email: 'ana@test.com', role: 'user' });
+        expect(res.body.data.password).toBeUndefined();
+    });
+
+    it('rechaza un correo ya registrado', async () => {
+        const user = await createUser();
+
+        const res = await request(app)
+            .post('/api/registro')
+            .send({ name: 'Otro', email: user.email, password: DEFAULT_PASSWORD });
+
+        expect(res.status).toBe(400);
+        expect(res.body.success).toBe(false);
+    });
+
+    it('devuelve 422 con los campos inválidos', async () => {
+        const res = await request(app)
+            .post('/api/registro')
+            .send({ name: 'A', email: 'no-es-correo', password: 'debil', extra: true });
+
+        expect(res.status).toBe(422);
+        const fields = res.body.errors.map(error => `${error.field}:${error.code}`);
+        expect(fields).toEqual(expect.arrayContaining([
+            'name:too_short',
+            'email:invalid_format',
+            'password:invalid_format',
+            'extra:unknown_field'
+        ]));
+    });
+});
+
+describe('POST /api/login', () => {
+    it('devuelve token de acceso y refresh token con credenciales válidas', async () => {
+        const user = await createUser();
+
+        const res = await request(app)
+            .post('/api/login')
+            .send({ email: user.email, password: DEFAULT_PASSWORD });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.token).toEqual(expect.any(String));
+        expect(res.body.data.refreshToken).toEqual(expect.any(String));
+        expect(res.body.data.user).toMatchObject({ id: user.id, email: user.email });
+    });
+
+    it('devuelve 401 con una contraseña incorrecta', async () => {
+        const user = await createUser();
+
+        const res = await request(app)
+            .post('/api/login')
+            .send({ email: user.email, password: 'Incorrecta123' });
+
+        expect(res.status).toBe(401);
+    });
+
+    it('comprueba la contraseña también cuando el correo no está registrado', async () => {
+        const user = await createUser();
+        const compare = jest.spyOn(bcrypt, 'compare');
+
+        try {
+            const unknown = await request(app)
+                .post('/api/login')
+                .send({ email: 'no-registrado@test.com', password: 'Incorrecta123' });
+            expect(unknown.status).toBe(401);
+            expect(compare).toHaveBeenCalledTimes(1);
+            expect(compare).toHaveBeenCalledWith('Incorrecta123', expect.stringMatching(/^\$2[aby]\$10\$/));
+
+            compare.mockClear();
+            const wrong = await request(app)
+                .post('/api/login')
+                .send({ email: user.email, password: 'Incorrecta123' });
+            expect(wrong.status).toBe(401);
+            expect(compare).toHaveBeenCalledTimes(1);
+            expect(wrong.body.message).toBe(unknown.body.message);
+        } finally {
+            compare.mockRestore();
+        }
+    });
+
+    it('devuelve 401 para un usuario inactivo', async () => {
+        const user = await createUser({ active: false });
+
+        const res = await request(app)
+            .post('/api/login')
+            .send({ email: user.email, password: DEFAULT_PASSWORD });
+
+        expect(res.status).toBe(401);
+    });
+
+    it('devuelve 422 si faltan credenciales', async () => {
+        const res = await request(app).post('/api/login').send({});
+
+        expect(res.status).toBe(422);
+        expect(res.body.errors.map(error => error.field)).toEqual(['email', 'password']);
+    });
+});
+
+describe('GET /api/perfil', () => {
+    it('devuelve el perfil del usuario autenticado', async () => {
+        const user = await createUser();
+
+        const res = await request(app).get('/api/perfil').set('Authorization', authHeader(user));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ id: user.id, email: user.email });
+        expect(res.body.data.password).toBeUndefined();
+    });
+
+    it('devuelve 401 sin cabecera Authorization', async () => {
+        const res = await request(app).get('/api/perfil');
+
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('No se proporcionó token de autenticación');
+    });
+
+    it('devuelve 401 con un esquema distinto de Bearer', async () => {
+        const res = await request(app).get('/api/perfil').set('Authorization', 'Basic abc');
+
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Formato de token inválido');
+    });
+
+    it('devuelve 401 con un token inválido', async () => {
+        const res = await request(app).get('/api/perfil').set('Authorization', 'Bearer token.invalido');
+
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Token inválido o expirado');
+    });
+
+    it('devuelve 401 si el usuario fue desactivado', async () => {
+        const user = await createUser();
+        const header = authHeader(user);
+        await user.update({ active: false });
+
+        const res = await request(app).get('/api/perfil').set('Authorization', header);
+
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('Refresh tokens y cierre de sesión', () => {
+    const login = async (user) => {
+        const res = await request(app)
+            .post('/api/login')
+            .send({ email: user.email, password: DEFAULT_PASSWORD });
+        return res.body.data;
+    };
+
+    it('rota el refresh token y detecta su reutilización', async () => {
+        const user = await createUser();
+        const session = await login(user);
+
+        const refreshed = await request(app)
+            .post('/api/token/refresh')
+            .send({ refreshToken: session.refreshToken });
+        expect(refreshed.status).toBe(200);
+        expect(refreshed.body.data.refreshToken).not.toBe(session.refreshToken);
+
+        // Reutilizar el token ya rotado revoca toda la familia
+        const reused = await request(app)
+            .post('/api/token/refresh')
+            .send({ refreshToken: session.refreshToken });
+        expect(reused.status).toBe(401);
+
+        const afterReuse = await request(app)
+            .post('/api/token/refresh')
+            .send({ refreshToken: refreshed.body.data.refreshToken });
+        expect(afterReuse.status).toBe(401);
+    });
+
+    it('solo una de dos renovaciones simultáneas con el mismo refresh token lo rota', async () => {
+        const user = await createUser();
+        const session = await login(user);
+
+        const refresh = () => request(app).post('/api/token/refresh').send({ refreshToken: session.refreshToken });
+        const results = await Promise.all([refresh(), refresh()]);
+        expect(results.map(res => res.status).sort()).toEqual([200, 401]);
+
+        // La segunda se trata como reutilización: también se revoca el token que obtuvo la primera
+        const winner = results.find(res => res.status === 200);
+
+        // El token rotado apunta al que obtuvo la primera; el que llegó a emitir la segunda se descarta
+        const original = await RefreshToken.findOne({ where: { tokenHash: hashToken(session.refreshToken) } });
+        const replacement = await RefreshToken.findOne({ where: { tokenHash: hashToken(winner.body.data.refreshToken) } });
+        expect(original.replacedBy).toBe(replacement.id);
+        expect(await RefreshToken.count({ where: { family: original.family } })).toBe(2);
+
+        const next = await request(app).post('/api/token/refresh').send({ refreshToken: winner.body.data.refreshToken });
+        expect(next.status).toBe(401);
+    });
+
+    it('revoca el token de acceso al cerrar sesión', async () => {
+        const user = await createUser();
+        const session = await login(user);
+
+        const logout = await request(app)
+            .post('/api/logout')
+            .set('Authorization', `Bearer ${session.token}`)
+            .send({ refreshToken: session.refreshToken });
+        expect(logout.status).toBe(200);
+
+        const profile = await request(app).get('/api/perfil').set('Authorization', `Bearer ${session.token}`);
+        expect(profile.status).toBe(401);
+
+        const refresh = await request(app).post('/api/token/refresh').send({ refreshToken: session.refreshToken });
+        expect(refresh.status).toBe(401);
+    });
+
+    it('cierra todas las sesiones del usuario', async () => {
+        const user = await createUser();
+        const first = await login(user);
+        const second = await login(user);
+
+        const res = await request(app)
+            .post('/api/logout/todas')
+            .set('Authorization', `Bearer ${first.token}`);
+        expect(res.status).toBe(200);
+
+        for (const session of [first, second]) {
+            const profile = await request(app).get('/api/perfil').set('Authorization', `Bearer ${session.token}`);
+            expect(profile.status).toBe(401);
+        }
+
+        const reloaded = await User.findByPk(user.id);
+        expect(reloaded.tokenVersion).toBe(1);
+    });
+});
\ No newline at end of file
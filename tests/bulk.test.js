@@ -0,0 +1,177 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const { Task, AuditLog } = require('../src/models');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createProject, addMember, createTask, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('POST /api/proyectos/:projectId/tareas/bulk', () => {
+    let owner;
+    let member;
+    let project;
+
+    beforeEach(async () => {
+        owner = await createUser();
+        member = await createUser();
+        project = await createProject(owner);
+        await addMember(project, member, 'contributor');
+    });
+
+    const bulk = (user, body, projectId = project.id) => request(app)
+        .post(`/api/proyectos/${projectId}/tareas/bulk`)
+        .set('Authorization', authHeader(user))
+        .send(body);
+
+    it('crea, actualiza, reasigna y elimina tareas en una sola petición', async () => {
+        const toUpdate = await createTask(project);
+        const toAssign = await createTask(project);
+        const toDelete = await createTask(project);
+
+        const res = await bulk(owner, {
+            operations: [
+                { action: 'create', data: { title: 'Nueva tarea', priority: 'high' } },
+                { action: 'update', id: toUpdate.id, data: { status: 'completed' } },
+                { action: 'assign', id: toAssign.id, assignedTo: member.id },
+                { action: 'delete', id: toDelete.id }
+            ]
+        });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ mode: 'atomic', total: 4, succeeded: 4, failed: 0 });
+        expect(res.body.data.results.map(result => [result.action, result.status, result.code])).toEqual([
+            ['create', 'success', 201],
+            ['update', 'success', 200],
+            ['assign', 'success', 200],
+            ['delete', 'success', 200]
+        ]);
+
+        expect(await Task.count({ where: { projectId: project.id, title: 'Nueva tarea' } })).toBe(1);
+        expect((await Task.findByPk(toUpdate.id)).status).toBe('completed');
+        expect((await Task.findByPk(toAssign.id)).assignedTo).toBe(member.id);
+        expect(await Task.findByPk(toDelete.id)).toBeNull();
+    });
+
+    it('en modo atómico no aplica nada si una operación falla', async () => {
+        const task = await createTask(project, { status: 'pending' });
+        const outsider = await createUser();
+
+        const res = await bulk(owner, {
+            mode: 'atomic',
+            operations: [
+                { action: 'update', id: task.id, data: { status: 'completed' } },
+                { action: 'create', data: { title: 'No debe existir' } },
+                { action: 'assign', id: task.id, assignedTo: outsider.id },
+                { action: 'delete', id: 999999 }
+            ]
+        });
+
+        expect(res.status).toBe(422);
+        expect(res.body.success).toBe(false);
+        expect(res.body.data).toMatchObject({ succeeded: 0, failed: 2 });
+        expect(res.body.data.results.map(result => [result.status, result.code])).toEqual([
+            ['rolled_back', 200],
+            ['rolled_back', 201],
+            ['error', 400],
+            ['error', 404]
+        ]);
+
+        expect((await Task.findByPk(task.id)).status).toBe('pending');
+        expect(await Task.count({ where: { title: 'No debe existir' } })).toBe(0);
+    });
+
+    it('en modo parcial aplica las operaciones válidas y devuelve 207', async () => {
+        const task = await createTask(project);
+
+        const res = await bulk(owner, {
+            mode: 'partial',
+            operations: [
+                { action: 'update', id: task.id, data: { status: 'in_progress' } },
+                { action: 'create', data: { priority: 'urgente' } },
+                { action: 'archive', id: task.id }
+            ]
+        });
+
+        expect(res.status).toBe(207);
+        expect(res.body.success).toBe(true);
+        expect(res.body.data).toMatchObject({ mode: 'partial', succeeded: 1, failed: 2 });
+
+        const [updated, invalid, unknown] = res.body.data.results;
+        expect(updated).toMatchObject({ index: 0, status: 'success', task: { status: 'in_progress' } });
+        expect(invalid.errors.map(error => `${error.field}:${error.code}`)).toEqual(['data.title:required', 'data.priority:invalid_enum']);
+        expect(unknown).toMatchObject({ index: 2, status: 'error', code: 422 });
+        expect(unknown.errors[0]).toMatchObject({ field: 'action', code: 'invalid_enum' });
+
+        expect((await Task.findByPk(task.id)).status).toBe('in_progress');
+    });
+
+    it('deshace solo la operación fallida en modo parcial', async () => {
+        const task = await createTask(project, { title: 'Original' });
+
+        const res = await bulk(owner, {
+            mode: 'partial',
+            operations: [
+                { action: 'update', id: task.id, data: { title: 'Cambiado', assignedTo: 999999 } },
+                { action: 'update', id: task.id, data: { priority: 'low' } }
+            ]
+        });
+
+        expect(res.status).toBe(207);
+        const reloaded = await Task.findByPk(task.id);
+        expect(reloaded.title).toBe('Original');
+        expect(reloaded.priority).toBe('low');
+    });
+
+    it('comprueba los permisos de cada acción con el rol del usuario', async () => {
+        const task = await createTask(project);
+
+        const res = await bulk(member, {
+            mode: 'partial',
+            operations: [
+                { action: 'update', id: task.id, data: { status: 'completed' } },
+                { action: 'delete', id: task.id }
+            ]
+        });
+
+        expect(res.status).toBe(207);
+        expect(res.body.data.results.map(result => result.code)).toEqual([200, 403]);
+        expect(await Task.findByPk(task.id)).not.toBeNull();
+    });
+
+    it('no permite operar sobre tareas de otro proyecto', async () => {
+        const other = await createTask(await createProject(owner));
+
+        const res = await bulk(owner, { operations: [{ action: 'delete', id: other.id }] });
+
+        expect(res.status).toBe(422);
+        expect(res.body.data.results[0]).toMatchObject({ status: 'error', code: 404 });
+        expect(await Task.findByPk(other.id)).not.toBeNull();
+    });
+
+    it('registra cada cambio en el historial con su autor', async () => {
+        const task = await createTask(project);
+
+        await bulk(owner, { operations: [{ action: 'update', id: task.id, data: { status: 'completed' } }] });
+
+        const entry = await AuditLog.findOne({ where: { entityType: 'Task', entityId: task.id, action: 'update' } });
+        expect(entry).toMatchObject({ actorId: owner.id, changes: { status: { from: 'pending', to: 'completed' } } });
+    });
+
+    it('devuelve 422 si la lista de operaciones está vacía o no es válida', async () => {
+        const empty = await bulk(owner, { operations: [] });
+        expect(empty.status).toBe(422);
+        expect(empty.body.errors[0]).toMatchObject({ field: 'operations', code: 'too_short' });
+
+        const invalid = await bulk(owner, { operations: ['crear'] });
+        expect(invalid.status).toBe(422);
+        expect(invalid.body.errors[0]).toMatchObject({ field: 'operations[0]', code: 'invalid_type' });
+    });
+
+    it('devuelve 403 a un usuario que no es miembro y 404 si el proyecto no existe', async () => {
+        const forbidden = await bulk(await createUser(), { operations: [{ action: 'create', data: { title: 'X' } }] });
+        expect(forbidden.status).toBe(403);
+
+        const missing = await bulk(owner, { operations: [{ action: 'create', data: { title: 'X' } }] }, 999999);
+        expect(missing.status).toBe(404);
+    });
+});
\ No newline at end of file
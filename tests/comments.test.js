@@ -0,0 +1,128 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const { Comment } = require('../src/models');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createAdmin, createProject, addMember, createTask, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('Comentarios de tareas', () => {
+    let owner;
+    let member;
+    let outsider;
+    let task;
+
+    beforeAll(async () => {
+        owner = await createUser();
+        member = await createUser();
+        outsider = await createUser();
+
+        const project = await createProject(owner);
+        await addMember(project, member, 'viewer');
+        task = await createTask(project);
+    });
+
+    const post = (user, body) => request(app)
+        .post(`/api/tareas/${task.id}/comentarios`)
+        .set('Authorization', authHeader(user))
+        .send(body);
+
+    it('crea un comentario y resuelve las menciones a miembros del proyecto', async () => {
+        const res = await post(owner, { content: `Revisa esto @${member.email} y @${outsider.email}` });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.author.id).toBe(owner.id);
+        // Solo se menciona a quien tiene acceso a la tarea
+        expect(res.body.data.mentions.map(user => user.id)).toEqual([member.id]);
+    });
+
+    it('organiza las respuestas en hilos', async () => {
+        const root = await post(owner, { content: 'Comentario raíz' });
+        await post(member, { content: 'Respuesta', parentId: root.body.data.id });
+
+        const res = await request(app)
+            .get(`/api/tareas/${task.id}/comentarios`)
+            .set('Authorization', authHeader(member));
+
+        expect(res.status).toBe(200);
+        const thread = res.body.data.find(comment => comment.id === root.body.data.id);
+        expect(thread.replies.map(reply => reply.content)).toEqual(['Respuesta']);
+    });
+
+    it('devuelve 404 al responder a un comentario de otra tarea', async () => {
+        const otherTask = await createTask(await createProject(owner));
+        const other = await Comment.create({ content: 'Otro', taskId: otherTask.id, userId: owner.id });
+
+        const res = await post(owner, { content: 'Respuesta', parentId: other.id });
+
+        expect(res.status).toBe(404);
+    });
+
+    it('devuelve 403 a un usuario sin acceso a la tarea', async () => {
+        const res = await post(outsider, { content: 'Hola' });
+
+        expect(res.status).toBe(403);
+    });
+
+    it('devuelve 404 si la tarea no existe', async () => {
+        const res = await request(app)
+            .get('/api/tareas/999999/comentarios')
+            .set('Authorization', authHeader(owner));
+
+        expect(res.status).toBe(404);
+    });
+
+    it('devuelve 422 con un comentario vacío', async () => {
+        const res = await post(owner, {});
+
+        expect(res.status).toBe(422);
+        expect(res.body.errors[0]).toMatchObject({ field: 'content', code: 'required' });
+    });
+
+    it('solo el autor puede editar su comentario', async () => {
+        const created = await post(member, { content: 'Original' });
+        const url = `/api/tareas/${task.id}/comentarios/${created.body.data.id}`;
+
+        const forbidden = await request(app)
+            .put(url)
+            .set('Authorization', authHeader(owner))
+            .send({ content: 'Editado por otro' });
+        expect(forbidden.status).toBe(403);
+
+        const res = await request(app)
+            .put(url)
+            .set('Authorization', authHeader(member))
+            .send({ content: `Editado @${owner.email}` });
+        expect(res.status).toBe(200);
+        expect(res.body.data.content).toBe(`Editado @${owner.email}`);
+        expect(res.body.data.mentions.map(user => user.id)).toEqual([owner.id]);
+    });
+
+    it('el autor o un administrador pueden eliminar el comentario', async () => {
+        const first = await post(member, { content: 'Para borrar' });
+        const second = await post(member, { content: 'Para borrar por admin' });
+
+        const forbidden = await request(app)
+            .delete(`/api/tareas/${task.id}/comentarios/${first.body.data.id}`)
+            .set('Authorization', authHeader(owner));
+        expect(forbidden.status).toBe(403);
+
+        const byAuthor = await request(app)
+            .delete(`/api/tareas/${task.id}/comentarios/${first.body.data.id}`)
+            .set('Authorization', authHeader(member));
+        expect(byAuthor.status).toBe(200);
+
+        const byAdmin = await request(app)
+            .delete(`/api/tareas/${task.id}/comentarios/${second.body.data.id}`)
+            .set('Authorization', authHeader(await createAdmin()));
+        expect(byAdmin.status).toBe(200);
+    });
+
+    it('devuelve 404 si el comentario no existe', async () => {
+        const res = await request(app)
+            .delete(`/api/tareas/${task.id}/comentarios/999999`)
+            .set('Authorization', authHeader(owner));
+
+        expect(res.status).toBe(404);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const { Task } = require('../src/models');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createProject, addMember, createTask, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('Concurrencia optimista', () => {
+    let owner;
+    let project;
+
+    beforeEach(async () => {
+        owner = await createUser();
+        project = await createProject(owner);
+    });
+
+    const get = (path, headers = {}) => request(app).get(`/api${path}`).set('Authorization', authHeader(owner)).set(headers);
+    const patch = (path, body, headers = {}) => request(app).patch(`/api${path}`).set('Authorization', authHeader(owner)).set(headers).send(body);
+    const remove = (path, headers = {}) => request(app).delete(`/api${path}`).set('Authorization', authHeader(owner)).set(headers);
+
+    it('rechaza con 412 la modificación de una tarea cambiada por otro usuario', async () => {
+        const task = await createTask(project);
+
+        const first = await get(`/tareas/${task.id}`);
+        expect(first.headers.etag).toMatch(/^"0-[0-9a-f]{16}"$/);
+        expect(first.body.data.version).toBe(0);
+
+        // Otro usuario modifica la tarea con la versión leída
+        const updated = await patch(`/tareas/${task.id}`, { priority: 'high' }, { 'If-Match': first.headers.etag });
+        expect(updated.status).toBe(200);
+        expect(updated.body.data.version).toBe(1);
+        expect(updated.headers.etag).toMatch(/^"1-/);
+
+        // El primero intenta guardar con la versión antigua
+        const stale = await patch(`/tareas/${task.id}`, { priority: 'low' }, { 'If-Match': first.headers.etag });
+        expect(stale.status).toBe(412);
+        expect((await Task.findByPk(task.id)).priority).toBe('high');
+
+        // Con la versión actual (también sin resumen del contenido) el cambio se aplica
+        expect((await patch(`/tareas/${task.id}`, { priority: 'low' }, { 'If-Match': '"1"' })).status).toBe(200);
+        expect((await patch(`/tareas/${task.id}`, { priority: 'medium' }, { 'If-Match': '*' })).status).toBe(200);
+
+        // Sin If-Match se aplica igualmente
+        expect((await patch(`/tareas/${task.id}`, { title: 'Sin condición' })).status).toBe(200);
+    });
+
+    it('comprueba If-Match al modificar y eliminar proyectos y al eliminar tareas', async () => {
+        const task = await createTask(project);
+        const current = await get(`/proyectos/${project.id}`);
+
+        await patch(`/proyectos/${project.id}`, { name: 'Renombrado' });
+        expect((await patch(`/proyectos/${project.id}`, { name: 'Otro' }, { 'If-Match': current.headers.etag })).status).toBe(412);
+        expect((await remove(`/proyectos/${project.id}`, { 'If-Match': current.headers.etag })).status).toBe(412);
+
+        expect((await remove(`/tareas/${task.id}`, { 'If-Match': '"7"' })).status).toBe(412);
+        expect((await remove(`/tareas/${task.id}`, { 'If-Match': '"0"' })).status).toBe(200);
+
+        const latest = await get(`/proyectos/${project.id}`);
+        expect((await remove(`/proyectos/${project.id}`, { 'If-Match': latest.headers.etag })).status).toBe(200);
+    });
+
+    it('responde 304 si la representación no ha cambiado', async () => {
+        const task = await createTask(project);
+        const first = await get(`/proyectos/${project.id}`);
+
+        const cached = await get(`/proyectos/${project.id}`, { 'If-None-Match': first.headers.etag });
+        expect(cached.status).toBe(304);
+        expect(cached.text).toBe('');
+
+        // Cambia el ETag del proyecto si cambian sus tareas aunque el proyecto no cambie
+        await patch(`/tareas/${task.id}`, { status: 'in_progress' });
+        const changed = await get(`/proyectos/${project.id}`, { 'If-None-Match': first.headers.etag });
+        expect(changed.status).toBe(200);
+        expect(changed.headers.etag).not.toBe(first.headers.etag);
+        expect(changed.headers.etag).toMatch(/^"0-/);
+
+        // Cada formato tiene su propio ETag
+        const xml = await get(`/tareas/${task.id}`, { Accept: 'application/xml' });
+        const json = await get(`/tareas/${task.id}`);
+        expect(xml.headers.etag).not.toBe(json.headers.etag);
+        expect((await get(`/tareas/${task.id}`, { 'If-None-Match': json.headers.etag })).status).toBe(304);
+    });
+
+    it('exige If-Match si está configurado', async () => {
+        const viewer = await createUser();
+        await addMember(project, viewer, 'viewer');
+        const task = await createTask(project);
+
+        process.env.REQUIRE_IF_MATCH = 'true';
+        try {
+            const missing = await patch(`/tareas/${task.id}`, { priority: 'high' });
+            expect(missing.status).toBe(428);
+            expect((await remove(`/proyectos/${project.id}`)).status).toBe(428);
+
+            // Los permisos se comprueban antes que la precondición
+            const forbidden = await request(app)
+                .patch(`/api/tareas/${task.id}`)
+                .set('Authorization', authHeader(viewer))
+                .send({ priority: 'high' });
+            expect(forbidden.status).toBe(403);
+
+            expect((await patch(`/tareas/${task.id}`, { priority: 'high' }, { 'If-Match': '"0"' })).status).toBe(200);
+        } finally {
+            delete process.env.REQUIRE_IF_MATCH;
+        }
+    });
+});
\ No newline at end of file
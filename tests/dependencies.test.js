@@ -0,0 +1,179 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const { Task, TaskDependency } = require('../src/models');
+const { purgeTrash } = require('../src/utils/trash');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createProject, addMember, createTask, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('Dependencias entre tareas', () => {
+    let owner;
+    let viewer;
+    let project;
+
+    beforeEach(async () => {
+        owner = await createUser();
+        viewer = await createUser();
+        project = await createProject(owner);
+        await addMember(project, viewer, 'viewer');
+    });
+
+    const link = (user, task, dependsOnId) => request(app)
+        .post(`/api/tareas/${task.id}/dependencias`)
+        .set('Authorization', authHeader(user))
+        .send({ dependsOnId });
+
+    const updateStatus = (task, status) => request(app)
+        .patch(`/api/tareas/${task.id}`)
+        .set('Authorization', authHeader(owner))
+        .send({ status });
+
+    it('enlaza dos tareas y lista bloqueantes y dependientes', async () => {
+        const design = await createTask(project, { title: 'Diseño' });
+        const build = await createTask(project, { title: 'Desarrollo' });
+
+        const res = await link(owner, build, design.id);
+        expect(res.status).toBe(201);
+        expect(res.body.data).toMatchObject({ taskId: build.id, dependsOnId: design.id });
+
+        const blocked = await request(app).get(`/api/tareas/${build.id}/dependencias`).set('Authorization', authHeader(viewer));
+        expect(blocked.status).toBe(200);
+        expect(blocked.body.data.blocked).toBe(true);
+        expect(blocked.body.data.blockers.map(task => task.title)).toEqual(['Diseño']);
+
+        const blocking = await request(app).get(`/api/tareas/${design.id}/dependencias`).set('Authorization', authHeader(owner));
+        expect(blocking.body.data).toMatchObject({ blocked: false, blockers: [] });
+        expect(blocking.body.data.dependents.map(task => task.id)).toEqual([build.id]);
+    });
+
+    it('rechaza dependencias de una tarea consigo misma, duplicadas o entre proyectos', async () => {
+        const task = await createTask(project);
+        const other = await createTask(project);
+        const foreign = await createTask(await createProject(owner));
+
+        expect((await link(owner, task, task.id)).status).toBe(400);
+        expect((await link(owner, task, foreign.id)).status).toBe(400);
+        expect((await link(owner, task, 999999)).status).toBe(404);
+
+        expect((await link(owner, task, other.id)).status).toBe(201);
+        expect((await link(owner, task, other.id)).status).toBe(409);
+    });
+
+    it('detecta los ciclos e indica el camino', async () => {
+        const a = await createTask(project);
+        const b = await createTask(project);
+        const c = await createTask(project);
+        await link(owner, b, a.id);
+        await link(owner, c, b.id);
+
+        const res = await link(owner, a, c.id);
+
+        expect(res.status).toBe(409);
+        expect(res.body.data.cycle).toEqual([a.id, c.id, b.id, a.id]);
+        expect(await TaskDependency.count({ where: { taskId: a.id } })).toBe(0);
+    });
+
+    it('requiere permiso para modificar tareas al enlazar y desenlazar', async () => {
+        const a = await createTask(project);
+        const b = await createTask(project);
+
+        expect((await link(viewer, b, a.id)).status).toBe(403);
+
+        await link(owner, b, a.id);
+        const forbidden = await request(app).delete(`/api/tareas/${b.id}/dependencias/${a.id}`).set('Authorization', authHeader(viewer));
+        expect(forbidden.status).toBe(403);
+
+        const res = await request(app).delete(`/api/tareas/${b.id}/dependencias/${a.id}`).set('Authorization', authHeader(owner));
+        expect(res.status).toBe(200);
+        expect(await TaskDependency.count({ where: { taskId: b.id } })).toBe(0);
+
+        const missing = await request(app).delete(`/api/tareas/${b.id}/dependencias/${a.id}`).set('Authorization', authHeader(owner));
+        expect(missing.status).toBe(404);
+    });
+
+    it('impide empezar o completar una tarea con bloqueantes abiertos', async () => {
+        const blocker = await createTask(project, { title: 'Bloqueante' });
+        const task = await createTask(project);
+        await link(owner, task, blocker.id);
+
+        const res = await updateStatus(task, 'in_progress');
+        expect(res.status).toBe(409);
+        expect(res.body.data.blockers.map(item => item.title)).toEqual(['Bloqueante']);
+        expect((await Task.findByPk(task.id)).status).toBe('pending');
+
+        // Cancelar sigue estando permitido
+        expect((await updateStatus(task, 'canceled')).status).toBe(200);
+
+        await updateStatus(blocker, 'completed');
+        expect((await updateStatus(task, 'completed')).status).toBe(200);
+    });
+
+    it('una bloqueante cancelada deja de bloquear', async () => {
+        const blocker = await createTask(project, { status: 'canceled' });
+        const task = await createTask(project);
+        await link(owner, task, blocker.id);
+
+        expect((await updateStatus(task, 'in_progress')).status).toBe(200);
+    });
+
+    it('aplica el bloqueo en las operaciones masivas', async () => {
+        const blocker = await createTask(project);
+        const task = await createTask(project);
+        await link(owner, task, blocker.id);
+
+        const res = await request(app)
+            .post(`/api/proyectos/${project.id}/tareas/bulk`)
+            .set('Authorization', authHeader(owner))
+            .send({
+                mode: 'partial',
+                operations: [
+                    { action: 'update', id: task.id, data: { status: 'completed' } },
+                    { action: 'update', id: blocker.id, data: { status: 'completed' } },
+                    { action: 'update', id: task.id, data: { status: 'completed' } }
+                ]
+            });
+
+        expect(res.status).toBe(207);
+        expect(res.body.data.results.map(result => result.code)).toEqual([409, 200, 200]);
+    });
+
+    it('ignora los bloqueantes en la papelera y borra las dependencias al vaciarla', async () => {
+        const blocker = await createTask(project);
+        const task = await createTask(project);
+        await link(owner, task, blocker.id);
+
+        await request(app).delete(`/api/tareas/${blocker.id}`).set('Authorization', authHeader(owner));
+
+        expect((await updateStatus(task, 'in_progress')).status).toBe(200);
+        expect(await TaskDependency.count({ where: { taskId: task.id } })).toBe(1);
+
+        await purgeTrash();
+        expect(await TaskDependency.count({ where: { taskId: task.id } })).toBe(0);
+    });
+
+    it('devuelve el grafo del proyecto con un orden topológico', async () => {
+        const deploy = await createTask(project, { title: 'Despliegue' });
+        const tests = await createTask(project, { title: 'Pruebas' });
+        const build = await createTask(project, { title: 'Desarrollo' });
+        const design = await createTask(project, { title: 'Diseño' });
+        await link(owner, deploy, tests.id);
+        await link(owner, deploy, build.id);
+        await link(owner, tests, build.id);
+        await link(owner, build, design.id);
+
+        const res = await request(app).get(`/api/proyectos/${project.id}/dependencias`).set('Authorization', authHeader(viewer));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.nodes).toHaveLength(4);
+        expect(res.body.data.edges).toHaveLength(4);
+        expect(res.body.data.edges).toContainEqual(expect.objectContaining({ taskId: build.id, dependsOnId: design.id }));
+        expect(res.body.data.order).toEqual([design.id, build.id, tests.id, deploy.id]);
+    });
+
+    it('no muestra el grafo a quien no es miembro del proyecto', async () => {
+        const res = await request(app).get(`/api/proyectos/${project.id}/dependencias`).set('Authorization', authHeader(await createUser()));
+
+        expect(res.status).toBe(403);
+    });
+});
\ No newline at end of file
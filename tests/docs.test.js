@@ -0,0 +1,92 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const routes = require('../src/routes');
+const openapiDocument = require('../src/docs/openapi');
+
+/**
+ * Obtiene el prefijo de un router montado a partir de la expresión regular de Express
+ * (ej. /^\/proyectos\/?(?=\/|$)/i -> '/proyectos')
+ * @param {Object} layer - Capa del router
+ * @returns {String} - Prefijo de montaje
+ */
+const mountPath = (layer) => {
+    if (layer.regexp.fast_slash) return '';
+    return layer.regexp.source
+        .replace('\\/?(?=\\/|$)', '')
+        .replace(/^\^/, '')
+        .replace(/\\\//g, '/');
+};
+
+/**
+ * Recorre un router de Express y devuelve todas sus rutas como "MÉTODO /ruta"
+ * (con los parámetros en la sintaxis de OpenAPI: /tareas/{id})
+ * @param {Object} router - Router de Express
+ * @param {String} prefix - Prefijo acumulado
+ * @returns {Array<String>} - Rutas declaradas
+ */
+const listRoutes = (router, prefix = '') => {
+    const found = [];
+    for (const layer of router.stack) {
+        if (layer.route) {
+            const path = `${prefix}${layer.route.path}`.replace(/:(\w+)/g, '{$1}').replace(/(.)\/$/, '$1') || '/';
+            if (path.includes('*')) continue; // Ruta comodín para 404
+            for (const method of Object.keys(layer.route.methods)) {
+                found.push(`${method.toUpperCase()} ${path}`);
+            }
+        } else if (layer.name === 'router') {
+            found.push(...listRoutes(layer.handle, `${prefix}${mountPath(layer)}`));
+        }
+    }
+    return found;
+};
+
+describe('Documentación OpenAPI', () => {
+    it('documenta todas las rutas declaradas en src/routes', () => {
+        const documented = new Set();
+        for (const [path, operations] of Object.entries(openapiDocument.paths)) {
+            for (const method of Object.keys(operations)) {
+                documented.add(`${method.toUpperCase()} ${path}`);
+            }
+        }
+
+        const declared = listRoutes(routes);
+        expect(declared.length).toBeGreaterThan(0);
+
+        const missing = declared.filter(route => !documented.has(route));
+        expect(missing).toEqual([]);
+    });
+
+    it('no documenta rutas que no existen', () => {
+        const declared = new Set(listRoutes(routes));
+
+        const stale = [];
+        for (const [path, operations] of Object.entries(openapiDocument.paths)) {
+            for (const method of Object.keys(operations)) {
+                if (!declared.has(`${method.toUpperCase()} ${path}`)) stale.push(`${method.toUpperCase()} ${path}`);
+            }
+        }
+        expect(stale).toEqual([]);
+    });
+
+    it('sirve el documento en /api/docs/openapi.json', async () => {
+        const res = await request(app).get('/api/docs/openapi.json');
+
+        expect(res.status).toBe(200);
+        expect(res.body.openapi).toMatch(/^3\./);
+        expect(res.body.components.securitySchemes.bearerAuth).toMatchObject({ type: 'http', scheme: 'bearer' });
+    });
+
+    it('genera los cuerpos de las peticiones a partir de los validadores', () => {
+        const schema = openapiDocument.paths['/registro'].post.requestBody.content['application/json'].schema;
+
+        expect(schema.required).toEqual(['name', 'email', 'password']);
+        expect(schema.properties.email).toEqual({ type: 'string', format: 'email' });
+    });
+
+    it('sirve la documentación interactiva', async () => {
+        const res = await request(app).get('/api/docs/');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/text\/html/);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,172 @@
+const request = require('supertest');
+const yaml = require('js-yaml');
+const { app } = require('../src/app');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createProject, addMember, createTask, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('Negociación del formato de respuesta', () => {
+    let owner;
+    let member;
+    let project;
+    let task;
+
+    beforeAll(async () => {
+        owner = await createUser({ name: 'Ana Pérez' });
+        member = await createUser({ name: 'Luis' });
+        project = await createProject(owner, { name: 'Informe, "anual"', description: '=HYPERLINK("x")' });
+        await addMember(project, member);
+        task = await createTask(project, { title: 'Preparar datos', assignedTo: member.id });
+        await createTask(project, { title: 'Sin asignar' });
+    });
+
+    const get = (path) => request(app).get(path).set('Authorization', authHeader(owner));
+
+    it('responde en JSON sin cabecera Accept', async () => {
+        const res = await get(`/api/tareas/${task.id}`);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/application\/json/);
+        expect(res.headers.vary).toMatch(/Accept/);
+    });
+
+    it('elige el formato según la cabecera Accept y sus pesos', async () => {
+        const xml = await get(`/api/tareas/${task.id}`).set('Accept', 'text/html, application/xml;q=0.9, */*;q=0.1');
+        expect(xml.headers['content-type']).toMatch(/application\/xml/);
+
+        const yamlRes = await get(`/api/tareas/${task.id}`).set('Accept', 'text/yaml');
+        expect(yamlRes.headers['content-type']).toMatch(/application\/yaml/);
+
+        const any = await get(`/api/tareas/${task.id}`).set('Accept', '*/*');
+        expect(any.headers['content-type']).toMatch(/application\/json/);
+    });
+
+    it('el parámetro format tiene prioridad sobre la cabecera Accept', async () => {
+        const res = await get(`/api/tareas/${task.id}?format=csv`).set('Accept', 'application/xml');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/text\/csv/);
+    });
+
+    it('devuelve 406 si no se acepta ningún formato soportado', async () => {
+        const res = await get(`/api/tareas/${task.id}`).set('Accept', 'image/png');
+
+        expect(res.status).toBe(406);
+        expect(res.headers['content-type']).toMatch(/application\/json/);
+        expect(res.body.message).toContain('text/csv');
+    });
+
+    it('devuelve 422 con un valor de format no soportado', async () => {
+        const res = await get(`/api/tareas/${task.id}?format=pdf`);
+
+        expect(res.status).toBe(422);
+        expect(res.body.errors[0]).toMatchObject({ field: 'format', code: 'invalid_enum' });
+    });
+
+    it('respeta el formato negociado en los errores de autenticación', async () => {
+        const res = await request(app).get('/api/perfil').set('Accept', 'application/yaml');
+
+        expect(res.status).toBe(401);
+        expect(yaml.load(res.text)).toMatchObject({ success: false, code: 401 });
+    });
+
+    describe('XML', () => {
+        it('emite elementos con el nombre de cada entidad', async () => {
+            const res = await get(`/api/proyectos/${project.id}?format=xml`);
+
+            expect(res.status).toBe(200);
+            expect(res.text).toContain('xsi:noNamespaceSchemaLocation="/api/docs/schema.xsd"');
+            expect(res.text).toMatch(/<data>\s*<project>/);
+            expect(res.text).toMatch(/<tasks>\s*<task>/);
+            expect(res.text).toMatch(/<members>\s*<projectMember>/);
+            expect(res.text).not.toContain('<item>');
+        });
+
+        it('marca los valores nulos con xsi:nil', async () => {
+            const res = await get(`/api/tareas/${task.id}?format=xml`);
+
+            expect(res.text).toMatch(/<data>\s*<task>/);
+            expect(res.text).toContain('<dueDate xsi:nil="true"/>');
+        });
+
+        it('emite las listas de errores de validación como elementos error', async () => {
+            const res = await request(app)
+                .post('/api/proyectos')
+                .set('Authorization', authHeader(owner))
+                .set('Accept', 'application/xml')
+                .send({});
+
+            expect(res.status).toBe(422);
+            expect(res.text).toMatch(/<errors>\s*<error>\s*<field>name<\/field>/);
+        });
+
+        it('publica el XSD de las respuestas', async () => {
+            const res = await request(app).get('/api/docs/schema.xsd');
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toMatch(/application\/xml/);
+            expect(res.text).toContain('<xs:element name="response">');
+        });
+    });
+
+    describe('CSV', () => {
+        const parseCsv = (text) => text.trim().split('\r\n');
+
+        it('aplana la lista de tareas con columnas para el usuario asignado', async () => {
+            const res = await get(`/api/proyectos/${project.id}/tareas?sort=title`).set('Accept', 'text/csv');
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toMatch(/text\/csv/);
+            expect(res.headers['x-total-count']).toBe('2');
+
+            const [header, first, second] = parseCsv(res.text);
+            const columns = header.split(',');
+            expect(columns).toEqual(expect.arrayContaining(['title', 'status', 'assignee.id', 'assignee.name', 'assignee.email']));
+
+            const titleIndex = columns.indexOf('title');
+            const assigneeIndex = columns.indexOf('assignee.name');
+            expect(first.split(',')[titleIndex]).toBe('Preparar datos');
+            expect(first.split(',')[assigneeIndex]).toBe('Luis');
+            expect(second.split(',')[titleIndex]).toBe('Sin asignar');
+        });
+
+        it('aplana la lista de proyectos con columnas para el creador y escapa las celdas', async () => {
+            const res = await get('/api/proyectos?format=csv');
+
+            const [header, row] = parseCsv(res.text);
+            expect(header.split(',')).toEqual(expect.arrayContaining(['name', 'creator.name', 'creator.email']));
+            expect(row).toContain('"Informe, ""anual"""');
+            expect(row).toContain('Ana Pérez');
+            // Las fórmulas se neutralizan para las hojas de cálculo
+            expect(row).toContain('"\'=HYPERLINK(""x"")"');
+        });
+
+        it('envía la paginación en las cabeceras Link', async () => {
+            const res = await get(`/api/proyectos/${project.id}/tareas?format=csv&limit=1`);
+
+            expect(parseCsv(res.text)).toHaveLength(2);
+            expect(res.headers.link).toContain('rel="next"');
+        });
+
+        it('exporta los errores de validación', async () => {
+            const res = await get(`/api/proyectos/${project.id}/tareas?format=csv&status=x`);
+
+            expect(res.status).toBe(400);
+            const [header, row] = parseCsv(res.text);
+            expect(header).toBe('field,code,message,location');
+            expect(row).toMatch(/^status,invalid_enum,/);
+        });
+    });
+
+    describe('YAML', () => {
+        it('serializa el sobre completo', async () => {
+            const res = await get(`/api/proyectos/${project.id}/tareas?format=yaml`);
+
+            expect(res.status).toBe(200);
+            const document = yaml.load(res.text);
+            expect(document).toMatchObject({ success: true, code: 200, pagination: { total: 2 } });
+            expect(document.data.map(item => item.title)).toEqual(expect.arrayContaining(['Preparar datos', 'Sin asignar']));
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,20 @@
+const { sequelize } = require('../../src/config/database');
+const { migrate } = require('../../src/database/migrator');
+
+/**
+ * Registra los hooks de Jest que preparan la base de datos en memoria:
+ * aplica las migraciones antes de los tests del fichero y cierra la conexión al terminar
+ */
+const setupDatabase = () => {
+    beforeAll(async () => {
+        await migrate();
+    });
+
+    afterAll(async () => {
+        await sequelize.close();
+    });
+};
+
+module.exports = {
+    setupDatabase
+};
\ No newline at end of file
@@ -0,0 +1,90 @@
+const { User, Project, Task, ProjectMember } = require('../../src/models');
+const { generateToken } = require('../../src/utils/jwt');
+
+// Contraseña válida según la política de contraseñas
+const DEFAULT_PASSWORD = 'Password123';
+
+// Contador para generar datos únicos (correos, nombres)
+let sequence = 0;
+const next = () => ++sequence;
+
+/**
+ * Crea un usuario
+ * @param {Object} overrides - Atributos a sobrescribir
+ * @returns {Object} - Usuario creado
+ */
+const createUser = (overrides = {}) => {
+    const n = next();
+    return User.create({
+        name: `Usuario ${n}`,
+        email: `usuario${n}@test.com`,
+        password: DEFAULT_PASSWORD,
+        ...overrides
+    });
+};
+
+/**
+ * Crea un usuario administrador
+ * @param {Object} overrides - Atributos a sobrescribir
+ * @returns {Object} - Usuario creado
+ */
+const createAdmin = (overrides = {}) => createUser({ role: 'admin', ...overrides });
+
+/**
+ * Crea un proyecto cuyo propietario es el usuario indicado
+ * @param {Object} owner - Usuario creador
+ * @param {Object} overrides - Atributos a sobrescribir
+ * @returns {Object} - Proyecto creado
+ */
+const createProject = async (owner, overrides = {}) => {
+    const project = await Project.create({
+        name: `Proyecto ${next()}`,
+        description: 'Proyecto de prueba',
+        createdBy: owner.id,
+        ...overrides
+    });
+    await ProjectMember.create({ projectId: project.id, userId: owner.id, role: 'owner' });
+    return project;
+};
+
+/**
+ * Añade un usuario a un proyecto con el rol indicado
+ * @param {Object} project - Proyecto
+ * @param {Object} user - Usuario
+ * @param {String} role - Rol en el proyecto
+ * @returns {Object} - Membresía creada
+ */
+const addMember = (project, user, role = 'contributor') => {
+    return ProjectMember.create({ projectId: project.id, userId: user.id, role });
+};
+
+/**
+ * Crea una tarea en un proyecto
+ * @param {Object} project - Proyecto
+ * @param {Object} overrides - Atributos a sobrescribir
+ * @returns {Object} - Tarea creada
+ */
+const createTask = (project, overrides = {}) => {
+    return Task.create({
+        title: `Tarea ${next()}`,
+        projectId: project.id,
+        ...overrides
+    });
+};
+
+/**
+ * Genera la cabecera Authorization para un usuario
+ * @param {Object} user - Usuario
+ * @returns {String} - Cabecera "Bearer <token>"
+ */
+const authHeader = (user) => `Bearer ${generateToken(user)}`;
+
+module.exports = {
+    DEFAULT_PASSWORD,
+    createUser,
+    createAdmin,
+    createProject,
+    addMember,
+    createTask,
+    authHeader
+};
\ No newline at end of file
@@ -0,0 +1,244 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const { ProjectMember } = require('../src/models');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createProject, addMember, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('GET /api/proyectos/:id/miembros', () => {
+    it('lista los miembros a cualquier miembro del proyecto', async () => {
+        const owner = await createUser();
+        const viewer = await createUser();
+        const project = await createProject(owner);
+        await addMember(project, viewer, 'viewer');
+
+        const res = await request(app)
+            .get(`/api/proyectos/${project.id}/miembros`)
+            .set('Authorization', authHeader(viewer));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map(member => member.role).sort()).toEqual(['owner', 'viewer']);
+    });
+
+    it('devuelve 403 a un usuario que no es miembro', async () => {
+        const project = await createProject(await createUser());
+
+        const res = await request(app)
+            .get(`/api/proyectos/${project.id}/miembros`)
+            .set('Authorization', authHeader(await createUser()));
+
+        expect(res.status).toBe(403);
+    });
+
+    it('devuelve 404 si el proyecto no existe', async () => {
+        const res = await request(app)
+            .get('/api/proyectos/999999/miembros')
+            .set('Authorization', authHeader(await createUser()));
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('POST /api/proyectos/:id/miembros', () => {
+    it('invita a un usuario por correo con el rol indicado', async () => {
+        const owner = await createUser();
+        const invited = await createUser();
+        const project = await createProject(owner);
+
+        const res = await request(app)
+            .post(`/api/proyectos/${project.id}/miembros`)
+            .set('Authorization', authHeader(owner))
+            .send({ email: invited.email, role: 'manager' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data).toMatchObject({ userId: invited.id, role: 'manager', user: { email: invited.email } });
+    });
+
+    it('devuelve 409 si el usuario ya es miembro', async () => {
+        const owner = await createUser();
+        const member = await createUser();
+        const project = await createProject(owner);
+        await addMember(project, member);
+
+        const res = await request(app)
+            .post(`/api/proyectos/${project.id}/miembros`)
+            .set('Authorization', authHeader(owner))
+            .send({ userId: member.id });
+
+        expect(res.status).toBe(409);
+    });
+
+    it('un manager no puede otorgar el rol de propietario', async () => {
+        const project = await createProject(await createUser());
+        const manager = await createUser();
+        await addMember(project, manager, 'manager');
+
+        const res = await request(app)
+            .post(`/api/proyectos/${project.id}/miembros`)
+            .set('Authorization', authHeader(manager))
+            .send({ userId: (await createUser()).id, role: 'owner' });
+
+        expect(res.status).toBe(403);
+    });
+
+    it('un colaborador no puede invitar miembros', async () => {
+        const project = await createProject(await createUser());
+        const contributor = await createUser();
+        await addMember(project, contributor, 'contributor');
+
+        const res = await request(app)
+            .post(`/api/proyectos/${project.id}/miembros`)
+            .set('Authorization', authHeader(contributor))
+            .send({ userId: (await createUser()).id });
+
+        expect(res.status).toBe(403);
+    });
+
+    it('devuelve 404 si el usuario no existe', async () => {
+        const owner = await createUser();
+        const project = await createProject(owner);
+
+        const res = await request(app)
+            .post(`/api/proyectos/${project.id}/miembros`)
+            .set('Authorization', authHeader(owner))
+            .send({ email: 'nadie@test.com' });
+
+        expect(res.status).toBe(404);
+    });
+
+    it('devuelve 422 si no se indica el usuario', async () => {
+        const owner = await createUser();
+        const project = await createProject(owner);
+
+        const res = await request(app)
+            .post(`/api/proyectos/${project.id}/miembros`)
+            .set('Authorization', authHeader(owner))
+            .send({ role: 'viewer' });
+
+        expect(res.status).toBe(422);
+        expect(res.body.errors[0]).toMatchObject({ field: 'userId', code: 'required' });
+    });
+});
+
+describe('PUT /api/proyectos/:id/miembros/:userId', () => {
+    it('cambia el rol de un miembro', async () => {
+        const owner = await createUser();
+        const member = await createUser();
+        const project = await createProject(owner);
+        await addMember(project, member, 'viewer');
+
+        const res = await request(app)
+            .put(`/api/proyectos/${project.id}/miembros/${member.id}`)
+            .set('Authorization', authHeader(owner))
+            .send({ role: 'contributor' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.role).toBe('contributor');
+    });
+
+    it('no permite dejar el proyecto sin propietario', async () => {
+        const owner = await createUser();
+        const project = await createProject(owner);
+
+        const res = await request(app)
+            .put(`/api/proyectos/${project.id}/miembros/${owner.id}`)
+            .set('Authorization', authHeader(owner))
+            .send({ role: 'manager' });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('devuelve 404 si el usuario no es miembro', async () => {
+        const owner = await createUser();
+        const project = await createProject(owner);
+
+        const res = await request(app)
+            .put(`/api/proyectos/${project.id}/miembros/999999`)
+            .set('Authorization', authHeader(owner))
+            .send({ role: 'viewer' });
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('DELETE /api/proyectos/:id/miembros/:userId', () => {
+    it('un miembro puede abandonar el proyecto', async () => {
+        const project = await createProject(await createUser());
+        const viewer = await createUser();
+        await addMember(project, viewer, 'viewer');
+
+        const res = await request(app)
+            .delete(`/api/proyectos/${project.id}/miembros/${viewer.id}`)
+            .set('Authorization', authHeader(viewer));
+
+        expect(res.status).toBe(200);
+        expect(await ProjectMember.findOne({ where: { projectId: project.id, userId: viewer.id } })).toBeNull();
+    });
+
+    it('un miembro sin permisos no puede eliminar a otros', async () => {
+        const project = await createProject(await createUser());
+        const viewer = await createUser();
+        const contributor = await createUser();
+        await addMember(project, viewer, 'viewer');
+        await addMember(project, contributor, 'contributor');
+
+        const res = await request(app)
+            .delete(`/api/proyectos/${project.id}/miembros/${viewer.id}`)
+            .set('Authorization', authHeader(contributor));
+
+        expect(res.status).toBe(403);
+    });
+
+    it('el último propietario no puede abandonar el proyecto', async () => {
+        const owner = await createUser();
+        const project = await createProject(owner);
+
+        const res = await request(app)
+            .delete(`/api/proyectos/${project.id}/miembros/${owner.id}`)
+            .set('Authorization', authHeader(owner));
+
+        expect(res.status).toBe(400);
+    });
+
+    it('un miembro eliminado pierde el acceso al proyecto', async () => {
+        const owner = await createUser();
+        const member = await createUser();
+        const project = await createProject(owner);
+        await addMember(project, member);
+
+        await request(app)
+            .delete(`/api/proyectos/${project.id}/miembros/${member.id}`)
+            .set('Authorization', authHeader(owner))
+            .expect(200);
+
+        const res = await request(app)
+            .get(`/api/proyectos/${project.id}`)
+            .set('Authorization', authHeader(member));
+
+        expect(res.status).toBe(403);
+    });
+
+    it('el creador eliminado por otro propietario pierde el acceso al proyecto', async () => {
+        const creator = await createUser();
+        const coOwner = await createUser();
+        const project = await createProject(creator);
+        await addMember(project, coOwner, 'owner');
+
+        await request(app)
+            .delete(`/api/proyectos/${project.id}/miembros/${creator.id}`)
+            .set('Authorization', authHeader(coOwner))
+            .expect(200);
+
+        const res = await request(app)
+            .put(`/api/proyectos/${project.id}`)
+            .set('Authorization', authHeader(creator))
+            .send({ name: 'Recuperado', status: 'active', startDate: '2024-01-01' });
+        expect(res.status).toBe(403);
+
+        const list = await request(app)
+            .get('/api/proyectos')
+            .set('Authorization', authHeader(creator));
+        expect(list.body.data.map(item => item.id)).not.toContain(project.id);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,156 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../src/config/database');
+const { migrate, rollback, status } = require('../src/database/migrator');
+const { Project, Task, TaskDependency, Comment } = require('../src/models');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createProject, addMember, createTask } = require('./helpers/factories');
+
+setupDatabase();
+
+/**
+ * Cuenta las filas de una tabla
+ * @param {String} table - Nombre de la tabla
+ * @param {String} where - Condición SQL opcional
+ * @returns {Number} - Número de filas
+ */
+const count = async (table, where = '1 = 1') => {
+    const [row] = await sequelize.query(`SELECT COUNT(*) AS total FROM ${table} WHERE ${where}`, { type: QueryTypes.SELECT });
+    return Number(row.total);
+};
+
+/**
+ * Obtiene los nombres de las tablas de la base de datos
+ * @returns {Array<String>} - Nombres de las tablas
+ */
+const tableNames = async () => {
+    const rows = await sequelize.query(`SELECT name FROM sqlite_master WHERE type = 'table'`, { type: QueryTypes.SELECT });
+    return rows.map(row => row.name);
+};
+
+/**
+ * Revierte una migración y todas las aplicadas después de ella
+ * @param {String} name - Nombre de la migración
+ * @returns {Array<String>} - Nombres de las migraciones revertidas
+ */
+const rollbackThrough = async (name) => {
+    const executed = (await status()).filter(migration => migration.executed).map(migration => migration.name);
+    return rollback(executed.length - executed.indexOf(name));
+};
+
+describe('Migraciones', () => {
+    it('revertir y volver a aplicar las migraciones conserva los datos de las tablas reconstruidas', async () => {
+        const owner = await createUser();
+        const member = await createUser();
+        const project = await createProject(owner);
+        await addMember(project, member);
+        const task = await createTask(project, { assignedTo: member.id });
+        await createTask(project, { parentId: task.id });
+
+        const before = {};
+        for (const table of ['users', 'projects', 'project_members', 'tasks']) {
+            before[table] = await count(table);
+        }
+
+        // Revierte hasta 003, que reconstruye la tabla de usuarios al quitar tokenVersion
+        const total = (await status()).length;
+        const reverted = await rollback(total - 2);
+        expect(reverted[reverted.length - 1]).toBe('003-create-token-revocation');
+
+        for (const table of Object.keys(before)) {
+            expect(await count(table)).toBe(before[table]);
+        }
+        expect((await tableNames()).filter(name => name.endsWith('_backup'))).toEqual([]);
+
+        const applied = await migrate();
+        expect(applied).toEqual(reverted.slice().reverse());
+        expect((await status()).every(migration => migration.executed)).toBe(true);
+
+        for (const table of Object.keys(before)) {
+            expect(await count(table)).toBe(before[table]);
+        }
+        const [{ foreign_keys: foreignKeys }] = await sequelize.query('PRAGMA foreign_keys', { type: QueryTypes.SELECT });
+        expect(foreignKeys).toBe(1);
+    });
+
+    it('quitar la columna version no borra en cascada los datos que dependen de proyectos y tareas', async () => {
+        const owner = await createUser();
+        const member = await createUser();
+        const project = await createProject(owner);
+        await addMember(project, member);
+        const task = await createTask(project);
+        await createTask(project, { parentId: task.id });
+        await Comment.create({ content: 'Comentario', taskId: task.id, userId: member.id });
+
+        const tables = ['projects', 'project_members', 'tasks', 'comments', 'audit_logs'];
+        const before = {};
+        for (const table of tables) {
+            before[table] = await count(table);
+        }
+
+        const reverted = await rollbackThrough('013-add-version');
+        expect(reverted[reverted.length - 1]).toBe('013-add-version');
+        for (const table of tables) {
+            expect(await count(table)).toBe(before[table]);
+        }
+
+        expect(await migrate()).toEqual(reverted.slice().reverse());
+        expect((await Task.findByPk(task.id)).version).toBe(0);
+        expect(await Comment.count({ where: { taskId: task.id } })).toBe(1);
+    });
+
+    it('al quitar la papelera borra definitivamente lo eliminado y conserva el resto', async () => {
+        const owner = await createUser();
+        const member = await createUser();
+        const removedProject = await createProject(owner);
+        await addMember(removedProject, member);
+        const removedProjectTask = await createTask(removedProject);
+        await Comment.create({ content: 'Comentario', taskId: removedProjectTask.id, userId: owner.id });
+
+        const project = await createProject(owner);
+        const kept = await createTask(project);
+        const removed = await createTask(project);
+        const subtask = await createTask(project, { parentId: removed.id });
+        await TaskDependency.create({ taskId: kept.id, dependsOnId: removed.id });
+        await Comment.create({ content: 'Comentario', taskId: removed.id, userId: owner.id });
+
+        await removedProject.destroy();
+        await removed.destroy();
+
+        const reverted = await rollbackThrough('012-add-soft-delete');
+        expect(reverted.slice(-2)).toEqual(['013-add-version', '012-add-soft-delete']);
+
+        const ids = async (table, where) => (await sequelize.query(`SELECT id FROM ${table} WHERE ${where}`, { type: QueryTypes.SELECT }))
+            .map(row => row.id);
+        expect(await ids('projects', `id IN (${removedProject.id}, ${project.id})`)).toEqual([project.id]);
+        expect(await ids('tasks', `projectId IN (${removedProject.id}, ${project.id})`)).toEqual([kept.id]);
+        expect(await ids('tasks', `id = ${subtask.id}`)).toEqual([]);
+        expect(await count('project_members', `projectId = ${removedProject.id}`)).toBe(0);
+        expect(await count('comments', `taskId IN (${removedProjectTask.id}, ${removed.id})`)).toBe(0);
+        expect(await count('task_dependencies', `taskId = ${kept.id}`)).toBe(0);
+
+        await migrate();
+        expect(await Project.findByPk(removedProject.id, { paranoid: false })).toBeNull();
+        expect(await Task.findByPk(removed.id, { paranoid: false })).toBeNull();
+        expect((await Task.findByPk(kept.id)).deletedAt).toBeNull();
+    });
+
+    it('una migración que falla no deja cambios a medias ni queda registrada', async () => {
+        const before = await status();
+        const last = before[before.length - 1].name;
+        const failing = jest.spyOn(require(`../src/database/migrations/${last}`), 'down')
+            .mockImplementation(async (queryInterface) => {
+                await queryInterface.removeColumn('tasks', 'version');
+                throw new Error('Fallo simulado');
+            });
+
+        try {
+            await expect(rollback()).rejects.toThrow('Fallo simulado');
+        } finally {
+            failing.mockRestore();
+        }
+
+        expect(await status()).toEqual(before);
+        const columns = await sequelize.getQueryInterface().describeTable('tasks');
+        expect(columns.version).toBeDefined();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,177 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const { Notification } = require('../src/models');
+const { checkDueDates } = require('../src/utils/notifications');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createProject, addMember, createTask, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('Notificaciones', () => {
+    let owner;
+    let member;
+    let project;
+
+    beforeEach(async () => {
+        owner = await createUser();
+        member = await createUser();
+        project = await createProject(owner);
+        await addMember(project, member, 'contributor');
+    });
+
+    const list = (user, query = '') => request(app)
+        .get(`/api/notificaciones${query}`)
+        .set('Authorization', authHeader(user));
+
+    const hours = (n) => new Date(Date.now() + n * 60 * 60 * 1000);
+
+    it('avisa al asignar una tarea, salvo a quien se la asigna a sí mismo', async () => {
+        const created = await request(app)
+            .post(`/api/proyectos/${project.id}/tareas`)
+            .set('Authorization', authHeader(owner))
+            .send({ title: 'Asignada al crear', assignedTo: member.id });
+        await request(app)
+            .post(`/api/proyectos/${project.id}/tareas`)
+            .set('Authorization', authHeader(owner))
+            .send({ title: 'Para mí', assignedTo: owner.id });
+
+        const res = await list(member);
+        expect(res.status).toBe(200);
+        expect(res.body.data).toHaveLength(1);
+        expect(res.body.data[0]).toMatchObject({
+            type: 'task_assigned',
+            taskId: created.body.data.id,
+            projectId: project.id,
+            actorId: owner.id,
+            readAt: null,
+            actor: { id: owner.id, name: owner.name }
+        });
+        expect(res.body.data[0].message).toContain('Asignada al crear');
+        expect((await list(owner)).body.data).toHaveLength(0);
+
+        // Reasignar avisa al nuevo asignado
+        const task = await createTask(project);
+        await request(app).patch(`/api/tareas/${task.id}`).set('Authorization', authHeader(member)).send({ assignedTo: owner.id });
+        const ownerList = await list(owner);
+        expect(ownerList.body.data.map(item => item.type)).toEqual(['task_assigned']);
+    });
+
+    it('avisa al asignado de los cambios de estado de su tarea', async () => {
+        const task = await createTask(project, { assignedTo: member.id });
+
+        await request(app).patch(`/api/tareas/${task.id}`).set('Authorization', authHeader(owner)).send({ status: 'in_progress' });
+        await request(app).patch(`/api/tareas/${task.id}`).set('Authorization', authHeader(owner)).send({ priority: 'high' });
+
+        const res = await list(member);
+        expect(res.body.data).toHaveLength(1);
+        expect(res.body.data[0]).toMatchObject({ type: 'task_status_changed', taskId: task.id });
+        expect(res.body.data[0].message).toContain('pending → in_progress');
+    });
+
+    it('avisa a los usuarios mencionados en un comentario una sola vez', async () => {
+        const task = await createTask(project);
+        const comment = await request(app)
+            .post(`/api/tareas/${task.id}/comentarios`)
+            .set('Authorization', authHeader(owner))
+            .send({ content: `Revisa esto @${member.email}` });
+
+        // Editar el comentario sin añadir menciones nuevas no vuelve a avisar
+        await request(app)
+            .put(`/api/comentarios/${comment.body.data.id}`)
+            .set('Authorization', authHeader(owner))
+            .send({ content: `Revisa esto ya @${member.email}` });
+
+        const res = await list(member);
+        expect(res.body.data).toHaveLength(1);
+        expect(res.body.data[0]).toMatchObject({ type: 'comment_mention', taskId: task.id, commentId: comment.body.data.id });
+    });
+
+    it('avisa de los vencimientos próximos y pasados sin repetir el aviso', async () => {
+        const soon = await createTask(project, { assignedTo: member.id, dueDate: hours(3) });
+        const late = await createTask(project, { assignedTo: member.id, dueDate: hours(-3) });
+        await createTask(project, { assignedTo: member.id, dueDate: hours(72) });
+        await createTask(project, { assignedTo: member.id, dueDate: hours(-3), status: 'completed' });
+        await createTask(project, { dueDate: hours(3) });
+
+        const created = await checkDueDates();
+        expect(created.map(item => [item.type, item.taskId])).toEqual([
+            ['task_overdue', late.id],
+            ['task_due_soon', soon.id]
+        ]);
+        expect(await checkDueDates()).toHaveLength(0);
+
+        // Si cambia la fecha límite se avisa de nuevo
+        await soon.update({ dueDate: hours(5) });
+        expect((await checkDueDates()).map(item => item.taskId)).toEqual([soon.id]);
+        expect(await Notification.count({ where: { userId: member.id } })).toBe(3);
+    });
+
+    it('no repite el aviso de vencimiento si dos comprobaciones se ejecutan a la vez', async () => {
+        const task = await createTask(project, { assignedTo: member.id, dueDate: hours(2) });
+
+        const results = await Promise.all([checkDueDates(), checkDueDates()]);
+        expect(results.flat().filter(item => item.taskId === task.id)).toHaveLength(1);
+        expect(await Notification.count({ where: { taskId: task.id, type: 'task_due_soon' } })).toBe(1);
+    });
+
+    it('no genera los tipos desactivados en las preferencias', async () => {
+        const initial = await request(app).get('/api/notificaciones/preferencias').set('Authorization', authHeader(member));
+        expect(initial.body.data).toMatchObject({ task_assigned: true, task_due_soon: true });
+
+        const res = await request(app)
+            .put('/api/notificaciones/preferencias')
+            .set('Authorization', authHeader(member))
+            .send({ task_assigned: false });
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ task_assigned: false, comment_mention: true });
+
+        await request(app)
+            .post(`/api/proyectos/${project.id}/tareas`)
+            .set('Authorization', authHeader(owner))
+            .send({ title: 'Sin aviso', assignedTo: member.id });
+        expect((await list(member)).body.data).toHaveLength(0);
+
+        const invalid = await request(app)
+            .put('/api/notificaciones/preferencias')
+            .set('Authorization', authHeader(member))
+            .send({ task_assigned: 'no' });
+        expect(invalid.status).toBe(422);
+    });
+
+    it('marca las notificaciones como leídas una a una o todas a la vez', async () => {
+        await createTask(project, { assignedTo: member.id, dueDate: hours(-1) });
+        await createTask(project, { assignedTo: member.id, dueDate: hours(1) });
+        await createTask(project, { assignedTo: member.id, dueDate: hours(2) });
+        await checkDueDates();
+
+        const [first] = (await list(member)).body.data;
+        const read = await request(app)
+            .put(`/api/notificaciones/${first.id}`)
+            .set('Authorization', authHeader(member))
+            .send({ read: true });
+        expect(read.status).toBe(200);
+        expect(read.body.data.readAt).not.toBeNull();
+
+        const unread = await list(member, '?read=false');
+        expect(unread.body.pagination.total).toBe(2);
+        expect((await list(member, '?read=true')).body.data.map(item => item.id)).toEqual([first.id]);
+        expect((await list(member, '?type=task_overdue')).body.pagination.total).toBe(1);
+
+        // Las notificaciones de otro usuario no son accesibles
+        const foreign = await request(app)
+            .put(`/api/notificaciones/${first.id}`)
+            .set('Authorization', authHeader(owner))
+            .send({ read: true });
+        expect(foreign.status).toBe(404);
+
+        const all = await request(app).post('/api/notificaciones/leer-todas').set('Authorization', authHeader(member));
+        expect(all.body.data).toEqual({ updated: 2 });
+        expect((await list(member, '?read=false')).body.pagination.total).toBe(0);
+
+        const again = await request(app)
+            .put(`/api/notificaciones/${first.id}`)
+            .set('Authorization', authHeader(member))
+            .send({ read: false });
+        expect(again.body.data.readAt).toBeNull();
+    });
+});
\ No newline at end of file
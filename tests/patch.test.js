@@ -0,0 +1,126 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const { Task, Project } = require('../src/models');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createProject, createTask, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('PUT y PATCH de proyectos y tareas', () => {
+    let owner;
+    let project;
+    let task;
+
+    beforeEach(async () => {
+        owner = await createUser();
+        project = await createProject(owner, { startDate: new Date('2024-05-10') });
+        task = await createTask(project, {
+            description: 'Descripción',
+            priority: 'high',
+            dueDate: new Date('2024-06-01'),
+            assignedTo: owner.id
+        });
+    });
+
+    const put = (path, body) => request(app).put(`/api${path}`).set('Authorization', authHeader(owner)).send(body);
+    const patch = (path, body, type = 'application/merge-patch+json') => request(app)
+        .patch(`/api${path}`)
+        .set('Authorization', authHeader(owner))
+        .set('Content-Type', type)
+        .send(body);
+
+    it('PUT reemplaza la tarea completa: los campos opcionales omitidos quedan a null', async () => {
+        const res = await put(`/tareas/${task.id}`, { title: 'Reemplazada', status: 'in_progress', priority: 'low' });
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({
+            title: 'Reemplazada',
+            status: 'in_progress',
+            priority: 'low',
+            description: null,
+            dueDate: null,
+            assignedTo: null,
+            assignee: null
+        });
+
+        // Los campos obligatorios tienen que estar presentes
+        const partial = await put(`/tareas/${task.id}`, { title: 'Parcial' });
+        expect(partial.status).toBe(422);
+        expect(partial.body.errors.map(error => [error.field, error.code])).toEqual([['status', 'required'], ['priority', 'required']]);
+
+        const incomplete = await put(`/proyectos/${project.id}`, { name: 'Sin fechas', status: 'active' });
+        expect(incomplete.status).toBe(422);
+        expect(incomplete.body.errors[0]).toMatchObject({ field: 'startDate', code: 'required' });
+    });
+
+    it('PATCH con merge patch cambia solo los campos indicados y null borra el valor', async () => {
+        const res = await patch(`/tareas/${task.id}`, { assignedTo: null, status: 'in_progress' });
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ status: 'in_progress', assignedTo: null, priority: 'high', description: 'Descripción' });
+
+        // Un título vacío no se ignora y un campo obligatorio no se puede borrar
+        const empty = await patch(`/tareas/${task.id}`, { title: '' });
+        expect(empty.status).toBe(422);
+        expect(empty.body.errors[0]).toMatchObject({ field: 'title', code: 'too_short' });
+        const removed = await patch(`/tareas/${task.id}`, { title: null });
+        expect(removed.status).toBe(422);
+        expect(removed.body.errors[0]).toMatchObject({ field: 'title', code: 'required' });
+
+        // application/json se interpreta como merge patch y sin cuerpo no hay cambios
+        expect((await patch(`/tareas/${task.id}`, { description: null }, 'application/json')).body.data.description).toBeNull();
+        const unchanged = await request(app).patch(`/api/tareas/${task.id}`).set('Authorization', authHeader(owner));
+        expect(unchanged.status).toBe(200);
+        expect(unchanged.body.data.version).toBe(2);
+
+        expect((await patch(`/tareas/${task.id}`, ['no es un objeto'])).status).toBe(422);
+        expect((await patch(`/tareas/${task.id}`, 'title=Texto', 'text/plain')).status).toBe(415);
+    });
+
+    it('PATCH con JSON Patch aplica las operaciones en orden o ninguna', async () => {
+        const res = await patch(`/tareas/${task.id}`, [
+            { op: 'test', path: '/priority', value: 'high' },
+            { op: 'replace', path: '/priority', value: 'low' },
+            { op: 'copy', from: '/description', path: '/title' },
+            { op: 'remove', path: '/dueDate' }
+        ], 'application/json-patch+json');
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ priority: 'low', title: 'Descripción', dueDate: null, assignedTo: owner.id });
+
+        // Si la prueba no se cumple no se aplica ninguna operación
+        const failed = await patch(`/tareas/${task.id}`, [
+            { op: 'replace', path: '/status', value: 'canceled' },
+            { op: 'test', path: '/priority', value: 'high' }
+        ], 'application/json-patch+json');
+        expect(failed.status).toBe(409);
+        expect(failed.body.errors[0]).toMatchObject({ field: '[1].value', code: 'test_failed' });
+        expect((await Task.findByPk(task.id)).status).toBe('pending');
+
+        const missing = await patch(`/tareas/${task.id}`, [{ op: 'replace', path: '/estado', value: 'x' }], 'application/json-patch+json');
+        expect(missing.status).toBe(409);
+
+        const malformed = await patch(`/tareas/${task.id}`, [{ op: 'rename', path: 'title' }], 'application/json-patch+json');
+        expect(malformed.status).toBe(400);
+        expect(malformed.body.errors.map(error => error.field)).toEqual(['[0].op', '[0].path']);
+
+        // El resultado se valida como un reemplazo completo
+        const unknown = await patch(`/tareas/${task.id}`, [{ op: 'add', path: '/color', value: 'rojo' }], 'application/json-patch+json');
+        expect(unknown.status).toBe(422);
+        expect(unknown.body.errors[0]).toMatchObject({ field: 'color', code: 'unknown_field' });
+    });
+
+    it('PATCH de proyectos valida el proyecto resultante', async () => {
+        await Project.update({ endDate: new Date('2024-12-31') }, { where: { id: project.id } });
+
+        const invalid = await patch(`/proyectos/${project.id}`, { endDate: '2024-05-01' });
+        expect(invalid.status).toBe(422);
+        expect(invalid.body.errors[0]).toMatchObject({ field: 'endDate', code: 'date_order' });
+
+        const res = await patch(`/proyectos/${project.id}`, { endDate: null, description: null });
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ name: project.name, endDate: null, description: null });
+        expect(res.headers.etag).toMatch(/^"1-/);
+
+        // La precondición If-Match se comprueba antes de aplicar los cambios
+        const stale = await patch(`/proyectos/${project.id}`, { name: 'Otro' }).set('If-Match', '"0"');
+        expect(stale.status).toBe(412);
+    });
+});
\ No newline at end of file
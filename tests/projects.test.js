@@ -0,0 +1,271 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const { Project, ProjectMember } = require('../src/models');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createAdmin, createProject, addMember, createTask, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('POST /api/proyectos', () => {
+    it('crea el proyecto y registra al creador como propietario', async () => {
+        const user = await createUser();
+
+        const res = await request(app)
+            .post('/api/proyectos')
+            .set('Authorization', authHeader(user))
+            .send({ name: 'Nuevo proyecto', description: 'Descripción' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data).toMatchObject({ name: 'Nuevo proyecto', createdBy: user.id, status: 'active' });
+
+        const membership = await ProjectMember.findOne({ where: { projectId: res.body.data.id, userId: user.id } });
+        expect(membership.role).toBe('owner');
+    });
+
+    it('no deja el proyecto creado si falla el registro del propietario', async () => {
+        const user = await createUser();
+        const failing = jest.spyOn(ProjectMember, 'create').mockRejectedValueOnce(new Error('Fallo simulado'));
+
+        try {
+            const res = await request(app)
+                .post('/api/proyectos')
+                .set('Authorization', authHeader(user))
+                .send({ name: 'Proyecto sin propietario' });
+            expect(res.status).toBe(500);
+        } finally {
+            failing.mockRestore();
+        }
+
+        expect(await Project.count({ where: { name: 'Proyecto sin propietario' }, paranoid: false })).toBe(0);
+    });
+
+    it('devuelve 422 si la fecha de fin es anterior a la de inicio', async () => {
+        const user = await createUser();
+
+        const res = await request(app)
+            .post('/api/proyectos')
+            .set('Authorization', authHeader(user))
+            .send({ name: 'Fechas', startDate: '2024-05-10', endDate: '2024-05-01' });
+
+        expect(res.status).toBe(422);
+        expect(res.body.errors).toEqual([expect.objectContaining({ field: 'endDate', code: 'date_order' })]);
+    });
+
+    it('devuelve 401 sin autenticación', async () => {
+        const res = await request(app).post('/api/proyectos').send({ name: 'Sin token' });
+
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('GET /api/proyectos', () => {
+    let owner;
+    let member;
+    let outsider;
+
+    beforeAll(async () => {
+        owner = await createUser();
+        member = await createUser();
+        outsider = await createUser();
+
+        const shared = await createProject(owner, { name: 'Compartido alfa' });
+        await addMember(shared, member, 'viewer');
+        await createProject(owner, { name: 'Privado beta', status: 'completed' });
+        await createProject(outsider, { name: 'Ajeno gamma' });
+    });
+
+    const list = (user, query = {}) => request(app)
+        .get('/api/proyectos')
+        .query(query)
+        .set('Authorization', authHeader(user));
+
+    it('solo devuelve los proyectos de los que el usuario es miembro', async () => {
+        const res = await list(member);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map(project => project.name)).toEqual(['Compartido alfa']);
+    });
+
+    it('un administrador ve todos los proyectos', async () => {
+        const admin = await createAdmin();
+        const projectCount = await Project.count();
+
+        const res = await list(admin, { limit: 100 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.pagination.total).toBe(projectCount);
+    });
+
+    it('filtra por estado y por término de búsqueda', async () => {
+        const byStatus = await list(owner, { status: 'completed' });
+        expect(byStatus.body.data.map(project => project.name)).toEqual(['Privado beta']);
+
+        const bySearch = await list(owner, { search: 'alfa' });
+        expect(bySearch.body.data.map(project => project.name)).toEqual(['Compartido alfa']);
+    });
+
+    it('pagina y ordena los resultados', async () => {
+        const first = await list(owner, { limit: 1, sort: 'name' });
+
+        expect(first.status).toBe(200);
+        expect(first.body.data.map(project => project.name)).toEqual(['Compartido alfa']);
+        expect(first.body.pagination).toMatchObject({ total: 2, limit: 1, page: 1, totalPages: 2, hasMore: true });
+
+        const second = await list(owner, { limit: 1, sort: 'name', cursor: first.body.pagination.nextCursor });
+        expect(second.body.data.map(project => project.name)).toEqual(['Privado beta']);
+        expect(second.body.pagination.hasMore).toBe(false);
+    });
+
+    it('devuelve 400 al ordenar por un campo no permitido', async () => {
+        const res = await list(owner, { sort: 'password' });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('devuelve 422 con un estado inválido', async () => {
+        const res = await list(owner, { status: 'archivado' });
+
+        expect(res.status).toBe(422);
+        expect(res.body.errors[0]).toMatchObject({ field: 'status', code: 'invalid_enum', location: 'query' });
+    });
+
+    it('devuelve la respuesta en XML cuando se solicita', async () => {
+        const res = await list(member, { format: 'xml' });
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/application\/xml/);
+        expect(res.text).toContain('<success>true</success>');
+        expect(res.text).toContain('Compartido alfa');
+    });
+});
+
+describe('GET /api/proyectos/:id', () => {
+    it('devuelve el proyecto con sus tareas y miembros', async () => {
+        const owner = await createUser();
+        const project = await createProject(owner);
+        await createTask(project, { title: 'Primera tarea' });
+
+        const res = await request(app)
+            .get(`/api/proyectos/${project.id}`)
+            .set('Authorization', authHeader(owner));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.tasks.map(task => task.title)).toEqual(['Primera tarea']);
+        expect(res.body.data.members).toEqual([expect.objectContaining({ userId: owner.id, role: 'owner' })]);
+    });
+
+    it('devuelve 403 a un usuario que no es miembro', async () => {
+        const project = await createProject(await createUser());
+        const outsider = await createUser();
+
+        const res = await request(app)
+            .get(`/api/proyectos/${project.id}`)
+            .set('Authorization', authHeader(outsider));
+
+        expect(res.status).toBe(403);
+    });
+
+    it('devuelve 404 si el proyecto no existe', async () => {
+        const user = await createUser();
+
+        const res = await request(app)
+            .get('/api/proyectos/999999')
+            .set('Authorization', authHeader(user));
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('PATCH /api/proyectos/:id', () => {
+    it('permite a un manager actualizar el proyecto', async () => {
+        const project = await createProject(await createUser());
+        const manager = await createUser();
+        await addMember(project, manager, 'manager');
+
+        const res = await request(app)
+            .patch(`/api/proyectos/${project.id}`)
+            .set('Authorization', authHeader(manager))
+            .send({ name: 'Renombrado', status: 'completed' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ name: 'Renombrado', status: 'completed' });
+    });
+
+    it('devuelve 403 a un colaborador', async () => {
+        const project = await createProject(await createUser());
+        const contributor = await createUser();
+        await addMember(project, contributor, 'contributor');
+
+        const res = await request(app)
+            .patch(`/api/proyectos/${project.id}`)
+            .set('Authorization', authHeader(contributor))
+            .send({ name: 'No permitido' });
+
+        expect(res.status).toBe(403);
+    });
+
+    it('devuelve 422 si la nueva fecha de fin es anterior a la de inicio guardada', async () => {
+        const owner = await createUser();
+        const project = await createProject(owner, { startDate: new Date('2024-05-10') });
+
+        const res = await request(app)
+            .patch(`/api/proyectos/${project.id}`)
+            .set('Authorization', authHeader(owner))
+            .send({ endDate: '2024-05-01' });
+
+        expect(res.status).toBe(422);
+        expect(res.body.errors[0]).toMatchObject({ field: 'endDate', code: 'date_order' });
+    });
+
+    it('devuelve 404 si el proyecto no existe', async () => {
+        const user = await createUser();
+
+        const res = await request(app)
+            .patch('/api/proyectos/999999')
+            .set('Authorization', authHeader(user))
+            .send({ name: 'Nada' });
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('DELETE /api/proyectos/:id', () => {
+    it('solo el propietario puede eliminar el proyecto', async () => {
+        const owner = await createUser();
+        const manager = await createUser();
+        const project = await createProject(owner);
+        await addMember(project, manager, 'manager');
+
+        const forbidden = await request(app)
+            .delete(`/api/proyectos/${project.id}`)
+            .set('Authorization', authHeader(manager));
+        expect(forbidden.status).toBe(403);
+
+        const res = await request(app)
+            .delete(`/api/proyectos/${project.id}`)
+            .set('Authorization', authHeader(owner));
+        expect(res.status).toBe(200);
+        expect(await Project.findByPk(project.id)).toBeNull();
+    });
+
+    it('un administrador puede eliminar cualquier proyecto', async () => {
+        const project = await createProject(await createUser());
+        const admin = await createAdmin();
+
+        const res = await request(app)
+            .delete(`/api/proyectos/${project.id}`)
+            .set('Authorization', authHeader(admin));
+
+        expect(res.status).toBe(200);
+    });
+
+    it('devuelve 404 si el proyecto no existe', async () => {
+        const admin = await createAdmin();
+
+        const res = await request(app)
+            .delete('/api/proyectos/999999')
+            .set('Authorization', authHeader(admin));
+
+        expect(res.status).toBe(404);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,171 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const { MemoryStore, setRateLimitStore, recordFailedLogin, trustProxySetting } = require('../src/utils/rateLimit');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createAdmin, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('Límites de peticiones y bloqueo de cuentas', () => {
+    const SETTINGS = ['LOGIN_RATE_LIMIT', 'ACCOUNT_RATE_LIMIT', 'REGISTER_RATE_LIMIT', 'LOCKOUT_THRESHOLD', 'LOCKOUT_DURATION', 'LOCKOUT_MAX_DURATION', 'TRUST_PROXY'];
+
+    // Cada test empieza con los contadores vacíos
+    beforeEach(() => {
+        setRateLimitStore(new MemoryStore());
+    });
+
+    afterEach(() => {
+        SETTINGS.forEach(name => delete process.env[name]);
+    });
+
+    const login = (email, password = 'Password123') => request(app).post('/api/login').send({ email, password });
+
+    it('limita los inicios de sesión por IP con las cabeceras RateLimit-*', async () => {
+        process.env.LOGIN_RATE_LIMIT = '3';
+        const user = await createUser();
+
+        const first = await login(user.email);
+        expect(first.status).toBe(200);
+        expect(first.headers).toMatchObject({ 'ratelimit-limit': '3', 'ratelimit-remaining': '2', 'ratelimit-policy': '3;w=900' });
+        expect(Number(first.headers['ratelimit-reset'])).toBeGreaterThan(0);
+
+        // Las peticiones inválidas también cuentan
+        expect((await request(app).post('/api/login').send({})).status).toBe(422);
+        expect((await login('otro@test.com')).headers['ratelimit-remaining']).toBe('0');
+
+        const limited = await login(user.email);
+        expect(limited.status).toBe(429);
+        expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+        expect(limited.body.rateLimit).toMatchObject({ policy: 'login', limit: 3, remaining: 0 });
+    });
+
+    it('limita los inicios de sesión por cuenta sin afectar a las demás', async () => {
+        process.env.ACCOUNT_RATE_LIMIT = '2';
+        const user = await createUser();
+        const other = await createUser();
+
+        // El correo cuenta para la misma cuenta sin distinguir mayúsculas
+        expect((await login(user.email)).headers['ratelimit-remaining']).toBe('1');
+        expect((await login(user.email.toUpperCase())).headers['ratelimit-remaining']).toBe('0');
+
+        const limited = await login(user.email);
+        expect(limited.status).toBe(429);
+        expect(limited.body.rateLimit.policy).toBe('account');
+
+        expect((await login(other.email)).status).toBe(200);
+    });
+
+    it('bloquea la cuenta tras varias contraseñas incorrectas hasta que un administrador la desbloquea', async () => {
+        process.env.LOCKOUT_THRESHOLD = '3';
+        const user = await createUser();
+        const admin = await createAdmin();
+
+        // Un inicio de sesión correcto reinicia los fallos
+        await login(user.email, 'Incorrecta1');
+        await login(user.email, 'Incorrecta1');
+        expect((await login(user.email)).status).toBe(200);
+
+        for (let i = 0; i < 3; i++) {
+            expect((await login(user.email, 'Incorrecta1')).status).toBe(401);
+        }
+
+        // Bloqueada aunque la contraseña sea correcta
+        const locked = await login(user.email);
+        expect(locked.status).toBe(429);
+        expect(locked.body.rateLimit).toMatchObject({ policy: 'lockout', limit: 3, remaining: 0, reset: 60 });
+        expect(locked.headers['retry-after']).toBe('60');
+
+        const unlock = (as) => request(app).delete(`/api/usuarios/${user.id}/bloqueo`).set('Authorization', authHeader(as));
+        expect((await unlock(user)).status).toBe(403);
+        expect((await request(app).delete('/api/usuarios/999999/bloqueo').set('Authorization', authHeader(admin))).status).toBe(404);
+
+        const res = await unlock(admin);
+        expect(res.status).toBe(200);
+        expect(res.body.data).toEqual({ id: user.id, wasLocked: true });
+        expect((await login(user.email)).status).toBe(200);
+        expect((await unlock(admin)).body.data.wasLocked).toBe(false);
+    });
+
+    it('bloquea igual los correos no registrados para no revelar qué cuentas existen', async () => {
+        process.env.LOCKOUT_THRESHOLD = '2';
+        const user = await createUser();
+
+        const attempts = async (email) => {
+            const responses = [];
+            for (let i = 0; i < 3; i++) {
+                const res = await login(email, 'Incorrecta1');
+                responses.push({ status: res.status, message: res.body.message, rateLimit: res.body.rateLimit });
+            }
+            return responses;
+        };
+
+        const existing = await attempts(user.email);
+        const unknown = await attempts('no-existe@test.com');
+        expect(existing.map(res => res.status)).toEqual([401, 401, 429]);
+        expect(unknown).toEqual(existing);
+    });
+
+    it('duplica la duración de cada bloqueo consecutivo hasta el máximo', async () => {
+        process.env.LOCKOUT_THRESHOLD = '2';
+        process.env.LOCKOUT_DURATION = '1000';
+        process.env.LOCKOUT_MAX_DURATION = '3000';
+        const user = await createUser();
+
+        const durations = [];
+        for (let i = 0; i < 8; i++) {
+            durations.push(await recordFailedLogin(user.email));
+        }
+        expect(durations).toEqual([0, 1000, 0, 2000, 0, 3000, 0, 3000]);
+    });
+
+    it('limita los registros por IP', async () => {
+        process.env.REGISTER_RATE_LIMIT = '2';
+        const register = (n) => request(app).post('/api/registro').send({ name: 'Nuevo usuario', email: `limite${n}@test.com`, password: 'Password123' });
+
+        expect((await register(1)).status).toBe(201);
+        expect((await register(2)).headers['ratelimit-remaining']).toBe('0');
+
+        const limited = await register(3);
+        expect(limited.status).toBe(429);
+        expect(limited.body.rateLimit.policy).toBe('register');
+    });
+
+    it('identifica al cliente por X-Forwarded-For solo si se confía en el proxy (TRUST_PROXY)', async () => {
+        expect(trustProxySetting()).toBe(false);
+        process.env.TRUST_PROXY = '1';
+        expect(trustProxySetting()).toBe(1);
+        process.env.TRUST_PROXY = '10.0.0.0/8, loopback';
+        expect(trustProxySetting()).toBe('10.0.0.0/8, loopback');
+
+        process.env.LOGIN_RATE_LIMIT = '1';
+        const from = (ip) => request(app).post('/api/login').set('X-Forwarded-For', ip).send({ email: 'nadie@test.com', password: 'Password123' });
+
+        // Sin proxy de confianza la cabecera se ignora: todos los clientes comparten la IP del proxy
+        expect((await from('203.0.113.1')).status).toBe(401);
+        expect((await from('203.0.113.2')).status).toBe(429);
+
+        process.env.TRUST_PROXY = '1';
+        app.set('trust proxy', trustProxySetting());
+        try {
+            expect((await from('203.0.113.3')).status).toBe(401);
+            expect((await from('203.0.113.4')).status).toBe(401);
+            expect((await from('203.0.113.3')).status).toBe(429);
+        } finally {
+            app.set('trust proxy', false);
+        }
+    });
+
+    it('no limita las peticiones si el almacén de los contadores no responde', async () => {
+        const user = await createUser();
+        const failing = () => Promise.reject(new Error('Sin conexión'));
+        setRateLimitStore({ get: failing, set: failing, incr: failing, pexpire: failing, pttl: failing, del: failing });
+
+        const res = await request(app).post('/api/registro').send({ name: 'Sin límite', email: 'sinlimite@test.com', password: 'Password123' });
+        expect(res.status).toBe(201);
+        expect(res.headers['ratelimit-limit']).toBeUndefined();
+
+        // Tampoco se comprueba el bloqueo de la cuenta
+        expect((await login(user.email)).status).toBe(200);
+        expect((await login(user.email, 'Incorrecta1')).status).toBe(401);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,232 @@
+const http = require('http');
+const request = require('supertest');
+const { app } = require('../src/app');
+const { countProjectClients } = require('../src/utils/realtime');
+const { generateToken } = require('../src/utils/jwt');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createProject, addMember, createTask, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('Eventos en tiempo real', () => {
+    let server;
+    let baseUrl;
+    let owner;
+    let viewer;
+    let project;
+    // Conexiones abiertas en cada test (se cierran al terminar)
+    let streams = [];
+
+    beforeAll(async () => {
+        server = http.createServer(app);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(async () => {
+        owner = await createUser();
+        viewer = await createUser();
+        project = await createProject(owner);
+        await addMember(project, viewer, 'viewer');
+    });
+
+    afterEach(() => {
+        streams.forEach(stream => stream.close());
+        streams = [];
+    });
+
+    /**
+     * Abre el canal de eventos y acumula los eventos recibidos
+     * @param {String} path - Ruta con su query
+     * @param {Object} headers - Cabeceras de la petición
+     * @returns {Promise<Object>} - { status, headers, events, body, next(n), close() }
+     */
+    const connect = (path, headers = {}) => new Promise((resolve, reject) => {
+        const req = http.get(`${baseUrl}${path}`, { headers: { Accept: 'text/event-stream', ...headers } }, (res) => {
+            const stream = { status: res.statusCode, headers: res.headers, events: [], body: '', waiting: null };
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                stream.body += chunk;
+                buffer += chunk;
+                const blocks = buffer.split('\n\n');
+                buffer = blocks.pop();
+                for (const block of blocks) {
+                    const fields = Object.fromEntries(block.split('\n')
+                        .filter(line => line && !line.startsWith(':'))
+                        .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                    if (fields.event) stream.events.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+                }
+                if (stream.waiting && stream.events.length >= stream.waiting.count) stream.waiting.resolve(stream.events);
+            });
+            stream.ended = new Promise(done => res.on('end', done));
+            // Espera a haber recibido al menos n eventos
+            stream.next = (count) => new Promise((done) => {
+                if (stream.events.length >= count) return done(stream.events);
+                stream.waiting = { count, resolve: done };
+            });
+            stream.close = () => req.destroy();
+            streams.push(stream);
+
+            // En las respuestas de error se espera al cuerpo completo
+            if (res.statusCode !== 200) return res.on('end', () => resolve(stream));
+            resolve(stream);
+        });
+        req.on('error', reject);
+    });
+
+    const eventsPath = (query = '') => `/api/proyectos/${project.id}/eventos${query}`;
+
+    it('envía los eventos de tareas y del proyecto a los miembros conectados', async () => {
+        const stream = await connect(eventsPath(), { Authorization: authHeader(viewer) });
+        expect(stream.status).toBe(200);
+        expect(stream.headers['content-type']).toMatch(/^text\/event-stream/);
+        expect(countProjectClients(project.id)).toBe(1);
+
+        const created = await request(app)
+            .post(`/api/proyectos/${project.id}/tareas`)
+            .set('Authorization', authHeader(owner))
+            .send({ title: 'En directo' });
+        await request(app).patch(`/api/tareas/${created.body.data.id}`).set('Authorization', authHeader(owner)).send({ priority: 'high' });
+        await request(app).delete(`/api/tareas/${created.body.data.id}`).set('Authorization', authHeader(owner));
+        await request(app).patch(`/api/proyectos/${project.id}`).set('Authorization', authHeader(owner)).send({ name: 'Renombrado' });
+
+        const events = await stream.next(4);
+        expect(events.map(event => event.type)).toEqual(['task.created', 'task.updated', 'task.deleted', 'project.updated']);
+        expect(events[0].data).toMatchObject({ type: 'task.created', projectId: project.id, actorId: owner.id, data: { title: 'En directo' } });
+        expect(events[1].data.changes).toEqual({ priority: { from: 'medium', to: 'high' } });
+
+        // Los identificadores son crecientes
+        const ids = events.map(event => Number(event.id));
+        expect([...ids].sort((a, b) => a - b)).toEqual(ids);
+    });
+
+    it('no envía los eventos de otros proyectos', async () => {
+        const other = await createProject(owner);
+        const stream = await connect(eventsPath(), { Authorization: authHeader(owner) });
+
+        await createTask(other);
+        await request(app).post(`/api/proyectos/${other.id}/tareas`).set('Authorization', authHeader(owner)).send({ title: 'Otro proyecto' });
+        await request(app).post(`/api/proyectos/${project.id}/tareas`).set('Authorization', authHeader(owner)).send({ title: 'Este proyecto' });
+
+        const events = await stream.next(1);
+        expect(events).toHaveLength(1);
+        expect(events[0].data.data.title).toBe('Este proyecto');
+    });
+
+    it('acepta el token en la query y rechaza a los usuarios sin acceso', async () => {
+        const stream = await connect(eventsPath(`?token=${generateToken(viewer)}`));
+        expect(stream.status).toBe(200);
+
+        const missing = await connect(eventsPath());
+        expect(missing.status).toBe(401);
+        expect(JSON.parse(missing.body)).toMatchObject({ success: false, code: 401 });
+
+        expect((await connect(eventsPath('?token=invalido'))).status).toBe(401);
+
+        const outsider = await createUser();
+        const forbidden = await connect(eventsPath(), { Authorization: authHeader(outsider) });
+        expect(forbidden.status).toBe(403);
+
+        const notFound = await connect('/api/proyectos/999999/eventos', { Authorization: authHeader(owner) });
+        expect(notFound.status).toBe(404);
+    });
+
+    it('reenvía los eventos posteriores al último recibido al reconectar', async () => {
+        const first = await connect(eventsPath(), { Authorization: authHeader(owner) });
+        const post = (title) => request(app)
+            .post(`/api/proyectos/${project.id}/tareas`)
+            .set('Authorization', authHeader(owner))
+            .send({ title });
+
+        await post('Primera');
+        const [received] = await first.next(1);
+        first.close();
+
+        // Eventos publicados mientras el cliente está desconectado
+        await post('Segunda');
+        await post('Tercera');
+
+        const resumed = await connect(eventsPath(), { Authorization: authHeader(owner), 'Last-Event-ID': received.id });
+        const missed = await resumed.next(2);
+        expect(missed.map(event => event.data.data.title)).toEqual(['Segunda', 'Tercera']);
+
+        // También con el parámetro lastEventId
+        const byQuery = await connect(eventsPath(`?lastEventId=${received.id}`), { Authorization: authHeader(owner) });
+        expect((await byQuery.next(2)).map(event => event.data.data.title)).toEqual(['Segunda', 'Tercera']);
+
+        const invalid = await connect(eventsPath(), { Authorization: authHeader(owner), 'Last-Event-ID': 'abc' });
+        expect(invalid.status).toBe(400);
+    });
+
+    it('pide recargar el proyecto si los eventos perdidos ya no están en el historial', async () => {
+        process.env.REALTIME_HISTORY_SIZE = '2';
+        try {
+            const first = await connect(eventsPath(), { Authorization: authHeader(owner) });
+            await request(app).post(`/api/proyectos/${project.id}/tareas`).set('Authorization', authHeader(owner)).send({ title: 'Vista' });
+            const [received] = await first.next(1);
+            first.close();
+
+            for (const title of ['Perdida', 'Segunda', 'Tercera']) {
+                await request(app).post(`/api/proyectos/${project.id}/tareas`).set('Authorization', authHeader(owner)).send({ title });
+            }
+
+            const resumed = await connect(eventsPath(), { Authorization: authHeader(owner), 'Last-Event-ID': received.id });
+            const [reset] = await resumed.next(1);
+            expect(reset).toMatchObject({ type: 'reset', data: { projectId: project.id } });
+
+            // Un identificador de un arranque anterior del servidor tampoco se puede recuperar
+            const stale = await connect(eventsPath('?lastEventId=1'), { Authorization: authHeader(owner) });
+            expect((await stale.next(1))[0].type).toBe('reset');
+        } finally {
+            delete process.env.REALTIME_HISTORY_SIZE;
+        }
+    });
+
+    it('cierra las conexiones al eliminar el proyecto', async () => {
+        const stream = await connect(eventsPath(), { Authorization: authHeader(viewer) });
+
+        await request(app).delete(`/api/proyectos/${project.id}`).set('Authorization', authHeader(owner));
+        await stream.ended;
+
+        expect(stream.events.map(event => event.type)).toEqual(['project.deleted']);
+        expect(countProjectClients(project.id)).toBe(0);
+    });
+
+    it('cierra las conexiones de los usuarios que pierden el acceso', async () => {
+        const removed = await connect(eventsPath(), { Authorization: authHeader(viewer) });
+        const own = await connect(eventsPath(), { Authorization: authHeader(owner) });
+
+        await request(app).delete(`/api/proyectos/${project.id}/miembros/${viewer.id}`).set('Authorization', authHeader(owner)).expect(200);
+        await removed.ended;
+        expect(removed.events).toEqual([{ id: undefined, type: 'revoked', data: { projectId: project.id } }]);
+
+        // Los eventos posteriores solo llegan a quien sigue teniendo acceso
+        await request(app).post(`/api/proyectos/${project.id}/tareas`).set('Authorization', authHeader(owner)).send({ title: 'Después' });
+        expect((await own.next(1))[0].type).toBe('task.created');
+        expect(countProjectClients(project.id)).toBe(1);
+
+        // Cerrar todas las sesiones cierra también sus canales
+        await request(app).post('/api/logout/todas').set('Authorization', authHeader(owner)).expect(200);
+        await own.ended;
+        expect(own.events.map(event => event.type)).toEqual(['task.created', 'revoked']);
+        expect(countProjectClients(project.id)).toBe(0);
+    });
+
+    it('cierra la conexión al expirar el token', async () => {
+        process.env.JWT_EXPIRATION = '1s';
+        let token;
+        try {
+            token = generateToken(viewer);
+        } finally {
+            process.env.JWT_EXPIRATION = '1h';
+        }
+
+        const stream = await connect(eventsPath(), { Authorization: `Bearer ${token}` });
+        expect(stream.status).toBe(200);
+        await stream.ended;
+        expect(stream.events.map(event => event.type)).toEqual(['expired']);
+    });
+});
\ No newline at end of file
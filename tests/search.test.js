@@ -0,0 +1,134 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const { Comment } = require('../src/models');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createAdmin, createProject, addMember, createTask, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('Búsqueda de texto completo', () => {
+    let owner;
+    let viewer;
+    let project;
+
+    beforeEach(async () => {
+        owner = await createUser();
+        viewer = await createUser();
+        project = await createProject(owner, { name: 'Migración del almacén', description: 'Traslado del inventario' });
+        await addMember(project, viewer, 'viewer');
+    });
+
+    const search = (user, query) => request(app)
+        .get(`/api/buscar?${query}`)
+        .set('Authorization', authHeader(user));
+
+    const ids = (res, type) => res.body.data.filter(result => result.type === type).map(result => result.id);
+
+    it('encuentra proyectos, tareas y comentarios con fragmentos resaltados', async () => {
+        const task = await createTask(project, { title: 'Inventario de estanterías', description: 'Contar las cajas del pasillo' });
+        const comment = await Comment.create({ content: 'El inventario anterior está incompleto', taskId: task.id, userId: owner.id });
+
+        const res = await search(viewer, 'q=inventario');
+
+        expect(res.status).toBe(200);
+        expect(ids(res, 'project')).toEqual([project.id]);
+        expect(ids(res, 'task')).toEqual([task.id]);
+        expect(ids(res, 'comment')).toEqual([comment.id]);
+        expect(res.body.data.find(result => result.type === 'comment')).toMatchObject({ projectId: project.id, taskId: task.id });
+        expect(res.body.data.find(result => result.type === 'task').snippet).toContain('<mark>Inventario</mark>');
+        expect(res.body.pagination.total).toBe(3);
+    });
+
+    it('escapa el HTML del texto en los fragmentos resaltados', async () => {
+        await createTask(project, { title: 'Revisar <img src=x onerror="alert(1)"> inventario' });
+
+        const res = await search(owner, 'q=onerror&type=task');
+
+        expect(res.body.data[0].snippet).toBe('Revisar &lt;img src=x <mark>onerror</mark>=&quot;alert(1)&quot;&gt; inventario');
+        expect(res.body.data[0].snippet).not.toContain('<img');
+    });
+
+    it('ordena por relevancia: las coincidencias en el título pesan más', async () => {
+        const inTitle = await createTask(project, { title: 'Presupuesto anual' });
+        const inDescription = await createTask(project, { title: 'Reunión', description: 'Revisar el presupuesto con dirección y otros temas pendientes' });
+
+        const res = await search(owner, 'q=presupuesto&type=task');
+
+        expect(ids(res, 'task')).toEqual([inTitle.id, inDescription.id]);
+        expect(res.body.data[0].score).toBeGreaterThan(res.body.data[1].score);
+    });
+
+    it('busca por prefijo, sin distinguir acentos, y exige todas las palabras', async () => {
+        const task = await createTask(project, { title: 'Diseño de la página de inicio' });
+        await createTask(project, { title: 'Página de contacto' });
+
+        expect(ids(await search(owner, 'q=disen'), 'task')).toEqual([task.id]);
+        expect(ids(await search(owner, 'q=pagina inicio'), 'task')).toEqual([task.id]);
+    });
+
+    it('filtra por tipo, estado y proyecto', async () => {
+        const other = await createProject(owner, { name: 'Auditoría de proveedores' });
+        const pending = await createTask(project, { title: 'Auditoría interna' });
+        const completed = await createTask(project, { title: 'Auditoría externa', status: 'completed' });
+        const elsewhere = await createTask(other, { title: 'Auditoría de contratos' });
+
+        expect(ids(await search(owner, 'q=auditoria&type=task&status=pending'), 'task').sort((a, b) => a - b)).toEqual([pending.id, elsewhere.id].sort((a, b) => a - b));
+        expect(ids(await search(owner, `q=auditoria&projectId=${project.id}`), 'task').sort((a, b) => a - b)).toEqual([pending.id, completed.id].sort((a, b) => a - b));
+
+        const projects = await search(owner, 'q=auditoria&type=project');
+        expect(projects.body.data.map(result => result.id)).toEqual([other.id]);
+        expect(ids(await search(owner, `q=contratos&projectId=${other.id}`), 'task')).toEqual([elsewhere.id]);
+    });
+
+    it('solo devuelve resultados de los proyectos visibles para el usuario', async () => {
+        const stranger = await createUser();
+        const hidden = await createProject(stranger, { name: 'Proyecto confidencial' });
+        await createTask(hidden, { title: 'Informe confidencial' });
+
+        expect((await search(owner, 'q=confidencial')).body.data).toEqual([]);
+        expect((await search(owner, `q=confidencial&projectId=${hidden.id}`)).body.data).toEqual([]);
+        expect((await search(stranger, 'q=confidencial')).body.pagination.total).toBe(2);
+        expect((await search(await createAdmin(), 'q=confidencial')).body.pagination.total).toBe(2);
+    });
+
+    it('mantiene el índice al modificar y eliminar', async () => {
+        const task = await createTask(project, { title: 'Borrador del contrato' });
+        const comment = await Comment.create({ content: 'Falta la cláusula de rescisión', taskId: task.id, userId: owner.id });
+        await Comment.create({ content: 'La rescisión va en el anexo', taskId: task.id, userId: owner.id, parentId: comment.id });
+
+        await request(app)
+            .patch(`/api/tareas/${task.id}`)
+            .set('Authorization', authHeader(owner))
+            .send({ title: 'Contrato definitivo', status: 'in_progress' });
+        expect((await search(owner, 'q=borrador')).body.data).toEqual([]);
+        expect((await search(owner, 'q=definitivo&status=in_progress')).body.data).toHaveLength(1);
+
+        // Al eliminar un comentario también desaparecen sus respuestas
+        await request(app)
+            .delete(`/api/tareas/${task.id}/comentarios/${comment.id}`)
+            .set('Authorization', authHeader(owner));
+        expect((await search(owner, 'q=rescision')).body.data).toEqual([]);
+
+        await request(app).delete(`/api/proyectos/${project.id}`).set('Authorization', authHeader(owner));
+        expect((await search(owner, 'q=contrato')).body.data).toEqual([]);
+        expect((await search(owner, 'q=almacen')).body.data).toEqual([]);
+    });
+
+    it('pagina los resultados', async () => {
+        for (let i = 0; i < 3; i++) {
+            await createTask(project, { title: `Tarea paginada ${i}` });
+        }
+
+        const res = await search(owner, 'q=paginada&limit=2&page=2');
+
+        expect(res.body.data).toHaveLength(1);
+        expect(res.body.pagination).toMatchObject({ total: 3, page: 2, totalPages: 2, hasMore: false });
+    });
+
+    it('valida los parámetros', async () => {
+        expect((await search(owner, '')).status).toBe(422);
+        expect((await search(owner, 'q=--')).status).toBe(422);
+        expect((await search(owner, 'q=hola&type=user')).status).toBe(422);
+        expect((await search(owner, 'q=hola&status=done')).status).toBe(422);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,7 @@
+// Variables de entorno para la suite de tests (se cargan antes que dotenv, que no las sobrescribe)
+process.env.NODE_ENV = 'test';
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.DB_LOGGING = 'false';
+process.env.JWT_SECRET = 'clave_secreta_de_tests';
+process.env.JWT_EXPIRATION = '1h';
\ No newline at end of file
@@ -0,0 +1,149 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const { Project, Task } = require('../src/models');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createAdmin, createProject, addMember, createTask, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Estadísticas', () => {
+    let owner;
+    let member;
+    let project;
+
+    beforeEach(async () => {
+        owner = await createUser();
+        member = await createUser({ name: 'Ana' });
+        project = await createProject(owner);
+        await addMember(project, member, 'contributor');
+    });
+
+    const projectStatistics = (user, query = '') => request(app)
+        .get(`/api/proyectos/${project.id}/estadisticas${query}`)
+        .set('Authorization', authHeader(user));
+
+    it('fija completedAt al completar una tarea y lo borra al reabrirla', async () => {
+        const task = await createTask(project);
+        expect(task.completedAt).toBeNull();
+
+        const completed = await request(app)
+            .patch(`/api/tareas/${task.id}`)
+            .set('Authorization', authHeader(owner))
+            .send({ status: 'completed' });
+        expect(completed.body.data.completedAt).not.toBeNull();
+        expect((await Task.findByPk(task.id)).completedAt).not.toBeNull();
+
+        await request(app)
+            .patch(`/api/tareas/${task.id}`)
+            .set('Authorization', authHeader(owner))
+            .send({ status: 'in_progress' });
+        expect((await Task.findByPk(task.id)).completedAt).toBeNull();
+    });
+
+    it('cuenta las tareas por estado y prioridad y calcula la tasa de finalización', async () => {
+        await createTask(project, { status: 'completed', priority: 'high' });
+        await createTask(project, { status: 'completed' });
+        await createTask(project, { status: 'in_progress', priority: 'low' });
+        await createTask(project);
+        await createTask(project, { status: 'canceled' });
+        await createTask(await createProject(owner));
+
+        const res = await projectStatistics(member);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({
+            project: { id: project.id },
+            total: 5,
+            completionRate: 50,
+            byStatus: { pending: 1, in_progress: 1, completed: 2, canceled: 1 },
+            byPriority: { low: 1, medium: 3, high: 1 }
+        });
+    });
+
+    it('lista las tareas vencidas sin completar, las más atrasadas primero', async () => {
+        const now = Date.now();
+        await createTask(project, { title: 'Ayer', dueDate: new Date(now - DAY) });
+        await createTask(project, { title: 'Hace una semana', dueDate: new Date(now - 7 * DAY) });
+        await createTask(project, { title: 'Completada', dueDate: new Date(now - DAY), status: 'completed' });
+        await createTask(project, { title: 'Mañana', dueDate: new Date(now + DAY) });
+
+        const res = await projectStatistics(owner);
+
+        expect(res.body.data.overdue.count).toBe(2);
+        expect(res.body.data.overdue.tasks.map(task => task.title)).toEqual(['Hace una semana', 'Ayer']);
+    });
+
+    it('calcula la carga de trabajo por usuario asignado', async () => {
+        await createTask(project, { assignedTo: member.id });
+        await createTask(project, { assignedTo: member.id, dueDate: new Date(Date.now() - DAY) });
+        await createTask(project, { assignedTo: member.id, status: 'completed' });
+        await createTask(project, { assignedTo: owner.id, status: 'completed' });
+        await createTask(project);
+
+        const res = await projectStatistics(owner);
+
+        expect(res.body.data.workload).toEqual([
+            expect.objectContaining({ assignee: expect.objectContaining({ id: member.id, name: 'Ana' }), total: 3, open: 2, overdue: 1 }),
+            expect.objectContaining({ assignee: null, total: 1, open: 1, overdue: 0 }),
+            expect.objectContaining({ assignee: expect.objectContaining({ id: owner.id }), total: 1, open: 0 })
+        ]);
+        expect(res.body.data.workload[0].byStatus).toEqual({ pending: 2, in_progress: 0, completed: 1, canceled: 0 });
+    });
+
+    it('agrupa las tareas creadas y completadas por periodo', async () => {
+        const yesterday = new Date(Date.now() - DAY);
+        await createTask(project);
+        await createTask(project, { status: 'completed' });
+        await createTask(project, { status: 'completed', completedAt: yesterday });
+
+        const res = await projectStatistics(owner, '?interval=day&periods=3');
+
+        const { throughput } = res.body.data;
+        expect(throughput.interval).toBe('day');
+        expect(throughput.periods.map(period => period.period)).toEqual(
+            [2, 1, 0].map(days => new Date(Date.now() - days * DAY).toISOString().slice(0, 10))
+        );
+        expect(throughput.periods.map(period => [period.created, period.completed])).toEqual([[0, 0], [0, 1], [3, 1]]);
+    });
+
+    it('agrupa por semanas que empiezan en lunes y por meses', async () => {
+        await createTask(project, { status: 'completed' });
+
+        const weekly = await projectStatistics(owner, '?periods=2');
+        const monday = new Date(weekly.body.data.throughput.periods[1].period);
+        expect(weekly.body.data.throughput.interval).toBe('week');
+        expect(monday.getUTCDay()).toBe(1);
+        expect(weekly.body.data.throughput.periods[1]).toMatchObject({ created: 1, completed: 1 });
+
+        const monthly = await projectStatistics(owner, '?interval=month&periods=1');
+        expect(monthly.body.data.throughput.periods).toEqual([
+            { period: `${new Date().toISOString().slice(0, 8)}01`, created: 1, completed: 1 }
+        ]);
+    });
+
+    it('valida los parámetros y exige acceso al proyecto', async () => {
+        expect((await projectStatistics(owner, '?interval=year')).status).toBe(422);
+        expect((await projectStatistics(owner, '?periods=0')).status).toBe(422);
+        expect((await projectStatistics(await createUser())).status).toBe(403);
+    });
+
+    it('el panel general incluye solo los proyectos del usuario salvo para administradores', async () => {
+        const other = await createProject(await createUser());
+        await createTask(project, { status: 'completed' });
+        await createTask(project);
+        await createTask(other, { dueDate: new Date(Date.now() - DAY) });
+
+        const mine = await request(app).get('/api/estadisticas').set('Authorization', authHeader(member));
+        expect(mine.status).toBe(200);
+        expect(mine.body.data).toMatchObject({ scope: 'user', projects: 1, total: 2, completionRate: 50 });
+        expect(mine.body.data.byProject).toEqual([
+            expect.objectContaining({ project: expect.objectContaining({ id: project.id }), total: 2, open: 1, overdue: 0, completionRate: 50 })
+        ]);
+
+        const all = await request(app).get('/api/estadisticas').set('Authorization', authHeader(await createAdmin()));
+        expect(all.body.data).toMatchObject({ scope: 'all', projects: await Project.count(), total: await Task.count() });
+        expect(all.body.data.byProject.map(entry => entry.project.id)).toEqual(expect.arrayContaining([project.id, other.id]));
+    });
+});
\ No newline at end of file
@@ -0,0 +1,212 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const { Task, ChecklistItem, AuditLog } = require('../src/models');
+const { purgeTrash } = require('../src/utils/trash');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createProject, addMember, createTask, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('Subtareas y checklists', () => {
+    let owner;
+    let viewer;
+    let project;
+
+    beforeEach(async () => {
+        owner = await createUser();
+        viewer = await createUser();
+        project = await createProject(owner);
+        await addMember(project, viewer, 'viewer');
+    });
+
+    const createSubtask = (parent, body = {}) => request(app)
+        .post(`/api/proyectos/${project.id}/tareas`)
+        .set('Authorization', authHeader(owner))
+        .send({ title: 'Subtarea', parentId: parent.id, ...body });
+
+    const update = (task, body) => request(app)
+        .patch(`/api/tareas/${task.id}`)
+        .set('Authorization', authHeader(owner))
+        .send(body);
+
+    const addItem = (task, body) => request(app)
+        .post(`/api/tareas/${task.id}/checklist`)
+        .set('Authorization', authHeader(owner))
+        .send(body);
+
+    const progressOf = async (task) => (await Task.findByPk(task.id)).progress;
+
+    it('crea subtareas de una tarea del mismo proyecto', async () => {
+        const parent = await createTask(project);
+
+        const res = await createSubtask(parent);
+        expect(res.status).toBe(201);
+        expect(res.body.data).toMatchObject({ parentId: parent.id, progress: 0 });
+
+        const foreign = await createTask(await createProject(owner));
+        expect((await createSubtask(foreign)).status).toBe(400);
+        expect((await createSubtask({ id: 999999 })).status).toBe(404);
+    });
+
+    it('impide mover una tarea bajo sí misma o bajo una de sus subtareas', async () => {
+        const root = await createTask(project);
+        const child = await createTask(project, { parentId: root.id });
+        const grandchild = await createTask(project, { parentId: child.id });
+
+        expect((await update(root, { parentId: root.id })).status).toBe(400);
+        expect((await update(root, { parentId: grandchild.id })).status).toBe(400);
+
+        const res = await update(grandchild, { parentId: null });
+        expect(res.status).toBe(200);
+        expect(res.body.data.parentId).toBeNull();
+    });
+
+    it('gestiona los elementos de la checklist de una tarea', async () => {
+        const task = await createTask(project);
+
+        const first = await addItem(task, { content: 'Revisar requisitos' });
+        const second = await addItem(task, { content: 'Escribir pruebas' });
+        expect(first.status).toBe(201);
+        expect([first.body.data.position, second.body.data.position]).toEqual([0, 1]);
+
+        await request(app)
+            .put(`/api/tareas/${task.id}/checklist/${second.body.data.id}`)
+            .set('Authorization', authHeader(owner))
+            .send({ position: 0, done: true });
+
+        const list = await request(app).get(`/api/tareas/${task.id}/checklist`).set('Authorization', authHeader(viewer));
+        expect(list.body.data.map(item => [item.content, item.done])).toEqual([
+            ['Escribir pruebas', true],
+            ['Revisar requisitos', false]
+        ]);
+
+        expect((await addItem(task, { content: '' })).status).toBe(422);
+
+        const forbidden = await request(app)
+            .post(`/api/tareas/${task.id}/checklist`)
+            .set('Authorization', authHeader(viewer))
+            .send({ content: 'No permitido' });
+        expect(forbidden.status).toBe(403);
+
+        const removed = await request(app)
+            .delete(`/api/tareas/${task.id}/checklist/${first.body.data.id}`)
+            .set('Authorization', authHeader(owner));
+        expect(removed.status).toBe(200);
+        expect(await ChecklistItem.count({ where: { taskId: task.id } })).toBe(1);
+    });
+
+    it('calcula el avance a partir de la checklist y de las subtareas', async () => {
+        const parent = await createTask(project);
+        const child = await createTask(project, { parentId: parent.id });
+        const other = await createTask(project, { parentId: parent.id });
+
+        // Checklist de la subtarea: 1 de 2 hechos -> la subtarea va al 50 %
+        const item = await addItem(child, { content: 'Paso 1', done: true });
+        await addItem(child, { content: 'Paso 2' });
+        expect(await progressOf(child)).toBe(50);
+        // El padre promedia sus dos subtareas: (0,5 + 0) / 2
+        expect(await progressOf(parent)).toBe(25);
+
+        await update(other, { status: 'completed' });
+        expect(await progressOf(parent)).toBe(75);
+
+        // Las subtareas canceladas no cuentan
+        await request(app)
+            .put(`/api/tareas/${child.id}/checklist/${item.body.data.id}`)
+            .set('Authorization', authHeader(owner))
+            .send({ done: false });
+        await update(child, { status: 'canceled' });
+        expect(await progressOf(parent)).toBe(100);
+    });
+
+    it('no permite completar una tarea con subtareas abiertas', async () => {
+        const parent = await createTask(project);
+        const child = await createTask(project, { parentId: parent.id, title: 'Pendiente' });
+
+        const res = await update(parent, { status: 'completed' });
+        expect(res.status).toBe(409);
+        expect(res.body.data.subtasks.map(task => task.title)).toEqual(['Pendiente']);
+
+        await update(child, { status: 'completed' });
+        const completed = await update(parent, { status: 'completed' });
+        expect(completed.status).toBe(200);
+        expect(completed.body.data.progress).toBe(100);
+    });
+
+    it('cancelar una tarea cancela sus subtareas abiertas a cualquier profundidad', async () => {
+        const parent = await createTask(project);
+        const done = await createTask(project, { parentId: parent.id, status: 'completed' });
+        const open = await createTask(project, { parentId: parent.id });
+        const nested = await createTask(project, { parentId: open.id, status: 'in_progress' });
+
+        expect((await update(parent, { status: 'canceled' })).status).toBe(200);
+
+        expect((await Task.findByPk(done.id)).status).toBe('completed');
+        expect((await Task.findByPk(open.id)).status).toBe('canceled');
+        expect((await Task.findByPk(nested.id)).status).toBe('canceled');
+
+        // Cada cancelación en cascada queda en el historial con su autor
+        const entry = await AuditLog.findOne({ where: { entityType: 'Task', entityId: nested.id, action: 'update' } });
+        expect(entry).toMatchObject({ actorId: owner.id, changes: { status: { from: 'in_progress', to: 'canceled' } } });
+    });
+
+    it('eliminar una tarea envía sus subtareas a la papelera y al vaciarla borra su checklist', async () => {
+        const parent = await createTask(project);
+        const child = await createTask(project, { parentId: parent.id });
+        const nested = await createTask(project, { parentId: child.id });
+        await addItem(nested, { content: 'Paso' });
+
+        const res = await request(app).delete(`/api/tareas/${parent.id}`).set('Authorization', authHeader(owner));
+
+        expect(res.status).toBe(200);
+        expect(await Task.count({ where: { id: [parent.id, child.id, nested.id] } })).toBe(0);
+        expect(await AuditLog.count({ where: { entityType: 'Task', entityId: nested.id, action: 'delete' } })).toBe(1);
+
+        // La checklist se conserva hasta el borrado definitivo
+        expect(await ChecklistItem.count({ where: { taskId: nested.id } })).toBe(1);
+        await purgeTrash();
+        expect(await Task.count({ where: { id: [parent.id, child.id, nested.id] }, paranoid: false })).toBe(0);
+        expect(await ChecklistItem.count({ where: { taskId: nested.id } })).toBe(0);
+    });
+
+    it('eliminar una subtarea recalcula el avance de su tarea padre', async () => {
+        const parent = await createTask(project);
+        await createTask(project, { parentId: parent.id, status: 'completed' });
+        const open = await createTask(project, { parentId: parent.id });
+        expect(await progressOf(parent)).toBe(50);
+
+        await request(app).delete(`/api/tareas/${open.id}`).set('Authorization', authHeader(owner));
+
+        expect(await progressOf(parent)).toBe(100);
+    });
+
+    it('devuelve las tareas en árbol con tree=true', async () => {
+        const root = await createTask(project, { title: 'Raíz' });
+        const child = await createTask(project, { title: 'Hija', parentId: root.id });
+        await createTask(project, { title: 'Nieta', parentId: child.id });
+        await createTask(project, { title: 'Suelta' });
+
+        const flat = await request(app).get(`/api/proyectos/${project.id}/tareas`).set('Authorization', authHeader(viewer));
+        expect(flat.body.data).toHaveLength(4);
+
+        const res = await request(app)
+            .get(`/api/proyectos/${project.id}/tareas?tree=true&sort=title`)
+            .set('Authorization', authHeader(viewer));
+
+        expect(res.status).toBe(200);
+        expect(res.body.pagination.total).toBe(2);
+        expect(res.body.data.map(task => task.title)).toEqual(['Raíz', 'Suelta']);
+        expect(res.body.data[0].subtasks[0]).toMatchObject({ title: 'Hija', subtasks: [{ title: 'Nieta', subtasks: [] }] });
+    });
+
+    it('incluye subtareas y checklist al obtener una tarea', async () => {
+        const parent = await createTask(project);
+        await createTask(project, { parentId: parent.id, title: 'Hija' });
+        await addItem(parent, { content: 'Paso' });
+
+        const res = await request(app).get(`/api/tareas/${parent.id}`).set('Authorization', authHeader(viewer));
+
+        expect(res.body.data.subtasks.map(task => task.title)).toEqual(['Hija']);
+        expect(res.body.data.checklist.map(item => item.content)).toEqual(['Paso']);
+    });
+});
\ No newline at end of file
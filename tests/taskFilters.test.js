@@ -0,0 +1,142 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createAdmin, createProject, addMember, createTask, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Filtros de tareas', () => {
+    let owner;
+    let member;
+    let project;
+
+    beforeAll(async () => {
+        owner = await createUser();
+        member = await createUser();
+        project = await createProject(owner);
+        await addMember(project, member, 'contributor');
+
+        const now = Date.now();
+        await createTask(project, { title: 'Preparar informe', status: 'pending', priority: 'high', dueDate: new Date(now - 2 * DAY), assignedTo: member.id });
+        await createTask(project, { title: 'Revisar informe', status: 'in_progress', priority: 'medium', dueDate: new Date(now + 2 * DAY), assignedTo: owner.id });
+        await createTask(project, { title: 'Enviar correo', status: 'completed', priority: 'low', dueDate: new Date(now - 5 * DAY) });
+        await createTask(project, { title: 'Archivar', status: 'canceled', priority: 'low' });
+    });
+
+    const list = async (user, query) => {
+        const res = await request(app)
+            .get(`/api/proyectos/${project.id}/tareas`)
+            .query({ sort: 'title', ...query })
+            .set('Authorization', authHeader(user));
+        expect(res.status).toBe(200);
+        return res.body.data.map(task => task.title);
+    };
+
+    it('admite varios valores separados por comas', async () => {
+        expect(await list(owner, { status: 'pending,in_progress' })).toEqual(['Preparar informe', 'Revisar informe']);
+        expect(await list(owner, { priority: 'high,low', status: 'completed,canceled' })).toEqual(['Archivar', 'Enviar correo']);
+    });
+
+    it('filtra por rangos de fechas', async () => {
+        const now = Date.now();
+        expect(await list(owner, { dueDateFrom: new Date(now - 3 * DAY).toISOString() })).toEqual(['Preparar informe', 'Revisar informe']);
+        expect(await list(owner, {
+            dueDateFrom: new Date(now - 6 * DAY).toISOString(),
+            dueDateTo: new Date(now).toISOString()
+        })).toEqual(['Enviar correo', 'Preparar informe']);
+        expect(await list(owner, { createdAtTo: new Date(now - DAY).toISOString() })).toEqual([]);
+        expect(await list(owner, { updatedAtFrom: new Date(now - DAY).toISOString() })).toHaveLength(4);
+    });
+
+    it('incluye el día completo en los extremos superiores sin hora', async () => {
+        const day = (offset) => new Date(Date.now() + offset).toISOString().slice(0, 10);
+
+        expect(await list(owner, { createdAtFrom: day(0), createdAtTo: day(0) })).toHaveLength(4);
+        expect(await list(owner, { dueDateFrom: day(-3 * DAY), dueDateTo: day(2 * DAY) })).toEqual(['Preparar informe', 'Revisar informe']);
+        expect(await list(owner, { updatedAtTo: day(-DAY) })).toEqual([]);
+    });
+
+    it('filtra las tareas vencidas', async () => {
+        expect(await list(owner, { overdue: true })).toEqual(['Preparar informe']);
+        expect(await list(owner, { overdue: false })).toEqual(['Archivar', 'Enviar correo', 'Revisar informe']);
+    });
+
+    it('filtra por asignación, incluido el usuario autenticado y las tareas sin asignar', async () => {
+        expect(await list(member, { assignedTo: 'me' })).toEqual(['Preparar informe']);
+        expect(await list(owner, { assignedTo: `me,${member.id}` })).toEqual(['Preparar informe', 'Revisar informe']);
+        expect(await list(owner, { unassigned: true })).toEqual(['Archivar', 'Enviar correo']);
+        expect(await list(owner, { assignedTo: 'me', unassigned: true })).toEqual(['Archivar', 'Enviar correo', 'Revisar informe']);
+        expect(await list(owner, { unassigned: false })).toEqual(['Preparar informe', 'Revisar informe']);
+    });
+
+    it('busca texto en el título y combina los filtros', async () => {
+        expect(await list(owner, { title: 'informe' })).toEqual(['Preparar informe', 'Revisar informe']);
+        expect(await list(owner, { title: 'informe', overdue: false, status: 'in_progress' })).toEqual(['Revisar informe']);
+    });
+
+    it('devuelve 400 con valores inválidos', async () => {
+        const res = await request(app)
+            .get(`/api/proyectos/${project.id}/tareas`)
+            .query({ priority: 'urgent', unassigned: 'si' })
+            .set('Authorization', authHeader(owner));
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.map(error => error.field)).toEqual(['priority', 'unassigned']);
+    });
+});
+
+describe('GET /api/tareas', () => {
+    let user;
+    let mine;
+    let shared;
+    let hidden;
+
+    beforeAll(async () => {
+        user = await createUser();
+        const other = await createUser();
+        mine = await createProject(user);
+        shared = await createProject(other);
+        hidden = await createProject(other);
+        await addMember(shared, user, 'viewer');
+
+        await createTask(mine, { title: 'Mía asignada', assignedTo: user.id });
+        await createTask(mine, { title: 'Mía sin asignar' });
+        await createTask(shared, { title: 'Compartida asignada', assignedTo: user.id, status: 'in_progress' });
+        await createTask(hidden, { title: 'Oculta asignada', assignedTo: user.id });
+    });
+
+    const listAll = (viewer, query = {}) => request(app)
+        .get('/api/tareas')
+        .query({ sort: 'title', ...query })
+        .set('Authorization', authHeader(viewer));
+
+    it('devuelve las tareas de los proyectos visibles con su proyecto', async () => {
+        const res = await listAll(user);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map(task => task.title)).toEqual(['Compartida asignada', 'Mía asignada', 'Mía sin asignar']);
+        expect(res.body.data[0].project).toMatchObject({ id: shared.id, name: shared.name });
+        expect(res.body.pagination.total).toBe(3);
+    });
+
+    it('muestra las tareas asignadas al usuario en todos sus proyectos', async () => {
+        const res = await listAll(user, { assignedTo: 'me' });
+        expect(res.body.data.map(task => task.title)).toEqual(['Compartida asignada', 'Mía asignada']);
+
+        const filtered = await listAll(user, { assignedTo: 'me', projectId: `${mine.id},${hidden.id}` });
+        expect(filtered.body.data.map(task => task.title)).toEqual(['Mía asignada']);
+    });
+
+    it('los administradores ven las tareas de todos los proyectos', async () => {
+        const res = await listAll(await createAdmin(), { assignedTo: user.id });
+
+        expect(res.body.data.map(task => task.title)).toEqual(['Compartida asignada', 'Mía asignada', 'Oculta asignada']);
+    });
+
+    it('devuelve 400 con un filtro inválido', async () => {
+        expect((await listAll(user, { projectId: 'abc' })).status).toBe(400);
+        expect((await listAll(user, { sort: 'projectId' })).status).toBe(400);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,318 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const { Task } = require('../src/models');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createAdmin, createProject, addMember, createTask, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('POST /api/proyectos/:projectId/tareas', () => {
+    it('crea una tarea asignada a un miembro del proyecto', async () => {
+        const owner = await createUser();
+        const member = await createUser();
+        const project = await createProject(owner);
+        await addMember(project, member);
+
+        const res = await request(app)
+            .post(`/api/proyectos/${project.id}/tareas`)
+            .set('Authorization', authHeader(owner))
+            .send({ title: 'Escribir tests', priority: 'high', assignedTo: member.id });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data).toMatchObject({
+            title: 'Escribir tests',
+            priority: 'high',
+            status: 'pending',
+            projectId: project.id,
+            assignee: { id: member.id }
+        });
+    });
+
+    it('devuelve 400 si el usuario asignado no es miembro del proyecto', async () => {
+        const owner = await createUser();
+        const outsider = await createUser();
+        const project = await createProject(owner);
+
+        const res = await request(app)
+            .post(`/api/proyectos/${project.id}/tareas`)
+            .set('Authorization', authHeader(owner))
+            .send({ title: 'Asignación inválida', assignedTo: outsider.id });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('devuelve 404 si el usuario asignado no existe', async () => {
+        const owner = await createUser();
+        const project = await createProject(owner);
+
+        const res = await request(app)
+            .post(`/api/proyectos/${project.id}/tareas`)
+            .set('Authorization', authHeader(owner))
+            .send({ title: 'Asignación inválida', assignedTo: 999999 });
+
+        expect(res.status).toBe(404);
+    });
+
+    it('devuelve 403 a un usuario con rol viewer', async () => {
+        const project = await createProject(await createUser());
+        const viewer = await createUser();
+        await addMember(project, viewer, 'viewer');
+
+        const res = await request(app)
+            .post(`/api/proyectos/${project.id}/tareas`)
+            .set('Authorization', authHeader(viewer))
+            .send({ title: 'No permitido' });
+
+        expect(res.status).toBe(403);
+    });
+
+    it('devuelve 404 si el proyecto no existe', async () => {
+        const user = await createUser();
+
+        const res = await request(app)
+            .post('/api/proyectos/999999/tareas')
+            .set('Authorization', authHeader(user))
+            .send({ title: 'Sin proyecto' });
+
+        expect(res.status).toBe(404);
+    });
+
+    it('devuelve 422 con datos inválidos', async () => {
+        const owner = await createUser();
+        const project = await createProject(owner);
+
+        const res = await request(app)
+            .post(`/api/proyectos/${project.id}/tareas`)
+            .set('Authorization', authHeader(owner))
+            .send({ priority: 'urgente', dueDate: 'mañana' });
+
+        expect(res.status).toBe(422);
+        expect(res.body.errors.map(error => `${error.field}:${error.code}`)).toEqual([
+            'title:required',
+            'priority:invalid_enum',
+            'dueDate:invalid_date'
+        ]);
+    });
+});
+
+describe('GET /api/proyectos/:projectId/tareas', () => {
+    let owner;
+    let member;
+    let project;
+
+    beforeAll(async () => {
+        owner = await createUser();
+        member = await createUser();
+        project = await createProject(owner);
+        await addMember(project, member, 'viewer');
+
+        await createTask(project, { title: 'Baja', priority: 'low', status: 'completed' });
+        await createTask(project, { title: 'Media', priority: 'medium', assignedTo: member.id });
+        await createTask(project, { title: 'Alta', priority: 'high' });
+    });
+
+    const list = (user, query = {}) => request(app)
+        .get(`/api/proyectos/${project.id}/tareas`)
+        .query(query)
+        .set('Authorization', authHeader(user));
+
+    it('ordena según el parámetro sort', async () => {
+        const res = await list(member, { sort: '-title' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map(task => task.title)).toEqual(['Media', 'Baja', 'Alta']);
+        expect(res.body.pagination.total).toBe(3);
+    });
+
+    it('filtra por estado, prioridad y usuario asignado', async () => {
+        const byStatus = await list(owner, { status: 'completed' });
+        expect(byStatus.body.data.map(task => task.title)).toEqual(['Baja']);
+
+        const byPriority = await list(owner, { priority: 'high' });
+        expect(byPriority.body.data.map(task => task.title)).toEqual(['Alta']);
+
+        const byAssignee = await list(owner, { assignedTo: member.id });
+        expect(byAssignee.body.data.map(task => task.title)).toEqual(['Media']);
+    });
+
+    it('pagina por número de página', async () => {
+        const res = await list(owner, { limit: 2, page: 2, sort: 'title' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map(task => task.title)).toEqual(['Media']);
+        expect(res.body.pagination).toMatchObject({ page: 2, totalPages: 2, hasMore: false });
+    });
+
+    it('ordena y pagina con cursor por prioridad según su orden y no alfabéticamente', async () => {
+        const first = await list(owner, { limit: 1, sort: '-priority' });
+        expect(first.body.data.map(task => task.title)).toEqual(['Alta']);
+
+        const second = await list(owner, { limit: 1, sort: '-priority', cursor: first.body.pagination.nextCursor });
+        expect(second.body.data.map(task => task.title)).toEqual(['Media']);
+
+        const third = await list(owner, { limit: 1, sort: '-priority', cursor: second.body.pagination.nextCursor });
+        expect(third.body.data.map(task => task.title)).toEqual(['Baja']);
+        expect(third.body.pagination.hasMore).toBe(false);
+
+        const ascending = await list(owner, { sort: 'priority' });
+        expect(ascending.body.data.map(task => task.title)).toEqual(['Baja', 'Media', 'Alta']);
+    });
+
+    it('devuelve 400 con un cursor cuyos valores no son escalares o no son válidos', async () => {
+        const cursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+        expect((await list(owner, { sort: 'title', cursor: cursor([{ gt: 'a' }, 1]) })).status).toBe(400);
+        expect((await list(owner, { sort: 'title', cursor: cursor([['a'], 1]) })).status).toBe(400);
+        expect((await list(owner, { sort: 'priority', cursor: cursor(['urgent', 1]) })).status).toBe(400);
+        expect((await list(owner, { sort: 'createdAt', cursor: cursor(['ayer', 1]) })).status).toBe(400);
+    });
+
+    it('devuelve 400 con un filtro inválido', async () => {
+        const res = await list(owner, { assignedTo: 'abc' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors[0]).toMatchObject({ field: 'assignedTo', code: 'invalid_format' });
+
+        expect((await list(owner, { status: 'pending,done' })).status).toBe(400);
+        expect((await list(owner, { overdue: 'yes' })).status).toBe(400);
+        expect((await list(owner, { dueDateFrom: 'mañana' })).status).toBe(400);
+        expect((await list(owner, { createdAtFrom: '2026-02-01', createdAtTo: '2026-01-01' })).status).toBe(400);
+    });
+
+    it('devuelve 403 a un usuario que no es miembro', async () => {
+        const res = await list(await createUser());
+
+        expect(res.status).toBe(403);
+    });
+
+    it('devuelve 404 si el proyecto no existe', async () => {
+        const res = await request(app)
+            .get('/api/proyectos/999999/tareas')
+            .set('Authorization', authHeader(owner));
+
+        expect(res.status).toBe(404);
+    });
+
+    it('devuelve la lista en XML', async () => {
+        const res = await list(owner, { format: 'xml', status: 'completed' });
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/application\/xml/);
+        expect(res.text).toContain('<title>Baja</title>');
+    });
+});
+
+describe('GET /api/tareas/:id', () => {
+    it('devuelve la tarea a un miembro del proyecto', async () => {
+        const owner = await createUser();
+        const project = await createProject(owner);
+        const task = await createTask(project, { title: 'Detalle' });
+
+        const res = await request(app)
+            .get(`/api/tareas/${task.id}`)
+            .set('Authorization', authHeader(owner));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ id: task.id, title: 'Detalle' });
+    });
+
+    it('devuelve 403 a un usuario que no es miembro', async () => {
+        const task = await createTask(await createProject(await createUser()));
+
+        const res = await request(app)
+            .get(`/api/tareas/${task.id}`)
+            .set('Authorization', authHeader(await createUser()));
+
+        expect(res.status).toBe(403);
+    });
+
+    it('devuelve 404 si la tarea no existe', async () => {
+        const res = await request(app)
+            .get('/api/tareas/999999')
+            .set('Authorization', authHeader(await createUser()));
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('PATCH /api/tareas/:id', () => {
+    it('permite a un colaborador actualizar la tarea', async () => {
+        const project = await createProject(await createUser());
+        const contributor = await createUser();
+        await addMember(project, contributor, 'contributor');
+        const task = await createTask(project);
+
+        const res = await request(app)
+            .patch(`/api/tareas/${task.id}`)
+            .set('Authorization', authHeader(contributor))
+            .send({ status: 'in_progress', assignedTo: contributor.id });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ status: 'in_progress', assignee: { id: contributor.id } });
+    });
+
+    it('devuelve 403 a un usuario con rol viewer', async () => {
+        const project = await createProject(await createUser());
+        const viewer = await createUser();
+        await addMember(project, viewer, 'viewer');
+        const task = await createTask(project);
+
+        const res = await request(app)
+            .patch(`/api/tareas/${task.id}`)
+            .set('Authorization', authHeader(viewer))
+            .send({ status: 'completed' });
+
+        expect(res.status).toBe(403);
+    });
+
+    it('devuelve 404 si la tarea no existe', async () => {
+        const res = await request(app)
+            .patch('/api/tareas/999999')
+            .set('Authorization', authHeader(await createAdmin()))
+            .send({ status: 'completed' });
+
+        expect(res.status).toBe(404);
+    });
+
+    it('devuelve 422 con un estado inválido', async () => {
+        const owner = await createUser();
+        const task = await createTask(await createProject(owner));
+
+        const res = await request(app)
+            .patch(`/api/tareas/${task.id}`)
+            .set('Authorization', authHeader(owner))
+            .send({ status: 'hecha' });
+
+        expect(res.status).toBe(422);
+    });
+});
+
+describe('DELETE /api/tareas/:id', () => {
+    it('un colaborador no puede eliminar tareas pero un manager sí', async () => {
+        const project = await createProject(await createUser());
+        const contributor = await createUser();
+        const manager = await createUser();
+        await addMember(project, contributor, 'contributor');
+        await addMember(project, manager, 'manager');
+        const task = await createTask(project);
+
+        const forbidden = await request(app)
+            .delete(`/api/tareas/${task.id}`)
+            .set('Authorization', authHeader(contributor));
+        expect(forbidden.status).toBe(403);
+
+        const res = await request(app)
+            .delete(`/api/tareas/${task.id}`)
+            .set('Authorization', authHeader(manager));
+        expect(res.status).toBe(200);
+        expect(await Task.findByPk(task.id)).toBeNull();
+    });
+
+    it('devuelve 404 si la tarea no existe', async () => {
+        const res = await request(app)
+            .delete('/api/tareas/999999')
+            .set('Authorization', authHeader(await createAdmin()));
+
+        expect(res.status).toBe(404);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,172 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const { Project, Task, AuditLog } = require('../src/models');
+const { purgeExpiredTrash } = require('../src/utils/trash');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createAdmin, createProject, addMember, createTask, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('Papelera', () => {
+    let owner;
+    let manager;
+    let viewer;
+    let project;
+
+    beforeEach(async () => {
+        owner = await createUser();
+        manager = await createUser();
+        viewer = await createUser();
+        project = await createProject(owner);
+        await addMember(project, manager, 'manager');
+        await addMember(project, viewer, 'viewer');
+    });
+
+    const trash = (user, query = '') => request(app)
+        .get(`/api/papelera${query}`)
+        .set('Authorization', authHeader(user));
+
+    const remove = (user, path) => request(app).delete(`/api${path}`).set('Authorization', authHeader(user));
+    const restore = (user, path) => request(app).post(`/api${path}/restaurar`).set('Authorization', authHeader(user));
+
+    it('envía el proyecto y sus tareas a la papelera y los restaura juntos', async () => {
+        const parent = await createTask(project);
+        const child = await createTask(project, { parentId: parent.id });
+        const removedBefore = await createTask(project);
+        await remove(owner, `/tareas/${removedBefore.id}`);
+
+        const res = await remove(owner, `/proyectos/${project.id}`);
+        expect(res.status).toBe(200);
+        expect((await request(app).get(`/api/proyectos/${project.id}`).set('Authorization', authHeader(owner))).status).toBe(404);
+
+        const deleted = await Project.findByPk(project.id, { paranoid: false });
+        expect(deleted.deletedBy).toBe(owner.id);
+        expect(await Task.count({ where: { projectId: project.id } })).toBe(0);
+
+        // Las tareas eliminadas con el proyecto no aparecen por separado
+        const list = await trash(owner);
+        expect(list.body.data.map(item => [item.type, item.id])).toEqual([['project', project.id], ['task', removedBefore.id]]);
+        expect(list.body.data[0]).toMatchObject({ title: project.name, deletedBy: owner.id });
+        expect(new Date(list.body.data[0].purgeAt) - new Date(list.body.data[0].deletedAt)).toBe(30 * 24 * 60 * 60 * 1000);
+
+        const restored = await restore(owner, `/proyectos/${project.id}`);
+        expect(restored.status).toBe(200);
+        expect(restored.body.data).toMatchObject({ id: project.id, deletedAt: null, deletedBy: null });
+
+        // La tarea eliminada antes que el proyecto sigue en la papelera
+        const tasks = await Task.findAll({ where: { projectId: project.id }, order: [['id', 'ASC']] });
+        expect(tasks.map(task => task.id)).toEqual([parent.id, child.id]);
+        expect((await trash(owner)).body.data.map(item => item.id)).toEqual([removedBefore.id]);
+        expect(await AuditLog.count({ where: { entityType: 'Project', entityId: project.id, action: 'restore' } })).toBe(1);
+
+        expect((await restore(owner, `/proyectos/${project.id}`)).status).toBe(409);
+    });
+
+    it('no restaura con el proyecto una tarea eliminada aparte en el mismo segundo', async () => {
+        const task = await createTask(project);
+        const separately = await createTask(project);
+        const second = Math.floor(Date.now() / 1000) * 1000;
+
+        await separately.destroy({ deletedAt: new Date(second + 200) });
+        await project.destroy({ deletedAt: new Date(second + 800) });
+
+        expect((await restore(owner, `/proyectos/${project.id}`)).status).toBe(200);
+        expect(await Task.findByPk(task.id)).not.toBeNull();
+        expect(await Task.findByPk(separately.id)).toBeNull();
+        expect((await trash(owner)).body.data.map(item => item.id)).toEqual([separately.id]);
+    });
+
+    it('restaura una tarea con sus subtareas si su proyecto y su tarea padre no están en la papelera', async () => {
+        const parent = await createTask(project);
+        const child = await createTask(project, { parentId: parent.id });
+        const nested = await createTask(project, { parentId: child.id });
+
+        await remove(manager, `/tareas/${child.id}`);
+        expect((await request(app).get(`/api/tareas/${child.id}`).set('Authorization', authHeader(owner))).status).toBe(404);
+        expect((await trash(manager)).body.data.map(item => item.id)).toEqual([child.id]);
+
+        // Los lectores no pueden ver ni restaurar la papelera del proyecto
+        expect((await trash(viewer)).body.data).toHaveLength(0);
+        expect((await restore(viewer, `/tareas/${child.id}`)).status).toBe(403);
+
+        await remove(owner, `/tareas/${parent.id}`);
+        const blocked = await restore(owner, `/tareas/${child.id}`);
+        expect(blocked.status).toBe(409);
+
+        expect((await restore(owner, `/tareas/${parent.id}`)).status).toBe(200);
+        expect(await Task.findByPk(child.id)).toBeNull();
+
+        const res = await restore(manager, `/tareas/${child.id}`);
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ id: child.id, parentId: parent.id, deletedAt: null });
+        expect(await Task.findByPk(nested.id)).not.toBeNull();
+
+        // Una tarea cuyo proyecto está en la papelera se restaura con el proyecto
+        await remove(owner, `/proyectos/${project.id}`);
+        expect((await restore(owner, `/tareas/${parent.id}`)).status).toBe(409);
+    });
+
+    it('filtra por tipo y proyecto y pagina los resultados', async () => {
+        const other = await createProject(owner);
+        const tasks = [await createTask(project), await createTask(project), await createTask(other)];
+        for (const task of tasks) {
+            await remove(owner, `/tareas/${task.id}`);
+        }
+        await remove(owner, `/proyectos/${other.id}`);
+
+        expect((await trash(owner, '?type=project')).body.data.map(item => item.id)).toEqual([other.id]);
+
+        const byProject = await trash(owner, `?type=task&projectId=${project.id}&limit=1`);
+        expect(byProject.body.data.map(item => item.id)).toEqual([tasks[1].id]);
+        expect(byProject.body.pagination).toMatchObject({ total: 2, limit: 1, page: 1, hasMore: true, sort: '-deletedAt' });
+
+        expect((await trash(owner, '?type=comment')).status).toBe(422);
+    });
+
+    it('solo los administradores borran definitivamente', async () => {
+        const admin = await createAdmin();
+        const task = await createTask(project);
+        await remove(owner, `/tareas/${task.id}`);
+        await remove(owner, `/proyectos/${project.id}`);
+
+        expect((await remove(owner, `/papelera/tareas/${task.id}`)).status).toBe(403);
+        expect((await trash(admin, `?projectId=${project.id}`)).body.data.map(item => item.type)).toEqual(['project', 'task']);
+
+        expect((await remove(admin, `/papelera/tareas/${task.id}`)).status).toBe(200);
+        expect(await Task.findByPk(task.id, { paranoid: false })).toBeNull();
+        expect((await remove(admin, `/papelera/tareas/${task.id}`)).status).toBe(404);
+
+        // Un proyecto activo no se puede borrar definitivamente desde la papelera
+        const active = await createProject(owner);
+        expect((await remove(admin, `/papelera/proyectos/${active.id}`)).status).toBe(404);
+
+        const res = await remove(admin, '/papelera');
+        expect(res.status).toBe(200);
+        expect(res.body.data.projects).toBeGreaterThanOrEqual(1);
+        expect((await trash(admin)).body.data).toHaveLength(0);
+        expect(await Project.findByPk(project.id, { paranoid: false })).toBeNull();
+        expect(await Project.findByPk(active.id)).not.toBeNull();
+    });
+
+    it('borra los elementos cuyo plazo de conservación ha terminado', async () => {
+        const old = await createTask(project);
+        const recent = await createTask(project);
+        await remove(owner, `/tareas/${old.id}`);
+        await remove(owner, `/tareas/${recent.id}`);
+
+        const days = (n) => new Date(Date.now() - n * 24 * 60 * 60 * 1000);
+        await Task.update({ deletedAt: days(31) }, { where: { id: old.id }, paranoid: false });
+
+        expect(await purgeExpiredTrash()).toEqual({ projects: 0, tasks: 1 });
+        expect(await Task.findByPk(old.id, { paranoid: false })).toBeNull();
+        expect(await Task.findByPk(recent.id, { paranoid: false })).not.toBeNull();
+
+        process.env.TRASH_RETENTION_DAYS = '1';
+        try {
+            await purgeExpiredTrash(days(-2));
+            expect(await Task.findByPk(recent.id, { paranoid: false })).toBeNull();
+        } finally {
+            delete process.env.TRASH_RETENTION_DAYS;
+        }
+    });
+});
\ No newline at end of file
@@ -0,0 +1,121 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const { User } = require('../src/models');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createAdmin, authHeader, DEFAULT_PASSWORD } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('Gestión de usuarios', () => {
+    let admin;
+
+    beforeEach(async () => {
+        admin = await createAdmin();
+    });
+
+    const asAdmin = (method, path) => request(app)[method](`/api/usuarios${path}`).set('Authorization', authHeader(admin));
+    const login = (email, password = DEFAULT_PASSWORD) => request(app).post('/api/login').send({ email, password });
+
+    it('el registro no permite elegir el rol', async () => {
+        const res = await request(app)
+            .post('/api/registro')
+            .send({ name: 'Intruso', email: 'intruso@test.com', password: DEFAULT_PASSWORD, role: 'admin' });
+
+        expect(res.status).toBe(422);
+        expect(res.body.errors[0]).toMatchObject({ field: 'role', code: 'unknown_field' });
+        expect(await User.findOne({ where: { email: 'intruso@test.com' } })).toBeNull();
+    });
+
+    it('solo los administradores acceden a la gestión de usuarios', async () => {
+        const user = await createUser();
+
+        const res = await request(app).get('/api/usuarios').set('Authorization', authHeader(user));
+        expect(res.status).toBe(403);
+        expect((await request(app).put(`/api/usuarios/${user.id}/rol`).set('Authorization', authHeader(user)).send({ role: 'admin' })).status).toBe(403);
+        expect((await User.findByPk(user.id)).role).toBe('user');
+    });
+
+    it('lista los usuarios con búsqueda, filtros y paginación', async () => {
+        const buscado = await createUser({ name: 'Lucía Buscada' });
+        await createUser({ name: 'Otro usuario', active: false });
+
+        const res = await asAdmin('get', '?search=buscada');
+        expect(res.status).toBe(200);
+        expect(res.body.data).toHaveLength(1);
+        expect(res.body.data[0]).toMatchObject({ id: buscado.id, name: 'Lucía Buscada', role: 'user', active: true });
+        expect(res.body.data[0].password).toBeUndefined();
+        expect(res.body.data[0].tokenVersion).toBeUndefined();
+
+        const admins = await asAdmin('get', '?role=admin&limit=100');
+        expect(admins.body.data.every(user => user.role === 'admin')).toBe(true);
+        expect(admins.body.data.map(user => user.id)).toContain(admin.id);
+
+        const inactive = await asAdmin('get', '?active=false');
+        expect(inactive.body.data.map(user => user.name)).toContain('Otro usuario');
+        expect(inactive.body.data.every(user => user.active === false)).toBe(true);
+
+        const page = await asAdmin('get', '?limit=1&sort=-createdAt');
+        expect(page.body.data).toHaveLength(1);
+        expect(page.body.pagination).toMatchObject({ limit: 1 });
+
+        expect((await asAdmin('get', '?role=superadmin')).status).toBe(400);
+        expect((await asAdmin('get', '?sort=password')).status).toBe(400);
+
+        expect((await asAdmin('get', `/${buscado.id}`)).body.data.email).toBe(buscado.email);
+        expect((await asAdmin('get', '/999999')).status).toBe(404);
+    });
+
+    it('cambia el rol de un usuario pero no el propio', async () => {
+        const user = await createUser();
+
+        const res = await asAdmin('put', `/${user.id}/rol`).send({ role: 'admin' });
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ id: user.id, role: 'admin' });
+
+        // El nuevo rol se aplica con el token que ya tenía
+        expect((await request(app).get('/api/usuarios').set('Authorization', authHeader(user))).status).toBe(200);
+
+        const own = await asAdmin('put', `/${admin.id}/rol`).send({ role: 'user' });
+        expect(own.status).toBe(409);
+        expect((await User.findByPk(admin.id)).role).toBe('admin');
+
+        expect((await asAdmin('put', `/${user.id}/rol`).send({ role: 'root' })).status).toBe(422);
+        expect((await asAdmin('put', '/999999/rol').send({ role: 'user' })).status).toBe(404);
+    });
+
+    it('desactivar un usuario cierra sus sesiones y le impide iniciar sesión', async () => {
+        const user = await createUser();
+        const { refreshToken } = (await login(user.email)).body.data;
+
+        const res = await asAdmin('put', `/${user.id}/estado`).send({ active: false });
+        expect(res.status).toBe(200);
+        expect(res.body.data.active).toBe(false);
+
+        expect((await request(app).get('/api/perfil').set('Authorization', authHeader(user))).status).toBe(401);
+        expect((await request(app).post('/api/token/refresh').send({ refreshToken })).status).toBe(401);
+        expect((await login(user.email)).status).toBe(401);
+
+        // Al reactivarlo puede volver a iniciar sesión
+        expect((await asAdmin('put', `/${user.id}/estado`).send({ active: true })).body.data.active).toBe(true);
+        expect((await login(user.email)).status).toBe(200);
+
+        expect((await asAdmin('put', `/${admin.id}/estado`).send({ active: false })).status).toBe(409);
+        expect((await asAdmin('put', `/${user.id}/estado`).send({ active: 'no' })).status).toBe(422);
+    });
+
+    it('restablece la contraseña de un usuario y cierra sus sesiones', async () => {
+        const user = await createUser();
+        const oldToken = (await login(user.email)).body.data.token;
+
+        const weak = await asAdmin('put', `/${user.id}/contrasena`).send({ password: 'debil' });
+        expect(weak.status).toBe(422);
+
+        const res = await asAdmin('put', `/${user.id}/contrasena`).send({ password: 'NuevaClave1' });
+        expect(res.status).toBe(200);
+        expect(res.body.data).toEqual({ id: user.id });
+
+        expect((await request(app).get('/api/perfil').set('Authorization', `Bearer ${oldToken}`)).status).toBe(401);
+        expect((await login(user.email)).status).toBe(401);
+        expect((await login(user.email, 'NuevaClave1')).status).toBe(200);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,269 @@
+const http = require('http');
+const crypto = require('crypto');
+const request = require('supertest');
+const { app } = require('../src/app');
+const { Webhook, WebhookDelivery } = require('../src/models');
+const { processDeliveries } = require('../src/utils/webhooks');
+const { purgeTrash } = require('../src/utils/trash');
+const { setupDatabase } = require('./helpers/database');
+const { createUser, createAdmin, createProject, addMember, createTask, authHeader } = require('./helpers/factories');
+
+setupDatabase();
+
+describe('Webhooks', () => {
+    let server;
+    let baseUrl;
+    // Peticiones recibidas por el servidor de prueba y códigos con los que responde (200 si no hay más)
+    let received = [];
+    let responses = [];
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ path: req.url, headers: req.headers, body, json: JSON.parse(body) });
+                res.statusCode = responses.length > 0 ? responses.shift() : 200;
+                res.end('ok');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    let owner;
+    let viewer;
+    let project;
+
+    beforeEach(async () => {
+        received = [];
+        responses = [];
+        owner = await createUser();
+        viewer = await createUser();
+        project = await createProject(owner);
+        await addMember(project, viewer, 'viewer');
+    });
+
+    // Termina las entregas en curso antes de pasar al siguiente test
+    afterEach(() => processDeliveries());
+
+    const createWebhook = (body, user = owner) => request(app)
+        .post(`/api/proyectos/${project.id}/webhooks`)
+        .set('Authorization', authHeader(user))
+        .send({ url: `${baseUrl}/hook`, ...body });
+
+    const later = (ms) => new Date(Date.now() + ms);
+
+    it('solo los gestores del proyecto crean webhooks y la clave solo se muestra al crearlos', async () => {
+        const res = await createWebhook({ events: ['task.created'] });
+        expect(res.status).toBe(201);
+        expect(res.body.data).toMatchObject({ projectId: project.id, events: ['task.created'], active: true });
+        expect(res.body.data.secret).toMatch(/^[0-9a-f]{64}$/);
+
+        const list = await request(app).get(`/api/proyectos/${project.id}/webhooks`).set('Authorization', authHeader(owner));
+        expect(list.body.data).toHaveLength(1);
+        expect(list.body.data[0].secret).toBeUndefined();
+
+        const detail = await request(app).get(`/api/webhooks/${res.body.data.id}`).set('Authorization', authHeader(owner));
+        expect(detail.body.data.secret).toBeUndefined();
+
+        expect((await createWebhook({ events: ['task.created'] }, viewer)).status).toBe(403);
+        expect((await request(app).get(`/api/webhooks/${res.body.data.id}`).set('Authorization', authHeader(viewer))).status).toBe(403);
+        expect((await createWebhook({ events: ['task.unknown'] })).status).toBe(422);
+        expect((await createWebhook({ url: 'ftp://example.com', events: ['task.created'] })).status).toBe(422);
+    });
+
+    it('entrega los eventos suscritos firmados con HMAC-SHA256', async () => {
+        const secret = 'clave-de-prueba-1234567890';
+        await createWebhook({ events: ['task.created', 'task.status_changed'], secret });
+
+        const created = await request(app)
+            .post(`/api/proyectos/${project.id}/tareas`)
+            .set('Authorization', authHeader(owner))
+            .send({ title: 'Con webhook' });
+        await request(app)
+            .patch(`/api/tareas/${created.body.data.id}`)
+            .set('Authorization', authHeader(owner))
+            .send({ status: 'in_progress' });
+        await processDeliveries();
+
+        // task.updated no está suscrito: solo llegan la creación y el cambio de estado
+        expect(received.map(item => item.headers['x-webhook-event'])).toEqual(['task.created', 'task.status_changed']);
+
+        const [first, second] = received;
+        const expected = crypto.createHmac('sha256', secret)
+            .update(`${first.headers['x-webhook-timestamp']}.${first.body}`)
+            .digest('hex');
+        expect(first.headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+        expect(first.json).toMatchObject({ type: 'task.created', projectId: project.id, actorId: owner.id, data: { title: 'Con webhook' } });
+        expect(second.json.changes).toEqual({ status: { from: 'pending', to: 'in_progress' } });
+
+        const delivery = await WebhookDelivery.findByPk(Number(first.headers['x-webhook-delivery']));
+        expect(delivery).toMatchObject({ status: 'success', attempts: 1, responseStatus: 200 });
+    });
+
+    it('reintenta las entregas fallidas con espera exponencial hasta agotar los intentos', async () => {
+        process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+        process.env.WEBHOOK_RETRY_DELAY = '1000';
+        try {
+            const hook = await createWebhook({ events: ['task.deleted'] });
+            const task = await createTask(project);
+            responses = [500, 503, 502];
+
+            await request(app).delete(`/api/tareas/${task.id}`).set('Authorization', authHeader(owner));
+            await processDeliveries();
+
+            const delivery = await WebhookDelivery.findOne({ where: { webhookId: hook.body.data.id } });
+            expect(delivery).toMatchObject({ status: 'pending', attempts: 1, responseStatus: 500 });
+            const firstDelay = delivery.nextAttemptAt - delivery.lastAttemptAt;
+            expect(firstDelay).toBe(1000);
+
+            // Antes de tiempo no se reintenta
+            await processDeliveries();
+            expect(received).toHaveLength(1);
+
+            await processDeliveries(later(1000));
+            await delivery.reload();
+            expect(delivery).toMatchObject({ status: 'pending', attempts: 2, responseStatus: 503 });
+            expect(delivery.nextAttemptAt - delivery.lastAttemptAt).toBe(2000);
+
+            await processDeliveries(later(5000));
+            await delivery.reload();
+            expect(delivery).toMatchObject({ status: 'failed', attempts: 3, responseStatus: 502, nextAttemptAt: null });
+            expect(received).toHaveLength(3);
+        } finally {
+            delete process.env.WEBHOOK_MAX_ATTEMPTS;
+            delete process.env.WEBHOOK_RETRY_DELAY;
+        }
+    });
+
+    it('registra los errores de conexión como intentos fallidos', async () => {
+        const hook = await createWebhook({ events: ['project.updated'], url: 'http://127.0.0.1:1/cerrado' });
+
+        await request(app).patch(`/api/proyectos/${project.id}`).set('Authorization', authHeader(owner)).send({ name: 'Renombrado' });
+        await processDeliveries();
+
+        const delivery = await WebhookDelivery.findOne({ where: { webhookId: hook.body.data.id } });
+        expect(delivery).toMatchObject({ status: 'pending', attempts: 1, responseStatus: null });
+        expect(delivery.error).toBeTruthy();
+        expect(delivery.payload.changes.name.to).toBe('Renombrado');
+    });
+
+    it('muestra el registro de entregas y permite reenviarlas', async () => {
+        const hook = await createWebhook({ events: ['task.created'] });
+        responses = [410];
+
+        process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+        try {
+            await request(app)
+                .post(`/api/proyectos/${project.id}/tareas`)
+                .set('Authorization', authHeader(owner))
+                .send({ title: 'Reenviar' });
+            await processDeliveries();
+        } finally {
+            delete process.env.WEBHOOK_MAX_ATTEMPTS;
+        }
+
+        const log = await request(app)
+            .get(`/api/webhooks/${hook.body.data.id}/entregas?status=failed`)
+            .set('Authorization', authHeader(owner));
+        expect(log.status).toBe(200);
+        expect(log.body.pagination.total).toBe(1);
+        const [failed] = log.body.data;
+        expect(failed).toMatchObject({ event: 'task.created', status: 'failed', responseStatus: 410, responseBody: 'ok' });
+
+        const res = await request(app)
+            .post(`/api/webhooks/${hook.body.data.id}/entregas/${failed.id}/reenviar`)
+            .set('Authorization', authHeader(owner));
+        expect(res.status).toBe(202);
+        expect(res.body.data).toMatchObject({ status: 'pending', redeliveryOf: failed.id });
+        await processDeliveries();
+
+        expect(received).toHaveLength(2);
+        expect(received[1].json.id).toBe(received[0].json.id);
+        expect(await WebhookDelivery.findByPk(res.body.data.id)).toMatchObject({ status: 'success' });
+
+        const missing = await request(app)
+            .post(`/api/webhooks/${hook.body.data.id}/entregas/999999/reenviar`)
+            .set('Authorization', authHeader(owner));
+        expect(missing.status).toBe(404);
+    });
+
+    it('los webhooks globales son de administradores y reciben eventos de todos los proyectos', async () => {
+        const admin = await createAdmin();
+        const other = await createProject(viewer);
+
+        const forbidden = await request(app)
+            .post('/api/webhooks')
+            .set('Authorization', authHeader(owner))
+            .send({ url: `${baseUrl}/global`, events: ['task.created'] });
+        expect(forbidden.status).toBe(403);
+
+        const global = await request(app)
+            .post('/api/webhooks')
+            .set('Authorization', authHeader(admin))
+            .send({ url: `${baseUrl}/global`, events: ['task.created'] });
+        expect(global.status).toBe(201);
+        expect(global.body.data.projectId).toBeNull();
+        await createWebhook({ events: ['task.created'] });
+
+        await request(app).post(`/api/proyectos/${other.id}/tareas`).set('Authorization', authHeader(viewer)).send({ title: 'Otro' });
+        await processDeliveries();
+
+        // El webhook del proyecto no recibe eventos de otros proyectos
+        expect(received.map(item => item.path)).toEqual(['/global']);
+
+        // Desactivado deja de recibir eventos
+        await request(app).put(`/api/webhooks/${global.body.data.id}`).set('Authorization', authHeader(admin)).send({ active: false });
+        await request(app).post(`/api/proyectos/${other.id}/tareas`).set('Authorization', authHeader(viewer)).send({ title: 'Otra' });
+        await processDeliveries();
+        expect(received).toHaveLength(1);
+
+        await request(app).delete(`/api/webhooks/${global.body.data.id}`).set('Authorization', authHeader(admin));
+        expect(await WebhookDelivery.count({ where: { webhookId: global.body.data.id } })).toBe(0);
+    });
+
+    it('notifica la eliminación y la restauración del proyecto y borra sus webhooks con él', async () => {
+        const hook = await createWebhook({ events: ['project.deleted', 'project.restored'] });
+
+        await request(app).delete(`/api/proyectos/${project.id}`).set('Authorization', authHeader(owner));
+        await request(app).post(`/api/proyectos/${project.id}/restaurar`).set('Authorization', authHeader(owner));
+        await processDeliveries();
+
+        expect(received.map(item => item.json.type)).toEqual(['project.deleted', 'project.restored']);
+        expect(received[0].json.data.id).toBe(project.id);
+
+        // Los webhooks se conservan mientras el proyecto está en la papelera
+        await request(app).delete(`/api/proyectos/${project.id}`).set('Authorization', authHeader(owner));
+        expect(await Webhook.findByPk(hook.body.data.id)).toMatchObject({ active: true });
+
+        await purgeTrash();
+        expect(await Webhook.findByPk(hook.body.data.id)).toBeNull();
+    });
+
+    it('las operaciones masivas solo emiten eventos de los cambios confirmados', async () => {
+        await createWebhook({ events: ['task.created', 'task.updated', 'task.deleted'] });
+        const task = await createTask(project);
+
+        const bulk = (mode, operations) => request(app)
+            .post(`/api/proyectos/${project.id}/tareas/bulk`)
+            .set('Authorization', authHeader(owner))
+            .send({ mode, operations });
+
+        await bulk('atomic', [
+            { action: 'create', data: { title: 'Deshecha' } },
+            { action: 'delete', id: 999999 }
+        ]);
+        await bulk('partial', [
+            { action: 'update', id: task.id, data: { priority: 'high' } },
+            { action: 'delete', id: 999999 },
+            { action: 'create', data: { title: 'Confirmada' } }
+        ]);
+        await processDeliveries();
+
+        expect(received.map(item => item.json.type)).toEqual(['task.updated', 'task.created']);
+        expect(received[0].json.changes).toEqual({ priority: { from: 'medium', to: 'high' } });
+    });
+});
\ No newline at end of file